@@ -0,0 +1,71 @@
+// Prompt templates for the AIRouter model tiers. Every task asks for one JSON
+// object in the same shape the rules tier returns, so callers treat all tiers alike.
+const { DEFAULT_LOCALE, LANGUAGES } = require('./i18n');
+
+const PREAMBLE = 'You support First Contact E.I.S., a human services intake program in Long Beach, California. ' +
+  'Respond with a single JSON object and nothing else.';
+
+const PROMPTS = {
+  navigator: {
+    system: `${PREAMBLE}
+You answer questions from residents looking for help with housing, food, health, employment and other services.
+Use plain, warm language at about a 6th-grade reading level and keep answers under 120 words.
+When local resources are listed, recommend the most relevant ones by name with their address and phone number. Never invent providers, addresses, phone numbers or hours.
+Never promise eligibility or benefits; suggest talking to a caseworker for anything specific to the resident.
+Answer follow-up questions in the light of the conversation so far.
+JSON shape: {"response": string, "category": string, "confidence": number between 0 and 1}`,
+    user: (query, options) => [
+      options.history && options.history.length ? `Conversation so far:\n${options.history.map(turn => `${turn.role === 'resident' ? 'Resident' : 'Navigator'}: ${turn.text}`).join('\n')}` : null,
+      `Resident question: ${query}`,
+      options.resources && options.resources.length
+        ? `Local resources you may cite:\n${options.resources.map((resource, index) => `${index + 1}. ${JSON.stringify(resource)}`).join('\n')}`
+        : 'No matching local resources were found - do not name specific providers.',
+      options.context && Object.keys(options.context).length ? `Context: ${JSON.stringify(options.context)}` : null,
+      options.locale && options.locale !== DEFAULT_LOCALE ? `Write the response in ${LANGUAGES[options.locale].name}.` : null
+    ].filter(Boolean).join('\n')
+  },
+
+  triage: {
+    system: `${PREAMBLE}
+You help caseworkers prioritise a new client. Base the priority on the stated urgency and needs; housing loss, safety and health risks come first.
+JSON shape: {"priority": "urgent" | "high" | "medium" | "low", "recommendations": string[], "nextSteps": string[], "confidence": number between 0 and 1}
+Give at most 4 recommendations and 4 next steps, each one short sentence.`,
+    user: (client, options) => [
+      `Client intake: ${JSON.stringify(clientSummary(client))}`,
+      options.caseworkerContext && Object.keys(options.caseworkerContext).length ? `Caseworker notes: ${JSON.stringify(options.caseworkerContext)}` : null
+    ].filter(Boolean).join('\n')
+  },
+
+  careplan: {
+    system: `${PREAMBLE}
+You draft a 90-day care plan for a caseworker to review. Goals must be concrete and measurable; tasks are steps the client or caseworker takes; resources are program types available in Long Beach.
+JSON shape: {"goals": string[], "tasks": string[], "resources": string[], "timeline": string, "confidence": number between 0 and 1}
+Give 2-4 goals, 3-6 tasks and 2-5 resources.`,
+    user: client => `Client intake: ${JSON.stringify(clientSummary(client))}`
+  }
+};
+
+// Only the fields a model needs to reason about the case
+function clientSummary(client) {
+  return {
+    needs: client.needs || [],
+    urgency: client.urgency || 'medium',
+    householdSize: client.householdSize || 1,
+    zipCode: client.zipCode || '',
+    status: client.status || '',
+    additionalInfo: client.additionalInfo || ''
+  };
+}
+
+function buildMessages(task, input, options = {}) {
+  const prompt = PROMPTS[task];
+  if (!prompt) {
+    throw new Error(`No prompt template for task: ${task}`);
+  }
+  return [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user(input, options) }
+  ];
+}
+
+module.exports = { buildMessages, clientSummary, PROMPTS };
@@ -0,0 +1,157 @@
+// JSON schemas for the structured output of each AIRouter task, with a small
+// validator for the subset of JSON Schema they use (type, required, properties,
+// enum, items, min/maxItems, min/maxLength, minimum/maximum).
+
+const CONFIDENCE = { type: 'number', minimum: 0, maximum: 1 };
+
+function stringList(minItems, maxItems) {
+  return { type: 'array', items: { type: 'string', minLength: 1, maxLength: 300 }, minItems, maxItems };
+}
+
+const SCHEMAS = {
+  navigator: {
+    type: 'object',
+    required: ['response', 'confidence'],
+    properties: {
+      response: { type: 'string', minLength: 1, maxLength: 1200 },
+      category: { type: 'string' },
+      confidence: CONFIDENCE
+    }
+  },
+  triage: {
+    type: 'object',
+    required: ['priority', 'recommendations', 'nextSteps', 'confidence'],
+    properties: {
+      priority: { type: 'string', enum: ['urgent', 'high', 'medium', 'low'] },
+      recommendations: stringList(1, 6),
+      nextSteps: stringList(1, 6),
+      confidence: CONFIDENCE
+    }
+  },
+  careplan: {
+    type: 'object',
+    required: ['goals', 'tasks', 'resources', 'confidence'],
+    properties: {
+      goals: stringList(1, 6),
+      tasks: stringList(1, 10),
+      resources: stringList(1, 8),
+      timeline: { type: 'string', maxLength: 100 },
+      confidence: CONFIDENCE
+    }
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+// Returns a list of error strings; empty means valid
+function validate(schema, value, path = '') {
+  const at = path || 'response';
+  const type = typeOf(value);
+
+  if (schema.type === 'number' ? !Number.isFinite(value) : type !== schema.type) {
+    return [`${at}: expected ${schema.type}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  switch (schema.type) {
+    case 'object':
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${path ? `${path}.` : ''}${key}: is required`);
+      });
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (value[key] !== undefined) {
+          errors.push(...validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+        }
+      });
+      break;
+
+    case 'array':
+      if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+      break;
+
+    case 'string':
+      if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: is too short`);
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: is longer than ${schema.maxLength} characters`);
+      break;
+
+    case 'number':
+      if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: is below ${schema.minimum}`);
+      if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: is above ${schema.maximum}`);
+      break;
+  }
+  return errors;
+}
+
+// Lossless-ish fixes for common model slips before validating: a lone string where
+// a list was expected, numbers as strings, "85" meaning 85%, stray whitespace/case
+// and over-long lists or text
+function repair(schema, value) {
+  switch (schema.type) {
+    case 'object': {
+      if (typeOf(value) !== 'object') return value;
+      const repaired = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+        if (repaired[key] !== undefined) repaired[key] = repair(propertySchema, repaired[key]);
+      });
+      return repaired;
+    }
+
+    case 'array': {
+      const list = Array.isArray(value) ? value : (value === null || value === undefined || value === '' ? [] : [value]);
+      const items = list
+        .map(item => repair(schema.items, item))
+        .filter(item => !(schema.items.type === 'string' && item === ''));
+      return schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+    }
+
+    case 'string': {
+      if (typeof value !== 'string' && typeof value !== 'number') return value;
+      let text = String(value).trim();
+      if (schema.enum) text = text.toLowerCase();
+      return schema.maxLength !== undefined ? text.slice(0, schema.maxLength) : text;
+    }
+
+    case 'number': {
+      let number = typeof value === 'string' ? parseFloat(value) : value;
+      if (!Number.isFinite(number)) return value;
+      if (schema.maximum === 1 && number > 1 && number <= 100) number = number / 100;
+      if (schema.minimum !== undefined) number = Math.max(number, schema.minimum);
+      if (schema.maximum !== undefined) number = Math.min(number, schema.maximum);
+      return number;
+    }
+
+    default:
+      return value;
+  }
+}
+
+// Repair then validate a task's output; unknown schema properties are dropped
+function checkOutput(task, value) {
+  const schema = SCHEMAS[task];
+  if (!schema) {
+    return { value, errors: [`no schema for task ${task}`] };
+  }
+
+  const repaired = repair(schema, value);
+  const errors = validate(schema, repaired);
+  if (errors.length) {
+    return { value: repaired, errors };
+  }
+
+  const output = {};
+  Object.keys(schema.properties).forEach(key => {
+    if (repaired[key] !== undefined) output[key] = repaired[key];
+  });
+  return { value: output, errors: [] };
+}
+
+module.exports = { SCHEMAS, validate, repair, checkOutput };
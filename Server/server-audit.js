@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+const { can, PII_FIELDS } = require('./permissions');
+const { canonicalize } = require('./canonical');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields that change on every write and would only add noise to diffs
+const IGNORED_FIELDS = ['updatedAt'];
+
+function hashEntry(entry) {
+  const { hash, ...body } = entry;
+  return crypto.createHash('sha256').update(canonicalize(body)).digest('hex');
+}
+
+// Field-level before/after diff; a null `before` records every field as created
+function diffRecords(before, after) {
+  const changes = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  keys.forEach(key => {
+    if (IGNORED_FIELDS.includes(key)) return;
+    const previous = before ? before[key] : undefined;
+    const next = after ? after[key] : undefined;
+    if (canonicalize(previous) !== canonicalize(next)) {
+      changes[key] = { before: previous === undefined ? null : previous, after: next === undefined ? null : next };
+    }
+  });
+  return changes;
+}
+
+// Append-only, hash-chained audit trail. Each entry stores the hash of the one
+// before it, so editing or deleting any stored entry breaks verification of
+// everything after it.
+class AuditLog {
+  constructor() {
+    const last = getRepository().queryAuditLog({ limit: 1 })[0];
+    this.seq = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  // Record an action taken in the context of an Express request
+  record(req, action, { clientId = null, clientIds, before, after, details } = {}) {
+    const user = req.user;
+    const entry = {
+      id: uuidv4(),
+      seq: this.seq + 1,
+      at: dayjs().toISOString(),
+      actorId: user ? user.id : null,
+      actorName: user ? user.username : 'resident',
+      actorRole: user ? user.role : 'resident',
+      action,
+      clientId,
+      clientIds: clientIds || [],
+      changes: before !== undefined || after !== undefined ? diffRecords(before, after) : null,
+      details: details || null,
+      metadata: {
+        ip: req.ip,
+        userAgent: req.get('user-agent') || '',
+        method: req.method,
+        path: req.originalUrl
+      },
+      prevHash: this.lastHash
+    };
+    entry.hash = hashEntry(entry);
+
+    getRepository().appendAuditEntry(entry);
+    this.seq = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  query(filters = {}) {
+    return getRepository().queryAuditLog(filters);
+  }
+
+  // Walk the chain from the start; reports the first entry that does not verify
+  verify() {
+    const entries = getRepository().getAuditChain();
+    let prevHash = GENESIS_HASH;
+
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      if (entry.seq !== i + 1 || entry.prevHash !== prevHash || hashEntry(entry) !== entry.hash) {
+        return { valid: false, count: entries.length, brokenAt: entry.seq || i + 1 };
+      }
+      prevHash = entry.hash;
+    }
+    return { valid: true, count: entries.length, brokenAt: null };
+  }
+
+  // Mask PII values in diffs (see PII_FIELDS) for viewers who cannot see client PII -
+  // in the viewer and in exports
+  present(user, entry) {
+    if (can(user, 'clients:pii') || !entry.changes) {
+      return entry;
+    }
+    const changes = {};
+    Object.entries(entry.changes).forEach(([field, change]) => {
+      changes[field] = PII_FIELDS.includes(field) ? { before: '[redacted]', after: '[redacted]' } : change;
+    });
+    return { ...entry, changes };
+  }
+}
+
+let auditInstance = null;
+
+function getAudit() {
+  if (!auditInstance) {
+    auditInstance = new AuditLog();
+  }
+  return auditInstance;
+}
+
+module.exports = { getAudit, AuditLog, diffRecords };
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+const { STAFF_ROLES, normalizeRole } = require('./permissions');
+
+const SESSION_COOKIE = 'eis_session';
+const TOUCH_INTERVAL_MS = 60 * 1000; // Persist lastSeenAt at most once a minute
+
+// Password/PIN hashing - scrypt with a per-user random salt, stored as scrypt$salt$hash
+function hashSecret(secret) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(secret), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifySecret(secret, stored) {
+  if (!stored) return false;
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(secret), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Public shape of a user - never exposes the credential hash
+function toPublicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    role: normalizeRole(user.role),
+    caseworkerId: user.caseworkerId || null,
+    agency: user.agency || null,
+    mustChangePassword: !!user.mustChangePassword
+  };
+}
+
+class AuthService {
+  constructor(config = {}) {
+    this.config = {
+      idleMinutes: config.SESSION_IDLE_MINUTES || 30,
+      maxHours: config.SESSION_MAX_HOURS || 8,
+      minPasswordLength: 4
+    };
+  }
+
+  // Credential checks
+  authenticate(username, password) {
+    const repo = getRepository();
+    const user = username ? repo.getUserByUsername(String(username).trim()) : null;
+
+    if (!user || user.disabled || !verifySecret(password || '', user.passwordHash)) {
+      return null;
+    }
+
+    repo.updateUser(user.id, { lastLoginAt: dayjs().toISOString() });
+    return toPublicUser(user);
+  }
+
+  validatePassword(password) {
+    if (!password || String(password).length < this.config.minPasswordLength) {
+      return `Password must be at least ${this.config.minPasswordLength} characters`;
+    }
+    return null;
+  }
+
+  // User management
+  createUser({ username, name, role, caseworkerId, agency, password }) {
+    const repo = getRepository();
+    const normalized = String(username || '').trim().toLowerCase();
+
+    if (!normalized) {
+      throw new Error('Username is required');
+    }
+    if (repo.getUserByUsername(normalized)) {
+      throw new Error(`Username ${normalized} is already taken`);
+    }
+    if (!STAFF_ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${STAFF_ROLES.join(', ')}`);
+    }
+    if (role === 'caseworker' && !caseworkerId) {
+      throw new Error('Caseworker accounts must be linked to a caseworker record');
+    }
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    // Supervisors scope to an agency; default it from the linked caseworker record
+    const caseworker = caseworkerId ? repo.getCaseworkerById(caseworkerId) : null;
+    const user = repo.createUser({
+      username: normalized,
+      name: name || normalized,
+      role,
+      caseworkerId: caseworkerId || null,
+      agency: agency || (caseworker ? caseworker.agency : null),
+      passwordHash: hashSecret(password),
+      mustChangePassword: true
+    });
+    return toPublicUser(user);
+  }
+
+  setUserDisabled(userId, disabled) {
+    const repo = getRepository();
+    const user = repo.updateUser(userId, { disabled });
+    if (user && disabled) {
+      repo.deleteSessionsForUser(userId);
+    }
+    return user ? toPublicUser(user) : null;
+  }
+
+  // Admin reset - the user must choose a new password at next sign-in
+  resetPassword(userId, password) {
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    const repo = getRepository();
+    const user = repo.updateUser(userId, { passwordHash: hashSecret(password), mustChangePassword: true });
+    if (user) {
+      repo.deleteSessionsForUser(userId);
+    }
+    return user ? toPublicUser(user) : null;
+  }
+
+  changePassword(userId, currentPassword, newPassword) {
+    const repo = getRepository();
+    const user = repo.getUserById(userId);
+
+    if (!user || !verifySecret(currentPassword || '', user.passwordHash)) {
+      throw new Error('Current password is incorrect');
+    }
+    const passwordError = this.validatePassword(newPassword);
+    if (passwordError) {
+      throw new Error(passwordError);
+    }
+
+    return toPublicUser(repo.updateUser(userId, { passwordHash: hashSecret(newPassword), mustChangePassword: false }));
+  }
+
+  // Session handling - the session id lives server-side, the cookie only carries a signed reference
+  startSession(res, user) {
+    const now = dayjs();
+    const session = getRepository().createSession({
+      id: crypto.randomBytes(32).toString('hex'),
+      userId: user.id,
+      createdAt: now.toISOString(),
+      lastSeenAt: now.toISOString(),
+      expiresAt: now.add(this.config.maxHours, 'hours').toISOString()
+    });
+
+    res.cookie(SESSION_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'lax',
+      signed: true,
+      maxAge: this.config.maxHours * 60 * 60 * 1000
+    });
+    return session;
+  }
+
+  endSession(req, res) {
+    const sessionId = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (sessionId) {
+      getRepository().deleteSession(sessionId);
+    }
+    res.clearCookie(SESSION_COOKIE);
+  }
+
+  // Resolve the signed cookie to an active session, enforcing idle and absolute timeouts
+  resolveSession(sessionId) {
+    const repo = getRepository();
+    const session = repo.getSession(sessionId);
+    if (!session) return null;
+
+    const now = dayjs();
+    const idleExpiry = dayjs(session.lastSeenAt).add(this.config.idleMinutes, 'minutes');
+    if (now.isAfter(session.expiresAt) || now.isAfter(idleExpiry)) {
+      repo.deleteSession(session.id);
+      return null;
+    }
+
+    const user = repo.getUserById(session.userId);
+    if (!user || user.disabled) {
+      repo.deleteSession(session.id);
+      return null;
+    }
+
+    if (now.diff(dayjs(session.lastSeenAt)) > TOUCH_INTERVAL_MS) {
+      repo.updateSession(session.id, { lastSeenAt: now.toISOString() });
+    }
+    return { session, user: toPublicUser(user) };
+  }
+
+  // Express middleware - attaches req.user (or null) to every request
+  middleware() {
+    return (req, res, next) => {
+      req.user = null;
+      req.session = null;
+
+      const sessionId = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+      if (sessionId) {
+        const resolved = this.resolveSession(sessionId);
+        if (resolved) {
+          req.user = resolved.user;
+          req.session = resolved.session;
+        } else {
+          res.clearCookie(SESSION_COOKIE);
+        }
+      }
+      next();
+    };
+  }
+}
+
+// First start: an admin account plus one account per caseworker, using the
+// configured PINs as one-time passwords that must be changed at first sign-in
+function initializeUsers(config = {}) {
+  const repo = getRepository();
+  if (repo.countUsers() > 0) return;
+
+  const auth = getAuth(config);
+  auth.createUser({ username: 'admin', name: 'Administrator', role: 'admin', password: config.ADMIN_PIN });
+  repo.getCaseworkers().forEach(cw => {
+    auth.createUser({ username: cw.id, name: cw.name, role: 'caseworker', caseworkerId: cw.id, password: config.STAFF_PIN });
+  });
+
+  console.log('👤 Created initial user accounts (admin + one per caseworker) - change passwords at first sign-in');
+}
+
+let authInstance = null;
+
+function getAuth(config = {}) {
+  if (!authInstance) {
+    authInstance = new AuthService(config);
+  }
+  return authInstance;
+}
+
+module.exports = { getAuth, initializeUsers, AuthService, hashSecret, verifySecret };
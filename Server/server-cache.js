@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bounded cache for model answers. Entries sit in one Map in least-recently-used
+// order (a read moves an entry to the end), so eviction drops from the front until
+// the cache is back under both its entry and byte limits. Every entry belongs to a
+// namespace - the AI task - which can be cleared on its own and has its own hit,
+// miss and eviction counts. Expired entries are dropped when read and by a
+// periodic sweep; with a store attached the cache is saved on each sweep that
+// found changes and on close, and reloaded on startup. Only the namespaces in
+// `persistNamespaces` are saved - the rest stay in memory.
+class ResponseCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.maxBytes = options.maxBytes || 5 * 1024 * 1024;
+    this.store = options.store || null;
+    this.persistNamespaces = options.persistNamespaces || [];
+    this.entries = new Map();
+    this.bytes = 0;
+    this.counters = {};
+    this.dirty = false;
+    this.timer = null;
+
+    if (this.store) {
+      this.restore(this.store.load());
+    }
+  }
+
+  entryKey(namespace, key) {
+    return `${namespace}:${key}`;
+  }
+
+  namespaceCounters(namespace) {
+    if (!this.counters[namespace]) {
+      this.counters[namespace] = { hits: 0, misses: 0, evictions: 0, expired: 0 };
+    }
+    return this.counters[namespace];
+  }
+
+  get(namespace, key) {
+    const entryKey = this.entryKey(namespace, key);
+    const entry = this.entries.get(entryKey);
+    const counters = this.namespaceCounters(namespace);
+    if (entry && entry.expiry <= Date.now()) {
+      this.remove(entryKey);
+      counters.expired++;
+    } else if (entry) {
+      // Most recently used goes last
+      this.entries.delete(entryKey);
+      this.entries.set(entryKey, entry);
+      counters.hits++;
+      return entry.data;
+    }
+    counters.misses++;
+    return null;
+  }
+
+  // Returns false when the value alone is over the byte limit and was not cached
+  set(namespace, key, data, ttlSeconds) {
+    const entryKey = this.entryKey(namespace, key);
+    const bytes = Buffer.byteLength(entryKey) + Buffer.byteLength(JSON.stringify(data));
+    this.remove(entryKey);
+    if (bytes > this.maxBytes) {
+      return false;
+    }
+    this.entries.set(entryKey, { namespace, data, expiry: Date.now() + ttlSeconds * 1000, bytes });
+    this.bytes += bytes;
+    this.dirty = true;
+    this.evict();
+    return true;
+  }
+
+  remove(entryKey) {
+    const entry = this.entries.get(entryKey);
+    if (entry) {
+      this.entries.delete(entryKey);
+      this.bytes -= entry.bytes;
+      this.dirty = true;
+    }
+    return entry;
+  }
+
+  // Least recently used first, until both limits hold
+  evict() {
+    for (const [entryKey, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries && this.bytes <= this.maxBytes) break;
+      this.remove(entryKey);
+      this.namespaceCounters(entry.namespace).evictions++;
+    }
+  }
+
+  // Clears one namespace, or everything; returns how many entries were removed
+  clear(namespace = null) {
+    let removed = 0;
+    for (const [entryKey, entry] of this.entries) {
+      if (!namespace || entry.namespace === namespace) {
+        this.remove(entryKey);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Drops expired entries; returns how many
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [entryKey, entry] of this.entries) {
+      if (entry.expiry <= now) {
+        this.remove(entryKey);
+        this.namespaceCounters(entry.namespace).expired++;
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Sweeps (and saves, when there is a store) on a timer; unref'd so it never
+  // holds the process open
+  start(sweepSeconds = 300) {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.sweep();
+      this.save();
+    }, sweepSeconds * 1000);
+    this.timer.unref();
+  }
+
+  save() {
+    if (!this.store || !this.dirty) return;
+    this.dirty = false;
+    this.store.save(this.snapshot()).catch(error => {
+      this.dirty = true;
+      console.error('Error saving response cache:', error.message);
+    });
+  }
+
+  close() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.store && this.dirty) {
+      this.store.saveSync(this.snapshot());
+      this.dirty = false;
+    }
+  }
+
+  persists(namespace) {
+    return this.persistNamespaces.includes(namespace);
+  }
+
+  // Entries oldest-used first, so a reload keeps the LRU order
+  snapshot() {
+    return Array.from(this.entries)
+      .filter(([, entry]) => this.persists(entry.namespace))
+      .map(([entryKey, entry]) => ({
+        key: entryKey.slice(entry.namespace.length + 1),
+        namespace: entry.namespace,
+        data: entry.data,
+        expiry: entry.expiry
+      }));
+  }
+
+  // A file written before a namespace stopped being saved is rewritten without it
+  restore(saved) {
+    const now = Date.now();
+    const kept = saved.filter(entry => this.persists(entry.namespace));
+    kept.filter(entry => entry.expiry > now).forEach(entry => {
+      this.set(entry.namespace, entry.key, entry.data, (entry.expiry - now) / 1000);
+    });
+    this.dirty = kept.length < saved.length;
+  }
+
+  stats() {
+    const namespaces = {};
+    Object.entries(this.counters).forEach(([namespace, counters]) => {
+      namespaces[namespace] = { ...counters, entries: 0, bytes: 0, hitRate: hitRate(counters) };
+    });
+    this.entries.forEach(entry => {
+      if (!namespaces[entry.namespace]) {
+        namespaces[entry.namespace] = { ...this.namespaceCounters(entry.namespace), entries: 0, bytes: 0, hitRate: 0 };
+      }
+      namespaces[entry.namespace].entries++;
+      namespaces[entry.namespace].bytes += entry.bytes;
+    });
+
+    const totals = Object.values(this.counters).reduce((sum, counters) => ({
+      hits: sum.hits + counters.hits,
+      misses: sum.misses + counters.misses,
+      evictions: sum.evictions + counters.evictions,
+      expired: sum.expired + counters.expired
+    }), { hits: 0, misses: 0, evictions: 0, expired: 0 });
+
+    return {
+      ...totals,
+      hitRate: hitRate(totals),
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      persistent: !!this.store,
+      persistNamespaces: this.store ? this.persistNamespaces : [],
+      namespaces
+    };
+  }
+}
+
+// Percentage of lookups answered from the cache, to one decimal place
+function hitRate(counters) {
+  const lookups = counters.hits + counters.misses;
+  return lookups > 0 ? Math.round(counters.hits / lookups * 1000) / 10 : 0;
+}
+
+// Persists the cache as one JSON file, written via temp-file-plus-rename. The
+// cache can always be rebuilt, so a file that cannot be read is ignored with a
+// warning (and overwritten on the next save) rather than stopping startup.
+class FileCacheStore {
+  constructor(options = {}) {
+    this.filename = options.filename;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filename)) {
+      return [];
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filename, 'utf8'));
+      return Array.isArray(saved.entries) ? saved.entries : [];
+    } catch (error) {
+      console.warn(`⚠️  Response cache ${path.basename(this.filename)} could not be read (${error.message}) - starting empty`);
+      return [];
+    }
+  }
+
+  tempPath() {
+    return `${this.filename}.${process.pid}.tmp`;
+  }
+
+  async save(entries) {
+    await fs.promises.writeFile(this.tempPath(), JSON.stringify({ savedAt: new Date().toISOString(), entries }));
+    await fs.promises.rename(this.tempPath(), this.filename);
+  }
+
+  saveSync(entries) {
+    fs.writeFileSync(this.tempPath(), JSON.stringify({ savedAt: new Date().toISOString(), entries }));
+    fs.renameSync(this.tempPath(), this.filename);
+  }
+}
+
+// null for the in-memory default - the cache then starts empty on every restart
+function createCacheStore(driver, options = {}) {
+  switch (driver) {
+    case 'memory':
+      return null;
+
+    case 'file':
+      return new FileCacheStore({ filename: path.join(options.dataDir, 'cache.json') });
+
+    default:
+      throw new Error(`Unknown cache driver: ${driver}`);
+  }
+}
+
+module.exports = { ResponseCache, FileCacheStore, createCacheStore };
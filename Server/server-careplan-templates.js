@@ -0,0 +1,340 @@
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+const { NEED_KEYWORDS } = require('./resource-directory');
+
+const NEEDS = Object.keys(NEED_KEYWORDS);
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+
+// The careplan contract allows at most this many of each list
+const LIMITS = { goals: 6, tasks: 10, resources: 8 };
+const MAX_TEXT_LENGTH = 300;
+const HISTORY_LIMIT = 20;
+
+// Days until the first review when no selected template asks for sooner
+const REVIEW_DAYS = { low: 30, medium: 30, high: 14, critical: 7 };
+
+// Templates in effect until an admin saves a version of their own. A template
+// applies when the client has every need it lists (and, if it lists urgencies,
+// one of those urgencies); an empty needs list makes it a general template for
+// clients who did not pick any need.
+const DEFAULT_CAREPLAN_TEMPLATES = [
+  {
+    id: 'urgent-housing',
+    name: 'Housing crisis',
+    needs: ['housing'],
+    urgency: ['high', 'critical'],
+    goals: ['Move into emergency shelter or other safe housing this week', 'Secure stable housing within 90 days'],
+    tasks: ['Confirm a shelter bed for tonight', 'Complete rapid rehousing assessment', 'Gather ID and income documents'],
+    resources: ['Emergency shelter', 'Rapid Rehousing Program', 'Emergency rental assistance'],
+    reviewDays: 7
+  },
+  {
+    id: 'veterans-housing',
+    name: 'Veteran housing',
+    needs: ['veterans', 'housing'],
+    goals: ['Secure stable housing through veteran programs', 'Enroll in VA benefits the client is eligible for'],
+    tasks: ['Request DD-214', 'Refer to SSVF provider', 'Screen for HUD-VASH voucher'],
+    resources: ['Supportive Services for Veteran Families (SSVF)', 'HUD-VASH', 'VA Medical Center']
+  },
+  {
+    id: 'housing',
+    name: 'Housing',
+    needs: ['housing'],
+    goals: ['Secure stable housing within 90 days', 'Maintain housing stability'],
+    tasks: ['Complete housing application', 'Gather required documents', 'Attend housing appointments'],
+    resources: ['Rapid Rehousing Program', 'Housing Authority waitlist', 'Emergency rental assistance']
+  },
+  {
+    id: 'urgent-mental-health',
+    name: 'Mental health crisis',
+    needs: ['mental-health'],
+    urgency: ['high', 'critical'],
+    goals: ['Stay safe while connecting to care', 'Start treatment within one week'],
+    tasks: ['Complete safety plan with the client', 'Schedule crisis assessment', 'Share 988 and local crisis line numbers'],
+    resources: ['988 Suicide & Crisis Lifeline', 'County crisis assessment team', 'Walk-in mental health urgent care'],
+    reviewDays: 7
+  },
+  {
+    id: 'mental-health',
+    name: 'Mental health',
+    needs: ['mental-health'],
+    goals: ['Connect with ongoing mental health care'],
+    tasks: ['Schedule counseling intake', 'Apply for Medi-Cal if uninsured'],
+    resources: ['County mental health clinic', 'Sliding-scale counseling']
+  },
+  {
+    id: 'substance-abuse',
+    name: 'Substance use',
+    needs: ['substance-abuse'],
+    goals: ['Reduce harm from substance use', 'Engage with a treatment program the client chooses'],
+    tasks: ['Complete substance use assessment', 'Refer to outpatient or harm reduction services'],
+    resources: ['Outpatient treatment program', 'Harm reduction services', 'Recovery support groups']
+  },
+  {
+    id: 'employment',
+    name: 'Employment',
+    needs: ['employment'],
+    goals: ['Obtain sustainable employment', 'Increase job skills'],
+    tasks: ['Update resume', 'Apply for job training', 'Attend job interviews'],
+    resources: ['WorkForce Development', 'One-Stop Career Center', 'Skills training programs']
+  },
+  {
+    id: 'medical',
+    name: 'Medical',
+    needs: ['medical'],
+    goals: ['Establish primary care', 'Manage chronic conditions'],
+    tasks: ['Schedule medical appointment', 'Apply for health insurance', 'Follow medication schedule'],
+    resources: ['Community Health Center', 'Medi-Cal enrollment', 'Pharmacy assistance']
+  },
+  {
+    id: 'food',
+    name: 'Food',
+    needs: ['food'],
+    goals: ['Have reliable access to food for the household'],
+    tasks: ['Screen for CalFresh (SNAP) and WIC', 'Refer to the nearest food pantry'],
+    resources: ['CalFresh (SNAP)', 'Local food bank', 'Community meal programs']
+  },
+  {
+    id: 'veterans',
+    name: 'Veterans',
+    needs: ['veterans'],
+    goals: ['Enroll in VA benefits the client is eligible for'],
+    tasks: ['Request DD-214', 'Connect with a veteran services officer'],
+    resources: ['VA benefits office', 'County Veterans Service Office']
+  },
+  {
+    id: 'legal',
+    name: 'Legal',
+    needs: ['legal'],
+    goals: ['Resolve the open legal matter'],
+    tasks: ['Gather court notices and related documents', 'Schedule legal aid consultation'],
+    resources: ['Legal aid society', 'Court self-help center']
+  },
+  {
+    id: 'utilities',
+    name: 'Utilities',
+    needs: ['utilities'],
+    goals: ['Keep utilities connected'],
+    tasks: ['Collect recent utility bills', 'Apply for LIHEAP assistance', 'Ask the utility about a payment plan'],
+    resources: ['LIHEAP utility assistance', 'Utility company hardship programs']
+  },
+  {
+    id: 'transportation',
+    name: 'Transportation',
+    needs: ['transportation'],
+    goals: ['Get to appointments and work reliably'],
+    tasks: ['Arrange transportation for the first appointment', 'Apply for a reduced-fare transit pass'],
+    resources: ['Reduced-fare transit program', 'Medi-Cal transportation benefit']
+  },
+  {
+    id: 'general',
+    name: 'General',
+    needs: [],
+    goals: ['Stabilize current situation', 'Connect with appropriate services'],
+    tasks: ['Meet with caseworker', 'Complete needs assessment'],
+    resources: ['Case management services', 'Community resources']
+  }
+];
+
+function isStringList(value, allowed, { allowEmpty = false } = {}) {
+  return Array.isArray(value) && (allowEmpty || value.length > 0) &&
+    value.every(item => typeof item === 'string' && (!allowed || allowed.includes(item)));
+}
+
+// Returns a list of error strings; empty means the library can be saved
+function validateTemplates(templates) {
+  if (!Array.isArray(templates)) {
+    return ['templates must be a JSON array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  templates.forEach((template, index) => {
+    const at = template && typeof template.id === 'string' ? `template "${template.id}"` : `template ${index + 1}`;
+    if (!template || typeof template !== 'object' || Array.isArray(template)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof template.id !== 'string' || !/^[a-z0-9-]+$/.test(template.id)) {
+      errors.push(`${at}: id must be lowercase letters, digits and dashes`);
+    } else if (seen.has(template.id)) {
+      errors.push(`${at}: id is used more than once`);
+    }
+    seen.add(template.id);
+    if (template.enabled !== undefined && typeof template.enabled !== 'boolean') {
+      errors.push(`${at}: enabled must be true or false`);
+    }
+    if (!isStringList(template.needs, NEEDS, { allowEmpty: true })) {
+      errors.push(`${at}: needs must be a list of ${NEEDS.join(', ')} (empty for a general template)`);
+    }
+    if (template.urgency !== undefined && !isStringList(template.urgency, URGENCIES)) {
+      errors.push(`${at}: urgency must be a list of ${URGENCIES.join(', ')}`);
+    }
+    Object.entries(LIMITS).forEach(([field, max]) => {
+      const value = template[field];
+      if (!(isStringList(value) && value.length <= max && value.every(item => item.trim() && item.length <= MAX_TEXT_LENGTH))) {
+        errors.push(`${at}: ${field} must be a list of 1 to ${max} non-empty texts up to ${MAX_TEXT_LENGTH} characters`);
+      }
+    });
+    if (template.reviewDays !== undefined && !(Number.isInteger(template.reviewDays) && template.reviewDays >= 1 && template.reviewDays <= 365)) {
+      errors.push(`${at}: reviewDays must be a whole number from 1 to 365`);
+    }
+  });
+  if (!errors.length && !templates.some(template => template.enabled !== false && !template.needs.length && !template.urgency)) {
+    errors.push('keep one enabled general template (empty needs, no urgency) for clients without needs');
+  }
+  return errors;
+}
+
+// Needs of the client a template takes care of - empty when it does not apply
+function coveredNeeds(template, needs, urgency) {
+  if (template.enabled === false) return [];
+  if (template.urgency && !template.urgency.includes(urgency)) return [];
+  return template.needs.every(need => needs.includes(need)) ? template.needs : [];
+}
+
+// Picks templates until every need is covered. Each round takes an urgency-specific
+// template over a general one, then the template covering the most needs still open
+// (and repeating the fewest already covered), then the one listed first - so admins
+// set priority by order.
+function selectTemplates(templates, client) {
+  const needs = (client.needs || []).filter(need => NEEDS.includes(need));
+  const urgency = client.urgency || 'medium';
+  const trace = [];
+
+  if (!needs.length) {
+    const general = templates.find(template => template.enabled !== false && !template.needs.length &&
+      (!template.urgency || template.urgency.includes(urgency)));
+    return { selected: general ? [general] : [], uncovered: [], trace: general ? [{ id: general.id, covers: [] }] : [] };
+  }
+
+  const open = new Set(needs);
+  const selected = [];
+  while (open.size) {
+    let best = null;
+    templates.forEach(template => {
+      if (selected.includes(template)) return;
+      const applies = coveredNeeds(template, needs, urgency);
+      const covers = applies.filter(need => open.has(need));
+      if (!covers.length) return;
+      const score = (template.urgency ? 1000 : 0) + covers.length * 10 - (applies.length - covers.length);
+      if (!best || score > best.score) best = { template, covers, score };
+    });
+    if (!best) break;
+    selected.push(best.template);
+    best.covers.forEach(need => open.delete(need));
+    trace.push({ id: best.template.id, covers: best.covers });
+  }
+  return { selected, uncovered: [...open], trace };
+}
+
+// Takes items from each template in turn so every need is represented when the
+// combined lists have to be cut to the contract's limits
+function interleave(lists, max) {
+  const items = [];
+  for (let i = 0; items.length < max && lists.some(list => i < list.length); i++) {
+    lists.forEach(list => {
+      if (i < list.length && items.length < max && !items.includes(list[i])) items.push(list[i]);
+    });
+  }
+  return items;
+}
+
+// One care plan suggestion from the selected templates, following the careplan
+// contract plus which templates it was built from
+function composeCarePlan(templates, client, version = null) {
+  const { selected, uncovered, trace } = selectTemplates(templates, client);
+  if (!selected.length) {
+    return { uncertain: true, confidence: 0.3, templates: [], uncoveredNeeds: uncovered, trace };
+  }
+
+  const urgency = client.urgency || 'medium';
+  const reviewDays = Math.min(REVIEW_DAYS[urgency] || REVIEW_DAYS.medium,
+    ...selected.map(template => template.reviewDays || Infinity));
+  return {
+    goals: interleave(selected.map(template => template.goals), LIMITS.goals),
+    tasks: interleave(selected.map(template => template.tasks), LIMITS.tasks),
+    resources: interleave(selected.map(template => template.resources), LIMITS.resources),
+    timeline: '90 days',
+    reviewDate: dayjs().add(reviewDays, 'day').toISOString(),
+    // A need no template covers is worth a model's attempt when models are on
+    confidence: uncovered.length ? 0.6 : 0.85,
+    source: 'rules',
+    customizable: true,
+    templatesVersion: version,
+    templates: selected.map(template => ({ id: template.id, name: template.name || template.id })),
+    uncoveredNeeds: uncovered,
+    trace
+  };
+}
+
+// Versioned template library kept in the config document, saved and restored the
+// same way as the triage rules
+class CarePlanTemplateLibrary {
+  current() {
+    const stored = getRepository().getConfig().careplanTemplates;
+    if (stored && Array.isArray(stored.templates)) {
+      return stored;
+    }
+    return { version: 0, templates: DEFAULT_CAREPLAN_TEMPLATES, updatedAt: null, updatedBy: null, note: 'Built-in defaults' };
+  }
+
+  history() {
+    return getRepository().getConfig().careplanTemplateHistory || [];
+  }
+
+  // Throws with error.errors listing every problem when the templates are invalid
+  save(templates, { userId = null, note = '' } = {}) {
+    const errors = validateTemplates(templates);
+    if (errors.length) {
+      const error = new Error('Care plan templates are not valid');
+      error.errors = errors;
+      throw error;
+    }
+
+    const previous = this.current();
+    const saved = {
+      version: Math.max(previous.version, ...this.history().map(entry => entry.version)) + 1,
+      templates,
+      updatedAt: dayjs().toISOString(),
+      updatedBy: userId,
+      note: String(note).slice(0, 200)
+    };
+    getRepository().updateConfig({
+      careplanTemplates: saved,
+      careplanTemplateHistory: [previous, ...this.history()].slice(0, HISTORY_LIMIT),
+      updatedBy: userId
+    });
+    return saved;
+  }
+
+  restore(version, { userId = null } = {}) {
+    const entry = this.history().find(candidate => candidate.version === version);
+    if (!entry) {
+      return null;
+    }
+    return this.save(entry.templates, { userId, note: `Restored version ${version}` });
+  }
+
+  suggest(client, library = this.current()) {
+    const { trace, ...result } = composeCarePlan(library.templates, client, library.version);
+    return result;
+  }
+}
+
+let templateLibraryInstance = null;
+
+function getCarePlanTemplates() {
+  if (!templateLibraryInstance) {
+    templateLibraryInstance = new CarePlanTemplateLibrary();
+  }
+  return templateLibraryInstance;
+}
+
+module.exports = {
+  getCarePlanTemplates,
+  CarePlanTemplateLibrary,
+  DEFAULT_CAREPLAN_TEMPLATES,
+  validateTemplates,
+  composeCarePlan
+};
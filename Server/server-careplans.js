@@ -0,0 +1,158 @@
+const dayjs = require('dayjs');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./repository');
+
+const TASK_OWNERS = ['client', 'caseworker', 'partner'];
+const TASK_STATUSES = ['open', 'in-progress', 'done'];
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+function isDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || '') && dayjs(value).isValid();
+}
+
+function textList(values, max) {
+  return values.map(value => String(value || '').trim()).filter(Boolean).map(value => value.slice(0, max));
+}
+
+// Care plans are versioned: every save is a new record and the version it replaces
+// is kept as 'superseded'. Task status changes update the current version in place -
+// they are progress on the plan, not a change to it.
+class CarePlans {
+  current(clientId) {
+    return getRepository().getCarePlans(clientId).find(plan => plan.status === 'current') || null;
+  }
+
+  // Every version, newest first
+  history(clientId) {
+    return getRepository().getCarePlans(clientId);
+  }
+
+  // Editable draft from an AIRouter careplan suggestion - tasks are due by the review date
+  fromSuggestion(suggestion) {
+    const suggested = suggestion.reviewDate ? dayjs(suggestion.reviewDate) : null;
+    const reviewDate = (suggested && suggested.isValid() ? suggested : dayjs().add(30, 'day')).format(DATE_FORMAT);
+    return {
+      goals: suggestion.goals || [],
+      tasks: (suggestion.tasks || []).map(title => ({ id: null, title, owner: 'caseworker', dueDate: reviewDate, status: 'open' })),
+      resources: suggestion.resources || [],
+      timeline: suggestion.timeline || '90 days',
+      reviewDate,
+      source: suggestion.source || 'staff',
+      // Editor-only context - the saved plan is whatever staff make of it
+      templates: suggestion.templates || [],
+      uncoveredNeeds: suggestion.uncoveredNeeds || [],
+      decisionId: suggestion.decisionId || null
+    };
+  }
+
+  // Returns a list of error strings; empty means the draft can be saved
+  validate(draft) {
+    const errors = [];
+    if (!draft.goals.length) errors.push('Add at least one goal');
+    if (!draft.tasks.length) errors.push('Add at least one task');
+    draft.tasks.forEach((task, index) => {
+      if (!TASK_OWNERS.includes(task.owner)) errors.push(`Task ${index + 1}: choose an owner`);
+      if (!TASK_STATUSES.includes(task.status)) errors.push(`Task ${index + 1}: unknown status`);
+      if (task.dueDate && !isDate(task.dueDate)) errors.push(`Task ${index + 1}: due date is not a date`);
+    });
+    if (!isDate(draft.reviewDate)) errors.push('Set a review date');
+    return errors;
+  }
+
+  // Saves a staff-reviewed draft as the client's new current version. Tasks keep
+  // their ids (and completion details) across versions so progress is not lost.
+  // Throws with error.errors when the draft is invalid.
+  save(client, input, { userId = null, note = '' } = {}) {
+    const draft = {
+      goals: textList(input.goals || [], 300),
+      tasks: (input.tasks || []).filter(task => String(task.title || '').trim()),
+      resources: textList(input.resources || [], 300),
+      timeline: String(input.timeline || '').trim().slice(0, 100),
+      reviewDate: input.reviewDate,
+      source: input.source || 'staff'
+    };
+    const errors = this.validate(draft);
+    if (errors.length) {
+      const error = new Error('Care plan is not valid');
+      error.errors = errors;
+      throw error;
+    }
+
+    const repo = getRepository();
+    const previous = this.current(client.id);
+    const previousTasks = new Map(previous ? previous.tasks.map(task => [task.id, task]) : []);
+    const now = dayjs().toISOString();
+
+    const tasks = draft.tasks.map(task => {
+      const before = previousTasks.get(task.id);
+      const done = task.status === 'done';
+      return {
+        id: before ? before.id : uuidv4(),
+        title: String(task.title).trim().slice(0, 300),
+        owner: task.owner,
+        dueDate: task.dueDate || null,
+        status: task.status,
+        completedAt: done ? (before && before.completedAt ? before.completedAt : now) : null,
+        completedBy: done ? (before && before.completedBy ? before.completedBy : userId) : null
+      };
+    });
+
+    return repo.createCarePlanVersion({
+      id: uuidv4(),
+      clientId: client.id,
+      version: previous ? previous.version + 1 : 1,
+      status: 'current',
+      ...draft,
+      tasks,
+      note: String(note || '').slice(0, 200),
+      createdAt: now,
+      createdBy: userId
+    }, previous ? previous.id : null);
+  }
+
+  setTaskStatus(plan, taskId, status, userId = null) {
+    if (!TASK_STATUSES.includes(status) || !plan.tasks.some(task => task.id === taskId)) {
+      return null;
+    }
+    const now = dayjs().toISOString();
+    return getRepository().updateCarePlan(plan.id, {
+      tasks: plan.tasks.map(task => (task.id !== taskId ? task : {
+        ...task,
+        status,
+        completedAt: status === 'done' ? now : null,
+        completedBy: status === 'done' ? userId : null
+      })),
+      updatedAt: now,
+      updatedBy: userId
+    });
+  }
+
+  isOverdue(task, today = dayjs().format(DATE_FORMAT)) {
+    return task.status !== 'done' && !!task.dueDate && task.dueDate < today;
+  }
+
+  // Open tasks past their due date and plans due for review, for a set of client ids
+  followUps(clientIds) {
+    const today = dayjs().format(DATE_FORMAT);
+    const plans = getRepository().getCurrentCarePlans().filter(plan => clientIds.has(plan.clientId));
+    return {
+      overdueTasks: plans
+        .flatMap(plan => plan.tasks.filter(task => this.isOverdue(task, today)).map(task => ({ plan, task })))
+        .sort((a, b) => a.task.dueDate.localeCompare(b.task.dueDate)),
+      reviewsDue: plans
+        .filter(plan => plan.reviewDate <= today)
+        .sort((a, b) => a.reviewDate.localeCompare(b.reviewDate))
+    };
+  }
+}
+
+let carePlansInstance = null;
+
+function getCarePlans() {
+  if (!carePlansInstance) {
+    carePlansInstance = new CarePlans();
+  }
+  return carePlansInstance;
+}
+
+module.exports = { getCarePlans, CarePlans, TASK_OWNERS, TASK_STATUSES };
@@ -1,19 +1,32 @@
 const crypto = require('crypto');
+const path = require('path');
+const { ResponseCache, createCacheStore } = require('./cache');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Tasks whose cached answers CACHE_DRIVER=file may write to disk. Triage and care
+// plan answers are about one client, so they only ever live in memory.
+const PERSISTED_TASKS = ['navigator'];
 
 class CostGuard {
   constructor(config = {}) {
-    this.cache = new Map();
+    // Bounded, per-task response cache; CACHE_DRIVER=file keeps navigator answers across restarts
+    this.cache = new ResponseCache({
+      maxEntries: config.CACHE_MAX_ENTRIES || 1000,
+      maxBytes: (config.CACHE_MAX_MB || 5) * 1024 * 1024,
+      persistNamespaces: PERSISTED_TASKS,
+      store: createCacheStore(config.CACHE_DRIVER || 'memory', { dataDir: DATA_DIR })
+    });
     this.stats = {
-      cacheHits: 0,
-      cacheMisses: 0,
       cheapCalls: 0,
       expensiveCalls: 0,
       totalTokens: 0,
       dailyTokens: 0,
+      reservedTokens: 0,
       lastResetDate: new Date().toDateString()
     };
     this.config = {
-      maxDailyTokens: 10000,
+      maxDailyTokens: config.AI_MAX_DAILY_TOKENS || 10000,
       maxCheapTokens: config.AI_MAX_TOKENS_CHEAP || 256,
       maxExpensiveTokens: config.AI_MAX_TOKENS_EXPENSIVE || 512,
       defaultTTL: 3600, // 1 hour
@@ -28,27 +41,25 @@ class CostGuard {
     return crypto.createHash('md5').update(normalized + optionsStr).digest('hex');
   }
 
-  // Get from cache
-  cacheGet(key) {
-    const entry = this.cache.get(key);
-    if (entry && entry.expiry > Date.now()) {
-      this.stats.cacheHits++;
-      return entry.data;
-    }
-    if (entry) {
-      this.cache.delete(key); // Remove expired entry
-    }
-    this.stats.cacheMisses++;
-    return null;
+  // Get from cache - namespace is the AI task, so each can be cleared on its own
+  cacheGet(key, namespace = 'default') {
+    return this.cache.get(namespace, key);
   }
 
   // Set cache with TTL
-  cacheSet(key, data, ttlSeconds = null) {
+  cacheSet(key, data, ttlSeconds = null, namespace = 'default') {
     const ttl = ttlSeconds || this.config.defaultTTL;
-    this.cache.set(key, {
-      data,
-      expiry: Date.now() + (ttl * 1000)
-    });
+    return this.cache.set(namespace, key, data, ttl);
+  }
+
+  // Sweep expired cache entries (and save them, with CACHE_DRIVER=file) in the background
+  start() {
+    this.cache.start(this.config.CACHE_SWEEP_SECONDS || 300);
+  }
+
+  // Stop sweeping and save the cache before exit
+  close() {
+    this.cache.close();
   }
 
   // Check if we should escalate to expensive model
@@ -77,11 +88,11 @@ class CostGuard {
     }
   }
 
-  // Check if we're within budget
+  // Check if we're within budget - calls still running count at what they reserved
   canMakeCall(tokenCount, type = 'cheap') {
     this.resetDailyCountersIfNeeded();
     
-    if (this.stats.dailyTokens + tokenCount > this.config.maxDailyTokens) {
+    if (this.stats.dailyTokens + this.stats.reservedTokens + tokenCount > this.config.maxDailyTokens) {
       return false;
     }
     
@@ -96,18 +107,22 @@ class CostGuard {
     return true;
   }
 
-  // Execute function with budget tracking
+  // Execute function with budget tracking. The estimate is reserved while the call
+  // runs, so calls made side by side cannot overrun the daily limit between them;
+  // once it settles the reservation is released and the tokens actually used charged.
   async withBudget(label, fn, estimatedTokens = 100, type = 'cheap') {
     if (!this.canMakeCall(estimatedTokens, type)) {
-      throw new Error(`Budget exceeded for ${label}. Daily limit: ${this.config.maxDailyTokens}, used: ${this.stats.dailyTokens}`);
+      throw new Error(`Budget exceeded for ${label}. Daily limit: ${this.config.maxDailyTokens}, used: ${this.stats.dailyTokens}, reserved: ${this.stats.reservedTokens}`);
     }
 
+    this.stats.reservedTokens += estimatedTokens;
     try {
       const result = await fn();
       
-      // Track usage
-      this.stats.totalTokens += estimatedTokens;
-      this.stats.dailyTokens += estimatedTokens;
+      // Track usage - the tokens the call reports using, else the estimate
+      const usedTokens = result && Number.isFinite(result.tokens) ? result.tokens : estimatedTokens;
+      this.stats.totalTokens += usedTokens;
+      this.stats.dailyTokens += usedTokens;
       
       if (type === 'expensive') {
         this.stats.expensiveCalls++;
@@ -117,8 +132,15 @@ class CostGuard {
       
       return result;
     } catch (error) {
+      // A call can fail after spending tokens (e.g. output rejected by validation)
+      if (Number.isFinite(error.tokens)) {
+        this.stats.totalTokens += error.tokens;
+        this.stats.dailyTokens += error.tokens;
+      }
       console.error(`Cost-guarded call failed for ${label}:`, error.message);
       throw error;
+    } finally {
+      this.stats.reservedTokens -= estimatedTokens;
     }
   }
 
@@ -126,25 +148,27 @@ class CostGuard {
   getStats() {
     this.resetDailyCountersIfNeeded();
     
-    const cacheTotal = this.stats.cacheHits + this.stats.cacheMisses;
-    const cacheHitRate = cacheTotal > 0 ? (this.stats.cacheHits / cacheTotal * 100).toFixed(1) : '0.0';
+    const cache = this.cache.stats();
     
     return {
       ...this.stats,
-      cacheHitRate: parseFloat(cacheHitRate),
-      cacheSize: this.cache.size,
+      cacheHits: cache.hits,
+      cacheMisses: cache.misses,
+      cacheHitRate: cache.hitRate,
+      cacheSize: cache.entries,
+      cache,
       dailyBudgetUsed: ((this.stats.dailyTokens / this.config.maxDailyTokens) * 100).toFixed(1),
       estimatedDailyCost: (this.stats.dailyTokens * 0.0001).toFixed(4) // Rough estimate
     };
   }
 
-  // Clear cache (admin function)
-  clearCache() {
-    this.cache.clear();
-    return { cleared: true, newSize: this.cache.size };
+  // Clear cache (admin function) - one task's namespace, or all of it
+  clearCache(namespace = null) {
+    const removed = this.cache.clear(namespace);
+    return { cleared: true, namespace, removed, newSize: this.cache.entries.size };
   }
 
-  // Set emergency budget limits
+  // Set emergency budget limits - see AIRouter.updateControls
   setEmergencyLimits(limits) {
     this.config = { ...this.config, ...limits };
     return this.config;
@@ -160,4 +184,4 @@ function getCostGuard(config = {}) {
   return costGuardInstance;
 }
 
-module.exports = { getCostGuard, CostGuard };
+module.exports = { getCostGuard, CostGuard, PERSISTED_TASKS };
@@ -0,0 +1,100 @@
+// Safety screen for resident messages. Runs before any navigator routing so a
+// resident describing a crisis gets hotline numbers straight away instead of a
+// service FAQ - and never waits on, or depends on, a model call.
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// Patterns are deliberately broad: a false positive costs a resident one extra
+// message with phone numbers, a miss can cost far more. English and Spanish
+// phrasings are screened whatever language the page is in.
+const CRISIS_PATTERNS = {
+  'suicide': [
+    /\bsuicid\w*/i,
+    /\bkill(?:ing)? my ?self\b/i,
+    /\b(?:end|ending|take|taking) my (?:own )?life\b/i,
+    /\b(?:want|wanna|going) (?:to )?die\b/i,
+    /\bdon'?t want to (?:live|be alive|be here)\b/i,
+    /\bbetter off dead\b/i,
+    /\bno reason to live\b/i,
+    /\bself[- ]?harm\w*/i,
+    /\b(?:hurt|hurting|cut|cutting) my ?self\b/i,
+    /\b(?:quiero|quisiera|voy a) morir(?:me)?\b/i,
+    /\b(?:matarme|me quiero matar|quitarme la vida)\b/i,
+    /\bno quiero (?:vivir|seguir viviendo)\b/i,
+    /\b(?:hacerme da[ñn]o|lastimarme|cortarme)\b/i
+  ],
+  'overdose': [
+    /\boverdos\w*/i,
+    /\bod(?:'d|ed|ing)\b/i,
+    /\btook too many (?:pills|meds|tablets)\b/i,
+    /\b(?:isn'?t|not|stopped) breathing\b/i,
+    /\b(?:won'?t|can'?t) wake (?:him|her|them) up\b/i,
+    /\bsobredosis\b/i,
+    /\bno (?:respira|despierta|reacciona)\b/i,
+    /\b(?:se tom[óo]|tom[óo]|tom[ée]) (?:demasiadas|muchas) pastillas\b/i
+  ],
+  'domestic-violence': [
+    /\bdomestic (?:violence|abuse)\b/i,
+    /\b(?:abusive|violent) (?:partner|husband|wife|boyfriend|girlfriend|ex|relationship|home)\b/i,
+    /\b(?:he|she|they|partner|husband|wife|boyfriend|girlfriend|ex) (?:hits?|hit|beats?|beat|chokes?|choked|hurts?|hurt|threatens?|threatened) me\b/i,
+    /\b(?:not safe|unsafe|scared|afraid) (?:at home|to go home)\b/i,
+    /\bafraid of my (?:partner|husband|wife|boyfriend|girlfriend|ex)\b/i,
+    /\bviolencia (?:dom[ée]stica|familiar)/i,
+    /\b(?:pareja|esposo|esposa|novio|novia|marido|ex) me (?:pega|peg[óo]|golpea|golpe[óo]|amenaza|maltrata|ahorca)/i,
+    /\b(?:no estoy segur[ao]|tengo miedo) en (?:mi )?casa\b/i,
+    /\btengo miedo de (?:volver a casa|mi (?:pareja|esposo|esposa|novio|novia|marido|ex))\b/i
+  ]
+};
+
+const LABELS = {
+  'suicide': 'suicide or self-harm',
+  'overdose': 'overdose',
+  'domestic-violence': 'domestic violence'
+};
+
+const HOTLINES = {
+  lifeline: { name: '988 Suicide & Crisis Lifeline', phone: '988', text: '988' },
+  dv: { name: 'National Domestic Violence Hotline', phone: '1-800-799-7233', text: 'START to 88788' },
+  poison: { name: 'Poison Control', phone: '1-800-222-1222' },
+  emergency: { name: 'Emergency services', phone: '911' }
+};
+
+const RESOURCES = {
+  'suicide': [HOTLINES.lifeline, HOTLINES.emergency],
+  'overdose': [HOTLINES.emergency, HOTLINES.poison, HOTLINES.lifeline],
+  'domestic-violence': [HOTLINES.dv, HOTLINES.emergency, HOTLINES.lifeline]
+};
+
+// Returns { category, label } for the first crisis category the text matches, or null
+function detectCrisis(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    return null;
+  }
+  const category = Object.keys(CRISIS_PATTERNS)
+    .find(key => CRISIS_PATTERNS[key].some(pattern => pattern.test(text)));
+  return category ? { category, label: LABELS[category] } : null;
+}
+
+// { category, label } for a stored category name, or null if it is not one
+function crisisCategory(category) {
+  return LABELS[category] ? { category, label: LABELS[category] } : null;
+}
+
+// Navigator-shaped reply with the national lines plus the hub's local crisis line,
+// in the resident's language (crisis.* in the message catalog)
+function crisisResponse(category, hub, locale = DEFAULT_LOCALE) {
+  const resources = [...RESOURCES[category]];
+  let response = translate(locale, `crisis.${category}`);
+  if (hub && hub.crisisLine) {
+    resources.push({ name: hub.crisisLine.name, phone: hub.crisisLine.phone });
+    response += ` ${translate(locale, 'crisis.local', { name: hub.crisisLine.name, phone: hub.crisisLine.phone })}`;
+  }
+  return {
+    response,
+    confidence: 1,
+    source: 'crisis',
+    category,
+    crisis: { category, label: LABELS[category], resources }
+  };
+}
+
+module.exports = { detectCrisis, crisisCategory, crisisResponse, CRISIS_PATTERNS, HOTLINES };
@@ -0,0 +1,163 @@
+const dayjs = require('dayjs');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./repository');
+
+const DECISION_TASKS = ['triage', 'careplan'];
+const VERDICTS = ['accepted', 'edited', 'rejected'];
+
+// What a suggestion is - stored so feedback can be read against it later
+const SUGGESTION_FIELDS = {
+  triage: ['priority', 'recommendations', 'nextSteps'],
+  careplan: ['goals', 'tasks', 'resources', 'timeline']
+};
+
+// Confidence bands for the report, split at the router's escalation threshold (0.7)
+const CONFIDENCE_BANDS = [
+  { label: 'under 0.5', min: 0, max: 0.5 },
+  { label: '0.5 - 0.7', min: 0.5, max: 0.7 },
+  { label: '0.7 - 0.85', min: 0.7, max: 0.85 },
+  { label: '0.85 and up', min: 0.85, max: Infinity }
+];
+
+function pick(result, fields) {
+  return Object.fromEntries(fields.filter(field => result[field] !== undefined).map(field => [field, result[field]]));
+}
+
+function listChanges(before = [], after = []) {
+  return {
+    added: after.filter(item => !before.includes(item)).length,
+    removed: before.filter(item => !after.includes(item)).length
+  };
+}
+
+function rate(part, whole) {
+  return whole ? Math.round(part / whole * 1000) / 10 : null;
+}
+
+function summarize(decisions) {
+  const reviewed = decisions.filter(decision => decision.feedback);
+  const count = verdict => reviewed.filter(decision => decision.feedback.verdict === verdict).length;
+  const accepted = count('accepted');
+  return {
+    total: decisions.length,
+    reviewed: reviewed.length,
+    accepted,
+    edited: count('edited'),
+    rejected: count('rejected'),
+    // Share of reviewed suggestions taken as they were
+    acceptanceRate: rate(accepted, reviewed.length),
+    // Share taken as they were or with edits
+    usefulRate: rate(accepted + count('edited'), reviewed.length),
+    avgConfidence: decisions.length ? Math.round(decisions.reduce((sum, decision) => sum + (decision.confidence || 0), 0) / decisions.length * 100) / 100 : null,
+    avgLatencyMs: decisions.length ? Math.round(decisions.reduce((sum, decision) => sum + decision.latencyMs, 0) / decisions.length) : null,
+    tokens: decisions.reduce((sum, decision) => sum + (decision.tokens || 0), 0)
+  };
+}
+
+function groupBy(decisions, keyOf) {
+  const groups = new Map();
+  decisions.forEach(decision => {
+    const key = keyOf(decision);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(decision);
+  });
+  return groups;
+}
+
+// Every triage and care plan suggestion the AIRouter makes, with the tier that
+// answered and what the caseworker did with it. Input is stored as the router's
+// cache key hash only - no client details.
+class DecisionLog {
+  record({ task, clientId = null, inputHash, result, rulesConfidence = null, escalated = false, latencyMs, tokens = 0, requestedBy = null }) {
+    return getRepository().createDecision({
+      id: uuidv4(),
+      task,
+      clientId,
+      inputHash,
+      source: result.source || 'unknown',
+      model: result.model || null,
+      confidence: Number.isFinite(result.confidence) ? result.confidence : null,
+      rulesConfidence,
+      escalated,
+      cached: !!result.cached,
+      latencyMs,
+      tokens,
+      suggestion: pick(result, SUGGESTION_FIELDS[task] || []),
+      requestedBy,
+      feedback: null,
+      createdAt: dayjs().toISOString()
+    });
+  }
+
+  get(id) {
+    return getRepository().getDecisionById(id);
+  }
+
+  // Later feedback replaces earlier feedback - the caseworker changed their mind
+  feedback(decision, { verdict, note = '', changes = null, userId = null }) {
+    if (!VERDICTS.includes(verdict)) {
+      return null;
+    }
+    return getRepository().updateDecision(decision.id, {
+      feedback: {
+        verdict,
+        note: String(note || '').slice(0, 500),
+        changes,
+        by: userId,
+        at: dayjs().toISOString()
+      }
+    });
+  }
+
+  // Verdict for a care plan saved from a suggestion: accepted when goals, tasks and
+  // resources were kept as suggested, edited otherwise
+  carePlanVerdict(decision, plan) {
+    const suggestion = decision.suggestion;
+    const changes = {
+      goals: listChanges(suggestion.goals, plan.goals),
+      tasks: listChanges(suggestion.tasks, plan.tasks.map(task => task.title)),
+      resources: listChanges(suggestion.resources, plan.resources)
+    };
+    const unchanged = Object.values(changes).every(change => !change.added && !change.removed);
+    return { verdict: unchanged ? 'accepted' : 'edited', changes };
+  }
+
+  // Acceptance by task and source, and by confidence band - bands just under and over
+  // the escalation threshold show whether it sits in the right place
+  report({ days = 30 } = {}) {
+    const since = dayjs().subtract(days, 'day').toISOString();
+    const decisions = getRepository().getDecisions({}, since);
+
+    const byTaskAndSource = [...groupBy(decisions, decision => `${decision.task}|${decision.source}`).entries()]
+      .map(([key, group]) => ({ task: key.split('|')[0], source: key.split('|')[1], ...summarize(group) }))
+      .sort((a, b) => a.task.localeCompare(b.task) || b.total - a.total);
+
+    const byConfidence = DECISION_TASKS.flatMap(task => CONFIDENCE_BANDS.map(band => ({
+      task,
+      band: band.label,
+      ...summarize(decisions.filter(decision => decision.task === task && decision.confidence !== null &&
+        decision.confidence >= band.min && decision.confidence < band.max))
+    })));
+
+    return {
+      days,
+      overall: summarize(decisions),
+      byTaskAndSource,
+      byConfidence,
+      escalated: summarize(decisions.filter(decision => decision.escalated)),
+      notEscalated: summarize(decisions.filter(decision => !decision.escalated)),
+      recent: decisions.slice(0, 50)
+    };
+  }
+}
+
+let decisionLogInstance = null;
+
+function getDecisionLog() {
+  if (!decisionLogInstance) {
+    decisionLogInstance = new DecisionLog();
+  }
+  return decisionLogInstance;
+}
+
+module.exports = { getDecisionLog, DecisionLog, DECISION_TASKS, VERDICTS };
@@ -0,0 +1,203 @@
+// Open Referral HSDS import - flattens a directory of HSDS 2.x CSV files
+// (organizations.csv, services.csv, locations.csv, ...) or an HSDS 3.x JSON
+// export of services into the resource records the navigator searches: one per
+// service at each location it is offered.
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const BYDAY = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+
+// RFC 4180 CSV - quoted fields may contain commas, doubled quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...data] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(key => key.replace(/^\uFEFF/, '').trim());
+  return data.map(cells => Object.fromEntries(keys.map((key, index) => [key, (cells[index] || '').trim()])));
+}
+
+function readTable(dir, name) {
+  const file = path.join(dir, `${name}.csv`);
+  return fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')) : [];
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!row[key]) return;
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  });
+  return groups;
+}
+
+function unique(values) {
+  return [...new Set(values.filter(Boolean))];
+}
+
+// HSDS 2 weekdays are ISO numbers (1 = Monday) or names; HSDS 3 uses RRULE BYDAY codes
+function dayLabel(weekday) {
+  const value = String(weekday || '').trim();
+  if (/^[1-7]$/.test(value)) return WEEKDAYS[parseInt(value) - 1];
+  if (BYDAY[value.toUpperCase()]) return BYDAY[value.toUpperCase()];
+  const match = WEEKDAYS.find(day => value.toLowerCase().startsWith(day.toLowerCase()));
+  return match || value;
+}
+
+function formatHours(schedules) {
+  return schedules
+    .flatMap(schedule => {
+      const days = schedule.byday ? schedule.byday.split(',') : [schedule.weekday];
+      const time = schedule.opens_at && schedule.closes_at ? `${schedule.opens_at.slice(0, 5)}-${schedule.closes_at.slice(0, 5)}` : '';
+      return days.filter(Boolean).map(day => [dayLabel(day), time].filter(Boolean).join(' '));
+    })
+    .concat(schedules.filter(schedule => !schedule.weekday && !schedule.byday && schedule.description).map(schedule => schedule.description))
+    .join('; ');
+}
+
+function formatAddress(address) {
+  if (!address) return null;
+  return {
+    street: [address.address_1, address.address_2].filter(Boolean).join(', '),
+    city: address.city || '',
+    state: address.state_province || '',
+    postalCode: String(address.postal_code || '').slice(0, 5)
+  };
+}
+
+function toResource({ service, organization, location, address, phones, schedules, languages, eligibility, taxonomy }) {
+  const id = location ? `${service.id}@${location.id}` : service.id;
+  return {
+    id,
+    serviceId: service.id,
+    organizationId: organization ? organization.id : service.organization_id || null,
+    organization: organization ? organization.name : '',
+    name: service.name || (organization && organization.name) || '',
+    description: service.description || '',
+    eligibility: eligibility || '',
+    fees: service.fees || service.fees_description || '',
+    applicationProcess: service.application_process || '',
+    taxonomy: unique(taxonomy),
+    languages: unique(languages),
+    phone: (phones.find(phone => phone.number) || {}).number || '',
+    url: service.url || (organization && organization.url) || '',
+    email: service.email || (organization && organization.email) || '',
+    location: location ? {
+      name: location.name || '',
+      address: formatAddress(address),
+      latitude: parseFloat(location.latitude) || null,
+      longitude: parseFloat(location.longitude) || null
+    } : null,
+    hours: formatHours(schedules)
+  };
+}
+
+// HSDS 2.x datapackage: one CSV per table, joined on the *_id columns
+function fromCsvDirectory(dir) {
+  const organizations = new Map(readTable(dir, 'organizations').map(row => [row.id, row]));
+  const locations = new Map(readTable(dir, 'locations').map(row => [row.id, row]));
+  const addresses = groupBy(readTable(dir, 'physical_addresses'), 'location_id');
+  const phones = readTable(dir, 'phones');
+  const schedules = readTable(dir, 'regular_schedules');
+  const languages = readTable(dir, 'languages');
+  const eligibility = groupBy(readTable(dir, 'eligibility'), 'service_id');
+  const taxonomies = new Map(readTable(dir, 'taxonomy').map(row => [row.id, row.name]));
+  const serviceTaxonomy = groupBy(readTable(dir, 'service_taxonomy'), 'service_id');
+  const serviceLocations = groupBy(readTable(dir, 'service_at_location'), 'service_id');
+
+  return readTable(dir, 'services')
+    .filter(service => !service.status || service.status === 'active')
+    .flatMap(service => {
+      const organization = organizations.get(service.organization_id) || null;
+      const links = serviceLocations.get(service.id) || [{}];
+      return links.map(link => {
+        const location = locations.get(link.location_id) || null;
+        const forThis = row => row.service_id === service.id && (!row.location_id || !location || row.location_id === location.id);
+        return toResource({
+          service,
+          organization,
+          location,
+          address: location ? (addresses.get(location.id) || [])[0] : null,
+          phones: phones.filter(phone => forThis(phone) || (location && phone.location_id === location.id && !phone.service_id)),
+          schedules: schedules.filter(forThis),
+          languages: languages.filter(forThis).map(row => row.language),
+          eligibility: (eligibility.get(service.id) || []).map(row => row.eligibility).filter(Boolean).join('; '),
+          taxonomy: (serviceTaxonomy.get(service.id) || []).map(row => taxonomies.get(row.taxonomy_id) || row.taxonomy_detail)
+        });
+      });
+    });
+}
+
+// HSDS 3.x: services with their organization and service_at_locations nested
+function fromJson(data) {
+  const services = Array.isArray(data) ? data : (data.services || data.contents || []);
+  return services
+    .filter(service => !service.status || service.status === 'active')
+    .flatMap(service => {
+      const links = (service.service_at_locations || []).length ? service.service_at_locations : [{}];
+      return links.map(link => {
+        const location = link.location || null;
+        const addresses = (location && location.addresses) || [];
+        return toResource({
+          service,
+          organization: service.organization || null,
+          location,
+          address: addresses.find(address => address.address_type !== 'postal') || addresses[0],
+          phones: [...(service.phones || []), ...((location && location.phones) || [])],
+          schedules: [...(link.schedules || []), ...(service.schedules || [])],
+          languages: [...(service.languages || []), ...((location && location.languages) || [])].map(language => language.name || language.code),
+          eligibility: service.eligibility_description || '',
+          taxonomy: [...(service.attributes || []), ...(service.taxonomy_terms || [])]
+            .map(term => (term.taxonomy_term ? term.taxonomy_term.name : term.name))
+        });
+      });
+    });
+}
+
+// Accepts an HSDS CSV directory or JSON file
+function readHsds(source) {
+  if (fs.statSync(source).isDirectory()) {
+    if (!fs.existsSync(path.join(source, 'services.csv'))) {
+      throw new Error(`No services.csv in ${source}`);
+    }
+    return fromCsvDirectory(source);
+  }
+  return fromJson(JSON.parse(fs.readFileSync(source, 'utf8')));
+}
+
+module.exports = { readHsds, parseCsv, fromCsvDirectory, fromJson };
@@ -0,0 +1,127 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+require('dayjs/locale/es');
+const { MESSAGES } = require('./messages');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+// Interface languages with a message catalog. English is the source catalog -
+// a key missing from another locale falls back to it.
+const LOCALES = ['en', 'es'];
+const DEFAULT_LOCALE = 'en';
+const LOCALE_COOKIE = 'lang';
+
+// Languages a resident can ask to be served in, by code. Only LOCALES have a
+// translated interface; the rest tell staff to match a bilingual caseworker or
+// book an interpreter.
+const LANGUAGES = {
+  en: { name: 'English', native: 'English' },
+  es: { name: 'Spanish', native: 'Español' },
+  km: { name: 'Khmer', native: 'ខ្មែរ' },
+  tl: { name: 'Tagalog', native: 'Tagalog' },
+  vi: { name: 'Vietnamese', native: 'Tiếng Việt' },
+  zh: { name: 'Chinese', native: '中文' },
+  ko: { name: 'Korean', native: '한국어' },
+  other: { name: 'Other', native: 'Other / Otro' }
+};
+
+// 'es-MX' -> 'es'; null when there is no catalog for the language
+function supportedLocale(value) {
+  const language = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+// First supported language in an Accept-Language header, by quality
+function fromAcceptLanguage(header) {
+  const ranked = String(header || '').split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: quality ? parseFloat(quality.slice(2)) || 0 : 1, index };
+    })
+    .filter(entry => entry.tag && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+  const match = ranked.find(entry => supportedLocale(entry.tag));
+  return match ? supportedLocale(match.tag) : null;
+}
+
+// A resident's explicit choice (?lang= from a hub QR code or the switcher, then
+// the cookie the switcher leaves) beats what we know about them - e.g. the
+// language on their client record - which beats the browser's Accept-Language
+function localeFor(req, preferred = null) {
+  return supportedLocale(req.query && req.query.lang) ||
+    supportedLocale(req.cookies && req.cookies[LOCALE_COOKIE]) ||
+    supportedLocale(preferred) ||
+    fromAcceptLanguage(req.get('Accept-Language')) ||
+    DEFAULT_LOCALE;
+}
+
+// Middleware: keeps a ?lang= choice for the rest of the visit. Kiosks are shared,
+// so there it only lasts half an hour rather than carrying over to the next resident.
+function rememberLocale(req, res, next) {
+  const locale = supportedLocale(req.query.lang);
+  if (locale && req.method === 'GET') {
+    const kiosk = req.cookies && req.cookies.kiosk_mode === 'true';
+    res.cookie(LOCALE_COOKIE, locale, { sameSite: 'lax', maxAge: (kiosk ? 30 : 365 * 24 * 60) * 60 * 1000 });
+  }
+  next();
+}
+
+function translate(locale, key, values = {}) {
+  const catalog = MESSAGES[locale] || MESSAGES[DEFAULT_LOCALE];
+  const message = catalog[key] !== undefined ? catalog[key] : MESSAGES[DEFAULT_LOCALE][key];
+  if (message === undefined) {
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (values[name] !== undefined ? String(values[name]) : placeholder));
+}
+
+// t(key, values) bound to a locale, for render functions
+function translator(locale) {
+  const t = (key, values) => translate(locale, key, values);
+  t.locale = locale;
+  return t;
+}
+
+// In the given IANA zone (the scheduler's service zone) when there is one, else the host's
+function formatDate(locale, date, formatKey, zone = null) {
+  const day = zone ? dayjs(date).tz(zone) : dayjs(date);
+  return day.locale(locale).format(translate(locale, formatKey));
+}
+
+// Messages whose keys start with one of the prefixes, for page scripts
+function messagesFor(locale, prefixes) {
+  const keys = Object.keys(MESSAGES[DEFAULT_LOCALE]).filter(key => prefixes.some(prefix => key.startsWith(prefix)));
+  return Object.fromEntries(keys.map(key => [key, translate(locale, key)]));
+}
+
+// A need category's label, or the stored value for needs outside the catalog
+function needLabel(locale, need) {
+  const key = `need.${need}`;
+  return MESSAGES[DEFAULT_LOCALE][key] ? translate(locale, key) : String(need).replace('-', ' ');
+}
+
+// A language code from a form, or null
+function languageCode(value) {
+  const code = String(value || '').trim().toLowerCase();
+  return LANGUAGES[code] ? code : null;
+}
+
+module.exports = {
+  LOCALES,
+  LANGUAGES,
+  DEFAULT_LOCALE,
+  LOCALE_COOKIE,
+  supportedLocale,
+  fromAcceptLanguage,
+  localeFor,
+  rememberLocale,
+  translate,
+  translator,
+  formatDate,
+  messagesFor,
+  needLabel,
+  languageCode
+};
@@ -0,0 +1,383 @@
+const fs = require('fs');
+const path = require('path');
+const dayjs = require('dayjs');
+
+// JSON file storage driver - one file per collection/document in the data directory.
+// Mutations are appended (and fsynced) to journal.log before they are applied in memory;
+// snapshot files are then rewritten in the background via temp-file-plus-rename, one
+// write at a time. The journal is replayed on startup and truncated once every entry
+// has reached a snapshot.
+class JsonStorage {
+  constructor(options = {}) {
+    this.name = 'json';
+    this.dataDir = options.dataDir;
+    this.journalPath = path.join(this.dataDir, 'journal.log');
+    this.files = new Map();
+    this.dirty = new Set();
+    this.seq = 0;
+    this.flushing = Promise.resolve();
+    this.flushScheduled = false;
+
+    this.removeStaleTempFiles();
+    this.replayJournal();
+  }
+
+  // An existing file that cannot be parsed is a hard failure - falling back to a
+  // default here would let demo seeding overwrite real data
+  readFile(filename, defaultValue) {
+    const filePath = path.join(this.dataDir, filename);
+    if (!fs.existsSync(filePath)) {
+      return defaultValue;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Data file ${filename} exists but could not be parsed (${error.message}). Restore it from backup before starting.`);
+    }
+  }
+
+  tempPath(filename) {
+    return path.join(this.dataDir, `${filename}.${process.pid}.tmp`);
+  }
+
+  writeFileSync(filename, data) {
+    const tempPath = this.tempPath(filename);
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, path.join(this.dataDir, filename));
+  }
+
+  async writeFile(filename, data) {
+    const contents = JSON.stringify(data, null, 2);
+    const tempPath = this.tempPath(filename);
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(contents);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, path.join(this.dataDir, filename));
+  }
+
+  removeStaleTempFiles() {
+    if (!fs.existsSync(this.dataDir)) return;
+    fs.readdirSync(this.dataDir)
+      .filter(file => /\.json\.\d+\.tmp$/.test(file))
+      .forEach(file => fs.unlinkSync(path.join(this.dataDir, file)));
+  }
+
+  load(filename, defaultValue) {
+    if (!this.files.has(filename)) {
+      this.files.set(filename, this.readFile(filename, defaultValue));
+    }
+    return this.files.get(filename);
+  }
+
+  // Journal operations
+  appendJournal(entry) {
+    const line = JSON.stringify({ seq: ++this.seq, at: new Date().toISOString(), ...entry });
+    const fd = fs.openSync(this.journalPath, 'a');
+    try {
+      fs.writeSync(fd, line + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  replayJournal() {
+    if (!fs.existsSync(this.journalPath)) return;
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n').filter(Boolean);
+    let replayed = 0;
+
+    lines.forEach((line, index) => {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A torn final line is a write that never completed; anything earlier is corruption
+        if (index === lines.length - 1) {
+          console.warn('Warning: Ignoring incomplete final journal entry');
+          return;
+        }
+        throw new Error(`Journal entry ${index + 1} could not be parsed (${error.message})`);
+      }
+      this.dirty.add(this.apply(entry));
+      replayed++;
+    });
+
+    if (replayed > 0) {
+      console.log(`Replayed ${replayed} journal entries`);
+    }
+    this.flushSync();
+  }
+
+  apply(entry) {
+    switch (entry.op) {
+      case 'set': {
+        const filename = `${entry.name}.json`;
+        this.files.set(filename, entry.value);
+        return filename;
+      }
+
+      case 'put': {
+        const records = this.records(entry.collection);
+        const index = records.findIndex(r => r.id === entry.record.id);
+        if (index === -1) {
+          records.push(entry.record);
+        } else {
+          records[index] = entry.record;
+        }
+        return `${entry.collection}.json`;
+      }
+
+      case 'remove': {
+        const records = this.records(entry.collection);
+        const index = records.findIndex(r => r.id === entry.id);
+        if (index !== -1) {
+          records.splice(index, 1);
+        }
+        return `${entry.collection}.json`;
+      }
+
+      default:
+        throw new Error(`Unknown journal operation: ${entry.op}`);
+    }
+  }
+
+  // Journal the mutation, apply it, and queue the snapshot write
+  commit(entry) {
+    this.appendJournal(entry);
+    this.dirty.add(this.apply(entry));
+    this.scheduleFlush();
+  }
+
+  // Snapshot writes are chained so only one runs at a time
+  scheduleFlush() {
+    if (!this.flushScheduled) {
+      this.flushScheduled = true;
+      this.flushing = this.flushing
+        .then(() => {
+          this.flushScheduled = false;
+          return this.flush();
+        })
+        .catch(error => {
+          console.error('Error saving data snapshot (journal retained for replay):', error.message);
+        });
+    }
+    return this.flushing;
+  }
+
+  async flush() {
+    const seq = this.seq;
+    const filenames = Array.from(this.dirty);
+    this.dirty.clear();
+
+    try {
+      for (const filename of filenames) {
+        await this.writeFile(filename, this.files.get(filename));
+      }
+    } catch (error) {
+      filenames.forEach(filename => this.dirty.add(filename));
+      throw error;
+    }
+
+    this.truncateJournalIfSettled(seq);
+  }
+
+  flushSync() {
+    const seq = this.seq;
+    Array.from(this.dirty).forEach(filename => {
+      this.writeFileSync(filename, this.files.get(filename));
+      this.dirty.delete(filename);
+    });
+    this.truncateJournalIfSettled(seq);
+  }
+
+  // Only safe once nothing has been journaled since the snapshots were taken
+  truncateJournalIfSettled(seq) {
+    if (this.seq === seq && this.dirty.size === 0 && fs.existsSync(this.journalPath)) {
+      fs.truncateSync(this.journalPath, 0);
+    }
+  }
+
+  // Document operations (config, caseworkers, hubs)
+  getDocument(name, defaultValue) {
+    return this.load(`${name}.json`, defaultValue);
+  }
+
+  setDocument(name, value) {
+    this.commit({ op: 'set', name, value });
+    return value;
+  }
+
+  // Collection operations - whole collection is held in memory
+  records(collection) {
+    return this.load(`${collection}.json`, []);
+  }
+
+  get(collection, id) {
+    return this.records(collection).find(r => r.id === id) || null;
+  }
+
+  find(collection, criteria = {}) {
+    const entries = Object.entries(criteria);
+    return this.records(collection).filter(r =>
+      entries.every(([field, value]) => r[field] === value)
+    );
+  }
+
+  count(collection, criteria = {}) {
+    return this.find(collection, criteria).length;
+  }
+
+  insert(collection, record) {
+    if (this.get(collection, record.id)) {
+      throw new Error(`Duplicate id ${record.id} in ${collection}`);
+    }
+    this.commit({ op: 'put', collection, record });
+    return record;
+  }
+
+  update(collection, id, record) {
+    if (!this.get(collection, id)) {
+      return null;
+    }
+    this.commit({ op: 'put', collection, record: { ...record, id } });
+    return record;
+  }
+
+  remove(collection, id) {
+    if (!this.get(collection, id)) {
+      return false;
+    }
+    this.commit({ op: 'remove', collection, id });
+    return true;
+  }
+
+  transaction(fn) {
+    return fn();
+  }
+
+  // Client list with dashboard filters, newest first
+  queryClients(filters = {}) {
+    let filtered = this.records('clients');
+
+    if (filters.caseworkerId) {
+      filtered = filtered.filter(c => c.caseworkerId === filters.caseworkerId);
+    }
+    if (filters.caseworkerIds) {
+      filtered = filtered.filter(c => filters.caseworkerIds.includes(c.caseworkerId));
+    }
+    if (filters.urgency) {
+      filtered = filtered.filter(c => c.urgency === filters.urgency);
+    }
+    if (filters.need) {
+      filtered = filtered.filter(c => c.needs && c.needs.includes(filters.need));
+    }
+    // Clients from before languages were recorded count as English
+    if (filters.language) {
+      filtered = filtered.filter(c => (c.preferredLanguage || 'en') === filters.language);
+    }
+    if (filters.search) {
+      const search = filters.search.toLowerCase();
+      filtered = filtered.filter(c =>
+        (c.name && c.name.toLowerCase().includes(search)) ||
+        (c.phone && c.phone.includes(search))
+      );
+    }
+
+    return filtered.slice().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+
+  // Aggregates for the analytics dashboard
+  clientStats(since) {
+    const clients = this.records('clients');
+    const appointments = this.records('appointments');
+    const recent = clients.filter(c => dayjs(c.createdAt).isAfter(since));
+
+    const needsCount = {};
+    const urgencyCount = { low: 0, medium: 0, high: 0, critical: 0 };
+    const zipCount = {};
+
+    recent.forEach(client => {
+      if (client.needs) {
+        client.needs.forEach(need => {
+          needsCount[need] = (needsCount[need] || 0) + 1;
+        });
+      }
+
+      urgencyCount[client.urgency || 'medium']++;
+
+      if (client.zipCode) {
+        zipCount[client.zipCode] = (zipCount[client.zipCode] || 0) + 1;
+      }
+    });
+
+    const caseworkerCounts = {};
+    clients.forEach(client => {
+      if (!client.caseworkerId) return;
+      const counts = caseworkerCounts[client.caseworkerId] || { active: 0, total: 0 };
+      counts.total++;
+      if (client.status === 'active') counts.active++;
+      caseworkerCounts[client.caseworkerId] = counts;
+    });
+
+    const clientsById = new Map(clients.map(c => [c.id, c]));
+    const hoursToAppointment = appointments.reduce((sum, appt) => {
+      const client = clientsById.get(appt.clientId);
+      if (client && appt.scheduledDate) {
+        return sum + dayjs(appt.scheduledDate).diff(dayjs(client.createdAt), 'hours');
+      }
+      return sum;
+    }, 0);
+
+    return {
+      recentTotal: recent.length,
+      total: clients.length,
+      needsCount,
+      urgencyCount,
+      zipCount,
+      caseworkerCounts,
+      appointmentCount: appointments.length,
+      hoursToAppointment
+    };
+  }
+
+  // Audit log filtered by client, actor and date range, newest first
+  queryAudit(filters = {}) {
+    let filtered = this.records('audit');
+
+    if (filters.clientId) {
+      filtered = filtered.filter(e => e.clientId === filters.clientId || (e.clientIds || []).includes(filters.clientId));
+    }
+    if (filters.actorId) {
+      filtered = filtered.filter(e => e.actorId === filters.actorId);
+    }
+    if (filters.action) {
+      filtered = filtered.filter(e => e.action === filters.action);
+    }
+    if (filters.from) {
+      filtered = filtered.filter(e => e.at >= filters.from);
+    }
+    if (filters.to) {
+      filtered = filtered.filter(e => e.at <= filters.to);
+    }
+
+    filtered = filtered.slice().sort((a, b) => b.seq - a.seq);
+    return filters.limit ? filtered.slice(0, filters.limit) : filtered;
+  }
+
+  close() {
+    this.flushSync();
+  }
+}
+
+module.exports = { JsonStorage };
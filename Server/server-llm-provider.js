@@ -0,0 +1,256 @@
+// Chat completions client for any OpenAI-compatible API - api.openai.com by
+// default, or a local/self-hosted server exposing the same /chat/completions
+// endpoint via AI_BASE_URL.
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+// Statuses worth retrying: timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY_MS = 10000;
+
+function llmError(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Rough token count for a stream cut off before the provider reported usage
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+// Aborts when either signal does, passing on its reason (AbortSignal.any needs
+// Node 20.3). Listeners fire once, and the caller's signal belongs to a single
+// request, so none outlive it.
+function eitherSignal(first, second) {
+  const controller = new AbortController();
+  const abort = source => () => controller.abort(source.reason);
+  for (const source of [first, second]) {
+    if (source.aborted) {
+      controller.abort(source.reason);
+      break;
+    }
+    source.addEventListener('abort', abort(source), { once: true });
+  }
+  return controller.signal;
+}
+
+// Aborts its signal once `ms` pass without a touch() - so a request is timed while
+// it waits for headers and then between streamed chunks, never over the whole answer
+class IdleTimeout {
+  constructor(ms) {
+    this.ms = ms;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.timer = null;
+    this.touch();
+  }
+
+  touch() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.controller.abort(new DOMException(`LLM sent nothing for ${this.ms}ms`, 'TimeoutError'));
+    }, this.ms);
+  }
+
+  clear() {
+    clearTimeout(this.timer);
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/$/, '');
+    this.apiKey = options.apiKey || '';
+    this.timeoutMs = options.timeoutMs || 15000;
+    this.maxRetries = options.maxRetries >= 0 ? options.maxRetries : 2;
+  }
+
+  // Returns { content, finishReason, model, usage: { promptTokens, completionTokens, totalTokens } }
+  async chat({ model, messages, maxTokens, temperature, json = true }) {
+    const body = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        // Exponential backoff unless the server told us how long to wait
+        await sleep(Math.min(lastError.retryAfterMs || 500 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS));
+      }
+      try {
+        return await this.request(body);
+      } catch (error) {
+        lastError = error;
+        if (!error.retryable) break;
+      }
+    }
+    throw lastError;
+  }
+
+  // Same contract as chat(), with content deltas passed to onToken as they arrive.
+  // Only failures before the first delta are retried - a resident has already seen
+  // the rest. Aborting the signal (the resident asked something else) throws with
+  // error.cancelled and an estimate of the tokens spent so far in error.tokens.
+  async chatStream({ model, messages, maxTokens, temperature, json = true, onToken = () => {}, signal = null }) {
+    const body = {
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true },
+      ...(json ? { response_format: { type: 'json_object' } } : {})
+    };
+
+    let lastError;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await sleep(Math.min(lastError.retryAfterMs || 500 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS));
+      }
+      const timeout = new IdleTimeout(this.timeoutMs);
+      const response = await this.send(body, signal, timeout).catch(error => {
+        lastError = error;
+        return null;
+      });
+      if (response) {
+        return this.readStream(response, body, onToken, signal, timeout);
+      }
+      if (!lastError.retryable || (signal && signal.aborted)) break;
+    }
+    throw lastError;
+  }
+
+  // Parses the server-sent events of a streamed completion. Each chunk restarts the
+  // timeout, so a long answer runs as long as the server keeps sending.
+  async readStream(response, body, onToken, signal, timeout) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let finishReason = null;
+    let model = body.model;
+    let usage = null;
+
+    try {
+      for await (const chunk of response.body) {
+        timeout.touch();
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+          if (!data || data === '[DONE]') continue;
+          const event = JSON.parse(data);
+          model = event.model || model;
+          if (event.usage) usage = event.usage;
+          const choice = event.choices && event.choices[0];
+          if (!choice) continue;
+          if (choice.finish_reason) finishReason = choice.finish_reason;
+          const delta = choice.delta && choice.delta.content;
+          if (delta) {
+            content += delta;
+            onToken(delta);
+          }
+        }
+      }
+    } catch (error) {
+      const spent = estimateTokens(JSON.stringify(body.messages)) + estimateTokens(content);
+      const cancelled = !!(signal && signal.aborted);
+      const streamError = llmError(cancelled ? 'LLM stream cancelled' : `LLM stream failed: ${error.message}`);
+      streamError.cancelled = cancelled;
+      streamError.tokens = spent;
+      throw streamError;
+    } finally {
+      timeout.clear();
+    }
+
+    // Servers that ignore stream_options report no usage - estimate it
+    const promptTokens = usage ? usage.prompt_tokens || 0 : estimateTokens(JSON.stringify(body.messages));
+    const completionTokens = usage ? usage.completion_tokens || 0 : estimateTokens(content);
+    return {
+      content,
+      finishReason,
+      model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: (usage && usage.total_tokens) || promptTokens + completionTokens
+      }
+    };
+  }
+
+  // Sends the request; resolves with the response once it has an OK status. The
+  // timeout keeps running for the caller to read the body with, and is cleared on failure.
+  async send(body, signal = null, timeout = new IdleTimeout(this.timeoutMs)) {
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+        },
+        body: JSON.stringify(body),
+        signal: signal ? eitherSignal(timeout.signal, signal) : timeout.signal
+      });
+    } catch (error) {
+      timeout.clear();
+      if (signal && signal.aborted) {
+        const cancelled = llmError('LLM request cancelled');
+        cancelled.cancelled = true;
+        throw cancelled;
+      }
+      const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+      throw llmError(timedOut ? `LLM request timed out after ${this.timeoutMs}ms` : `LLM request failed: ${error.message}`, { retryable: true });
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      timeout.clear();
+      const retryAfter = parseInt(response.headers.get('retry-after'));
+      throw llmError(`LLM provider responded with ${response.status}${data && data.error ? `: ${data.error.message}` : ''}`, {
+        status: response.status,
+        retryable: RETRYABLE_STATUSES.includes(response.status),
+        retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : null
+      });
+    }
+    return response;
+  }
+
+  async request(body) {
+    const timeout = new IdleTimeout(this.timeoutMs);
+    const response = await this.send(body, null, timeout);
+    const data = await response.json().catch(() => null);
+    timeout.clear();
+
+    const choice = data && data.choices && data.choices[0];
+    if (!choice || !choice.message) {
+      throw llmError('LLM response contained no choices');
+    }
+
+    const usage = data.usage || {};
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    return {
+      content: choice.message.content || '',
+      finishReason: choice.finish_reason || null,
+      model: data.model || body.model,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: usage.total_tokens || promptTokens + completionTokens
+      }
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleProvider, DEFAULT_BASE_URL };
@@ -0,0 +1,414 @@
+// Message catalog for resident-facing pages, navigator answers and crisis
+// replies. English is the source; a key missing from another locale falls back
+// to it. {name} placeholders are filled in by translate(). Keys starting with
+// js. are sent to page scripts. A few messages carry inline markup - the
+// values filled into them are escaped by the caller.
+const MESSAGES = {
+  en: {
+    'language.label': 'Language',
+    'intl': 'en-US',
+    'format.appointment': 'dddd, MMMM D [at] h:mm A',
+    'format.appointmentShort': 'ddd MMM D, h:mm A',
+    'format.event': 'MMM D, h:mm A',
+
+    'need.housing': 'Housing',
+    'need.employment': 'Employment',
+    'need.mental-health': 'Mental Health',
+    'need.medical': 'Medical',
+    'need.food': 'Food',
+    'need.veterans': 'Veterans',
+    'need.substance-abuse': 'Substance Abuse',
+    'need.legal': 'Legal',
+    'need.utilities': 'Utilities',
+    'need.transportation': 'Transportation',
+
+    'urgency.low': 'I can wait',
+    'urgency.medium': 'Soon',
+    'urgency.high': 'This week',
+    'urgency.critical': 'Emergency',
+
+    'method.in-person': 'in-person',
+    'method.phone': 'phone',
+
+    'landing.tagline': 'Connect with human services in Long Beach',
+    'landing.getHelp': 'Get Help Now',
+    'landing.services': 'Access housing, employment, healthcare, and other essential services',
+    'landing.checkStatus': 'Already signed up? Check your status',
+    'landing.providers': 'Service Providers',
+    'landing.staffPortal': 'Staff Portal',
+    'landing.admin': 'Admin',
+
+    'onboard.pageTitle': 'Get Help',
+    'onboard.title': 'How can we help you?',
+    'onboard.subtitle': 'Tell us what you need - we\'re here to connect you with the right services',
+    'onboard.name': 'Name (optional)',
+    'onboard.phone': 'Phone (optional)',
+    'onboard.email': 'Email (optional)',
+    'onboard.reminderHint': 'We\'ll text appointment reminders to your phone, or email them if you don\'t give a phone number.',
+    'onboard.needs': 'What type of help do you need? *',
+    'onboard.urgency': 'How urgent? *',
+    'onboard.zipCode': 'ZIP Code',
+    'onboard.householdSize': 'Household Size',
+    'onboard.language': 'Preferred language',
+    'onboard.meet': 'How would you like to meet?',
+    'onboard.inPerson': 'In person',
+    'onboard.inPersonAt': 'In person at {hub}',
+    'onboard.byPhone': 'By phone',
+    'onboard.additionalInfo': 'Additional Information',
+    'onboard.additionalPlaceholder': 'Anything else we should know?',
+    'onboard.consentYes': '<strong>Yes, I consent</strong> to sharing my information with service providers to help me access resources.',
+    'onboard.consentNo': '<strong>No consent</strong> - I want help but prefer to remain anonymous.',
+    'onboard.shareTranscript': 'Share my navigator conversation with my caseworker so I don\'t have to repeat myself',
+    'onboard.askNavigator': '💬 Ask Navigator',
+    'onboard.submit': 'Submit Request',
+
+    'navigator.title': 'AI Navigator',
+    'navigator.startOver': 'Start over',
+    'navigator.greeting': 'Hi! I can help explain what services are available. What would you like to know?',
+    'navigator.placeholder': 'Ask about services...',
+    'navigator.send': 'Send',
+
+    'success.title': 'Request Submitted!',
+    'success.confirm': 'Confirm Appointment',
+    'success.reschedule': 'Request Reschedule',
+    'success.statusLink': 'View Status Page',
+
+    'js.navigator.placeholder': 'Ask about services...',
+    'js.navigator.greeting': 'Hi! I can help explain what services are available. What would you like to know?',
+    'js.navigator.capped': 'Please submit the form to continue',
+    'js.navigator.stopped': 'Stopped - answering your new question instead.',
+    'js.navigator.trouble': 'Sorry, I\'m having trouble connecting right now.',
+    'js.navigator.call': 'Call {name}',
+    'js.onboard.selectNeed': 'Please select at least one type of help you need.',
+    'js.onboard.error': 'There was an error submitting your request. Please try again.',
+    'js.onboard.offline': 'Unable to submit request. Please check your connection and try again.',
+    'js.success.caseworker': 'Your caseworker is {name}',
+    'js.success.appointment': 'Your appointment via {method} is {date}',
+    'js.success.contactSoon': 'Your caseworker will contact you to schedule your first appointment.',
+    'js.success.lookupCode': 'Your lookup code is <strong class="font-mono">{code}</strong>. Write it down - with the last 4 digits of your phone it gets you back to your status page.',
+    'js.success.confirmBelow': 'Confirm or request reschedule below.',
+    'js.appointment.confirmed': 'Appointment confirmed! You will receive a reminder.',
+    'js.appointment.confirmError': 'Unable to confirm appointment. Please call your caseworker.',
+    'js.appointment.noTimes': 'No open times in the next two weeks - please call your caseworker.',
+    'js.appointment.timesError': 'Unable to load open times. Please call your caseworker.',
+    'js.appointment.pickTime': 'Please pick a new time.',
+    'js.appointment.moved': 'Your appointment has been moved. Your caseworker has been notified.',
+    'js.appointment.rescheduleError': 'Unable to reschedule. Please call your caseworker.',
+    'js.appointment.cancelPrompt': 'Sorry you can\'t make it. Would you like to tell us why? (optional)',
+    'js.appointment.cancelled': 'Your appointment has been cancelled. Your caseworker has been notified and will follow up.',
+    'js.appointment.cancelError': 'Unable to cancel. Please call your caseworker.',
+
+    'lookup.pageTitle': 'Find Your Status',
+    'lookup.intro': 'Enter the lookup code you were given at sign-up and the last 4 digits of your phone number.',
+    'lookup.code': 'Lookup Code',
+    'lookup.phoneLast4': 'Last 4 Digits of Phone',
+    'lookup.submit': 'View My Status',
+    'lookup.help': 'No code or phone on file? Hub staff can send you a new status link, or call (562) 570-4444.',
+    'lookup.error.locked': 'Too many attempts. Please wait 15 minutes or ask hub staff for a new status link.',
+    'lookup.error.no-phone': 'We don\'t have a phone number on file for this code. Please ask hub staff for a new status link.',
+    'lookup.error.not-found': 'That code and phone number don\'t match our records.',
+    'lookup.link.expired': 'This status link has expired.',
+    'lookup.link.revoked': 'This status link is no longer active.',
+    'lookup.link.invalid': 'This status link is not valid.',
+    'lookup.link.reenter': 'Enter your lookup code to get back to your status page.',
+    'lookup.link.noLongerValid': 'This status link is no longer valid. Enter your lookup code to continue.',
+
+    'status.pageTitle': 'Your Status',
+    'status.subtitle': 'Here\'s where things stand with your request',
+    'status.caseworker': 'Your Caseworker',
+    'status.beingAssigned': 'Being assigned',
+    'status.nextAppointment': 'Next Appointment',
+    'status.via': 'Via {method} - {location}',
+    'status.confirmed': '✓ Confirmed',
+    'status.confirm': 'Confirm',
+    'status.reschedule': 'Reschedule',
+    'status.cancel': 'Cancel',
+    'status.pickTime': 'Pick a new time',
+    'status.loadingTimes': 'Loading open times...',
+    'status.reason': 'Reason (optional)',
+    'status.move': 'Move Appointment',
+    'status.scheduling': 'Scheduling Appointment',
+    'status.contactSoon': 'Your caseworker will contact you soon to schedule your first appointment.',
+    'status.services': 'Services You Requested',
+    'status.reminders': 'Reminders',
+    'status.remindersOff': 'Appointment reminders are turned off.',
+    'status.remindersBy.sms': 'We send appointment updates and reminders by text message.',
+    'status.remindersBy.email': 'We send appointment updates and reminders by email.',
+    'status.remindersOn': 'Turn reminders on',
+    'status.remindersStop': 'Stop reminders',
+    'status.nextSteps': 'Next Steps',
+    'status.step.wait': 'Wait for your caseworker to contact you',
+    'status.step.documents': 'Gather any documents you might have (ID, income proof, etc.)',
+    'status.step.goals': 'Think about your specific goals and needs',
+    'status.step.bookmark': 'Keep this status page bookmarked for updates',
+    'status.history': 'Appointment History',
+    'status.history.created': 'Booked',
+    'status.history.confirmed': 'Confirmed',
+    'status.history.rescheduled': 'Rescheduled',
+    'status.history.cancelled': 'Cancelled',
+    'status.history.movedTo': 'to {date}',
+    'status.lookupCode': 'Your lookup code: <strong class="font-mono">{code}</strong> - use it with the last 4 digits of your phone at <a href="/status" class="text-blue-600 underline">/status</a> if you lose this link.',
+    'status.help': 'Need help? Contact your caseworker or call (562) 570-4444',
+
+    'kiosk.tagline': 'Connect with human services',
+    'kiosk.areas': 'Housing • Employment • Healthcare • Support',
+    'kiosk.start': '🏠 Start Here - Get Help Now',
+    'kiosk.housing': 'Housing',
+    'kiosk.housingText': 'Emergency shelter, rental assistance, permanent housing',
+    'kiosk.employment': 'Employment',
+    'kiosk.employmentText': 'Job training, placement assistance, career support',
+    'kiosk.healthcare': 'Healthcare',
+    'kiosk.healthcareText': 'Medical care, mental health, substance abuse treatment',
+    'kiosk.support': 'Support',
+    'kiosk.supportText': 'Food assistance, legal aid, transportation help',
+    'kiosk.exitPrompt': 'Need to exit kiosk mode?',
+    'kiosk.staffAccess': 'Staff Access',
+
+    'faq.housing': 'For housing assistance, you may qualify for rapid rehousing, emergency shelter, or rental assistance. Eligibility typically requires proof of homelessness or housing instability.',
+    'faq.employment': 'Employment services include job training, resume help, and placement assistance. Most programs are free and available regardless of work history.',
+    'faq.mental-health': 'Mental health services include counseling, crisis support, and medication assistance. Many services are available on a sliding scale.',
+    'faq.veterans': 'Veterans have access to specialized housing, healthcare, and employment programs through VA and community partners.',
+    'faq.substance-abuse': 'Substance abuse support includes outpatient counseling, residential treatment, and harm reduction services.',
+    'faq.medical': 'Medical services include free clinics, insurance enrollment, and specialty care referrals.',
+    'faq.food': 'Food assistance includes food banks, CalFresh (SNAP), and meal programs at community centers.',
+    'faq.legal': 'Legal aid includes help with housing court, benefits appeals, and family law matters.',
+    'faq.utilities': 'Utility assistance programs can help with past-due bills and ongoing payment support.',
+    'faq.transportation': 'Transportation help includes bus passes, rides to appointments, and vehicle repair assistance.',
+
+    'answer.localPlaces': 'Here are some local places that may help:',
+    'answer.submitToConnect': 'Submit the form below and a caseworker can help you connect with them.',
+    'answer.alsoAsked': 'Since you also asked about {topic}, mention both on the form and your caseworker can look at them together.',
+    'answer.howToApply': 'To apply, submit the form below and a caseworker will go through eligibility and documents with you.',
+    'answer.greeting': 'I can help you understand what services are available. What kind of help do you need? I can assist with housing, employment, healthcare, food, or other services.',
+    'answer.clarify': 'I\'d like to help you find the right resources. Could you tell me more specifically what kind of assistance you\'re looking for?',
+    'answer.fallback': 'I\'m here to help connect you with services. Please let a caseworker know what specific assistance you need.',
+    'answer.capped': 'We\'ve covered a lot together. The best next step is to submit the form so a caseworker can go through everything with you.',
+
+    'crisis.suicide': 'You don\'t have to go through this alone. Please call or text 988 to talk with someone right now - it\'s free, confidential and open 24/7. If you are in immediate danger, call 911.',
+    'crisis.overdose': 'If someone may be overdosing, call 911 now and stay with them. If you have naloxone (Narcan), use it. Poison Control can also help at 1-800-222-1222.',
+    'crisis.domestic-violence': 'Your safety comes first. The National Domestic Violence Hotline is free, confidential and open 24/7: call 1-800-799-7233 or text START to 88788. If you are in immediate danger, call 911.',
+    'crisis.local': 'Locally, {name} is at {phone}.',
+
+    'format.notification': 'ddd MMM D [at] h:mm A',
+    'notify.noName': 'there',
+    'notify.yourCaseworker': 'your caseworker',
+    'notify.smsFooter': 'Reply STOP to opt out.',
+    'notify.confirmation.subject': 'Your appointment is booked',
+    'notify.confirmation.body': 'Hi {name}, your appointment with {caseworker} is booked for {date} ({location}). View or change it: {statusUrl}',
+    'notify.reminder.subject': 'Appointment reminder',
+    'notify.reminder.body': 'Reminder: you have an appointment with {caseworker} on {date} ({location}). Need to change it? {statusUrl}',
+    'notify.reschedule.subject': 'Your appointment has moved',
+    'notify.reschedule.body': 'Your appointment with {caseworker} is now {date} ({location}). Details: {statusUrl}',
+    'notify.cancellation.subject': 'Your appointment was cancelled',
+    'notify.cancellation.body': 'Your appointment on {date} has been cancelled. {caseworker} will follow up with you. Details: {statusUrl}',
+    'notify.assignment.subject': 'Your caseworker',
+    'notify.assignment.body': 'Hi {name}, {caseworker} from {agency} is your caseworker and will contact you soon. Check your status: {statusUrl}',
+    'notify.review.subject': 'Time to review your care plan',
+    'notify.review.body': 'Hi {name}, it is time to review your care plan with {caseworker}. They will be in touch to go over your progress. Check your status: {statusUrl}'
+  },
+
+  es: {
+    'language.label': 'Idioma',
+    'intl': 'es-US',
+    'format.appointment': 'dddd D [de] MMMM [a las] h:mm A',
+    'format.appointmentShort': 'ddd D MMM, h:mm A',
+    'format.event': 'D MMM, h:mm A',
+
+    'need.housing': 'Vivienda',
+    'need.employment': 'Empleo',
+    'need.mental-health': 'Salud mental',
+    'need.medical': 'Atención médica',
+    'need.food': 'Comida',
+    'need.veterans': 'Veteranos',
+    'need.substance-abuse': 'Abuso de sustancias',
+    'need.legal': 'Ayuda legal',
+    'need.utilities': 'Servicios (luz, agua, gas)',
+    'need.transportation': 'Transporte',
+
+    'urgency.low': 'Puedo esperar',
+    'urgency.medium': 'Pronto',
+    'urgency.high': 'Esta semana',
+    'urgency.critical': 'Emergencia',
+
+    'method.in-person': 'en persona',
+    'method.phone': 'por teléfono',
+
+    'landing.tagline': 'Conéctese con servicios sociales en Long Beach',
+    'landing.getHelp': 'Obtenga ayuda ahora',
+    'landing.services': 'Acceda a vivienda, empleo, atención médica y otros servicios esenciales',
+    'landing.checkStatus': '¿Ya se registró? Consulte su estado',
+    'landing.providers': 'Proveedores de servicios',
+    'landing.staffPortal': 'Portal del personal',
+    'landing.admin': 'Administración',
+
+    'onboard.pageTitle': 'Obtenga ayuda',
+    'onboard.title': '¿Cómo podemos ayudarle?',
+    'onboard.subtitle': 'Díganos lo que necesita: estamos aquí para conectarle con los servicios adecuados',
+    'onboard.name': 'Nombre (opcional)',
+    'onboard.phone': 'Teléfono (opcional)',
+    'onboard.email': 'Correo electrónico (opcional)',
+    'onboard.reminderHint': 'Le enviaremos recordatorios de sus citas por mensaje de texto, o por correo electrónico si no nos da un número de teléfono.',
+    'onboard.needs': '¿Qué tipo de ayuda necesita? *',
+    'onboard.urgency': '¿Qué tan urgente es? *',
+    'onboard.zipCode': 'Código postal',
+    'onboard.householdSize': 'Personas en su hogar',
+    'onboard.language': 'Idioma preferido',
+    'onboard.meet': '¿Cómo prefiere reunirse?',
+    'onboard.inPerson': 'En persona',
+    'onboard.inPersonAt': 'En persona en {hub}',
+    'onboard.byPhone': 'Por teléfono',
+    'onboard.additionalInfo': 'Información adicional',
+    'onboard.additionalPlaceholder': '¿Hay algo más que debamos saber?',
+    'onboard.consentYes': '<strong>Sí, doy mi consentimiento</strong> para compartir mi información con proveedores de servicios que me ayuden a acceder a recursos.',
+    'onboard.consentNo': '<strong>Sin consentimiento</strong>: quiero ayuda, pero prefiero permanecer en el anonimato.',
+    'onboard.shareTranscript': 'Compartir mi conversación con el navegador con mi trabajador social para no tener que repetir todo',
+    'onboard.askNavigator': '💬 Preguntar al navegador',
+    'onboard.submit': 'Enviar solicitud',
+
+    'navigator.title': 'Navegador con IA',
+    'navigator.startOver': 'Empezar de nuevo',
+    'navigator.greeting': '¡Hola! Puedo explicarle qué servicios hay disponibles. ¿Qué le gustaría saber?',
+    'navigator.placeholder': 'Pregunte sobre servicios...',
+    'navigator.send': 'Enviar',
+
+    'success.title': '¡Solicitud enviada!',
+    'success.confirm': 'Confirmar cita',
+    'success.reschedule': 'Pedir otro horario',
+    'success.statusLink': 'Ver mi página de estado',
+
+    'js.navigator.placeholder': 'Pregunte sobre servicios...',
+    'js.navigator.greeting': '¡Hola! Puedo explicarle qué servicios hay disponibles. ¿Qué le gustaría saber?',
+    'js.navigator.capped': 'Envíe el formulario para continuar',
+    'js.navigator.stopped': 'Detenido: ahora respondo a su nueva pregunta.',
+    'js.navigator.trouble': 'Lo siento, tengo problemas de conexión en este momento.',
+    'js.navigator.call': 'Llamar a {name}',
+    'js.onboard.selectNeed': 'Seleccione al menos un tipo de ayuda que necesite.',
+    'js.onboard.error': 'Hubo un error al enviar su solicitud. Inténtelo de nuevo.',
+    'js.onboard.offline': 'No se pudo enviar la solicitud. Revise su conexión e inténtelo de nuevo.',
+    'js.success.caseworker': 'Su trabajador social es {name}',
+    'js.success.appointment': 'Su cita ({method}) es el {date}',
+    'js.success.contactSoon': 'Su trabajador social se comunicará con usted para programar su primera cita.',
+    'js.success.lookupCode': 'Su código de consulta es <strong class="font-mono">{code}</strong>. Anótelo: con los últimos 4 dígitos de su teléfono podrá volver a su página de estado.',
+    'js.success.confirmBelow': 'Confirme la cita o pida otro horario abajo.',
+    'js.appointment.confirmed': '¡Cita confirmada! Recibirá un recordatorio.',
+    'js.appointment.confirmError': 'No se pudo confirmar la cita. Llame a su trabajador social.',
+    'js.appointment.noTimes': 'No hay horarios disponibles en las próximas dos semanas. Llame a su trabajador social.',
+    'js.appointment.timesError': 'No se pudieron cargar los horarios disponibles. Llame a su trabajador social.',
+    'js.appointment.pickTime': 'Elija un nuevo horario.',
+    'js.appointment.moved': 'Su cita se cambió. Avisamos a su trabajador social.',
+    'js.appointment.rescheduleError': 'No se pudo cambiar la cita. Llame a su trabajador social.',
+    'js.appointment.cancelPrompt': 'Lamentamos que no pueda venir. ¿Quiere decirnos por qué? (opcional)',
+    'js.appointment.cancelled': 'Su cita se canceló. Avisamos a su trabajador social y se comunicará con usted.',
+    'js.appointment.cancelError': 'No se pudo cancelar. Llame a su trabajador social.',
+
+    'lookup.pageTitle': 'Consulte su estado',
+    'lookup.intro': 'Ingrese el código de consulta que recibió al registrarse y los últimos 4 dígitos de su número de teléfono.',
+    'lookup.code': 'Código de consulta',
+    'lookup.phoneLast4': 'Últimos 4 dígitos del teléfono',
+    'lookup.submit': 'Ver mi estado',
+    'lookup.help': '¿No tiene código o no nos dio un teléfono? El personal del centro puede enviarle un nuevo enlace, o llame al (562) 570-4444.',
+    'lookup.error.locked': 'Demasiados intentos. Espere 15 minutos o pida al personal del centro un nuevo enlace de estado.',
+    'lookup.error.no-phone': 'No tenemos un número de teléfono registrado para este código. Pida al personal del centro un nuevo enlace de estado.',
+    'lookup.error.not-found': 'Ese código y número de teléfono no coinciden con nuestros registros.',
+    'lookup.link.expired': 'Este enlace de estado ya venció.',
+    'lookup.link.revoked': 'Este enlace de estado ya no está activo.',
+    'lookup.link.invalid': 'Este enlace de estado no es válido.',
+    'lookup.link.reenter': 'Ingrese su código de consulta para volver a su página de estado.',
+    'lookup.link.noLongerValid': 'Este enlace de estado ya no es válido. Ingrese su código de consulta para continuar.',
+
+    'status.pageTitle': 'Su estado',
+    'status.subtitle': 'Así va su solicitud',
+    'status.caseworker': 'Su trabajador social',
+    'status.beingAssigned': 'Se está asignando',
+    'status.nextAppointment': 'Próxima cita',
+    'status.via': 'Cita {method} - {location}',
+    'status.confirmed': '✓ Confirmada',
+    'status.confirm': 'Confirmar',
+    'status.reschedule': 'Cambiar horario',
+    'status.cancel': 'Cancelar',
+    'status.pickTime': 'Elija un nuevo horario',
+    'status.loadingTimes': 'Cargando horarios disponibles...',
+    'status.reason': 'Motivo (opcional)',
+    'status.move': 'Cambiar cita',
+    'status.scheduling': 'Programando su cita',
+    'status.contactSoon': 'Su trabajador social se comunicará con usted pronto para programar su primera cita.',
+    'status.services': 'Servicios que solicitó',
+    'status.reminders': 'Recordatorios',
+    'status.remindersOff': 'Los recordatorios de citas están desactivados.',
+    'status.remindersBy.sms': 'Enviamos avisos y recordatorios de citas por mensaje de texto.',
+    'status.remindersBy.email': 'Enviamos avisos y recordatorios de citas por correo electrónico.',
+    'status.remindersOn': 'Activar recordatorios',
+    'status.remindersStop': 'Desactivar recordatorios',
+    'status.nextSteps': 'Próximos pasos',
+    'status.step.wait': 'Espere a que su trabajador social se comunique con usted',
+    'status.step.documents': 'Reúna los documentos que tenga (identificación, comprobante de ingresos, etc.)',
+    'status.step.goals': 'Piense en sus metas y necesidades específicas',
+    'status.step.bookmark': 'Guarde esta página para ver novedades',
+    'status.history': 'Historial de citas',
+    'status.history.created': 'Reservada',
+    'status.history.confirmed': 'Confirmada',
+    'status.history.rescheduled': 'Cambiada',
+    'status.history.cancelled': 'Cancelada',
+    'status.history.movedTo': 'al {date}',
+    'status.lookupCode': 'Su código de consulta: <strong class="font-mono">{code}</strong>. Si pierde este enlace, úselo con los últimos 4 dígitos de su teléfono en <a href="/status" class="text-blue-600 underline">/status</a>.',
+    'status.help': '¿Necesita ayuda? Comuníquese con su trabajador social o llame al (562) 570-4444',
+
+    'kiosk.tagline': 'Conéctese con servicios sociales',
+    'kiosk.areas': 'Vivienda • Empleo • Salud • Apoyo',
+    'kiosk.start': '🏠 Empiece aquí - Obtenga ayuda ahora',
+    'kiosk.housing': 'Vivienda',
+    'kiosk.housingText': 'Albergue de emergencia, ayuda con la renta, vivienda permanente',
+    'kiosk.employment': 'Empleo',
+    'kiosk.employmentText': 'Capacitación laboral, ayuda para conseguir trabajo, apoyo profesional',
+    'kiosk.healthcare': 'Salud',
+    'kiosk.healthcareText': 'Atención médica, salud mental, tratamiento de adicciones',
+    'kiosk.support': 'Apoyo',
+    'kiosk.supportText': 'Ayuda con comida, asistencia legal, transporte',
+    'kiosk.exitPrompt': '¿Necesita salir del modo quiosco?',
+    'kiosk.staffAccess': 'Acceso del personal',
+
+    'faq.housing': 'Para ayuda con vivienda, usted podría calificar para realojamiento rápido, albergue de emergencia o ayuda con la renta. Por lo general se requiere comprobar que no tiene hogar o que corre riesgo de perderlo.',
+    'faq.employment': 'Los servicios de empleo incluyen capacitación laboral, ayuda con el currículum y colocación en empleos. La mayoría de los programas son gratuitos y están disponibles sin importar su historial laboral.',
+    'faq.mental-health': 'Los servicios de salud mental incluyen consejería, apoyo en crisis y ayuda con medicamentos. Muchos servicios tienen costo según sus ingresos.',
+    'faq.veterans': 'Los veteranos tienen acceso a programas especiales de vivienda, salud y empleo a través del VA y organizaciones comunitarias.',
+    'faq.substance-abuse': 'El apoyo para el abuso de sustancias incluye consejería ambulatoria, tratamiento residencial y servicios de reducción de daños.',
+    'faq.medical': 'Los servicios médicos incluyen clínicas gratuitas, inscripción en seguros médicos y referidos a especialistas.',
+    'faq.food': 'La ayuda con comida incluye bancos de alimentos, CalFresh (SNAP) y programas de comidas en centros comunitarios.',
+    'faq.legal': 'La asistencia legal incluye ayuda con la corte de vivienda, apelaciones de beneficios y asuntos de derecho familiar.',
+    'faq.utilities': 'Los programas de ayuda con servicios pueden ayudarle con facturas atrasadas de luz, agua o gas y con pagos continuos.',
+    'faq.transportation': 'La ayuda con transporte incluye pases de autobús, viajes a citas y ayuda para reparar su vehículo.',
+
+    'answer.localPlaces': 'Estos son algunos lugares cercanos que pueden ayudarle:',
+    'answer.submitToConnect': 'Envíe el formulario de abajo y un trabajador social le ayudará a comunicarse con ellos.',
+    'answer.alsoAsked': 'Como también preguntó sobre {topic}, mencione ambos en el formulario y su trabajador social podrá verlos juntos.',
+    'answer.howToApply': 'Para solicitar, envíe el formulario de abajo y un trabajador social revisará con usted los requisitos y documentos.',
+    'answer.greeting': 'Puedo ayudarle a entender qué servicios hay disponibles. ¿Qué tipo de ayuda necesita? Puedo orientarle sobre vivienda, empleo, salud, comida y otros servicios.',
+    'answer.clarify': 'Me gustaría ayudarle a encontrar los recursos adecuados. ¿Podría decirme con más detalle qué tipo de ayuda busca?',
+    'answer.fallback': 'Estoy aquí para ayudarle a conectarse con servicios. Dígale a un trabajador social qué ayuda específica necesita.',
+    'answer.capped': 'Hemos hablado de muchas cosas. El mejor siguiente paso es enviar el formulario para que un trabajador social revise todo con usted.',
+
+    'crisis.suicide': 'No tiene que pasar por esto solo. Llame o envíe un mensaje de texto al 988 para hablar con alguien ahora mismo (oprima 2 para español): es gratis, confidencial y está disponible las 24 horas. Si está en peligro inmediato, llame al 911.',
+    'crisis.overdose': 'Si alguien podría tener una sobredosis, llame al 911 ahora y quédese con esa persona. Si tiene naloxona (Narcan), úsela. El Centro de Control de Envenenamientos también puede ayudar al 1-800-222-1222.',
+    'crisis.domestic-violence': 'Su seguridad es lo primero. La Línea Nacional contra la Violencia Doméstica es gratuita, confidencial y está disponible las 24 horas, con atención en español: llame al 1-800-799-7233 o envíe START al 88788. Si está en peligro inmediato, llame al 911.',
+    'crisis.local': 'En su zona, puede llamar a {name} al {phone}.',
+
+    'format.notification': 'ddd D [de] MMM [a las] h:mm A',
+    'notify.noName': 'residente',
+    'notify.yourCaseworker': 'su trabajador social',
+    'notify.smsFooter': 'Responda STOP para no recibir más mensajes.',
+    'notify.confirmation.subject': 'Su cita está reservada',
+    'notify.confirmation.body': 'Hola {name}, su cita con {caseworker} está reservada para el {date} ({location}). Véala o cámbiela aquí: {statusUrl}',
+    'notify.reminder.subject': 'Recordatorio de cita',
+    'notify.reminder.body': 'Recordatorio: tiene una cita con {caseworker} el {date} ({location}). ¿Necesita cambiarla? {statusUrl}',
+    'notify.reschedule.subject': 'Su cita cambió de fecha',
+    'notify.reschedule.body': 'Su cita con {caseworker} ahora es el {date} ({location}). Detalles: {statusUrl}',
+    'notify.cancellation.subject': 'Su cita fue cancelada',
+    'notify.cancellation.body': 'Su cita del {date} fue cancelada. {caseworker} se comunicará con usted. Detalles: {statusUrl}',
+    'notify.assignment.subject': 'Su trabajador social',
+    'notify.assignment.body': 'Hola {name}, {caseworker} de {agency} es su trabajador social y se comunicará con usted pronto. Consulte su estado: {statusUrl}',
+    'notify.review.subject': 'Es hora de revisar su plan de atención',
+    'notify.review.body': 'Hola {name}, es hora de revisar su plan de atención con {caseworker}. Se comunicará con usted para hablar de su progreso. Consulte su estado: {statusUrl}'
+  }
+};
+
+module.exports = { MESSAGES };
@@ -0,0 +1,142 @@
+const dayjs = require('dayjs');
+const { v4: uuidv4 } = require('uuid');
+const { getRepository } = require('./repository');
+const { getAIRouter } = require('./ai-router');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+// Turns of history handed to the rules and models - enough for follow-ups
+// without every prompt growing with the conversation
+const CONTEXT_TURNS = 6;
+const MAX_QUERY_LENGTH = 500;
+
+// Multi-turn navigator conversations, kept server-side so follow-up questions
+// are answered in context and the transcript can go along with the intake
+class NavigatorSessions {
+  constructor(config = {}) {
+    this.config = config;
+    this.maxTurns = config.NAVIGATOR_MAX_TURNS || 20;
+    this.maxTokens = config.NAVIGATOR_MAX_TOKENS || 4000;
+    this.idleMinutes = config.NAVIGATOR_SESSION_MINUTES || 60;
+  }
+
+  start(hubCode) {
+    const repo = getRepository();
+    const now = dayjs();
+    // Conversations hold residents' own words - drop abandoned ones as new ones start
+    repo.deleteExpiredConversations(now.toISOString());
+    return repo.createConversation({
+      id: uuidv4(),
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: now.add(this.idleMinutes, 'minutes').toISOString(),
+      hubCode: hubCode || null,
+      clientId: null,
+      status: 'open',
+      turns: [],
+      topic: null,
+      modelTokens: 0,
+      crisis: null
+    });
+  }
+
+  // An open, unexpired conversation, or null
+  load(id) {
+    const session = id ? getRepository().getConversation(id) : null;
+    if (!session || session.status !== 'open' || dayjs().isAfter(session.expiresAt)) {
+      return null;
+    }
+    return session;
+  }
+
+  turnsLeft(session) {
+    return Math.max(0, this.maxTurns - session.turns.filter(turn => turn.role === 'resident').length);
+  }
+
+  // Answer the next question in context. Past the turn cap the resident is pointed
+  // at the intake form; past the token cap answers come from the rules tier only.
+  // Answers are in the page's locale. stream (optional) receives the answer as it
+  // is written - see AIRouter.resolve. A cancelled question is not recorded - the
+  // resident has moved on to another - but the tokens it spent still count against
+  // the session.
+  async ask(session, query, { context = {}, locale = DEFAULT_LOCALE, stream = null } = {}) {
+    const question = String(query).slice(0, MAX_QUERY_LENGTH);
+    if (this.turnsLeft(session) === 0) {
+      return this.record(session, question, this.cappedReply(locale));
+    }
+
+    const reply = await getAIRouter(this.config).route('navigator', question, {
+      context,
+      locale,
+      history: session.turns.slice(-CONTEXT_TURNS).map(turn => ({ role: turn.role, text: turn.text })),
+      topic: session.topic,
+      allowModels: session.modelTokens < this.maxTokens,
+      ...(stream ? { stream } : {})
+    });
+    if (reply.cancelled) {
+      // Re-read - the resident's next question may already have been answered
+      const latest = getRepository().getConversation(session.id) || session;
+      const updated = getRepository().updateConversation(session.id, { modelTokens: latest.modelTokens + reply.tokens });
+      return { session: updated, reply, turnsLeft: this.turnsLeft(updated) };
+    }
+    return this.record(session, question, reply, { locale });
+  }
+
+  cappedReply(locale) {
+    return { response: translate(locale, 'answer.capped'), confidence: 1, source: 'session-cap' };
+  }
+
+  // Append a question and its answer; returns { session, reply, turnsLeft }. The
+  // conversation is re-read first - another question in it may have been answered
+  // while this one waited on the router - and an answer that would go past the
+  // turn cap is swapped for the cap message. Crisis responses are always given.
+  record(session, query, answer, { crisis = null, locale = DEFAULT_LOCALE } = {}) {
+    const now = dayjs();
+    const latest = getRepository().getConversation(session.id) || session;
+    const spent = answer.cached ? 0 : (Number.isFinite(answer.tokens) ? answer.tokens : 0);
+    const reply = !crisis && answer.source !== 'session-cap' && this.turnsLeft(latest) === 0 ? this.cappedReply(locale) : answer;
+    const updated = getRepository().updateConversation(session.id, {
+      updatedAt: now.toISOString(),
+      expiresAt: now.add(this.idleMinutes, 'minutes').toISOString(),
+      turns: [
+        ...latest.turns,
+        { role: 'resident', text: String(query).slice(0, MAX_QUERY_LENGTH), at: now.toISOString() },
+        { role: 'navigator', text: reply.response, source: reply.source, category: reply.category || null, at: now.toISOString() }
+      ],
+      // Crisis categories are not service topics to follow up on
+      topic: reply.category && reply.category !== 'general' && !crisis ? reply.category : latest.topic,
+      modelTokens: latest.modelTokens + spent,
+      crisis: crisis ? { category: crisis.category, at: now.toISOString() } : latest.crisis
+    });
+    return { session: updated, reply, turnsLeft: this.turnsLeft(updated) };
+  }
+
+  // Plain-text transcript for the intake's additionalInfo
+  transcript(session) {
+    if (!session || !session.turns.length) {
+      return '';
+    }
+    const lines = session.turns.map(turn => `${turn.role === 'resident' ? 'Resident' : 'Navigator'}: ${turn.text}`);
+    return [`--- Navigator conversation (${dayjs(session.createdAt).format('MMM D, h:mm A')}) ---`, ...lines].join('\n');
+  }
+
+  // The conversation ends once the resident submits the intake it led to
+  handOff(session, clientId) {
+    return getRepository().updateConversation(session.id, { status: 'handed-off', clientId, updatedAt: dayjs().toISOString() });
+  }
+
+  // "Start over" - nothing is kept from a conversation the resident abandons
+  discard(session) {
+    return getRepository().deleteConversation(session.id);
+  }
+}
+
+let navigatorInstance = null;
+
+function getNavigatorSessions(config = {}) {
+  if (!navigatorInstance) {
+    navigatorInstance = new NavigatorSessions(config);
+  }
+  return navigatorInstance;
+}
+
+module.exports = { getNavigatorSessions, NavigatorSessions, CONTEXT_TURNS };
@@ -0,0 +1,149 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Delivery adapters used by the notification service. Every provider implements
+//   send({ channel, to, subject, body }) -> { messageId }
+// and throws on failure. Errors may carry `permanent` (retrying will not help) and
+// `optOut` (the recipient has blocked messages from us).
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+function providerError(message, { permanent = false, optOut = false } = {}) {
+  const error = new Error(message);
+  error.permanent = permanent;
+  error.optOut = optOut;
+  return error;
+}
+
+// 4xx other than rate limiting means the request itself is wrong
+function isPermanentStatus(status) {
+  return status >= 400 && status < 500 && status !== 429;
+}
+
+// +15625551234 -> +1******1234, ana@example.org -> a***@example.org
+function maskRecipient(to) {
+  const value = String(to || '');
+  const at = value.indexOf('@');
+  if (at > 0) {
+    return `${value[0]}***${value.slice(at)}`;
+  }
+  return value.length > 4 ? `${value.slice(0, 2)}******${value.slice(-4)}` : '****';
+}
+
+// Development provider - appends each message to a local outbox file and prints a
+// summary. The console line masks the recipient and drops status-link tokens, which
+// are bearer credentials; the outbox file has the full message.
+class OutboxProvider {
+  constructor(options = {}) {
+    this.name = 'outbox';
+    this.filename = options.filename;
+  }
+
+  async send(message) {
+    const entry = { id: uuidv4(), at: new Date().toISOString(), ...message };
+    if (this.filename) {
+      fs.appendFileSync(this.filename, `${JSON.stringify(entry)}\n`);
+    }
+    console.log(`📨 [${message.channel}] ${maskRecipient(message.to)}: ${String(message.body).replace(/\/status\/[\w.-]+/g, '/status/…')}`);
+    return { messageId: entry.id };
+  }
+}
+
+// SMS via the Twilio Messages REST API
+class TwilioSmsProvider {
+  constructor(options = {}) {
+    if (!options.accountSid || !options.authToken || !options.from) {
+      throw new Error('Twilio SMS requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    }
+    this.name = 'twilio';
+    this.accountSid = options.accountSid;
+    this.authToken = options.authToken;
+    this.from = options.from;
+  }
+
+  async send({ to, body }) {
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${this.accountSid}:${this.authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: to, From: this.from, Body: body }).toString(),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      // 21610: the recipient replied STOP to our number
+      throw providerError(data.message || `Twilio responded with ${response.status}`, {
+        permanent: isPermanentStatus(response.status),
+        optOut: data.code === 21610
+      });
+    }
+    return { messageId: data.sid };
+  }
+}
+
+// Email via the SendGrid v3 mail API
+class SendGridEmailProvider {
+  constructor(options = {}) {
+    if (!options.apiKey || !options.from) {
+      throw new Error('SendGrid email requires SENDGRID_API_KEY and NOTIFY_EMAIL_FROM');
+    }
+    this.name = 'sendgrid';
+    this.apiKey = options.apiKey;
+    this.from = options.from;
+  }
+
+  async send({ to, subject, body }) {
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: this.from },
+        subject,
+        content: [{ type: 'text/plain', value: body }]
+      }),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const detail = data.errors && data.errors[0] ? data.errors[0].message : null;
+      throw providerError(detail || `SendGrid responded with ${response.status}`, {
+        permanent: isPermanentStatus(response.status)
+      });
+    }
+    return { messageId: response.headers.get('x-message-id') };
+  }
+}
+
+function createProvider(name, config = {}, options = {}) {
+  switch (name) {
+    case 'outbox':
+      return new OutboxProvider({ filename: path.join(options.dataDir, 'outbox.log') });
+
+    case 'twilio':
+      return new TwilioSmsProvider({
+        accountSid: config.TWILIO_ACCOUNT_SID,
+        authToken: config.TWILIO_AUTH_TOKEN,
+        from: config.TWILIO_FROM_NUMBER
+      });
+
+    case 'sendgrid':
+      return new SendGridEmailProvider({
+        apiKey: config.SENDGRID_API_KEY,
+        from: config.NOTIFY_EMAIL_FROM
+      });
+
+    default:
+      throw new Error(`Unknown notification provider: ${name}`);
+  }
+}
+
+module.exports = { createProvider, OutboxProvider, TwilioSmsProvider, SendGridEmailProvider };
@@ -0,0 +1,328 @@
+const path = require('path');
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+const { getStatusTokens } = require('./status-tokens');
+const { getScheduler, atTime } = require('./scheduler');
+const { createProvider } = require('./notification-providers');
+const { DEFAULT_LOCALE, supportedLocale, translate, formatDate } = require('./i18n');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+// Appointment statuses a resident can still be reminded about
+const ACTIVE_APPOINTMENT_STATUSES = ['scheduled', 'confirmed'];
+
+const DEFAULT_NOTIFICATIONS = {
+  // Window in the scheduler's service time zone in which nothing is sent; jobs wait until it ends
+  quietHours: { start: '21:00', end: '08:00' },
+  reminderHours: 24,
+  maxAttempts: 3,
+  retryMinutes: 15
+};
+
+// Message templates - {placeholders} are filled from the client, appointment and caseworker.
+// The defaults are the English notify.* catalog keys and can be edited on the admin page;
+// other languages always come from their catalog.
+const TEMPLATE_NAMES = ['confirmation', 'reminder', 'reschedule', 'cancellation', 'assignment', 'review'];
+const DEFAULT_TEMPLATES = Object.fromEntries(TEMPLATE_NAMES.map(name => [name, {
+  subject: translate(DEFAULT_LOCALE, `notify.${name}.subject`),
+  body: translate(DEFAULT_LOCALE, `notify.${name}.body`)
+}]));
+
+// E.164 for US numbers entered in any format; anything else is passed through with a +
+function toE164(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length === 10) return `+1${digits}`;
+  return digits ? `+${digits}` : '';
+}
+
+function fillTemplate(text, values) {
+  return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+// Templated resident notifications. Jobs are persisted in the `notifications`
+// collection and drained by a polling worker; consent, opt-out and quiet hours are
+// checked when a job is sent rather than when it is queued, so a later opt-out
+// still stops an already-scheduled reminder.
+class NotificationService {
+  constructor(config = {}) {
+    this.config = config;
+    this.baseUrl = (config.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+    this.providers = {
+      sms: createProvider(config.NOTIFY_SMS_PROVIDER || 'outbox', config, { dataDir: DATA_DIR }),
+      email: createProvider(config.NOTIFY_EMAIL_PROVIDER || 'outbox', config, { dataDir: DATA_DIR })
+    };
+    this.processing = false;
+    this.timer = null;
+  }
+
+  settings() {
+    const configured = getRepository().getConfig().notifications || {};
+    return {
+      ...DEFAULT_NOTIFICATIONS,
+      ...configured,
+      quietHours: { ...DEFAULT_NOTIFICATIONS.quietHours, ...(configured.quietHours || {}) },
+      templates: { ...DEFAULT_TEMPLATES, ...(configured.templates || {}) }
+    };
+  }
+
+  // Worker - polls for due jobs; unref'd so it never holds the process open
+  start(pollSeconds = 60) {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), pollSeconds * 1000);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  enqueue(template, { client, appointment = null, sendAfter = dayjs() }) {
+    const job = getRepository().createNotification({
+      template,
+      clientId: client.id,
+      appointmentId: appointment ? appointment.id : null,
+      sendAfter: dayjs(sendAfter).toISOString()
+    });
+    if (appointment) {
+      this.recordDelivery(job, { status: 'queued' });
+    }
+    setImmediate(() => this.processDue());
+    return job;
+  }
+
+  // Lifecycle hooks called by the routes
+  appointmentBooked(client, appointment) {
+    this.enqueue('confirmation', { client, appointment });
+    this.scheduleReminder(client, appointment);
+  }
+
+  appointmentRescheduled(client, appointment) {
+    this.cancelPending(appointment.id);
+    this.enqueue('reschedule', { client, appointment });
+    this.scheduleReminder(client, appointment);
+  }
+
+  appointmentCancelled(client, appointment) {
+    this.cancelPending(appointment.id);
+    this.enqueue('cancellation', { client, appointment });
+  }
+
+  caseworkerAssigned(client) {
+    this.enqueue('assignment', { client });
+  }
+
+  // One review reminder per client, sent on the current care plan's review date
+  carePlanSaved(client, plan) {
+    const repo = getRepository();
+    repo.getNotifications({ clientId: client.id, template: 'review', status: 'queued' }).forEach(job => {
+      repo.updateNotification(job.id, { status: 'cancelled', finishedAt: dayjs().toISOString() });
+    });
+    const job = repo.createNotification({
+      template: 'review',
+      clientId: client.id,
+      appointmentId: null,
+      careplanId: plan.id,
+      sendAfter: dayjs(plan.reviewDate).startOf('day').toISOString()
+    });
+    setImmediate(() => this.processDue());
+    return job;
+  }
+
+  // No reminder when the appointment is already inside the reminder window -
+  // the confirmation went out moments ago
+  scheduleReminder(client, appointment) {
+    const sendAfter = dayjs(appointment.scheduledDate).subtract(this.settings().reminderHours, 'hours');
+    if (sendAfter.isAfter(dayjs())) {
+      this.enqueue('reminder', { client, appointment, sendAfter });
+    }
+  }
+
+  cancelPending(appointmentId) {
+    const repo = getRepository();
+    repo.getNotifications({ appointmentId, status: 'queued' }).forEach(job => {
+      repo.updateNotification(job.id, { status: 'cancelled', finishedAt: dayjs().toISOString() });
+    });
+  }
+
+  // End of the quiet period if `at` falls inside it, otherwise null
+  quietUntil(at = dayjs()) {
+    const { start, end } = this.settings().quietHours;
+    if (!start || !end || start === end) return null;
+
+    const zone = getScheduler().settings().timezone;
+    const day = dayjs(at).tz(zone);
+    const quietStart = atTime(day, start, zone);
+    const quietEnd = atTime(day, end, zone);
+    if (start < end) {
+      return !at.isBefore(quietStart) && at.isBefore(quietEnd) ? quietEnd : null;
+    }
+    // Overnight window, e.g. 21:00-08:00
+    if (!at.isBefore(quietStart)) return atTime(day.add(1, 'day'), end, zone);
+    if (at.isBefore(quietEnd)) return quietEnd;
+    return null;
+  }
+
+  skipReason(job, client, appointment) {
+    if (!client) return 'client-not-found';
+    if (client.consent === 0) return 'no-consent';
+    if (client.notificationsOptOut) return 'opted-out';
+    if (!client.phone && !client.email) return 'no-contact';
+    if (job.careplanId) {
+      const plan = getRepository().getCarePlanById(job.careplanId);
+      return plan && plan.status === 'current' ? null : 'careplan-superseded';
+    }
+    if (!job.appointmentId) return null;
+
+    if (!appointment) return 'appointment-not-found';
+    if (job.template !== 'cancellation' && !ACTIVE_APPOINTMENT_STATUSES.includes(appointment.status)) {
+      return 'appointment-inactive';
+    }
+    if (job.template === 'reminder' && !dayjs(appointment.scheduledDate).isAfter(dayjs())) {
+      return 'appointment-passed';
+    }
+    return null;
+  }
+
+  // Text the resident if we have a phone number, otherwise email them
+  recipientFor(client) {
+    if (client.phone && toE164(client.phone)) {
+      return { channel: 'sms', to: toE164(client.phone) };
+    }
+    return { channel: 'email', to: client.email };
+  }
+
+  // English uses the templates as edited on the admin page; other languages use the
+  // catalog, so residents are written to in their preferred language
+  templateFor(templateName, locale) {
+    if (locale === DEFAULT_LOCALE) {
+      return this.settings().templates[templateName];
+    }
+    return {
+      subject: translate(locale, `notify.${templateName}.subject`),
+      body: translate(locale, `notify.${templateName}.body`)
+    };
+  }
+
+  // Fills a template; statusUrl comes from the caller, so rendering has no side effects
+  render(templateName, client, appointment, channel, statusUrl) {
+    const repo = getRepository();
+    const locale = supportedLocale(client.preferredLanguage) || DEFAULT_LOCALE;
+    const template = this.templateFor(templateName, locale);
+    const caseworker = repo.getCaseworkerById((appointment && appointment.caseworkerId) || client.caseworkerId);
+    const values = {
+      name: client.name ? client.name.split(' ')[0] : translate(locale, 'notify.noName'),
+      caseworker: caseworker ? caseworker.name : translate(locale, 'notify.yourCaseworker'),
+      agency: caseworker ? caseworker.agency : '',
+      date: appointment ? formatDate(locale, appointment.scheduledDate, 'format.notification', getScheduler().settings().timezone) : '',
+      location: appointment ? appointment.location : '',
+      statusUrl
+    };
+
+    const body = fillTemplate(template.body, values);
+    return {
+      subject: fillTemplate(template.subject, values),
+      body: channel === 'sms' ? `${body} ${translate(locale, 'notify.smsFooter')}` : body
+    };
+  }
+
+  // Send every job that is due, one at a time
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+    try {
+      const due = getRepository().getDueNotifications(dayjs().toISOString());
+      for (const job of due) {
+        await this.deliver(job);
+      }
+    } catch (error) {
+      console.error('Notification worker error:', error.message);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async deliver(job) {
+    const repo = getRepository();
+    const client = repo.getClientById(job.clientId);
+    const appointment = job.appointmentId ? repo.getAppointmentById(job.appointmentId) : null;
+
+    const reason = this.skipReason(job, client, appointment);
+    if (reason) {
+      return this.finish(job, { status: 'skipped', reason });
+    }
+
+    const quietEnd = this.quietUntil();
+    if (quietEnd) {
+      return repo.updateNotification(job.id, { sendAfter: quietEnd.toISOString(), deferredForQuietHours: true });
+    }
+
+    const { channel, to } = this.recipientFor(client);
+    const provider = this.providers[channel];
+    try {
+      // The resident's current link, or a new one if it has expired - never a rotation
+      const statusUrl = `${this.baseUrl}${getStatusTokens(this.config).currentLink(client).statusUrl}`;
+      const message = this.render(job.template, client, appointment, channel, statusUrl);
+      const { messageId } = await provider.send({ channel, to, ...message });
+      return this.finish(job, {
+        status: 'sent',
+        channel,
+        provider: provider.name,
+        providerMessageId: messageId || null,
+        attempts: (job.attempts || 0) + 1
+      });
+    } catch (error) {
+      const attempts = (job.attempts || 0) + 1;
+      if (error.optOut) {
+        repo.updateClient(client.id, { notificationsOptOut: true, notificationsOptOutAt: dayjs().toISOString() });
+        return this.finish(job, { status: 'skipped', reason: 'opted-out', channel, attempts });
+      }
+
+      const { maxAttempts, retryMinutes } = this.settings();
+      if (error.permanent || attempts >= maxAttempts) {
+        return this.finish(job, { status: 'failed', channel, provider: provider.name, attempts, error: error.message });
+      }
+      // Back off a little longer after each failure
+      return repo.updateNotification(job.id, {
+        attempts,
+        error: error.message,
+        sendAfter: dayjs().add(retryMinutes * attempts, 'minutes').toISOString()
+      });
+    }
+  }
+
+  finish(job, result) {
+    const updated = getRepository().updateNotification(job.id, { ...result, finishedAt: dayjs().toISOString() });
+    if (job.appointmentId) {
+      this.recordDelivery(job, result);
+    }
+    return updated;
+  }
+
+  // Latest delivery state per template, kept on the appointment for staff to see
+  recordDelivery(job, result) {
+    const repo = getRepository();
+    const appointment = repo.getAppointmentById(job.appointmentId);
+    if (!appointment) return;
+
+    repo.updateAppointment(appointment.id, {
+      notifications: {
+        ...(appointment.notifications || {}),
+        [job.template]: {
+          jobId: job.id,
+          status: result.status,
+          channel: result.channel || null,
+          reason: result.reason || result.error || null,
+          at: dayjs().toISOString()
+        }
+      }
+    });
+  }
+}
+
+let notificationsInstance = null;
+
+function getNotifications(config = {}) {
+  if (!notificationsInstance) {
+    notificationsInstance = new NotificationService(config);
+  }
+  return notificationsInstance;
+}
+
+module.exports = { getNotifications, NotificationService, DEFAULT_TEMPLATES, DEFAULT_NOTIFICATIONS, toE164 };
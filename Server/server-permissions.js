@@ -0,0 +1,86 @@
+const { getRepository } = require('./repository');
+const { STRUCTURED_FIELDS } = require('./pii-scrubber');
+
+// Role-based access control. Residents never sign in - they reach their own
+// record through a status link - so 'resident' only covers public routes.
+const ROLES = ['resident', 'caseworker', 'supervisor', 'admin', 'auditor'];
+const STAFF_ROLES = ['caseworker', 'supervisor', 'admin', 'auditor'];
+
+const ROLE_PERMISSIONS = {
+  resident: ['status:read'],
+  caseworker: ['clients:read', 'clients:write', 'clients:pii', 'ai:use', 'export:caseload'],
+  supervisor: ['clients:read', 'clients:write', 'clients:pii', 'ai:use', 'export:caseload'],
+  admin: ['clients:read', 'clients:write', 'clients:pii', 'ai:use', 'export:caseload', 'export:hmis', 'analytics:read', 'audit:read', 'admin:manage'],
+  auditor: ['clients:read', 'export:caseload', 'export:hmis', 'analytics:read', 'audit:read']
+};
+
+// Client fields that identify a resident: every field the PII scrubber replaces
+// (name, contact details, address, date of birth, SSN) plus intake's ZIP, notes and
+// demographics. Blanked for roles without clients:pii and masked in audit diffs.
+const PII_FIELDS = [...Object.keys(STRUCTURED_FIELDS), 'zipCode', 'additionalInfo', 'demographics'];
+
+// Accounts created before roles were split were plain 'staff'
+function normalizeRole(role) {
+  return role === 'staff' ? 'caseworker' : role;
+}
+
+function can(user, permission) {
+  const role = user ? normalizeRole(user.role) : 'resident';
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+// Client visibility: caseworkers see their own caseload, supervisors their
+// agency's, admins and auditors everyone. Returned as getClients filters.
+function clientScope(user) {
+  switch (normalizeRole(user.role)) {
+    case 'caseworker':
+      return { caseworkerIds: user.caseworkerId ? [user.caseworkerId] : [] };
+
+    case 'supervisor':
+      return {
+        caseworkerIds: getRepository().getCaseworkers()
+          .filter(cw => cw.agency === user.agency)
+          .map(cw => cw.id)
+      };
+
+    default:
+      return {};
+  }
+}
+
+function canAccessClient(user, client) {
+  const scope = clientScope(user);
+  return !scope.caseworkerIds || scope.caseworkerIds.includes(client.caseworkerId);
+}
+
+// Strip direct identifiers and generalize ZIP to 3 digits for read-only roles
+function deidentifyClient(client) {
+  const blanked = Object.fromEntries(PII_FIELDS.filter(field => field in client).map(field => [field, '']));
+  return {
+    ...client,
+    ...blanked,
+    name: `Client ${client.id.slice(0, 8)}`,
+    phone: '',
+    email: '',
+    additionalInfo: '',
+    demographics: {},
+    zipCode: client.zipCode ? `${String(client.zipCode).slice(0, 3)}XX` : ''
+  };
+}
+
+function presentClient(user, client) {
+  return can(user, 'clients:pii') ? client : deidentifyClient(client);
+}
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ROLE_PERMISSIONS,
+  PII_FIELDS,
+  normalizeRole,
+  can,
+  clientScope,
+  canAccessClient,
+  deidentifyClient,
+  presentClient
+};
@@ -0,0 +1,167 @@
+// De-identification for anything sent to an external model. PII is swapped for
+// stable placeholders like [PHONE_1]; the vault that maps them back never leaves
+// the process, and model output is re-identified with it before use.
+
+// Client fields that are PII in their entirety
+const STRUCTURED_FIELDS = {
+  name: 'PERSON',
+  firstName: 'PERSON',
+  lastName: 'PERSON',
+  phone: 'PHONE',
+  email: 'EMAIL',
+  address: 'ADDRESS',
+  dateOfBirth: 'DOB',
+  dob: 'DOB',
+  ssn: 'SSN'
+};
+
+// Fields with no use to a model that are dropped outright
+const DROPPED_FIELDS = ['demographics', 'lookupCode', 'statusTokenVersion', 'statusLinkIssuedAt', 'statusLinkExpiresAt'];
+
+// Free-text patterns, applied in order - SSNs before phone numbers, labelled
+// names after everything else. Any date in free text may be a birth date, so all
+// of them are replaced
+const TEXT_PATTERNS = [
+  { type: 'EMAIL', regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { type: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'SSN', regex: /(?<=\b(?:ssn|social security(?: number)?)\W{0,3})\d{9}\b/gi },
+  { type: 'PHONE', regex: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}\b/g },
+  {
+    type: 'DATE',
+    regex: /\b\d{1,2}[/-]\d{1,2}[/-](?:\d{4}|\d{2})\b|\b(?:19|20)\d{2}-\d{1,2}-\d{1,2}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\.?\s+\d{1,2}(?:st|nd|rd|th)?,?\s+(?:19|20)\d{2}\b/gi
+  },
+  {
+    type: 'ADDRESS',
+    regex: /\b\d{1,6}\s+(?:[NSEW]\.?\s+)?(?:[A-Za-z0-9]+\s+){1,3}(?:st|street|ave|avenue|blvd|boulevard|rd|road|dr|drive|ln|lane|way|ct|court|pl|place|pkwy|parkway|hwy|highway)\b\.?(?:,?\s*(?:apt|unit|suite|#)\.?\s*\w+)?/gi
+  },
+  { type: 'PERSON', regex: /(?<=\b(?:[Mm]y name is|I am|I'm|[Cc]all me|[Nn]amed)\s+)[A-Z][a-z]+(?:\s+[A-Z][a-z]+){0,2}/g }
+];
+
+const PLACEHOLDER = /\[([A-Z]+)_(\d+)\]/g;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Placeholder <-> original mapping for one request
+class PiiVault {
+  constructor() {
+    this.tokens = new Map();
+    this.originals = new Map();
+    this.counts = {};
+    this.redactions = [];
+  }
+
+  tokenFor(type, value, field) {
+    // Phone numbers written differently still share one placeholder
+    const normalized = type === 'PHONE' ? String(value).replace(/\D/g, '').slice(-10) : String(value).toLowerCase();
+    const key = `${type}:${normalized}`;
+    if (!this.tokens.has(key)) {
+      this.counts[type] = (this.counts[type] || 0) + 1;
+      const token = `[${type}_${this.counts[type]}]`;
+      this.tokens.set(key, token);
+      this.originals.set(token, String(value));
+    }
+    this.redactions.push({ type, field });
+    return this.tokens.get(key);
+  }
+
+  original(token) {
+    return this.originals.get(token);
+  }
+}
+
+class PiiScrubber {
+  // Returns { input, options, vault } with every string in both de-identified
+  deidentify(input, options = {}) {
+    const vault = new PiiVault();
+    const knownNames = this.knownNames(input);
+    return {
+      input: this.scrubValue(input, vault, knownNames, ''),
+      options: this.scrubValue(options, vault, knownNames, 'options'),
+      vault
+    };
+  }
+
+  // Names from the record itself, so they are caught in free text too - the full
+  // name first, then each part
+  knownNames(input) {
+    if (!input || typeof input !== 'object') return [];
+    const names = ['name', 'firstName', 'lastName']
+      .map(field => input[field])
+      .filter(value => typeof value === 'string' && value.trim());
+    const parts = names.flatMap(name => name.trim().split(/\s+/)).filter(part => part.length > 1);
+    return [...new Set([...names.map(name => name.trim()), ...parts])].sort((a, b) => b.length - a.length);
+  }
+
+  scrubValue(value, vault, knownNames, field) {
+    if (typeof value === 'string') {
+      return this.scrubText(value, vault, knownNames, field);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.scrubValue(item, vault, knownNames, `${field}[${index}]`));
+    }
+    if (value && typeof value === 'object') {
+      const scrubbed = {};
+      Object.entries(value).forEach(([key, item]) => {
+        const path = field ? `${field}.${key}` : key;
+        if (DROPPED_FIELDS.includes(key)) {
+          if (item !== undefined && item !== null && item !== '') vault.redactions.push({ type: 'DROPPED', field: path });
+          return;
+        }
+        if (STRUCTURED_FIELDS[key] && typeof item === 'string') {
+          scrubbed[key] = item ? vault.tokenFor(STRUCTURED_FIELDS[key], item.trim(), path) : item;
+          return;
+        }
+        scrubbed[key] = this.scrubValue(item, vault, knownNames, path);
+      });
+      return scrubbed;
+    }
+    return value;
+  }
+
+  scrubText(text, vault, knownNames, field) {
+    let scrubbed = text;
+    knownNames.forEach(name => {
+      scrubbed = scrubbed.replace(new RegExp(`\\b${escapeRegex(name)}\\b`, 'gi'), match => vault.tokenFor('PERSON', match, field));
+    });
+    TEXT_PATTERNS.forEach(({ type, regex }) => {
+      scrubbed = scrubbed.replace(regex, match => vault.tokenFor(type, match, field));
+    });
+    return scrubbed;
+  }
+
+  // Put the originals back into model output
+  reidentify(value, vault) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, token => {
+        const original = vault.original(token);
+        return original === undefined ? token : original;
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.reidentify(item, vault));
+    }
+    if (value && typeof value === 'object') {
+      const restored = {};
+      Object.entries(value).forEach(([key, item]) => {
+        restored[key] = this.reidentify(item, vault);
+      });
+      return restored;
+    }
+    return value;
+  }
+
+  // Types and fields only - never the redacted values
+  summarize(vault) {
+    const byType = {};
+    const fields = new Set();
+    vault.redactions.forEach(({ type, field }) => {
+      byType[type] = (byType[type] || 0) + 1;
+      fields.add(field || 'input');
+    });
+    return { total: vault.redactions.length, byType, fields: [...fields] };
+  }
+}
+
+module.exports = { PiiScrubber, PiiVault, STRUCTURED_FIELDS };
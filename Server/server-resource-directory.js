@@ -0,0 +1,183 @@
+const { getRepository } = require('./repository');
+
+// Words residents use for each need category - used to tag resources and to widen
+// a query to its category, so "I'm hungry" finds a food pantry. Spanish words
+// follow the English ones, without accents since tokens are folded.
+const NEED_KEYWORDS = {
+  'housing': ['housing', 'shelter', 'homeless', 'rent', 'rental', 'eviction', 'evicted', 'apartment', 'motel',
+    'vivienda', 'albergue', 'refugio', 'hogar', 'renta', 'alquiler', 'desalojo', 'apartamento'],
+  'food': ['food', 'meal', 'hungry', 'pantry', 'grocery', 'groceries', 'calfresh', 'snap', 'wic',
+    'comida', 'hambre', 'alimentos', 'despensa', 'comedor'],
+  'employment': ['job', 'employment', 'resume', 'career', 'hiring', 'unemployed', 'workforce',
+    'trabajo', 'empleo', 'desempleado', 'curriculum'],
+  'mental-health': ['mental', 'counseling', 'therapy', 'therapist', 'depression', 'anxiety', 'psychiatric',
+    'consejeria', 'terapia', 'depresion', 'ansiedad', 'psicologo'],
+  'substance-abuse': ['substance', 'addiction', 'drug', 'alcohol', 'recovery', 'detox', 'sober',
+    'drogas', 'adiccion', 'rehabilitacion', 'desintoxicacion'],
+  'medical': ['medical', 'clinic', 'doctor', 'dental', 'medi-cal', 'medicaid', 'prescription', 'healthcare',
+    'medico', 'clinica', 'dentista', 'medicina', 'receta'],
+  'veterans': ['veteran', 'military', 'veterano', 'militar'],
+  'legal': ['legal', 'lawyer', 'attorney', 'court', 'immigration', 'abogado', 'corte', 'inmigracion'],
+  'utilities': ['utility', 'utilities', 'electric', 'electricity', 'water', 'bill', 'luz', 'electricidad', 'agua', 'factura'],
+  'transportation': ['transportation', 'bus', 'ride', 'transit', 'tap', 'transporte', 'autobus']
+};
+
+const STOPWORDS = new Set(('a an and are as at be by can do does for from get give go have help how i if in is it ' +
+  'looking me my near need of on or our please service services some that the their there they this to ' +
+  'want we what where which who will with you your ' +
+  'ayuda como con de del donde el en hay la las los mi necesito para por que quiero tengo un una y').split(' '));
+
+// Field weights for the keyword index
+const FIELD_WEIGHTS = { name: 3, taxonomy: 3, organization: 2, description: 1, eligibility: 1, languages: 1 };
+const CATEGORY_WEIGHT = 3;
+
+function stem(token) {
+  return token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token;
+}
+
+// Accents are folded so "clínica" and "clinica" index alike
+function tokenize(text) {
+  return String(text || '').toLowerCase()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/-/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+const CATEGORY_TOKENS = Object.fromEntries(Object.entries(NEED_KEYWORDS)
+  .map(([category, words]) => [category, new Set(words.flatMap(tokenize))]));
+
+// Need categories a piece of text mentions
+function needsIn(text) {
+  const tokens = new Set(tokenize(text));
+  return Object.keys(CATEGORY_TOKENS).filter(category => [...CATEGORY_TOKENS[category]].some(token => tokens.has(token)));
+}
+
+// 0 = same ZIP, 1 = same 3-digit area, 2 = further or unknown
+function zipDistance(resource, zipCode) {
+  const resourceZip = resource.location && resource.location.address ? resource.location.address.postalCode : '';
+  if (!zipCode || !resourceZip) return 2;
+  if (resourceZip === zipCode) return 0;
+  return resourceZip.slice(0, 3) === zipCode.slice(0, 3) ? 1 : 2;
+}
+
+// Keyword retrieval over the imported HSDS directory (data/resources.json). The
+// index is held in memory and rebuilt whenever a new import is loaded.
+class ResourceDirectory {
+  constructor() {
+    this.builtFor = undefined;
+    this.resources = new Map();
+    this.postings = new Map();
+  }
+
+  directory() {
+    return getRepository().getDirectoryData();
+  }
+
+  ensureIndex() {
+    const directory = this.directory();
+    if (this.builtFor === directory.importedAt) return;
+
+    this.resources = new Map();
+    this.postings = new Map();
+    directory.resources.forEach(resource => {
+      const categories = needsIn([resource.name, resource.taxonomy.join(' '), resource.description].join(' '));
+      this.resources.set(resource.id, { ...resource, categories });
+
+      const weights = new Map();
+      const add = (token, weight) => weights.set(token, (weights.get(token) || 0) + weight);
+      Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const value = Array.isArray(resource[field]) ? resource[field].join(' ') : resource[field];
+        tokenize(value).forEach(token => add(token, weight));
+      });
+      categories.forEach(category => add(`need:${category}`, CATEGORY_WEIGHT));
+
+      weights.forEach((weight, token) => {
+        if (!this.postings.has(token)) this.postings.set(token, new Map());
+        this.postings.get(token).set(resource.id, weight);
+      });
+    });
+    this.builtFor = directory.importedAt;
+  }
+
+  // Best matches for a resident's question, nearest first among the relevant ones.
+  // Results carry the score so the admin preview can show why something matched.
+  search(query, { zipCode = '', limit = 3 } = {}) {
+    this.ensureIndex();
+    if (!this.resources.size) return [];
+
+    const terms = [...new Set([...tokenize(query), ...needsIn(query).map(category => `need:${category}`)])];
+    const scores = new Map();
+    terms.forEach(term => {
+      const postings = this.postings.get(term);
+      if (!postings) return;
+      const idf = Math.log(1 + this.resources.size / postings.size);
+      postings.forEach((weight, id) => scores.set(id, (scores.get(id) || 0) + weight * idf));
+    });
+    if (!scores.size) return [];
+
+    // Anything under half the best score is noise from common words
+    const best = Math.max(...scores.values());
+    const zip = String(zipCode || '').slice(0, 5);
+    return [...scores.entries()]
+      .filter(([, score]) => score >= best / 2)
+      .map(([id, score]) => ({ resource: this.resources.get(id), score: Math.round(score * 100) / 100 }))
+      .map(match => ({ ...match, distance: zipDistance(match.resource, zip) }))
+      .sort((a, b) => a.distance - b.distance || b.score - a.score)
+      .slice(0, limit);
+  }
+
+  // What the navigator shows and the model is allowed to cite
+  citation(resource) {
+    const address = resource.location && resource.location.address;
+    return {
+      id: resource.id,
+      name: resource.name,
+      organization: resource.organization,
+      address: address ? [address.street, address.city, [address.state, address.postalCode].filter(Boolean).join(' ')].filter(Boolean).join(', ') : '',
+      phone: resource.phone,
+      hours: resource.hours,
+      eligibility: resource.eligibility,
+      languages: resource.languages,
+      url: resource.url
+    };
+  }
+
+  describe(citation) {
+    return [
+      citation.organization && citation.organization !== citation.name ? `${citation.name} (${citation.organization})` : citation.name,
+      citation.address,
+      citation.phone,
+      citation.hours ? `Hours: ${citation.hours}` : '',
+      citation.eligibility ? `For: ${citation.eligibility}` : ''
+    ].filter(Boolean).join(' - ').slice(0, 300);
+  }
+
+  stats() {
+    this.ensureIndex();
+    const directory = this.directory();
+    const byCategory = {};
+    this.resources.forEach(resource => resource.categories.forEach(category => {
+      byCategory[category] = (byCategory[category] || 0) + 1;
+    }));
+    return {
+      importedAt: directory.importedAt,
+      source: directory.source,
+      resources: this.resources.size,
+      organizations: new Set(directory.resources.map(resource => resource.organizationId).filter(Boolean)).size,
+      byCategory
+    };
+  }
+}
+
+let directoryInstance = null;
+
+function getResourceDirectory() {
+  if (!directoryInstance) {
+    directoryInstance = new ResourceDirectory();
+  }
+  return directoryInstance;
+}
+
+module.exports = { getResourceDirectory, ResourceDirectory, NEED_KEYWORDS, needsIn, tokenize };
@@ -1,24 +1,142 @@
 const QRCode = require('qrcode');
-const { getRepository } = require('./repository');
+const { getRepository, DEFAULT_WORKING_HOURS } = require('./repository');
 const { getAIRouter } = require('./ai-router');
+const { getAuth } = require('./auth');
+const { STAFF_ROLES, can, clientScope, canAccessClient, presentClient } = require('./permissions');
+const { getStatusTokens, formatLookupCode } = require('./status-tokens');
+const { getAudit } = require('./audit');
+const { getScheduler, DAYS, validTimezone } = require('./scheduler');
+const { getNotifications, DEFAULT_TEMPLATES } = require('./notifications');
+const { detectCrisis, crisisCategory, crisisResponse } = require('./crisis');
+const { getNavigatorSessions } = require('./navigator');
+const { getResourceDirectory } = require('./resource-directory');
+const { getTriageRuleEngine, FLAGS: TRIAGE_FLAGS, validateRules, evaluateRules } = require('./triage-rules');
+const { getCarePlans, TASK_OWNERS, TASK_STATUSES } = require('./careplans');
+const { getCarePlanTemplates, validateTemplates, composeCarePlan } = require('./careplan-templates');
+const { getDecisionLog, VERDICTS } = require('./decision-log');
+const { LOCALES, LANGUAGES, DEFAULT_LOCALE, LOCALE_COOKIE, supportedLocale, fromAcceptLanguage, localeFor, rememberLocale, translate, translator, formatDate, messagesFor, needLabel, languageCode } = require('./i18n');
 const dayjs = require('dayjs');
+const { v4: uuidv4 } = require('uuid');
+
+const RESCHEDULE_SLOT_LIMIT = 20;
+const CHANGEABLE_APPOINTMENT_STATUSES = ['scheduled', 'confirmed'];
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+const STAFF_INTAKE_STATUSES = ['intake', 'active', 'pending'];
+const NAVIGATOR_COOKIE = 'navigator_session';
 
 function setupRoutes(app) {
   const config = app.get('config');
+  const auth = getAuth(config);
+  const statusTokens = getStatusTokens(config);
+  const audit = getAudit();
+  const notifications = getNotifications(config);
+  const navigatorSessions = getNavigatorSessions(config);
+
+  // Resolve the session cookie into req.user for every route
+  app.use(auth.middleware());
+  app.use(rememberLocale);
   
-  // Middleware for authentication
-  const requireStaff = (req, res, next) => {
-    if (req.cookies.staff_auth === config.STAFF_PIN) {
-      return next();
+  // Middleware for authentication and permissions
+  const requirePermission = (permission, loginRole = 'staff') => (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).send(renderLoginPage(loginRole, 'Please sign in - your session may have expired'));
+    }
+    if (req.user.mustChangePassword) {
+      return res.redirect('/account/password');
+    }
+    if (!can(req.user, permission)) {
+      if (req.path.startsWith('/api/')) {
+        return res.status(403).json({ error: 'Not permitted' });
+      }
+      return res.status(403).send(renderErrorPage('You do not have access to this page'));
     }
-    return res.status(401).send(renderLoginPage('staff', 'Invalid PIN or session expired'));
+    return next();
   };
 
-  const requireAdmin = (req, res, next) => {
-    if (req.cookies.admin_auth === config.ADMIN_PIN) {
-      return next();
+  const requireStaff = requirePermission('clients:read');
+  const requireAdmin = requirePermission('admin:manage', 'admin');
+
+  // Load :clientId and 404 unless it is within the signed-in user's caseload scope
+  const loadScopedClient = (req, res, next) => {
+    const client = getRepository().getClientById(req.params.clientId);
+    if (!client || !canAccessClient(req.user, client)) {
+      return res.status(404).json({ error: 'Client not found' });
+    }
+    req.client = client;
+    return next();
+  };
+
+  // Resident appointment actions - the status token must belong to the appointment's client
+  const loadResidentAppointment = (req, res, next) => {
+    const result = statusTokens.verify(req.body.token || req.query.token);
+    const appointment = result.client ? getRepository().getAppointmentById(req.params.id) : null;
+    if (!appointment || appointment.clientId !== result.client.id) {
+      return res.status(404).json({ success: false, error: 'Appointment not found' });
+    }
+    req.client = result.client;
+    req.appointment = appointment;
+    return next();
+  };
+
+  // Tell the caseworker about a change the resident made - the appointment's
+  // caseworker, or the client's when there is no appointment involved
+  const alertCaseworker = (client, appointment, type, message) => {
+    getRepository().createAlert({
+      caseworkerId: appointment ? appointment.caseworkerId : client.caseworkerId,
+      clientId: client.id,
+      appointmentId: appointment ? appointment.id : null,
+      type,
+      message
+    });
+  };
+
+  // Raise a client to critical after a crisis disclosure and alert their caseworker
+  // once per category. The resident's words are not copied into the alert or audit log.
+  const flagCrisis = (req, client, crisis, source) => {
+    const repo = getRepository();
+    const alreadyFlagged = client.crisis && client.crisis.category === crisis.category;
+    const updated = repo.updateClient(client.id, {
+      urgency: 'critical',
+      crisis: { category: crisis.category, source, detectedAt: dayjs().toISOString() }
+    });
+    audit.record(req, 'client.crisis_flag', {
+      clientId: client.id,
+      before: { urgency: client.urgency, crisis: client.crisis || null },
+      after: { urgency: updated.urgency, crisis: updated.crisis },
+      details: { category: crisis.category, source }
+    });
+    if (!alreadyFlagged && updated.caseworkerId) {
+      alertCaseworker(updated, null, 'client.crisis',
+        `URGENT: ${updated.consent ? updated.name : 'An anonymous client'} mentioned ${crisis.label} (${source === 'navigator' ? 'navigator chat' : 'intake form'}) - urgency raised to critical. Please reach out today.`);
     }
-    return res.status(401).send(renderLoginPage('admin', 'Invalid PIN or session expired'));
+    return updated;
+  };
+
+  // The resident's navigator conversation, started on first use. The history stays
+  // server-side; the cookie only carries a signed reference and lasts as long as
+  // the session's idle window, since kiosks are shared.
+  const loadNavigatorSession = req => navigatorSessions.load(req.signedCookies[NAVIGATOR_COOKIE]);
+
+  const navigatorSessionFor = (req, res) => {
+    const session = loadNavigatorSession(req) || navigatorSessions.start(req.body.hubCode);
+    res.cookie(NAVIGATOR_COOKIE, session.id, {
+      httpOnly: true,
+      sameSite: 'lax',
+      signed: true,
+      maxAge: navigatorSessions.idleMinutes * 60 * 1000
+    });
+    return session;
+  };
+
+  // Everything the triage rules page shows besides the form being edited
+  const triageRulesPage = page => {
+    const engine = getTriageRuleEngine();
+    return { ruleSet: engine.current(), history: engine.history(), users: getRepository().getUsers(), ...page };
+  };
+
+  const careplanTemplatesPage = page => {
+    const library = getCarePlanTemplates();
+    return { library: library.current(), history: library.history(), users: getRepository().getUsers(), ...page };
   };
 
   const requireKiosk = (req, res, next) => {
@@ -34,7 +152,8 @@ function setupRoutes(app) {
 
   // Landing page
   app.get('/', (req, res) => {
-    res.send(renderLandingPage());
+    const locale = localeFor(req);
+    res.send(renderLandingPage(translator(locale), renderLanguageSwitcher(req, locale, 'text-white/70')));
   });
 
   // Resident onboarding form
@@ -42,7 +161,8 @@ function setupRoutes(app) {
     const hub = req.query.hub || 'HUB-LB-001';
     const repo = getRepository();
     const hubInfo = repo.getHubByCode(hub);
-    res.send(renderOnboardingForm(hubInfo));
+    const locale = localeFor(req);
+    res.send(renderOnboardingForm(hubInfo, translator(locale), renderLanguageSwitcher(req, locale, 'text-gray-600')));
   });
 
   // Submit onboarding
@@ -50,46 +170,89 @@ function setupRoutes(app) {
     try {
       const repo = getRepository();
       const aiRouter = getAIRouter(config);
+      const locale = localeFor(req);
       
       const clientData = {
         name: req.body.name || '',
         phone: req.body.phone || '',
+        email: req.body.email || '',
         needs: Array.isArray(req.body.needs) ? req.body.needs : [req.body.needs].filter(Boolean),
         urgency: req.body.urgency || 'medium',
         zipCode: req.body.zipCode || '',
         householdSize: parseInt(req.body.householdSize) || 1,
         consent: parseInt(req.body.consent) || 0,
         hubCode: req.body.hubCode || 'HUB-LB-001',
-        additionalInfo: req.body.additionalInfo || ''
+        additionalInfo: req.body.additionalInfo || '',
+        preferredLanguage: languageCode(req.body.preferredLanguage) || locale
       };
 
+      // A crisis mentioned in the navigator earlier in this visit, or in the intake
+      // itself, makes the client critical so the slot search uses the tightest SLA
+      const navigatorSession = loadNavigatorSession(req);
+      const sessionCrisis = navigatorSession && navigatorSession.crisis ? crisisCategory(navigatorSession.crisis.category) : null;
+      const crisis = sessionCrisis || detectCrisis(clientData.additionalInfo);
+
+      // The resident chose to share their navigator conversation with the caseworker
+      if (navigatorSession && req.body.includeTranscript === '1') {
+        clientData.additionalInfo = [clientData.additionalInfo, navigatorSessions.transcript(navigatorSession)].filter(Boolean).join('\n\n');
+      }
+      if (crisis) {
+        clientData.urgency = 'critical';
+      }
+
       // Create client (redact PII if no consent)
       const client = repo.createClient(clientData, clientData.consent === 0);
       
       // Assign caseworker
-      const caseworker = repo.assignCaseworker(client);
+      let caseworker = repo.assignCaseworker(client);
+
+      // Book the first open slot within the urgency SLA - the matched caseworker
+      // first, then anyone else who can see the client in time
+      const scheduler = getScheduler();
+      const method = req.body.appointmentMethod === 'phone' ? 'phone' : 'in-person';
+      const { slot, slaMet, dueBy } = scheduler.findSlotWithinSla({
+        caseworkerIds: [caseworker.id, ...repo.getCaseworkers().map(cw => cw.id).filter(id => id !== caseworker.id)],
+        hubCode: clientData.hubCode,
+        urgency: clientData.urgency
+      });
+      if (slot && slot.caseworkerId !== caseworker.id) {
+        caseworker = repo.getCaseworkerById(slot.caseworkerId);
+      }
       
       // Update client with caseworker assignment
       repo.updateClient(client.id, { caseworkerId: caseworker.id });
       
-      // Create appointment
-      const appointmentDate = dayjs().add(
-        clientData.urgency === 'critical' ? 1 : 
-        clientData.urgency === 'high' ? 2 : 3, 
-        'days'
-      ).hour(10).minute(0);
-      
-      const appointment = repo.createAppointment({
+      // Create appointment - none if nobody has an opening in the search window
+      const appointment = slot ? repo.createAppointment({
         clientId: client.id,
         caseworkerId: caseworker.id,
-        scheduledDate: appointmentDate.toISOString(),
-        method: Math.random() > 0.6 ? 'phone' : 'in-person',
-        location: 'Downtown Hub',
-        status: 'scheduled'
-      });
-
-      // Generate status token
-      const statusToken = Buffer.from(client.id).toString('base64');
+        scheduledDate: slot.start,
+        durationMinutes: slot.durationMinutes,
+        hubCode: clientData.hubCode,
+        method,
+        location: scheduler.locationFor(clientData.hubCode, method),
+        status: 'scheduled',
+        slaDueBy: dueBy,
+        slaMet
+      }) : null;
+
+      // Issue a signed status link and lookup code
+      const statusLink = statusTokens.issue(repo.getClientById(client.id));
+
+      audit.record(req, 'client.create', { clientId: client.id, before: null, after: repo.getClientById(client.id) });
+      if (appointment) {
+        audit.record(req, 'appointment.create', { clientId: client.id, before: null, after: appointment });
+        notifications.appointmentBooked(repo.getClientById(client.id), appointment);
+      } else {
+        notifications.caseworkerAssigned(repo.getClientById(client.id));
+      }
+      if (crisis) {
+        flagCrisis(req, repo.getClientById(client.id), crisis, sessionCrisis ? 'navigator' : 'intake');
+      }
+      if (navigatorSession) {
+        navigatorSessions.handOff(navigatorSession, client.id);
+        res.clearCookie(NAVIGATOR_COOKIE);
+      }
 
       res.json({
         success: true,
@@ -101,13 +264,14 @@ function setupRoutes(app) {
           name: caseworker.name,
           agency: caseworker.agency
         },
-        appointment: {
+        appointment: appointment ? {
           id: appointment.id,
-          date: appointmentDate.format('dddd, MMMM D [at] h:mm A'),
+          date: formatDate(locale, appointment.scheduledDate, 'format.appointment', scheduler.settings().timezone),
           method: appointment.method,
           location: appointment.location
-        },
-        statusUrl: `/status/${statusToken}`
+        } : null,
+        statusUrl: statusLink.statusUrl,
+        lookupCode: statusLink.lookupCode
       });
     } catch (error) {
       console.error('Onboarding error:', error);
@@ -115,69 +279,268 @@ function setupRoutes(app) {
     }
   });
 
+  // The navigator's answer to a resident's question, as the widget renders it.
+  // Safety screen first - a crisis gets hotlines immediately, never a model call.
+  // The session is flagged so a later intake is critical; a resident who has
+  // already submitted one (and sends their status token) is flagged now.
+  const answerNavigator = async (req, session, query, stream = null) => {
+    const crisis = detectCrisis(query);
+    if (crisis) {
+      const repo = getRepository();
+      const status = req.body.token ? statusTokens.verify(req.body.token) : {};
+      const hub = repo.getHubByCode((status.client && status.client.hubCode) || session.hubCode || 'HUB-LB-001');
+      const { reply, turnsLeft } = navigatorSessions.record(session, query, crisisResponse(crisis.category, hub, localeFor(req)), { crisis });
+      if (status.client) {
+        flagCrisis(req, status.client, crisis, 'navigator');
+      }
+      audit.record(req, 'navigator.crisis', {
+        clientId: status.client ? status.client.id : null,
+        details: { category: crisis.category, hubCode: hub ? hub.code : null, sessionId: session.id }
+      });
+      return { ...reply, turnsLeft };
+    }
+
+    const { reply, turnsLeft } = await navigatorSessions.ask(session, query, { context: req.body.context || {}, locale: localeFor(req), stream });
+    return {
+      response: reply.response,
+      confidence: reply.confidence,
+      source: reply.source,
+      resources: reply.resources || [],
+      turnsLeft,
+      ...(reply.cancelled ? { cancelled: true } : {})
+    };
+  };
+
+  const navigatorFallback = req => ({
+    response: translate(localeFor(req), 'answer.fallback'),
+    confidence: 0.5,
+    source: 'fallback'
+  });
+
   // AI Navigator endpoint
   app.post('/api/navigator', async (req, res) => {
     try {
-      const aiRouter = getAIRouter(config);
-      const query = req.body.query || '';
-      
-      const response = await aiRouter.route('navigator', query, {
-        context: req.body.context || {}
-      });
-      
-      res.json({
-        response: response.response,
-        confidence: response.confidence,
-        source: response.source
-      });
+      const query = String(req.body.query || '').trim();
+      if (!query) {
+        return res.status(400).json({ error: 'Please type a question' });
+      }
+      const session = navigatorSessionFor(req, res);
+      res.json(await answerNavigator(req, session, query));
     } catch (error) {
-      res.json({
-        response: "I'm here to help connect you with services. Please let a caseworker know what specific assistance you need.",
-        confidence: 0.5,
-        source: 'fallback'
+      res.json(navigatorFallback(req));
+    }
+  });
+
+  // Streaming navigator - the same answer as /api/navigator, sent as server-sent
+  // events: 'rules' with a rules-tier answer to show while a model is asked,
+  // 'token' with each piece of the model's answer, 'reset' when a model's draft is
+  // dropped (schema retry or escalation), then 'done' with the full reply in the
+  // JSON endpoint's shape. Closing the connection cancels the model call.
+  app.post('/api/navigator/stream', async (req, res) => {
+    const query = String(req.body.query || '').trim();
+    if (!query) {
+      return res.status(400).json({ error: 'Please type a question' });
+    }
+    const session = navigatorSessionFor(req, res);
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      // Proxies such as nginx would otherwise hold the stream until it ends
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const cancel = new AbortController();
+    res.on('close', () => cancel.abort());
+    const send = (event, data) => {
+      if (!res.writableEnded && !cancel.signal.aborted) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+
+    try {
+      const reply = await answerNavigator(req, session, query, {
+        signal: cancel.signal,
+        onRules: result => send('rules', { response: result.response, resources: result.resources || [] }),
+        onToken: text => send('token', { text }),
+        onReset: () => send('reset', {})
       });
+      send('done', reply);
+    } catch (error) {
+      send('done', navigatorFallback(req));
+    }
+    res.end();
+  });
+
+  // "Start over" in the navigator widget
+  app.post('/api/navigator/reset', (req, res) => {
+    const session = loadNavigatorSession(req);
+    if (session) {
+      navigatorSessions.discard(session);
+    }
+    res.clearCookie(NAVIGATOR_COOKIE);
+    res.json({ success: true });
+  });
+
+  // Status lookup for residents without their link - lookup code plus last 4 of phone
+  app.get('/status', (req, res) => {
+    const locale = localeFor(req);
+    res.send(renderStatusLookup(translator(locale), renderLanguageSwitcher(req, locale, 'text-gray-600')));
+  });
+
+  app.post('/status/lookup', (req, res) => {
+    const result = statusTokens.lookup(req.body.lookupCode, req.body.phoneLast4);
+    if (result.error) {
+      const t = translator(localeFor(req));
+      audit.record(req, 'status.lookup_failed', { details: { reason: result.error } });
+      return res.status(result.error === 'locked' ? 429 : 404).send(renderStatusLookup(t, '', t(`lookup.error.${result.error}`)));
     }
+    audit.record(req, 'status.lookup', { clientId: result.client.id });
+    res.redirect(statusTokens.issue(result.client).statusUrl);
   });
 
   // Resident status page
   app.get('/status/:token', (req, res) => {
     try {
-      const clientId = Buffer.from(req.params.token, 'base64').toString();
-      const repo = getRepository();
-      const client = repo.getClientById(clientId);
-      
-      if (!client) {
-        return res.status(404).send(renderErrorPage('Status not found'));
+      const result = statusTokens.verify(req.params.token);
+      if (result.error) {
+        const t = translator(localeFor(req));
+        return res.status(404).send(renderStatusLookup(t, '', `${t(`lookup.link.${result.error}`)} ${t('lookup.link.reenter')}`));
       }
-      
+
+      const repo = getRepository();
+      const client = result.client;
       const caseworker = repo.getCaseworkerById(client.caseworkerId);
-      const appointments = repo.getAppointmentsByClient(clientId);
-      
-      res.send(renderStatusPage(client, caseworker, appointments));
+      const appointments = repo.getAppointmentsByClient(client.id);
+
+      // The language the resident chose at intake, unless they switch on the page
+      const locale = localeFor(req, client.preferredLanguage);
+      audit.record(req, 'status.view', { clientId: client.id });
+      res.send(renderStatusPage(client, caseworker, appointments, req.params.token, translator(locale), renderLanguageSwitcher(req, locale, 'text-gray-600')));
     } catch (error) {
       res.status(404).send(renderErrorPage('Invalid status link'));
     }
   });
 
+  // Resident turns text/email reminders off or back on
+  app.post('/status/:token/notifications', (req, res) => {
+    const result = statusTokens.verify(req.params.token);
+    if (result.error) {
+      const t = translator(localeFor(req));
+      return res.status(404).send(renderStatusLookup(t, '', t('lookup.link.noLongerValid')));
+    }
+
+    const optOut = req.body.optOut === '1';
+    const client = getRepository().updateClient(result.client.id, {
+      notificationsOptOut: optOut,
+      notificationsOptOutAt: optOut ? dayjs().toISOString() : null
+    });
+    audit.record(req, optOut ? 'notifications.opt_out' : 'notifications.opt_in', { clientId: client.id });
+    res.redirect(`/status/${req.params.token}`);
+  });
+
   // Confirm appointment
-  app.post('/api/appointments/:id/confirm', (req, res) => {
+  app.post('/api/appointments/:id/confirm', loadResidentAppointment, (req, res) => {
     try {
-      const repo = getRepository();
-      const appointment = repo.updateAppointment(req.params.id, { 
+      const before = req.appointment;
+      if (before.status !== 'scheduled') {
+        return res.status(409).json({ success: false, error: 'This appointment can no longer be confirmed' });
+      }
+
+      const appointment = getRepository().changeAppointment(before.id, {
         status: 'confirmed',
         confirmedAt: dayjs().toISOString()
-      });
-      
+      }, { action: 'confirmed', by: 'resident' });
+
+      audit.record(req, 'appointment.confirm', { clientId: req.client.id, before, after: appointment });
       res.json({ success: true, appointment });
     } catch (error) {
       res.status(500).json({ success: false, error: 'Unable to confirm appointment' });
     }
   });
 
+  // Open slots a resident can move their appointment to
+  app.get('/api/appointments/:id/slots', loadResidentAppointment, (req, res) => {
+    const appointment = req.appointment;
+    const slots = getScheduler().findSlots({
+      caseworkerId: appointment.caseworkerId,
+      hubCode: appointment.hubCode || req.client.hubCode,
+      limit: RESCHEDULE_SLOT_LIMIT,
+      excludeAppointmentId: appointment.id
+    });
+    res.json({ slots });
+  });
+
+  app.post('/api/appointments/:id/reschedule', loadResidentAppointment, (req, res) => {
+    const before = req.appointment;
+    if (!CHANGEABLE_APPOINTMENT_STATUSES.includes(before.status)) {
+      return res.status(409).json({ success: false, error: 'This appointment can no longer be changed' });
+    }
+
+    // Only a slot the finder would offer is accepted - keeps bookings inside working hours
+    const slot = getScheduler().findSlots({
+      caseworkerId: before.caseworkerId,
+      hubCode: before.hubCode || req.client.hubCode,
+      limit: RESCHEDULE_SLOT_LIMIT,
+      excludeAppointmentId: before.id
+    }).find(s => s.start === req.body.start);
+    if (!slot) {
+      return res.status(409).json({ success: false, error: 'That time is no longer available' });
+    }
+
+    try {
+      const reason = String(req.body.reason || '').slice(0, 500);
+      const appointment = getRepository().changeAppointment(before.id, {
+        scheduledDate: slot.start,
+        durationMinutes: slot.durationMinutes,
+        status: 'scheduled',
+        confirmedAt: null
+      }, { action: 'rescheduled', by: 'resident', from: before.scheduledDate, to: slot.start, reason });
+
+      alertCaseworker(req.client, appointment, 'appointment.rescheduled',
+        `${req.client.name || 'A client'} moved their appointment from ${dayjs(before.scheduledDate).format('ddd MMM D h:mm A')} to ${dayjs(slot.start).format('ddd MMM D h:mm A')}${reason ? ` - "${reason}"` : ''}`);
+      audit.record(req, 'appointment.reschedule', { clientId: req.client.id, before, after: appointment, details: { reason } });
+      notifications.appointmentRescheduled(req.client, appointment);
+      res.json({ success: true, appointment });
+    } catch (error) {
+      if (error.code === 'APPOINTMENT_CONFLICT') {
+        return res.status(409).json({ success: false, error: 'That time is no longer available' });
+      }
+      res.status(500).json({ success: false, error: 'Unable to reschedule appointment' });
+    }
+  });
+
+  app.post('/api/appointments/:id/cancel', loadResidentAppointment, (req, res) => {
+    const before = req.appointment;
+    if (!CHANGEABLE_APPOINTMENT_STATUSES.includes(before.status)) {
+      return res.status(409).json({ success: false, error: 'This appointment can no longer be changed' });
+    }
+
+    try {
+      const reason = String(req.body.reason || '').slice(0, 500);
+      const appointment = getRepository().changeAppointment(before.id, {
+        status: 'cancelled',
+        cancelledAt: dayjs().toISOString()
+      }, { action: 'cancelled', by: 'resident', reason });
+
+      alertCaseworker(req.client, appointment, 'appointment.cancelled',
+        `${req.client.name || 'A client'} cancelled their ${dayjs(before.scheduledDate).format('ddd MMM D h:mm A')} appointment${reason ? ` - "${reason}"` : ''}`);
+      audit.record(req, 'appointment.cancel', { clientId: req.client.id, before, after: appointment, details: { reason } });
+      notifications.appointmentCancelled(req.client, appointment);
+      res.json({ success: true, appointment });
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Unable to cancel appointment' });
+    }
+  });
+
   // QR Code generation
   app.get('/qr/:code.png', async (req, res) => {
     try {
-      const url = `${req.protocol}://${req.get('host')}/onboard?hub=${req.params.code}`;
+      // ?lang= prints a code that opens the form in that language
+      const lang = supportedLocale(req.query.lang);
+      const url = `${req.protocol}://${req.get('host')}/onboard?hub=${encodeURIComponent(req.params.code)}${lang ? `&lang=${lang}` : ''}`;
       const qr = await QRCode.toBuffer(url, { width: 300, margin: 2 });
       res.set('Content-Type', 'image/png');
       res.send(qr);
@@ -196,11 +559,35 @@ function setupRoutes(app) {
   });
 
   app.post('/staff/auth', (req, res) => {
-    if (req.body.pin === config.STAFF_PIN) {
-      res.cookie('staff_auth', config.STAFF_PIN, { httpOnly: true, maxAge: 8 * 60 * 60 * 1000 });
-      return res.redirect('/dashboard');
+    const user = auth.authenticate(req.body.username, req.body.password);
+    if (user) {
+      auth.startSession(res, user);
+      return res.redirect(user.mustChangePassword ? '/account/password' : '/dashboard');
+    }
+    res.send(renderLoginPage('staff', 'Invalid username or password'));
+  });
+
+  // Change own password (required after first sign-in or an admin reset)
+  app.get('/account/password', (req, res) => {
+    if (!req.user) {
+      return res.redirect('/staff');
+    }
+    res.send(renderChangePassword(req.user));
+  });
+
+  app.post('/account/password', (req, res) => {
+    if (!req.user) {
+      return res.redirect('/staff');
+    }
+    if (req.body.newPassword !== req.body.confirmPassword) {
+      return res.send(renderChangePassword(req.user, 'New passwords do not match'));
+    }
+    try {
+      auth.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword);
+      res.redirect(can(req.user, 'admin:manage') ? '/admin' : '/dashboard');
+    } catch (error) {
+      res.send(renderChangePassword(req.user, error.message));
     }
-    res.send(renderLoginPage('staff', 'Invalid PIN'));
   });
 
   // Staff dashboard
@@ -209,30 +596,67 @@ function setupRoutes(app) {
     const filters = {
       urgency: req.query.urgency,
       need: req.query.need,
-      search: req.query.search
+      // To match residents with bilingual caseworkers
+      language: languageCode(req.query.language) || undefined,
+      // Search matches name/phone, so it is only offered to roles that can see them
+      search: can(req.user, 'clients:pii') ? req.query.search : undefined
     };
     
-    const clients = repo.getClients(filters);
-    res.send(renderDashboard(clients, filters));
+    const clients = repo.getClients({ ...filters, ...clientScope(req.user) })
+      .map(client => presentClient(req.user, client));
+
+    audit.record(req, 'client.list', {
+      clientIds: clients.map(client => client.id),
+      details: { pii: can(req.user, 'clients:pii'), filters }
+    });
+    const alerts = can(req.user, 'clients:write') ? repo.getUnreadAlerts(clientScope(req.user).caseworkerIds) : [];
+
+    // Care plan follow-ups cover the whole caseload, not just the filtered list
+    const caseload = new Map(repo.getClients(clientScope(req.user)).map(client => [client.id, presentClient(req.user, client)]));
+    const followUps = getCarePlans().followUps(new Set(caseload.keys()));
+    res.send(renderDashboard(clients, filters, req.user, alerts, { ...followUps, clients: caseload }));
   });
 
   // Manual client onboarding
-  app.get('/clients/new', requireStaff, (req, res) => {
+  app.get('/clients/new', requirePermission('clients:write'), (req, res) => {
     res.send(renderManualOnboarding());
   });
 
-  app.post('/api/clients', requireStaff, async (req, res) => {
+  app.post('/api/clients', requirePermission('clients:write'), async (req, res) => {
     try {
       const repo = getRepository();
       
+      // Only intake fields are taken from the body - ids, lookup codes, status link
+      // versions, crisis flags and audit fields are the server's to set
       const clientData = {
-        ...req.body,
+        name: req.body.name || '',
+        phone: req.body.phone || '',
+        email: req.body.email || '',
         needs: Array.isArray(req.body.needs) ? req.body.needs : [req.body.needs].filter(Boolean),
+        urgency: URGENCIES.includes(req.body.urgency) ? req.body.urgency : 'medium',
+        status: STAFF_INTAKE_STATUSES.includes(req.body.status) ? req.body.status : 'intake',
+        zipCode: req.body.zipCode || '',
         householdSize: parseInt(req.body.householdSize) || 1,
-        consent: parseInt(req.body.consent) || 1, // Staff entry defaults to consent
-        source: 'staff'
+        consent: parseInt(req.body.consent) === 0 ? 0 : 1, // Staff entry defaults to consent
+        hubCode: repo.getHubByCode(req.body.hubCode) ? req.body.hubCode : 'HUB-LB-001',
+        additionalInfo: req.body.additionalInfo || '',
+        preferredLanguage: languageCode(req.body.preferredLanguage) || DEFAULT_LOCALE,
+        source: 'staff',
+        createdBy: req.user.id
       };
 
+      // Caseworkers can only see their own caseload, so their entries are assigned to them;
+      // anyone else may only pick a caseworker inside their own scope
+      const scope = clientScope(req.user);
+      if (req.user.role === 'caseworker') {
+        clientData.caseworkerId = req.user.caseworkerId;
+      } else if (req.body.caseworkerId) {
+        if (!repo.getCaseworkerById(req.body.caseworkerId) || (scope.caseworkerIds && !scope.caseworkerIds.includes(req.body.caseworkerId))) {
+          return res.status(403).json({ success: false, error: 'That caseworker is outside your agency' });
+        }
+        clientData.caseworkerId = req.body.caseworkerId;
+      }
+
       const client = repo.createClient(clientData, clientData.consent === 0);
       
       // Auto-assign caseworker if not specified
@@ -241,6 +665,8 @@ function setupRoutes(app) {
         repo.updateClient(client.id, { caseworkerId: caseworker.id });
       }
 
+      audit.record(req, 'client.create', { clientId: client.id, before: null, after: repo.getClientById(client.id) });
+      notifications.caseworkerAssigned(repo.getClientById(client.id));
       res.json({ success: true, client });
     } catch (error) {
       res.status(500).json({ success: false, error: 'Unable to create client' });
@@ -248,20 +674,19 @@ function setupRoutes(app) {
   });
 
   // AI Triage suggestions
-  app.post('/api/triage/:clientId', requireStaff, async (req, res) => {
+  app.post('/api/triage/:clientId', requirePermission('ai:use'), loadScopedClient, async (req, res) => {
     try {
-      const repo = getRepository();
-      const client = repo.getClientById(req.params.clientId);
-      
-      if (!client) {
-        return res.status(404).json({ error: 'Client not found' });
-      }
-      
+      const client = req.client;
       const aiRouter = getAIRouter(config);
       const triage = await aiRouter.route('triage', client, {
-        caseworkerContext: req.body.context || {}
+        caseworkerContext: req.body.context || {},
+        requestedBy: req.user.id
+      });
+
+      audit.record(req, 'client.triage', {
+        clientId: client.id,
+        details: { source: triage.source, rulesVersion: triage.rulesVersion, ruleHits: (triage.ruleHits || []).map(hit => hit.id), decisionId: triage.decisionId }
       });
-      
       res.json(triage);
     } catch (error) {
       res.status(500).json({ error: 'Triage service unavailable' });
@@ -269,33 +694,244 @@ function setupRoutes(app) {
   });
 
   // AI Care plan draft
-  app.post('/api/careplan/:clientId', requireStaff, async (req, res) => {
+  app.post('/api/careplan/:clientId', requirePermission('ai:use'), loadScopedClient, async (req, res) => {
     try {
-      const repo = getRepository();
-      const client = repo.getClientById(req.params.clientId);
-      
-      if (!client) {
-        return res.status(404).json({ error: 'Client not found' });
-      }
-      
+      const client = req.client;
       const aiRouter = getAIRouter(config);
       const careplan = await aiRouter.route('careplan', client, {
-        caseworkerInput: req.body.input || {}
+        caseworkerInput: req.body.input || {},
+        requestedBy: req.user.id
+      });
+
+      audit.record(req, 'client.careplan', {
+        clientId: client.id,
+        details: { source: careplan.source, templates: (careplan.templates || []).map(template => template.id), decisionId: careplan.decisionId }
       });
-      
       res.json(careplan);
     } catch (error) {
       res.status(500).json({ error: 'Care plan service unavailable' });
     }
   });
 
+  // Caseworker feedback on an AI suggestion - accepted, edited (with what they changed) or rejected
+  app.post('/api/clients/:clientId/decisions/:decisionId/feedback', requirePermission('ai:use'), loadScopedClient, (req, res) => {
+    const decisionLog = getDecisionLog();
+    const decision = decisionLog.get(req.params.decisionId);
+    if (!decision || decision.clientId !== req.client.id) {
+      return res.status(404).json({ success: false, error: 'Suggestion not found' });
+    }
+    if (!VERDICTS.includes(req.body.verdict)) {
+      return res.status(400).json({ success: false, error: `verdict must be one of ${VERDICTS.join(', ')}` });
+    }
+
+    // A triage edit is the priority the caseworker would have chosen
+    const priority = req.body.priority;
+    const changes = decision.task === 'triage' && priority && priority !== decision.suggestion.priority
+      ? { priority: { from: decision.suggestion.priority, to: String(priority).slice(0, 20) } }
+      : null;
+    decisionLog.feedback(decision, { verdict: req.body.verdict, note: req.body.note, changes, userId: req.user.id });
+    audit.record(req, 'ai.feedback', {
+      clientId: req.client.id,
+      details: { decisionId: decision.id, task: decision.task, source: decision.source, verdict: req.body.verdict }
+    });
+    res.json({ success: true, verdict: req.body.verdict });
+  });
+
+  // Care plan page - the current version with task progress and its history. The
+  // editor starts from the current plan (?edit=1) or a fresh rules/AI draft (?draft=1).
+  app.get('/clients/:clientId/careplan', requireStaff, loadScopedClient, async (req, res) => {
+    try {
+      const carePlans = getCarePlans();
+      const client = req.client;
+      const current = carePlans.current(client.id);
+      const blank = { goals: [], tasks: [], resources: [], timeline: '90 days', reviewDate: dayjs().add(30, 'day').format('YYYY-MM-DD'), source: 'staff' };
+      let draft = null;
+      let error = '';
+
+      if (can(req.user, 'clients:write')) {
+        if (req.query.draft && can(req.user, 'ai:use')) {
+          // A failed suggestion still leaves the caseworker an editor to write the plan in
+          try {
+            const suggestion = await getAIRouter(config).route('careplan', client, { requestedBy: req.user.id });
+            audit.record(req, 'client.careplan', {
+              clientId: client.id,
+              details: { source: suggestion.source, templates: (suggestion.templates || []).map(template => template.id), decisionId: suggestion.decisionId }
+            });
+            draft = carePlans.fromSuggestion(suggestion);
+          } catch (draftError) {
+            console.error('Care plan draft error:', draftError.message);
+            error = 'A suggested care plan could not be drafted - write the plan below or try again.';
+            draft = current || blank;
+          }
+        } else if (req.query.edit) {
+          draft = current || blank;
+        }
+      }
+
+      audit.record(req, 'careplan.view', { clientId: client.id, details: { version: current ? current.version : null } });
+      res.send(renderCarePlanPage({
+        client: presentClient(req.user, client),
+        current,
+        history: carePlans.history(client.id),
+        draft,
+        users: getRepository().getUsers(),
+        user: req.user,
+        message: req.query.message,
+        error
+      }));
+    } catch (error) {
+      console.error('Care plan page error:', error.message);
+      res.status(500).send(renderErrorPage('The care plan could not be loaded. Please try again.'));
+    }
+  });
+
+  // Save the edited draft as a new version and schedule its review reminder
+  app.post('/clients/:clientId/careplan', requirePermission('clients:write'), loadScopedClient, (req, res) => {
+    const carePlans = getCarePlans();
+    const client = req.client;
+    const list = value => (Array.isArray(value) ? value : [value]).map(item => (item === undefined ? '' : String(item)));
+    const lines = value => String(value || '').split('\n');
+    const titles = list(req.body.task_title);
+    const draft = {
+      goals: lines(req.body.goals),
+      resources: lines(req.body.resources),
+      tasks: titles.map((title, index) => ({
+        id: list(req.body.task_id)[index] || null,
+        title,
+        owner: list(req.body.task_owner)[index],
+        dueDate: list(req.body.task_due)[index],
+        status: list(req.body.task_status)[index]
+      })),
+      timeline: req.body.timeline,
+      reviewDate: req.body.reviewDate,
+      source: req.body.source,
+      decisionId: req.body.decisionId || null
+    };
+
+    const previous = carePlans.current(client.id);
+    let plan;
+    try {
+      plan = carePlans.save(client, draft, { userId: req.user.id, note: req.body.note });
+    } catch (error) {
+      if (!error.errors) throw error;
+      return res.status(400).send(renderCarePlanPage({
+        client: presentClient(req.user, client),
+        current: previous,
+        history: carePlans.history(client.id),
+        draft: { ...draft, goals: draft.goals.filter(goal => goal.trim()), resources: draft.resources.filter(resource => resource.trim()) },
+        note: req.body.note,
+        errors: error.errors,
+        users: getRepository().getUsers(),
+        user: req.user
+      }));
+    }
+
+    const summary = version => (version ? { goals: version.goals, tasks: version.tasks.map(task => `${task.title} (${task.status})`), resources: version.resources, reviewDate: version.reviewDate } : null);
+    audit.record(req, 'careplan.save', {
+      clientId: client.id,
+      before: summary(previous),
+      after: summary(plan),
+      details: { version: plan.version, source: plan.source }
+    });
+
+    // Saving a suggested draft is the caseworker's verdict on the suggestion
+    const decisionLog = getDecisionLog();
+    const decision = draft.decisionId ? decisionLog.get(draft.decisionId) : null;
+    if (decision && decision.task === 'careplan' && decision.clientId === client.id && !decision.feedback) {
+      const { verdict, changes } = decisionLog.carePlanVerdict(decision, plan);
+      decisionLog.feedback(decision, { verdict, changes, userId: req.user.id, note: req.body.note });
+      audit.record(req, 'ai.feedback', {
+        clientId: client.id,
+        details: { decisionId: decision.id, task: decision.task, source: decision.source, verdict }
+      });
+    }
+    notifications.carePlanSaved(client, plan);
+    res.redirect(`/clients/${client.id}/careplan?message=${encodeURIComponent(`Saved care plan version ${plan.version}`)}`);
+  });
+
+  // Discard a suggested draft without saving it
+  app.post('/clients/:clientId/careplan/reject', requirePermission('ai:use'), loadScopedClient, (req, res) => {
+    const decisionLog = getDecisionLog();
+    const decision = decisionLog.get(String(req.body.decisionId || ''));
+    if (decision && decision.task === 'careplan' && decision.clientId === req.client.id) {
+      decisionLog.feedback(decision, { verdict: 'rejected', note: req.body.note, userId: req.user.id });
+      audit.record(req, 'ai.feedback', {
+        clientId: req.client.id,
+        details: { decisionId: decision.id, task: decision.task, source: decision.source, verdict: 'rejected' }
+      });
+    }
+    res.redirect(`/clients/${req.client.id}/careplan?message=Suggestion%20rejected`);
+  });
+
+  // Task progress on the current version - from the care plan page or the dashboard
+  app.post('/clients/:clientId/careplan/tasks/:taskId', requirePermission('clients:write'), loadScopedClient, (req, res) => {
+    const carePlans = getCarePlans();
+    const plan = carePlans.current(req.client.id);
+    const updated = plan ? carePlans.setTaskStatus(plan, req.params.taskId, req.body.status, req.user.id) : null;
+    if (updated) {
+      audit.record(req, 'careplan.task', {
+        clientId: req.client.id,
+        details: { version: plan.version, taskId: req.params.taskId, status: req.body.status }
+      });
+    }
+    res.redirect(req.body.returnTo === 'dashboard' ? '/dashboard' : `/clients/${req.client.id}/careplan${updated ? '' : '?message=That%20task%20could%20not%20be%20updated'}`);
+  });
+
+  // Reissue a resident's status link - earlier links stop working
+  app.post('/api/clients/:clientId/status-link', requirePermission('clients:write'), loadScopedClient, (req, res) => {
+    const statusLink = statusTokens.issue(req.client, { rotate: true });
+    audit.record(req, 'status.reissue', {
+      clientId: req.client.id,
+      before: req.client,
+      after: getRepository().getClientById(req.client.id)
+    });
+    res.json({
+      success: true,
+      ...statusLink,
+      statusUrl: `${req.protocol}://${req.get('host')}${statusLink.statusUrl}`
+    });
+  });
+
+  app.post('/api/clients/:clientId/status-link/revoke', requirePermission('clients:write'), loadScopedClient, (req, res) => {
+    const updated = statusTokens.revoke(req.client);
+    audit.record(req, 'status.revoke', { clientId: req.client.id, before: req.client, after: updated });
+    res.json({ success: true });
+  });
+
+  // Dismiss a dashboard alert
+  app.post('/api/alerts/:id/read', requirePermission('clients:write'), (req, res) => {
+    const repo = getRepository();
+    const alert = repo.getAlertById(req.params.id);
+    const scope = clientScope(req.user);
+    if (!alert || (scope.caseworkerIds && !scope.caseworkerIds.includes(alert.caseworkerId))) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    repo.markAlertRead(alert.id, req.user.id);
+    res.json({ success: true });
+  });
+
+  // Open appointment slots for a caseworker, optionally at a hub
+  app.get('/api/schedule/slots', requireStaff, (req, res) => {
+    const slots = getScheduler().findSlots({
+      caseworkerId: req.query.caseworkerId,
+      hubCode: req.query.hubCode,
+      limit: Math.min(parseInt(req.query.limit) || 10, 50)
+    });
+    res.json({ slots });
+  });
+
   // Staff CSV export
-  app.get('/export/staff.csv', requireStaff, (req, res) => {
+  app.get('/export/staff.csv', requirePermission('export:caseload'), (req, res) => {
     const repo = getRepository();
-    const clients = repo.getClients();
+    const clients = repo.getClients(clientScope(req.user))
+      .map(client => presentClient(req.user, client));
     
     const csv = generateStaffCSV(clients, repo);
-    
+    audit.record(req, 'export.caseload', {
+      clientIds: clients.map(client => client.id),
+      details: { pii: can(req.user, 'clients:pii') }
+    });
+
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', 'attachment; filename=staff-caseload.csv');
     res.send(csv);
@@ -307,39 +943,117 @@ function setupRoutes(app) {
 
   // Admin login
   app.get('/admin', (req, res) => {
-    if (req.cookies.admin_auth === config.ADMIN_PIN) {
-      return res.send(renderAdminHome());
+    if (can(req.user, 'admin:manage')) {
+      if (req.user.mustChangePassword) {
+        return res.redirect('/account/password');
+      }
+      return res.send(renderAdminHome(req.user));
     }
     res.send(renderLoginPage('admin'));
   });
 
   app.post('/admin/auth', (req, res) => {
-    if (req.body.pin === config.ADMIN_PIN) {
-      res.cookie('admin_auth', config.ADMIN_PIN, { httpOnly: true, maxAge: 8 * 60 * 60 * 1000 });
-      return res.redirect('/admin');
+    const user = auth.authenticate(req.body.username, req.body.password);
+    if (can(user, 'admin:manage')) {
+      auth.startSession(res, user);
+      return res.redirect(user.mustChangePassword ? '/account/password' : '/admin');
+    }
+    res.send(renderLoginPage('admin', 'Invalid username or password'));
+  });
+
+  // User management
+  app.get('/admin/users', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    res.send(renderUserManagement(repo.getUsers(), repo.getCaseworkers(), STAFF_ROLES, req.query.message, req.query.error));
+  });
+
+  app.post('/admin/users', requireAdmin, (req, res) => {
+    try {
+      const user = auth.createUser({
+        username: req.body.username,
+        name: req.body.name,
+        role: req.body.role,
+        caseworkerId: req.body.caseworkerId,
+        agency: req.body.agency,
+        password: req.body.password
+      });
+      res.redirect(`/admin/users?message=${encodeURIComponent(`Created ${user.username}`)}`);
+    } catch (error) {
+      res.redirect(`/admin/users?error=${encodeURIComponent(error.message)}`);
+    }
+  });
+
+  app.post('/admin/users/:id/disable', requireAdmin, (req, res) => {
+    if (req.params.id === req.user.id) {
+      return res.redirect(`/admin/users?error=${encodeURIComponent('You cannot disable your own account')}`);
+    }
+    const user = auth.setUserDisabled(req.params.id, true);
+    res.redirect(user ? `/admin/users?message=${encodeURIComponent(`Disabled ${user.username}`)}` : '/admin/users');
+  });
+
+  app.post('/admin/users/:id/enable', requireAdmin, (req, res) => {
+    const user = auth.setUserDisabled(req.params.id, false);
+    res.redirect(user ? `/admin/users?message=${encodeURIComponent(`Enabled ${user.username}`)}` : '/admin/users');
+  });
+
+  app.post('/admin/users/:id/reset', requireAdmin, (req, res) => {
+    try {
+      const user = auth.resetPassword(req.params.id, req.body.password);
+      res.redirect(user ? `/admin/users?message=${encodeURIComponent(`Reset password for ${user.username}`)}` : '/admin/users');
+    } catch (error) {
+      res.redirect(`/admin/users?error=${encodeURIComponent(error.message)}`);
     }
-    res.send(renderLoginPage('admin', 'Invalid PIN'));
   });
 
   // Analytics dashboard
-  app.get('/admin/analytics', requireAdmin, (req, res) => {
+  app.get('/admin/analytics', requirePermission('analytics:read', 'admin'), (req, res) => {
     const repo = getRepository();
     const analytics = repo.getAnalyticsData();
     res.send(renderAnalyticsDashboard(analytics));
   });
 
   // HUD/HMIS CSV export
-  app.get('/export/hmis.csv', requireAdmin, (req, res) => {
+  app.get('/export/hmis.csv', requirePermission('export:hmis', 'admin'), (req, res) => {
     const repo = getRepository();
-    const clients = repo.getClients();
+    const clients = repo.getClients()
+      .map(client => presentClient(req.user, client));
     
     const csv = generateHMISCSV(clients, repo);
-    
+    audit.record(req, 'export.hmis', {
+      clientIds: clients.map(client => client.id),
+      details: { pii: can(req.user, 'clients:pii') }
+    });
+
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', 'attachment; filename=hmis-export.csv');
     res.send(csv);
   });
 
+  // Audit log viewer and compliance export
+  const auditFilters = (query) => ({
+    clientId: query.clientId || undefined,
+    actorId: query.actorId || undefined,
+    action: query.action || undefined,
+    from: query.from ? dayjs(query.from).startOf('day').toISOString() : undefined,
+    to: query.to ? dayjs(query.to).endOf('day').toISOString() : undefined
+  });
+
+  app.get('/admin/audit', requirePermission('audit:read'), (req, res) => {
+    const entries = audit.query({ ...auditFilters(req.query), limit: 500 })
+      .map(entry => audit.present(req.user, entry));
+    res.send(renderAuditLog(entries, req.query, getRepository().getUsers(), audit.verify(), req.user));
+  });
+
+  app.get('/admin/audit/export.csv', requirePermission('audit:read'), (req, res) => {
+    const filters = auditFilters(req.query);
+    const entries = audit.query(filters).map(entry => audit.present(req.user, entry));
+    audit.record(req, 'audit.export', { clientId: filters.clientId || null, details: { filters, count: entries.length } });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=audit-log-${dayjs().format('YYYY-MM-DD')}.csv`);
+    res.send(generateAuditCSV(entries));
+  });
+
   // Feature flags management
   app.get('/admin/flags', requireAdmin, (req, res) => {
     const repo = getRepository();
@@ -352,7 +1066,8 @@ function setupRoutes(app) {
     const updates = {
       enableAINavigator: req.body.enableAINavigator === 'on',
       enableAICareplan: req.body.enableAICareplan === 'on',
-      enableAnalyticsRefresh: req.body.enableAnalyticsRefresh === 'on'
+      enableAnalyticsRefresh: req.body.enableAnalyticsRefresh === 'on',
+      updatedBy: req.user.id
     };
     
     repo.updateConfig(updates);
@@ -363,70 +1078,365 @@ function setupRoutes(app) {
   app.get('/admin/cost', requireAdmin, (req, res) => {
     const aiRouter = getAIRouter(config);
     const stats = aiRouter.getStats();
-    res.send(renderCostPanel(stats, config));
+    res.send(renderCostPanel(stats, config, aiRouter.controls(), getRepository().getUsers(), req.query.message));
   });
 
-  // Schedule management (mock)
-  app.get('/admin/schedule', requireAdmin, (req, res) => {
-    const repo = getRepository();
-    const configData = repo.getConfig();
-    res.send(renderSchedulePanel(configData));
+  // Clear one task's cached answers (namespace) or all of them
+  app.post('/admin/cache/clear', requireAdmin, (req, res) => {
+    const namespace = String(req.body.namespace || '').trim().slice(0, 50) || null;
+    const result = getAIRouter(config).costGuard.clearCache(namespace);
+    audit.record(req, 'ai.cache_clear', { details: { namespace, removed: result.removed } });
+    const message = `Cleared ${result.removed} cached answer${result.removed === 1 ? '' : 's'}${namespace ? ` for ${namespace}` : ''}`;
+    res.redirect(`/admin/cost?message=${encodeURIComponent(message)}`);
   });
 
-  // ================================
-  // KIOSK ROUTES
-  // ================================
+  // The AI switch and token limits take effect at once and are kept in the config
+  // document; a change that is not allowed re-renders the panel with the reason
+  const updateAIControls = (req, res, changes, message) => {
+    const aiRouter = getAIRouter(config);
+    const before = aiRouter.controls();
+    let after;
+    try {
+      after = aiRouter.updateControls(changes, { userId: req.user.id });
+    } catch (error) {
+      return res.status(400).send(renderCostPanel(aiRouter.getStats(), config, before, getRepository().getUsers(), '', error.message));
+    }
+    audit.record(req, 'ai.controls', {
+      before: { enabled: before.enabled, maxDailyTokens: before.maxDailyTokens, maxCheapTokens: before.maxCheapTokens, maxExpensiveTokens: before.maxExpensiveTokens },
+      after: { enabled: after.enabled, maxDailyTokens: after.maxDailyTokens, maxCheapTokens: after.maxCheapTokens, maxExpensiveTokens: after.maxExpensiveTokens }
+    });
+    res.redirect(`/admin/cost?message=${encodeURIComponent(message)}`);
+  };
 
-  // Start kiosk mode
-  app.get('/admin/kiosk/start', requireAdmin, (req, res) => {
-    res.cookie('kiosk_mode', 'true', { maxAge: 24 * 60 * 60 * 1000 }); // 24 hours
-    res.redirect('/kiosk');
+  app.post('/admin/ai/enabled', requireAdmin, (req, res) => {
+    const enabled = req.body.enabled === 'true';
+    updateAIControls(req, res, { enabled }, enabled ? 'AI features turned on' : 'AI features turned off - answers come from rules only');
   });
 
-  // Kiosk interface
-  app.get('/kiosk', requireKiosk, (req, res) => {
-    res.send(renderKioskInterface());
+  app.post('/admin/ai/limits', requireAdmin, (req, res) => {
+    const limit = field => (/^\d+$/.test(String(req.body[field] || '').trim()) ? parseInt(req.body[field]) : NaN);
+    updateAIControls(req, res, {
+      maxDailyTokens: limit('maxDailyTokens'),
+      maxCheapTokens: limit('maxCheapTokens'),
+      maxExpensiveTokens: limit('maxExpensiveTokens')
+    }, 'Token limits saved');
   });
 
-  // Exit kiosk mode
-  app.get('/admin/kiosk/exit', (req, res) => {
-    if (req.query.pin === config.ADMIN_PIN) {
-      res.clearCookie('kiosk_mode');
-      return res.redirect('/admin');
-    }
-    res.send(renderKioskExit());
+  // How often caseworkers take AI suggestions, by task, answering tier and confidence
+  app.get('/admin/ai-decisions', requireAdmin, (req, res) => {
+    const days = [7, 30, 90].includes(parseInt(req.query.days)) ? parseInt(req.query.days) : 30;
+    res.send(renderDecisionReport(getDecisionLog().report({ days }), getRepository().getUsers()));
   });
 
-  app.post('/admin/kiosk/exit', (req, res) => {
-    if (req.body.pin === config.ADMIN_PIN) {
-      res.clearCookie('kiosk_mode');
-      return res.redirect('/admin');
-    }
-    res.send(renderKioskExit('Invalid PIN'));
+  // Notification queue, quiet hours and message templates
+  app.get('/admin/notifications', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const filters = { status: req.query.status || '' };
+    const jobs = repo.getNotifications(filters.status ? { status: filters.status } : {}, 200);
+    res.send(renderNotificationsPanel(jobs, filters, notifications.settings(), req.query.message));
   });
 
-  // Logout routes
-  app.get('/staff/logout', (req, res) => {
-    res.clearCookie('staff_auth');
-    res.redirect('/staff');
+  // Resource directory - import summary and a search preview of what the navigator would cite
+  app.get('/admin/resources', requireAdmin, (req, res) => {
+    const directory = getResourceDirectory();
+    const preview = { query: String(req.query.q || '').trim(), zipCode: String(req.query.zip || '').trim() };
+    const matches = preview.query ? directory.search(preview.query, { zipCode: preview.zipCode, limit: 10 }) : [];
+    res.send(renderResourcesPanel(directory.stats(), preview, matches));
   });
 
-  app.get('/admin/logout', (req, res) => {
-    res.clearCookie('admin_auth');
-    res.redirect('/admin');
+  // Triage rules - edit as JSON, preview against a sample client, save as a new version
+  app.get('/admin/triage-rules', requireAdmin, (req, res) => {
+    const ruleSet = getTriageRuleEngine().current();
+    res.send(renderTriageRulesPanel(triageRulesPage({
+      rulesText: JSON.stringify(ruleSet.rules, null, 2),
+      sample: triageSample({}),
+      message: req.query.message
+    })));
   });
-}
 
-// ================================
-// RENDER FUNCTIONS
-// ================================
+  app.post('/admin/triage-rules', requireAdmin, (req, res) => {
+    const engine = getTriageRuleEngine();
+    const page = triageRulesPage({ rulesText: String(req.body.rules || ''), sample: triageSample(req.body), note: req.body.note || '' });
 
-function renderLandingPage() {
-  return `<!DOCTYPE html>
-<html lang="en" class="h-full">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    let rules;
+    try {
+      rules = JSON.parse(page.rulesText);
+    } catch (error) {
+      return res.status(400).send(renderTriageRulesPanel({ ...page, errors: [`Not valid JSON: ${error.message}`] }));
+    }
+    const errors = validateRules(rules);
+    if (errors.length) {
+      return res.status(400).send(renderTriageRulesPanel({ ...page, errors }));
+    }
+
+    // Preview runs the edited rules without saving them
+    if (req.body.action !== 'save') {
+      return res.send(renderTriageRulesPanel({ ...page, preview: evaluateRules(rules, page.sample.client, 'draft') }));
+    }
+
+    const previous = page.ruleSet;
+    const saved = engine.save(rules, { userId: req.user.id, note: req.body.note });
+    audit.record(req, 'triage_rules.update', {
+      before: { version: previous.version, rules: previous.rules },
+      after: { version: saved.version, rules: saved.rules },
+      details: { version: saved.version, note: saved.note }
+    });
+    res.redirect(`/admin/triage-rules?message=${encodeURIComponent(`Saved triage rules version ${saved.version}`)}`);
+  });
+
+  app.post('/admin/triage-rules/restore/:version', requireAdmin, (req, res) => {
+    const engine = getTriageRuleEngine();
+    const previous = engine.current();
+    const saved = engine.restore(parseInt(req.params.version), { userId: req.user.id });
+    if (!saved) {
+      return res.redirect('/admin/triage-rules?message=That%20version%20is%20no%20longer%20kept');
+    }
+    audit.record(req, 'triage_rules.update', {
+      before: { version: previous.version, rules: previous.rules },
+      after: { version: saved.version, rules: saved.rules },
+      details: { version: saved.version, restoredFrom: parseInt(req.params.version) }
+    });
+    res.redirect(`/admin/triage-rules?message=${encodeURIComponent(`Restored as version ${saved.version}`)}`);
+  });
+
+  // Care plan templates - same edit / preview / version flow as the triage rules
+  app.get('/admin/careplan-templates', requireAdmin, (req, res) => {
+    const library = getCarePlanTemplates().current();
+    res.send(renderCarePlanTemplatesPanel(careplanTemplatesPage({
+      templatesText: JSON.stringify(library.templates, null, 2),
+      sample: triageSample({}),
+      message: req.query.message
+    })));
+  });
+
+  app.post('/admin/careplan-templates', requireAdmin, (req, res) => {
+    const page = careplanTemplatesPage({ templatesText: String(req.body.templates || ''), sample: triageSample(req.body), note: req.body.note || '' });
+
+    let templates;
+    try {
+      templates = JSON.parse(page.templatesText);
+    } catch (error) {
+      return res.status(400).send(renderCarePlanTemplatesPanel({ ...page, errors: [`Not valid JSON: ${error.message}`] }));
+    }
+    const errors = validateTemplates(templates);
+    if (errors.length) {
+      return res.status(400).send(renderCarePlanTemplatesPanel({ ...page, errors }));
+    }
+
+    if (req.body.action !== 'save') {
+      return res.send(renderCarePlanTemplatesPanel({ ...page, preview: composeCarePlan(templates, page.sample.client, 'draft') }));
+    }
+
+    const previous = page.library;
+    const saved = getCarePlanTemplates().save(templates, { userId: req.user.id, note: req.body.note });
+    audit.record(req, 'careplan_templates.update', {
+      before: { version: previous.version, templates: previous.templates },
+      after: { version: saved.version, templates: saved.templates },
+      details: { version: saved.version, note: saved.note }
+    });
+    res.redirect(`/admin/careplan-templates?message=${encodeURIComponent(`Saved care plan templates version ${saved.version}`)}`);
+  });
+
+  app.post('/admin/careplan-templates/restore/:version', requireAdmin, (req, res) => {
+    const library = getCarePlanTemplates();
+    const previous = library.current();
+    const saved = library.restore(parseInt(req.params.version), { userId: req.user.id });
+    if (!saved) {
+      return res.redirect('/admin/careplan-templates?message=That%20version%20is%20no%20longer%20kept');
+    }
+    audit.record(req, 'careplan_templates.update', {
+      before: { version: previous.version, templates: previous.templates },
+      after: { version: saved.version, templates: saved.templates },
+      details: { version: saved.version, restoredFrom: parseInt(req.params.version) }
+    });
+    res.redirect(`/admin/careplan-templates?message=${encodeURIComponent(`Restored as version ${saved.version}`)}`);
+  });
+
+  app.post('/admin/notifications/settings', requireAdmin, (req, res) => {
+    const current = notifications.settings();
+    const templates = {};
+    Object.keys(DEFAULT_TEMPLATES).forEach(name => {
+      templates[name] = {
+        subject: req.body[`${name}_subject`] || current.templates[name].subject,
+        body: req.body[`${name}_body`] || current.templates[name].body
+      };
+    });
+
+    getRepository().updateConfig({
+      notifications: {
+        quietHours: { start: req.body.quietStart || '', end: req.body.quietEnd || '' },
+        reminderHours: parseInt(req.body.reminderHours) || current.reminderHours,
+        templates
+      },
+      updatedBy: req.user.id
+    });
+    res.redirect('/admin/notifications?message=Notification%20settings%20saved');
+  });
+
+  // Put a failed job back on the queue
+  app.post('/admin/notifications/:id/retry', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const job = repo.getNotificationById(req.params.id);
+    if (job && job.status === 'failed') {
+      repo.updateNotification(job.id, { status: 'queued', attempts: 0, error: null, sendAfter: dayjs().toISOString() });
+      setImmediate(() => notifications.processDue());
+    }
+    res.redirect('/admin/notifications?message=Notification%20queued%20for%20retry');
+  });
+
+  // Schedule management
+  app.get('/admin/schedule', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const configData = repo.getConfig();
+    res.send(renderSchedulePanel(configData, repo.getCaseworkers(), repo.getHubs(), getScheduler().settings(), req.query.message));
+  });
+
+  app.post('/admin/schedule/sla', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const current = getScheduler().settings();
+    const zone = String(req.body.timezone || '').trim();
+    if (zone && !validTimezone(zone)) {
+      return res.redirect(`/admin/schedule?message=${encodeURIComponent(`Unknown time zone ${zone} - use an IANA name like America/Los_Angeles`)}`);
+    }
+    const slaHours = {};
+    Object.keys(current.slaHours).forEach(urgency => {
+      slaHours[urgency] = parseInt(req.body[`sla_${urgency}`]) || current.slaHours[urgency];
+    });
+
+    repo.updateConfig({
+      scheduling: {
+        slotMinutes: parseInt(req.body.slotMinutes) || current.slotMinutes,
+        leadMinutes: parseInt(req.body.leadMinutes) >= 0 ? parseInt(req.body.leadMinutes) : current.leadMinutes,
+        searchDays: parseInt(req.body.searchDays) || current.searchDays,
+        timezone: zone || current.timezone,
+        slaHours
+      },
+      updatedBy: req.user.id
+    });
+    res.redirect('/admin/schedule?message=Scheduling%20rules%20saved');
+  });
+
+  // Caseworker working hours and slot length - a day with no start/end is a day off
+  app.post('/admin/schedule/caseworkers/:id', requireAdmin, (req, res) => {
+    const workingHours = {};
+    DAYS.forEach(day => {
+      const start = req.body[`${day}_start`];
+      const end = req.body[`${day}_end`];
+      if (start && end && start < end) {
+        workingHours[day] = { start, end };
+      }
+    });
+
+    const caseworker = getRepository().updateCaseworker(req.params.id, {
+      workingHours,
+      slotMinutes: parseInt(req.body.slotMinutes) || getScheduler().settings().slotMinutes
+    });
+    res.redirect(caseworker ? `/admin/schedule?message=${encodeURIComponent(`Saved hours for ${caseworker.name}`)}` : '/admin/schedule');
+  });
+
+  app.post('/admin/schedule/caseworkers/:id/time-off', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const caseworker = repo.getCaseworkerById(req.params.id);
+    if (!caseworker || !req.body.start) {
+      return res.redirect('/admin/schedule');
+    }
+
+    const timeOff = {
+      id: uuidv4(),
+      ...getScheduler().dayRange(req.body.start, req.body.end || req.body.start),
+      reason: req.body.reason || ''
+    };
+    repo.updateCaseworker(caseworker.id, { timeOff: [...(caseworker.timeOff || []), timeOff] });
+    res.redirect(`/admin/schedule?message=${encodeURIComponent(`Added time off for ${caseworker.name}`)}`);
+  });
+
+  app.post('/admin/schedule/caseworkers/:id/time-off/:timeOffId/delete', requireAdmin, (req, res) => {
+    const repo = getRepository();
+    const caseworker = repo.getCaseworkerById(req.params.id);
+    if (caseworker) {
+      repo.updateCaseworker(caseworker.id, {
+        timeOff: (caseworker.timeOff || []).filter(t => t.id !== req.params.timeOffId)
+      });
+    }
+    res.redirect('/admin/schedule?message=Time%20off%20removed');
+  });
+
+  // ================================
+  // KIOSK ROUTES
+  // ================================
+
+  // Start kiosk mode
+  app.get('/admin/kiosk/start', requireAdmin, (req, res) => {
+    res.cookie('kiosk_mode', 'true', { maxAge: 24 * 60 * 60 * 1000 }); // 24 hours
+    res.redirect('/kiosk');
+  });
+
+  // Kiosk interface
+  // Back on the home screen the kiosk is ready for the next resident, so it
+  // forgets the last one's language unless one is picked here
+  app.get('/kiosk', requireKiosk, (req, res) => {
+    if (!req.query.lang) {
+      res.clearCookie(LOCALE_COOKIE);
+    }
+    const locale = supportedLocale(req.query.lang) || fromAcceptLanguage(req.get('Accept-Language')) || DEFAULT_LOCALE;
+    res.send(renderKioskInterface(translator(locale), renderLanguageSwitcher(req, locale, 'text-white/70 text-lg')));
+  });
+
+  // Exit kiosk mode (admin credentials required)
+  app.get('/admin/kiosk/exit', (req, res) => {
+    res.send(renderKioskExit());
+  });
+
+  app.post('/admin/kiosk/exit', (req, res) => {
+    const user = auth.authenticate(req.body.username, req.body.password);
+    if (can(user, 'admin:manage')) {
+      res.clearCookie('kiosk_mode');
+      auth.startSession(res, user);
+      return res.redirect('/admin');
+    }
+    res.send(renderKioskExit('Invalid admin username or password'));
+  });
+
+  // Logout routes
+  app.get('/staff/logout', (req, res) => {
+    auth.endSession(req, res);
+    res.redirect('/staff');
+  });
+
+  app.get('/admin/logout', (req, res) => {
+    auth.endSession(req, res);
+    res.redirect('/admin');
+  });
+}
+
+// ================================
+// RENDER FUNCTIONS
+// ================================
+
+// Links to the current page in each interface language - ?lang= is kept by
+// rememberLocale for the rest of the visit
+function renderLanguageSwitcher(req, locale, className = '') {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  const links = LOCALES.map(code => {
+    url.searchParams.set('lang', code);
+    return code === locale
+      ? `<span class="font-semibold">${LANGUAGES[code].native}</span>`
+      : `<a href="${escapeHtml(url.pathname + url.search)}" lang="${code}" hreflang="${code}" class="underline">${LANGUAGES[code].native}</a>`;
+  });
+  return `<nav class="flex justify-end gap-3 text-sm ${className}" aria-label="${escapeHtml(translate(locale, 'language.label'))}">${links.join('')}</nav>`;
+}
+
+// Catalog messages for a page script, safe to embed in a <script> block
+function scriptMessages(t, prefixes) {
+  return JSON.stringify(messagesFor(t.locale, prefixes)).replace(/</g, '\\u003c');
+}
+
+function renderLandingPage(t, switcher) {
+  return `<!DOCTYPE html>
+<html lang="${t.locale}" class="h-full">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>First Contact E.I.S.</title>
     <script src="https://cdn.tailwindcss.com"></script>
     <style>
@@ -436,29 +1446,34 @@ function renderLandingPage() {
 <body class="h-full bg-gradient-to-br from-blue-900 via-purple-900 to-indigo-900 text-white">
     <div class="min-h-screen flex items-center justify-center p-4">
         <div class="glassmorphism border border-white/20 rounded-3xl p-8 max-w-md w-full text-center">
+            ${switcher}
             <div class="mb-8">
                 <h1 class="text-4xl font-bold mb-4 bg-gradient-to-r from-blue-200 to-purple-200 bg-clip-text text-transparent">
                     First Contact E.I.S.
                 </h1>
-                <p class="text-white/80 text-lg">Connect with human services in Long Beach</p>
+                <p class="text-white/80 text-lg">${t('landing.tagline')}</p>
             </div>
             
             <div class="space-y-4">
                 <a href="/onboard" class="block w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-4 px-6 rounded-2xl font-semibold text-lg hover:shadow-xl transition-all transform hover:scale-105">
-                    Get Help Now
+                    ${t('landing.getHelp')}
                 </a>
                 
                 <p class="text-white/60 text-sm">
-                    Access housing, employment, healthcare, and other essential services
+                    ${t('landing.services')}
                 </p>
+
+                <a href="/status" class="block text-blue-200 hover:text-white text-sm underline">
+                    ${t('landing.checkStatus')}
+                </a>
             </div>
             
             <div class="mt-8 pt-6 border-t border-white/20">
-                <p class="text-white/50 text-xs mb-2">Service Providers</p>
+                <p class="text-white/50 text-xs mb-2">${t('landing.providers')}</p>
                 <div class="flex gap-2 justify-center text-xs">
-                    <a href="/staff" class="text-blue-300 hover:text-blue-200">Staff Portal</a>
+                    <a href="/staff" class="text-blue-300 hover:text-blue-200">${t('landing.staffPortal')}</a>
                     <span class="text-white/30">•</span>
-                    <a href="/admin" class="text-purple-300 hover:text-purple-200">Admin</a>
+                    <a href="/admin" class="text-purple-300 hover:text-purple-200">${t('landing.admin')}</a>
                 </div>
             </div>
         </div>
@@ -467,13 +1482,13 @@ function renderLandingPage() {
 </html>`;
 }
 
-function renderOnboardingForm(hubInfo) {
+function renderOnboardingForm(hubInfo, t, switcher) {
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${t.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Get Help - First Contact E.I.S.</title>
+    <title>${t('onboard.pageTitle')} - First Contact E.I.S.</title>
     <script src="https://cdn.tailwindcss.com"></script>
     <style>
         .glassmorphism { backdrop-filter: blur(16px); background: rgba(255, 255, 255, 0.95); }
@@ -483,9 +1498,10 @@ function renderOnboardingForm(hubInfo) {
     <div class="container mx-auto px-4 py-8">
         <div class="max-w-2xl mx-auto">
             <div class="glassmorphism rounded-3xl p-8 shadow-xl border border-white/50">
+                ${switcher}
                 <div class="text-center mb-8">
-                    <h1 class="text-3xl font-bold text-gray-800 mb-2">How can we help you?</h1>
-                    <p class="text-gray-600">Tell us what you need - we're here to connect you with the right services</p>
+                    <h1 class="text-3xl font-bold text-gray-800 mb-2">${t('onboard.title')}</h1>
+                    <p class="text-gray-600">${t('onboard.subtitle')}</p>
                 </div>
 
                 <form id="onboardingForm" class="space-y-6">
@@ -493,22 +1509,28 @@ function renderOnboardingForm(hubInfo) {
                     
                     <div class="grid md:grid-cols-2 gap-4">
                         <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">Name (optional)</label>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.name')}</label>
                             <input type="text" name="name" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent">
                         </div>
                         <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">Phone (optional)</label>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.phone')}</label>
                             <input type="tel" name="phone" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent">
                         </div>
                     </div>
 
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-3">What type of help do you need? *</label>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.email')}</label>
+                        <input type="email" name="email" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                        <p class="text-xs text-gray-500 mt-1">${t('onboard.reminderHint')}</p>
+                    </div>
+
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-3">${t('onboard.needs')}</label>
                         <div class="grid grid-cols-2 gap-3">
                             ${['housing', 'employment', 'mental-health', 'medical', 'food', 'veterans', 'substance-abuse', 'legal', 'utilities', 'transportation'].map(need => 
                                 `<label class="flex items-center p-3 border border-gray-300 rounded-xl hover:bg-blue-50 cursor-pointer">
                                     <input type="checkbox" name="needs" value="${need}" class="mr-3 text-blue-600">
-                                    <span class="text-sm font-medium capitalize">${need.replace('-', ' ')}</span>
+                                    <span class="text-sm font-medium">${t(`need.${need}`)}</span>
                                 </label>`
                             ).join('')}
                         </div>
@@ -516,27 +1538,43 @@ function renderOnboardingForm(hubInfo) {
 
                     <div class="grid md:grid-cols-3 gap-4">
                         <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">How urgent? *</label>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.urgency')}</label>
                             <select name="urgency" required class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500">
-                                <option value="low">I can wait</option>
-                                <option value="medium" selected>Soon</option>
-                                <option value="high">This week</option>
-                                <option value="critical">Emergency</option>
+                                <option value="low">${t('urgency.low')}</option>
+                                <option value="medium" selected>${t('urgency.medium')}</option>
+                                <option value="high">${t('urgency.high')}</option>
+                                <option value="critical">${t('urgency.critical')}</option>
                             </select>
                         </div>
                         <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">ZIP Code</label>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.zipCode')}</label>
                             <input type="text" name="zipCode" maxlength="5" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500">
                         </div>
                         <div>
-                            <label class="block text-sm font-medium text-gray-700 mb-1">Household Size</label>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.householdSize')}</label>
                             <input type="number" name="householdSize" min="1" value="1" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500">
                         </div>
                     </div>
 
+                    <div class="grid md:grid-cols-2 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.meet')}</label>
+                            <select name="appointmentMethod" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500">
+                                <option value="in-person" selected>${hubInfo ? t('onboard.inPersonAt', { hub: escapeHtml(hubInfo.name) }) : t('onboard.inPerson')}</option>
+                                <option value="phone">${t('onboard.byPhone')}</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.language')}</label>
+                            <select name="preferredLanguage" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500">
+                                ${Object.entries(LANGUAGES).map(([code, language]) => `<option value="${code}" lang="${code}" ${code === t.locale ? 'selected' : ''}>${language.native}</option>`).join('')}
+                            </select>
+                        </div>
+                    </div>
+
                     <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Additional Information</label>
-                        <textarea name="additionalInfo" rows="3" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500" placeholder="Anything else we should know?"></textarea>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">${t('onboard.additionalInfo')}</label>
+                        <textarea name="additionalInfo" rows="3" class="w-full px-4 py-3 border border-gray-300 rounded-xl focus:ring-2 focus:ring-blue-500" placeholder="${t('onboard.additionalPlaceholder')}"></textarea>
                     </div>
 
                     <div class="border-t pt-6">
@@ -544,7 +1582,7 @@ function renderOnboardingForm(hubInfo) {
                             <label class="flex items-start">
                                 <input type="radio" name="consent" value="1" required class="mt-1 mr-3 text-blue-600">
                                 <span class="text-sm text-gray-700">
-                                    <strong>Yes, I consent</strong> to sharing my information with service providers to help me access resources.
+                                    ${t('onboard.consentYes')}
                                 </span>
                             </label>
                         </div>
@@ -552,33 +1590,42 @@ function renderOnboardingForm(hubInfo) {
                             <label class="flex items-start">
                                 <input type="radio" name="consent" value="0" required class="mt-1 mr-3 text-blue-600">
                                 <span class="text-sm text-gray-700">
-                                    <strong>No consent</strong> - I want help but prefer to remain anonymous.
+                                    ${t('onboard.consentNo')}
                                 </span>
                             </label>
                         </div>
                     </div>
 
+                    <!-- Enabled once the resident has used the navigator -->
+                    <label id="transcriptOption" class="hidden flex items-start bg-blue-50 p-4 rounded-xl">
+                        <input type="checkbox" name="includeTranscript" value="1" checked disabled class="mt-1 mr-3 text-blue-600">
+                        <span class="text-sm text-gray-700">${t('onboard.shareTranscript')}</span>
+                    </label>
+
                     <div class="flex gap-4">
                         <button type="button" id="navigatorBtn" class="flex-1 bg-gray-100 text-gray-700 py-4 px-6 rounded-xl font-semibold hover:bg-gray-200 transition-colors">
-                            💬 Ask Navigator
+                            ${t('onboard.askNavigator')}
                         </button>
                         <button type="submit" class="flex-1 bg-gradient-to-r from-blue-600 to-purple-600 text-white py-4 px-6 rounded-xl font-semibold hover:shadow-lg transition-all">
-                            Submit Request
+                            ${t('onboard.submit')}
                         </button>
                     </div>
                 </form>
 
                 <div id="navigatorChat" class="hidden mt-6 p-4 bg-blue-50 rounded-xl">
                     <div class="mb-4">
-                        <h3 class="font-semibold text-blue-900 mb-2">AI Navigator</h3>
+                        <div class="flex justify-between items-center mb-2">
+                            <h3 class="font-semibold text-blue-900">${t('navigator.title')}</h3>
+                            <button type="button" id="resetNavigator" class="text-xs text-blue-700 underline">${t('navigator.startOver')}</button>
+                        </div>
                         <div id="chatMessages" class="space-y-2 mb-4 max-h-40 overflow-y-auto">
                             <div class="text-sm text-blue-800 bg-white p-3 rounded-lg">
-                                Hi! I can help explain what services are available. What would you like to know?
+                                ${t('navigator.greeting')}
                             </div>
                         </div>
                         <div class="flex gap-2">
-                            <input type="text" id="navigatorInput" class="flex-1 px-3 py-2 text-sm border border-blue-300 rounded-lg" placeholder="Ask about services...">
-                            <button id="sendNavigator" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Send</button>
+                            <input type="text" id="navigatorInput" class="flex-1 px-3 py-2 text-sm border border-blue-300 rounded-lg" placeholder="${t('navigator.placeholder')}">
+                            <button id="sendNavigator" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">${t('navigator.send')}</button>
                         </div>
                     </div>
                 </div>
@@ -589,17 +1636,34 @@ function renderOnboardingForm(hubInfo) {
     <div id="successModal" class="hidden fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
         <div class="bg-white rounded-3xl p-8 max-w-md w-full text-center">
             <div class="text-green-600 text-6xl mb-4">✓</div>
-            <h2 class="text-2xl font-bold text-gray-800 mb-4">Request Submitted!</h2>
+            <h2 class="text-2xl font-bold text-gray-800 mb-4">${t('success.title')}</h2>
             <div id="successContent" class="text-gray-600 space-y-2"></div>
             <div class="mt-6 space-y-3">
-                <button id="confirmAppointment" class="w-full bg-green-600 text-white py-3 px-6 rounded-xl font-semibold">Confirm Appointment</button>
-                <button id="rescheduleAppointment" class="w-full bg-gray-100 text-gray-700 py-3 px-6 rounded-xl font-semibold">Request Reschedule</button>
-                <a id="statusLink" href="#" class="block text-blue-600 text-sm underline">View Status Page</a>
+                <button id="confirmAppointment" class="w-full bg-green-600 text-white py-3 px-6 rounded-xl font-semibold">${t('success.confirm')}</button>
+                <button id="rescheduleAppointment" class="w-full bg-gray-100 text-gray-700 py-3 px-6 rounded-xl font-semibold">${t('success.reschedule')}</button>
+                <a id="statusLink" href="#" class="block text-blue-600 text-sm underline">${t('success.statusLink')}</a>
             </div>
         </div>
     </div>
 
     <script>
+        // Chat text comes from the resident and from the model - never insert it as HTML
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML;
+        }
+
+        // Page text in the resident's language; values are escaped, so the result is HTML
+        const LOCALE = '${t.locale}';
+        const MESSAGES = ${scriptMessages(t, ['js.', 'method.'])};
+        function msg(key, values = {}) {
+            return (MESSAGES[key] || key).replace(/\{(\w+)\}/g, (placeholder, name) => values[name] !== undefined ? escapeText(values[name]) : placeholder);
+        }
+
+        // Set once the intake is submitted, so the navigator can flag this client
+        let statusToken = null;
+
         // Navigator chat functionality
         document.getElementById('navigatorBtn').addEventListener('click', function() {
             const chat = document.getElementById('navigatorChat');
@@ -611,32 +1675,146 @@ function renderOnboardingForm(hubInfo) {
             if (e.key === 'Enter') sendNavigatorMessage();
         });
 
+        // The answer being written - cancelled when the resident asks something else
+        let navigatorRequest = null;
+
         async function sendNavigatorMessage() {
             const input = document.getElementById('navigatorInput');
             const messages = document.getElementById('chatMessages');
             const query = input.value.trim();
+            const zipCode = document.querySelector('input[name="zipCode"]').value.trim();
             
             if (!query) return;
+            if (navigatorRequest) navigatorRequest.abort();
+            const request = new AbortController();
+            navigatorRequest = request;
             
-            // Add user message
-            messages.innerHTML += \`<div class="text-sm bg-blue-600 text-white p-3 rounded-lg ml-8">$\{query}</div>\`;
+            // Add user message, and the bubble the answer is written into
+            messages.insertAdjacentHTML('beforeend', \`<div class="text-sm bg-blue-600 text-white p-3 rounded-lg ml-8">$\{escapeText(query)}</div>\`);
+            const bubble = document.createElement('div');
+            bubble.className = 'text-sm text-blue-800 bg-white p-3 rounded-lg whitespace-pre-line';
+            bubble.textContent = '…';
+            messages.appendChild(bubble);
+            messages.scrollTop = messages.scrollHeight;
             input.value = '';
             
+            const body = JSON.stringify({
+                query,
+                context: /^\\d{5}$/.test(zipCode) ? { zipCode } : {},
+                hubCode: document.querySelector('input[name="hubCode"]').value,
+                token: statusToken
+            });
+            try {
+                // Browsers or proxies that cannot stream get the plain JSON endpoint
+                const data = await streamNavigator(body, bubble, request.signal) || await postNavigator(body, request.signal);
+                renderNavigatorReply(bubble, data);
+                if (data.turnsLeft === 0) {
+                    input.disabled = true;
+                    input.placeholder = msg('js.navigator.capped');
+                }
+                const transcriptOption = document.getElementById('transcriptOption');
+                transcriptOption.classList.remove('hidden');
+                transcriptOption.querySelector('input').disabled = false;
+            } catch (error) {
+                if (request.signal.aborted) {
+                    bubble.className = 'text-xs text-gray-500 italic px-3';
+                    bubble.textContent = msg('js.navigator.stopped');
+                } else {
+                    bubble.outerHTML = \`<div class="text-sm text-red-800 bg-red-50 p-3 rounded-lg">$\{msg('js.navigator.trouble')}</div>\`;
+                }
+            } finally {
+                if (navigatorRequest === request) navigatorRequest = null;
+                messages.scrollTop = messages.scrollHeight;
+            }
+        }
+
+        function postNavigator(body, signal) {
+            return fetch(\`/api/navigator?lang=$\{LOCALE}\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal
+            }).then(response => response.json());
+        }
+
+        // Writes the answer into the bubble as it arrives; resolves with the final
+        // reply, or null when the server did not stream
+        async function streamNavigator(body, bubble, signal) {
+            let response;
             try {
-                const response = await fetch('/api/navigator', {
+                response = await fetch(\`/api/navigator/stream?lang=$\{LOCALE}\`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ query, context: {} })
+                    headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+                    body,
+                    signal
                 });
-                const data = await response.json();
-                
-                messages.innerHTML += \`<div class="text-sm text-blue-800 bg-white p-3 rounded-lg">$\{data.response}</div>\`;
-                messages.scrollTop = messages.scrollHeight;
             } catch (error) {
-                messages.innerHTML += \`<div class="text-sm text-red-800 bg-red-50 p-3 rounded-lg">Sorry, I'm having trouble connecting right now.</div>\`;
+                if (signal.aborted) throw error;
+                return null;
+            }
+            if (!response.ok || !response.body || !(response.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+                return null;
+            }
+
+            const messages = document.getElementById('chatMessages');
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let drafting = false;
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\\n\\n');
+                buffer = events.pop();
+                for (const block of events) {
+                    const name = (block.match(/^event: (.*)$/m) || [])[1];
+                    const data = JSON.parse((block.match(/^data: (.*)$/m) || [])[1] || '{}');
+                    if (name === 'done') return data;
+                    if (name === 'rules') {
+                        // Shown until the model's answer starts
+                        bubble.textContent = data.response;
+                        drafting = false;
+                    } else if (name === 'token') {
+                        if (!drafting) bubble.textContent = '';
+                        drafting = true;
+                        bubble.textContent += data.text;
+                    } else if (name === 'reset') {
+                        bubble.textContent = '…';
+                        drafting = false;
+                    }
+                    messages.scrollTop = messages.scrollHeight;
+                }
+            }
+            throw new Error('Navigator stream ended early');
+        }
+
+        function renderNavigatorReply(bubble, data) {
+            if (data.crisis) {
+                bubble.outerHTML = \`<div class="text-sm text-red-900 bg-red-50 border border-red-200 p-3 rounded-lg">
+                    $\{escapeText(data.response)}
+                    <div class="mt-2 space-y-1">$\{data.crisis.resources.map(line => \`<a href="tel:$\{escapeText(line.phone.replace(/[^0-9+]/g, ''))}" class="block font-semibold underline">$\{escapeText(line.name)}: $\{escapeText(line.phone)}</a>\`).join('')}</div>
+                </div>\`;
+            } else {
+                const calls = (data.resources || []).filter(resource => resource.phone);
+                bubble.outerHTML = \`<div class="text-sm text-blue-800 bg-white p-3 rounded-lg whitespace-pre-line">$\{escapeText(data.response)}$\{calls.length ? \`
+                    <div class="mt-2 space-y-1">$\{calls.map(resource => \`<a href="tel:$\{escapeText(resource.phone.replace(/[^0-9+]/g, ''))}" class="block font-semibold underline">$\{msg('js.navigator.call', { name: resource.name })}</a>\`).join('')}</div>\` : ''}</div>\`;
             }
         }
 
+        document.getElementById('resetNavigator').addEventListener('click', async function() {
+            if (navigatorRequest) navigatorRequest.abort();
+            await fetch('/api/navigator/reset', { method: 'POST' });
+            const messages = document.getElementById('chatMessages');
+            messages.innerHTML = \`<div class="text-sm text-blue-800 bg-white p-3 rounded-lg">$\{msg('js.navigator.greeting')}</div>\`;
+            const input = document.getElementById('navigatorInput');
+            input.disabled = false;
+            input.placeholder = msg('js.navigator.placeholder');
+            const transcriptOption = document.getElementById('transcriptOption');
+            transcriptOption.classList.add('hidden');
+            transcriptOption.querySelector('input').disabled = true;
+        });
+
         // Form submission
         document.getElementById('onboardingForm').addEventListener('submit', async function(e) {
             e.preventDefault();
@@ -645,7 +1823,7 @@ function renderOnboardingForm(hubInfo) {
             const needs = formData.getAll('needs');
             
             if (needs.length === 0) {
-                alert('Please select at least one type of help you need.');
+                alert(msg('js.onboard.selectNeed'));
                 return;
             }
 
@@ -653,7 +1831,7 @@ function renderOnboardingForm(hubInfo) {
             data.needs = needs;
 
             try {
-                const response = await fetch('/api/onboard', {
+                const response = await fetch(\`/api/onboard?lang=$\{LOCALE}\`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(data)
@@ -664,10 +1842,10 @@ function renderOnboardingForm(hubInfo) {
                 if (result.success) {
                     showSuccessModal(result);
                 } else {
-                    alert('There was an error submitting your request. Please try again.');
+                    alert(msg('js.onboard.error'));
                 }
             } catch (error) {
-                alert('Unable to submit request. Please check your connection and try again.');
+                alert(msg('js.onboard.offline'));
             }
         });
 
@@ -676,26 +1854,37 @@ function renderOnboardingForm(hubInfo) {
             const content = document.getElementById('successContent');
             
             content.innerHTML = \`
-                <p><strong>Your caseworker is $\{result.caseworker.name}</strong></p>
-                <p><strong>Your appointment via $\{result.appointment.method} is $\{result.appointment.date}</strong></p>
-                <p class="text-sm mt-2">Confirm or request reschedule below.</p>
+                <p><strong>$\{msg('js.success.caseworker', { name: result.caseworker.name })}</strong></p>
+                $\{result.appointment ? \`
+                <p><strong>$\{msg('js.success.appointment', { method: msg('method.' + result.appointment.method), date: result.appointment.date })}</strong></p>
+                <p class="text-sm">$\{escapeText(result.appointment.location)}</p>
+                \` : \`<p><strong>$\{msg('js.success.contactSoon')}</strong></p>\`}
+                <p class="text-sm mt-2">$\{msg('js.success.lookupCode', { code: result.lookupCode })}</p>
+                $\{result.appointment ? \`<p class="text-sm mt-2">$\{msg('js.success.confirmBelow')}</p>\` : ''}
             \`;
             
             document.getElementById('statusLink').href = result.statusUrl;
+            statusToken = result.statusUrl.split('/').pop();
+            document.getElementById('confirmAppointment').classList.toggle('hidden', !result.appointment);
+            document.getElementById('rescheduleAppointment').classList.toggle('hidden', !result.appointment);
             
             document.getElementById('confirmAppointment').onclick = async function() {
                 try {
-                    await fetch(\`/api/appointments/$\{result.appointment.id}/confirm\`, { method: 'POST' });
-                    alert('Appointment confirmed! You will receive a reminder.');
+                    const response = await fetch(\`/api/appointments/$\{result.appointment.id}/confirm\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ token: result.statusUrl.split('/').pop() })
+                    });
+                    if (!response.ok) throw new Error('Failed to confirm');
+                    alert(msg('js.appointment.confirmed'));
                     window.location.href = result.statusUrl;
                 } catch (error) {
-                    alert('Unable to confirm appointment. Please call your caseworker.');
+                    alert(msg('js.appointment.confirmError'));
                 }
             };
             
             document.getElementById('rescheduleAppointment').onclick = function() {
-                alert('Please call your caseworker to reschedule: ' + result.caseworker.name);
-                window.location.href = result.statusUrl;
+                window.location.href = result.statusUrl + '#reschedule';
             };
             
             modal.classList.remove('hidden');
@@ -722,15 +1911,20 @@ function renderLoginPage(role, error = '') {
         <div class="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
             <div class="text-center mb-8">
                 <h2 class="text-3xl font-bold text-gray-900">${title}</h2>
-                <p class="text-gray-600 mt-2">Enter your PIN to continue</p>
+                <p class="text-gray-600 mt-2">Sign in with your username and password</p>
             </div>
             
             ${error ? `<div class="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">${error}</div>` : ''}
             
             <form method="POST" action="${action}">
+                <div class="mb-4">
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Username</label>
+                    <input type="text" name="username" required autocomplete="username"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </div>
                 <div class="mb-6">
-                    <label class="block text-sm font-medium text-gray-700 mb-2">PIN</label>
-                    <input type="password" name="pin" required 
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Password or PIN</label>
+                    <input type="password" name="password" required autocomplete="current-password"
                            class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-center text-lg tracking-widest">
                 </div>
                 <button type="submit" class="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-700 transition-colors">
@@ -747,13 +1941,67 @@ function renderLoginPage(role, error = '') {
 </html>`;
 }
 
-function renderDashboard(clients, filters) {
+function renderChangePassword(user, error = '') {
+  return `<!DOCTYPE html>
+<html lang="en" class="h-full">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Change Password - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="h-full bg-gray-50">
+    <div class="min-h-full flex items-center justify-center py-12 px-4">
+        <div class="max-w-md w-full bg-white rounded-2xl shadow-xl p-8">
+            <div class="text-center mb-8">
+                <h2 class="text-3xl font-bold text-gray-900">Change Password</h2>
+                <p class="text-gray-600 mt-2">Signed in as <strong>${escapeHtml(user.username)}</strong></p>
+                ${user.mustChangePassword ? '<p class="text-orange-600 text-sm mt-2">Please choose a new password before continuing.</p>' : ''}
+            </div>
+            
+            ${error ? `<div class="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">${escapeHtml(error)}</div>` : ''}
+            
+            <form method="POST" action="/account/password" class="space-y-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Current Password or PIN</label>
+                    <input type="password" name="currentPassword" required autocomplete="current-password"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">New Password</label>
+                    <input type="password" name="newPassword" required autocomplete="new-password"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-2">Confirm New Password</label>
+                    <input type="password" name="confirmPassword" required autocomplete="new-password"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent">
+                </div>
+                <button type="submit" class="w-full bg-blue-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-blue-700 transition-colors">
+                    Update Password
+                </button>
+            </form>
+            
+            <div class="mt-6 text-center">
+                <a href="${user.role === 'admin' ? '/admin/logout' : '/staff/logout'}" class="text-blue-600 text-sm hover:text-blue-500">Sign out</a>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderDashboard(clients, filters, user, alerts = [], followUps = { overdueTasks: [], reviewsDue: [], clients: new Map() }) {
   const urgencyColors = {
     'critical': 'bg-red-100 text-red-800',
     'high': 'bg-orange-100 text-orange-800',
     'medium': 'bg-yellow-100 text-yellow-800',
     'low': 'bg-green-100 text-green-800'
   };
+  const clientName = clientId => {
+    const client = followUps.clients.get(clientId);
+    return client && client.name ? client.name : 'Anonymous User';
+  };
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -769,8 +2017,12 @@ function renderDashboard(clients, filters) {
             <div class="flex justify-between items-center">
                 <h1 class="text-xl font-bold text-gray-800">Staff Dashboard</h1>
                 <div class="flex items-center space-x-4">
-                    <a href="/clients/new" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">+ Manual Onboarding</a>
+                    ${can(user, 'clients:write') ? '<a href="/clients/new" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">+ Manual Onboarding</a>' : ''}
                     <a href="/export/staff.csv" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Export CSV</a>
+                    ${can(user, 'analytics:read') ? '<a href="/admin/analytics" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Analytics</a>' : ''}
+                    ${can(user, 'audit:read') ? '<a href="/admin/audit" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Audit Log</a>' : ''}
+                    <span class="text-gray-500 text-sm">${escapeHtml(user.name)} (${user.role})</span>
+                    <a href="/account/password" class="text-gray-600 text-sm">Change Password</a>
                     <a href="/staff/logout" class="text-gray-600 text-sm">Logout</a>
                 </div>
             </div>
@@ -778,11 +2030,61 @@ function renderDashboard(clients, filters) {
     </nav>
 
     <div class="container mx-auto px-4 py-8">
+        ${alerts.length ? `
+        <!-- Alerts -->
+        <div class="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+            <h2 class="text-sm font-semibold text-yellow-900 mb-2">Alerts (${alerts.length})</h2>
+            <ul class="space-y-2">
+                ${alerts.map(alert => `
+                <li id="alert-${alert.id}" class="flex justify-between items-start text-sm ${alert.type === 'client.crisis' ? 'text-red-800 font-semibold' : 'text-yellow-900'}">
+                    <span>${escapeHtml(alert.message)} <span class="text-yellow-700 text-xs">${dayjs(alert.createdAt).format('MMM D h:mm A')}</span></span>
+                    <button onclick="dismissAlert('${alert.id}')" class="text-yellow-700 text-xs font-medium ml-4">Dismiss</button>
+                </li>
+                `).join('')}
+            </ul>
+        </div>
+        ` : ''}
+
+        ${followUps.overdueTasks.length || followUps.reviewsDue.length ? `
+        <!-- Care plan follow-ups -->
+        <div class="bg-white rounded-lg shadow-sm p-6 mb-6">
+            <h2 class="text-lg font-semibold text-gray-800 mb-4">Care Plan Follow-ups</h2>
+            <div class="grid md:grid-cols-2 gap-6">
+                <div>
+                    <h3 class="text-sm font-semibold text-red-700 mb-2">Overdue tasks (${followUps.overdueTasks.length})</h3>
+                    <ul class="space-y-2 text-sm">
+                        ${followUps.overdueTasks.slice(0, 10).map(({ plan, task }) => `
+                        <li class="flex justify-between items-start">
+                            <span><a href="/clients/${plan.clientId}/careplan" class="font-medium text-gray-900 hover:text-blue-600">${escapeHtml(clientName(plan.clientId))}</a>: ${escapeHtml(task.title)}
+                                <span class="text-xs text-red-600">due ${dayjs(task.dueDate).format('MMM D')} · ${escapeHtml(task.owner)}</span></span>
+                            ${can(user, 'clients:write') ? `
+                            <form method="POST" action="/clients/${plan.clientId}/careplan/tasks/${task.id}" class="ml-4">
+                                <input type="hidden" name="status" value="done">
+                                <input type="hidden" name="returnTo" value="dashboard">
+                                <button type="submit" class="text-green-700 text-xs font-medium">Mark done</button>
+                            </form>` : ''}
+                        </li>`).join('') || '<li class="text-gray-500">None</li>'}
+                    </ul>
+                    ${followUps.overdueTasks.length > 10 ? `<p class="text-xs text-gray-500 mt-2">and ${followUps.overdueTasks.length - 10} more</p>` : ''}
+                </div>
+                <div>
+                    <h3 class="text-sm font-semibold text-yellow-800 mb-2">Plans due for review (${followUps.reviewsDue.length})</h3>
+                    <ul class="space-y-2 text-sm">
+                        ${followUps.reviewsDue.slice(0, 10).map(plan => `
+                        <li><a href="/clients/${plan.clientId}/careplan" class="font-medium text-gray-900 hover:text-blue-600">${escapeHtml(clientName(plan.clientId))}</a>
+                            <span class="text-xs text-yellow-700">review ${dayjs(plan.reviewDate).format('MMM D')} · version ${plan.version}</span></li>`).join('') || '<li class="text-gray-500">None</li>'}
+                    </ul>
+                    ${followUps.reviewsDue.length > 10 ? `<p class="text-xs text-gray-500 mt-2">and ${followUps.reviewsDue.length - 10} more</p>` : ''}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
         <!-- Filters -->
         <div class="bg-white rounded-lg shadow-sm p-6 mb-6">
             <form method="GET" class="flex flex-wrap gap-4">
-                <input type="text" name="search" value="${filters.search || ''}" placeholder="Search name or phone..." 
-                       class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                ${can(user, 'clients:pii') ? `<input type="text" name="search" value="${escapeHtml(filters.search || '')}" placeholder="Search name or phone..." 
+                       class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">` : ''}
                 <select name="urgency" class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
                     <option value="">All Urgency</option>
                     <option value="critical" ${filters.urgency === 'critical' ? 'selected' : ''}>Critical</option>
@@ -796,6 +2098,10 @@ function renderDashboard(clients, filters) {
                     <option value="employment" ${filters.need === 'employment' ? 'selected' : ''}>Employment</option>
                     <option value="mental-health" ${filters.need === 'mental-health' ? 'selected' : ''}>Mental Health</option>
                 </select>
+                <select name="language" class="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                    <option value="">All Languages</option>
+                    ${Object.entries(LANGUAGES).map(([code, language]) => `<option value="${code}" ${filters.language === code ? 'selected' : ''}>${language.name}</option>`).join('')}
+                </select>
                 <button type="submit" class="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium">Filter</button>
                 <a href="/dashboard" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg">Clear</a>
             </form>
@@ -805,6 +2111,7 @@ function renderDashboard(clients, filters) {
         <div class="bg-white rounded-lg shadow-sm overflow-hidden">
             <div class="px-6 py-4 border-b border-gray-200">
                 <h2 class="text-lg font-semibold text-gray-800">Client Cases (${clients.length})</h2>
+                <p class="text-sm text-gray-500">${user.role === 'caseworker' ? 'Your assigned caseload' : user.role === 'supervisor' ? `Caseload for ${escapeHtml(user.agency || 'your agency')}` : user.role === 'auditor' ? 'All clients - de-identified, read-only' : 'All clients'}</p>
             </div>
             
             <div class="divide-y divide-gray-200">
@@ -816,6 +2123,8 @@ function renderDashboard(clients, filters) {
                                 <p class="text-sm text-gray-600">${client.phone || 'No phone'} • ZIP: ${client.zipCode || 'N/A'}</p>
                             </div>
                             <div class="flex items-center space-x-2">
+                                ${client.preferredLanguage && client.preferredLanguage !== DEFAULT_LOCALE && LANGUAGES[client.preferredLanguage] ? `<span class="px-2 py-1 text-xs bg-purple-100 text-purple-800 rounded-full">${LANGUAGES[client.preferredLanguage].name}</span>` : ''}
+                                ${client.crisis ? `<span class="px-2 py-1 text-xs font-semibold bg-red-600 text-white rounded-full" title="Flagged ${dayjs(client.crisis.detectedAt).format('MMM D h:mm A')} from ${client.crisis.source}">crisis: ${escapeHtml(client.crisis.category)}</span>` : ''}
                                 <span class="px-2 py-1 text-xs font-medium rounded-full ${urgencyColors[client.urgency] || urgencyColors.medium}">
                                     ${client.urgency || 'medium'}
                                 </span>
@@ -837,9 +2146,14 @@ function renderDashboard(clients, filters) {
                         <div class="flex justify-between items-center">
                             <p class="text-xs text-gray-500">Created: ${new Date(client.createdAt).toLocaleDateString()}</p>
                             <div class="flex space-x-2">
+                                ${can(user, 'ai:use') ? `
                                 <button onclick="getTriage('${client.id}')" class="text-blue-600 text-sm font-medium hover:text-blue-500">AI Triage</button>
-                                <button onclick="getCarePlan('${client.id}')" class="text-purple-600 text-sm font-medium hover:text-purple-500">Care Plan</button>
+                                ` : ''}
+                                <a href="/clients/${client.id}/careplan" class="text-purple-600 text-sm font-medium hover:text-purple-500">Care Plan</a>
+                                ${can(user, 'clients:write') ? `
+                                <button onclick="reissueStatusLink('${client.id}')" class="text-green-600 text-sm font-medium hover:text-green-500">Status Link</button>
                                 <button onclick="updateClient('${client.id}')" class="text-gray-600 text-sm font-medium hover:text-gray-500">Update</button>
+                                ` : ''}
                             </div>
                         </div>
                     </div>
@@ -866,6 +2180,13 @@ function renderDashboard(clients, filters) {
     </div>
 
     <script>
+        // AI responses may contain model-generated text - never insert it as HTML
+        function escapeText(value) {
+            const div = document.createElement('div');
+            div.textContent = value == null ? '' : String(value);
+            return div.innerHTML;
+        }
+
         async function getTriage(clientId) {
             try {
                 const response = await fetch(\`/api/triage/$\{clientId}\`, { method: 'POST' });
@@ -875,21 +2196,44 @@ function renderDashboard(clients, filters) {
                 document.getElementById('modalContent').innerHTML = \`
                     <div class="space-y-4">
                         <div>
-                            <h4 class="font-semibold text-$\{data.priority === 'urgent' ? 'red' : 'blue'}-600">Priority: $\{data.priority}</h4>
+                            <h4 class="font-semibold text-$\{data.priority === 'urgent' ? 'red' : 'blue'}-600">Priority: $\{escapeText(data.priority)}</h4>
                         </div>
                         <div>
                             <h4 class="font-semibold mb-2">Recommendations:</h4>
                             <ul class="list-disc list-inside">
-                                $\{(data.recommendations || []).map(r => \`<li>$\{r}</li>\`).join('')}
+                                $\{(data.recommendations || []).map(r => \`<li>$\{escapeText(r)}</li>\`).join('')}
                             </ul>
                         </div>
                         <div>
                             <h4 class="font-semibold mb-2">Next Steps:</h4>
                             <ul class="list-disc list-inside">
-                                $\{(data.nextSteps || []).map(s => \`<li>$\{s}</li>\`).join('')}
+                                $\{(data.nextSteps || []).map(s => \`<li>$\{escapeText(s)}</li>\`).join('')}
                             </ul>
                         </div>
+                        $\{data.ruleHits ? \`
+                        <div class="text-sm text-gray-600">
+                            <h4 class="font-semibold mb-1">Rules matched (version $\{escapeText(data.rulesVersion)}):</h4>
+                            $\{data.ruleHits.length ? data.ruleHits.map(hit => \`<span class="inline-block px-2 py-0.5 mr-1 mb-1 bg-gray-100 rounded text-xs">$\{escapeText(hit.name)}</span>\`).join('') : '<p>None - suggestions come from the source below</p>'}
+                        </div>\` : ''}
                         <p class="text-sm text-gray-500">Source: $\{data.source} (Confidence: $\{Math.round((data.confidence || 0) * 100)}%)</p>
+                        $\{data.decisionId ? \`
+                        <div id="feedback" class="border-t pt-4 space-y-2">
+                            <p class="text-sm font-medium text-gray-700">Does this suggestion fit the client?</p>
+                            <textarea id="feedbackNote" rows="2" maxlength="500" placeholder="Note (optional)" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm"></textarea>
+                            <div id="feedbackEdit" class="hidden text-sm">
+                                <label>Priority I would set
+                                    <select id="feedbackPriority" class="ml-2 px-2 py-1 border border-gray-300 rounded">
+                                        $\{['low', 'medium', 'high', 'urgent'].map(p => \`<option value="$\{p}" $\{p === data.priority ? 'selected' : ''}>$\{p}</option>\`).join('')}
+                                    </select>
+                                </label>
+                                <button onclick="sendFeedback('$\{clientId}', '$\{data.decisionId}', 'edited')" class="ml-2 text-blue-600 font-medium">Save edit</button>
+                            </div>
+                            <div class="flex gap-2">
+                                <button onclick="sendFeedback('$\{clientId}', '$\{data.decisionId}', 'accepted')" class="bg-green-600 text-white px-3 py-1 rounded-lg text-sm font-medium">Accept</button>
+                                <button onclick="document.getElementById('feedbackEdit').classList.toggle('hidden')" class="bg-gray-100 text-gray-800 px-3 py-1 rounded-lg text-sm font-medium">Edit</button>
+                                <button onclick="sendFeedback('$\{clientId}', '$\{data.decisionId}', 'rejected')" class="bg-red-50 text-red-700 px-3 py-1 rounded-lg text-sm font-medium">Reject</button>
+                            </div>
+                        </div>\` : ''}
                     </div>
                 \`;
                 document.getElementById('aiModal').classList.remove('hidden');
@@ -898,39 +2242,57 @@ function renderDashboard(clients, filters) {
             }
         }
 
-        async function getCarePlan(clientId) {
+        async function sendFeedback(clientId, decisionId, verdict) {
+            const response = await fetch(\`/api/clients/$\{clientId}/decisions/$\{decisionId}/feedback\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    verdict,
+                    note: document.getElementById('feedbackNote').value,
+                    priority: verdict === 'edited' ? document.getElementById('feedbackPriority').value : undefined
+                })
+            });
+            document.getElementById('feedback').innerHTML = response.ok
+                ? \`<p class="text-sm text-green-700">Thanks - recorded as $\{verdict}.</p>\`
+                : '<p class="text-sm text-red-700">Unable to record feedback right now.</p>';
+        }
+
+        async function reissueStatusLink(clientId) {
+            if (!confirm('Issue a new status link? Any link the resident already has will stop working.')) return;
             try {
-                const response = await fetch(\`/api/careplan/$\{clientId}\`, { method: 'POST' });
+                const response = await fetch(\`/api/clients/$\{clientId}/status-link\`, { method: 'POST' });
                 const data = await response.json();
-                
-                document.getElementById('modalTitle').textContent = 'AI Care Plan Draft';
+                if (!data.success) throw new Error(data.error);
+
+                document.getElementById('modalTitle').textContent = 'New Status Link';
                 document.getElementById('modalContent').innerHTML = \`
                     <div class="space-y-4">
                         <div>
-                            <h4 class="font-semibold mb-2">Goals:</h4>
-                            <ul class="list-disc list-inside">
-                                $\{(data.goals || []).map(g => \`<li>$\{g}</li>\`).join('')}
-                            </ul>
-                        </div>
-                        <div>
-                            <h4 class="font-semibold mb-2">Tasks:</h4>
-                            <ul class="list-disc list-inside">
-                                $\{(data.tasks || []).map(t => \`<li>$\{t}</li>\`).join('')}
-                            </ul>
-                        </div>
-                        <div>
-                            <h4 class="font-semibold mb-2">Resources:</h4>
-                            <ul class="list-disc list-inside">
-                                $\{(data.resources || []).map(r => \`<li>$\{r}</li>\`).join('')}
-                            </ul>
+                            <h4 class="font-semibold mb-2">Link</h4>
+                            <input type="text" readonly value="$\{data.statusUrl}" onclick="this.select()" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono">
                         </div>
-                        <p class="text-sm text-gray-500">Timeline: $\{data.timeline} | Review: $\{data.reviewDate ? new Date(data.reviewDate).toLocaleDateString() : 'TBD'}</p>
-                        <p class="text-sm text-gray-500">Source: $\{data.source} (Confidence: $\{Math.round((data.confidence || 0) * 100)}%)</p>
+                        <p>Lookup code: <strong class="font-mono">$\{data.lookupCode}</strong></p>
+                        <p class="text-sm text-gray-500">Expires $\{new Date(data.expiresAt).toLocaleDateString()}</p>
+                        <button onclick="revokeStatusLink('$\{clientId}')" class="text-red-600 text-sm font-medium hover:text-red-500">Revoke all links</button>
                     </div>
                 \`;
                 document.getElementById('aiModal').classList.remove('hidden');
             } catch (error) {
-                alert('Unable to generate care plan at this time.');
+                alert('Unable to issue a status link at this time.');
+            }
+        }
+
+        async function revokeStatusLink(clientId) {
+            if (!confirm('Revoke every status link for this client?')) return;
+            const response = await fetch(\`/api/clients/$\{clientId}/status-link/revoke\`, { method: 'POST' });
+            alert(response.ok ? 'Status links revoked.' : 'Unable to revoke status links.');
+            closeModal();
+        }
+
+        async function dismissAlert(alertId) {
+            const response = await fetch(\`/api/alerts/$\{alertId}/read\`, { method: 'POST' });
+            if (response.ok) {
+                document.getElementById(\`alert-$\{alertId}\`).remove();
             }
         }
 
@@ -947,54 +2309,238 @@ function renderDashboard(clients, filters) {
 </html>`;
 }
 
-function renderManualOnboarding() {
+function renderCarePlanPage({ client, current, history, draft = null, note = '', errors = [], users, user, message = '', error = '' }) {
+  const userName = id => (users.find(u => u.id === id) || {}).username || (id ? 'unknown user' : 'system');
+  const today = dayjs().format('YYYY-MM-DD');
+  const statusColors = { 'open': 'bg-gray-100 text-gray-800', 'in-progress': 'bg-blue-100 text-blue-800', 'done': 'bg-green-100 text-green-800' };
+  const options = (values, selected) => values.map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`).join('');
+  // Existing tasks plus a few blank rows for new ones
+  const taskRows = draft ? [...draft.tasks, ...Array(3).fill({ id: '', title: '', owner: 'caseworker', dueDate: '', status: 'open' })] : [];
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Manual Onboarding - First Contact E.I.S.</title>
+    <title>Care Plan - First Contact E.I.S.</title>
     <script src="https://cdn.tailwindcss.com"></script>
 </head>
 <body class="bg-gray-50">
     <nav class="bg-white shadow-sm border-b">
         <div class="container mx-auto px-4 py-4">
             <div class="flex justify-between items-center">
-                <h1 class="text-xl font-bold text-gray-800">Manual Client Onboarding</h1>
+                <h1 class="text-xl font-bold text-gray-800">Care Plan - ${escapeHtml(client.name || 'Anonymous User')}</h1>
                 <a href="/dashboard" class="text-blue-600 font-medium">← Back to Dashboard</a>
             </div>
         </div>
     </nav>
 
     <div class="container mx-auto px-4 py-8">
-        <div class="max-w-2xl mx-auto bg-white rounded-lg shadow-sm p-8">
-            <form id="manualForm" class="space-y-6">
-                <div class="grid md:grid-cols-2 gap-4">
-                    <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Full Name *</label>
-                        <input type="text" name="name" required class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
-                    </div>
-                    <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
-                        <input type="tel" name="phone" class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+        <div class="max-w-5xl mx-auto space-y-6">
+            ${message ? `<div class="p-3 bg-green-50 border border-green-200 text-green-800 rounded-lg text-sm">${escapeHtml(message)}</div>` : ''}
+            ${error ? `<div class="p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm">${escapeHtml(error)}</div>` : ''}
+            ${errors.length ? `
+            <div class="p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm">
+                <p class="font-medium mb-1">The care plan was not saved:</p>
+                <ul class="list-disc list-inside">${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>` : ''}
+
+            ${draft ? `
+            <!-- Editor -->
+            <form method="POST" action="/clients/${client.id}/careplan" class="bg-white rounded-lg shadow-sm p-6 space-y-4">
+                <div class="flex justify-between items-start">
+                    <h3 class="text-lg font-semibold text-gray-800">${current ? `Edit care plan (saves version ${current.version + 1})` : 'New care plan'}</h3>
+                    <div class="text-right text-xs text-gray-500">
+                        <p>Draft source: ${escapeHtml(draft.source || 'staff')}</p>
+                        ${draft.templates && draft.templates.length ? `<p>Templates: ${draft.templates.map(template => escapeHtml(template.name)).join(' + ')}</p>` : ''}
+                        ${draft.uncoveredNeeds && draft.uncoveredNeeds.length ? `<p class="text-yellow-700">No template for: ${draft.uncoveredNeeds.map(escapeHtml).join(', ')}</p>` : ''}
                     </div>
                 </div>
+                <input type="hidden" name="source" value="${escapeHtml(draft.source || 'staff')}">
+                ${draft.decisionId ? `<input type="hidden" name="decisionId" value="${escapeHtml(draft.decisionId)}">` : ''}
+                <label class="block text-sm font-medium text-gray-700">Goals <span class="font-normal text-gray-500">(one per line)</span>
+                    <textarea name="goals" rows="4" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal">${escapeHtml(draft.goals.join('\n'))}</textarea>
+                </label>
 
                 <div>
-                    <label class="block text-sm font-medium text-gray-700 mb-3">Service Needs *</label>
-                    <div class="grid grid-cols-2 gap-3">
-                        ${['housing', 'employment', 'mental-health', 'medical', 'food', 'veterans', 'substance-abuse', 'legal', 'utilities', 'transportation'].map(need => 
-                            `<label class="flex items-center p-3 border border-gray-300 rounded-lg hover:bg-gray-50 cursor-pointer">
-                                <input type="checkbox" name="needs" value="${need}" class="mr-3 text-blue-600">
-                                <span class="text-sm font-medium capitalize">${need.replace('-', ' ')}</span>
-                            </label>`
-                        ).join('')}
-                    </div>
+                    <p class="text-sm font-medium text-gray-700 mb-1">Tasks <span class="font-normal text-gray-500">(leave a title blank to drop the row)</span></p>
+                    <table class="min-w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-xs text-gray-500 uppercase">
+                                <th class="py-1">Task</th>
+                                <th class="py-1">Owner</th>
+                                <th class="py-1">Due</th>
+                                <th class="py-1">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${taskRows.map(task => `
+                            <tr>
+                                <td class="py-1 pr-2"><input type="hidden" name="task_id" value="${escapeHtml(task.id || '')}"><input type="text" name="task_title" value="${escapeHtml(task.title)}" maxlength="300" class="w-full px-2 py-1 border border-gray-300 rounded"></td>
+                                <td class="py-1 pr-2"><select name="task_owner" class="px-2 py-1 border border-gray-300 rounded">${options(TASK_OWNERS, task.owner)}</select></td>
+                                <td class="py-1 pr-2"><input type="date" name="task_due" value="${escapeHtml(task.dueDate || '')}" class="px-2 py-1 border border-gray-300 rounded"></td>
+                                <td class="py-1"><select name="task_status" class="px-2 py-1 border border-gray-300 rounded">${options(TASK_STATUSES, task.status)}</select></td>
+                            </tr>`).join('')}
+                        </tbody>
+                    </table>
                 </div>
 
-                <div class="grid md:grid-cols-4 gap-4">
-                    <div>
-                        <label class="block text-sm font-medium text-gray-700 mb-1">Urgency *</label>
+                <label class="block text-sm font-medium text-gray-700">Resources <span class="font-normal text-gray-500">(one per line)</span>
+                    <textarea name="resources" rows="3" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal">${escapeHtml(draft.resources.join('\n'))}</textarea>
+                </label>
+                <div class="grid grid-cols-2 gap-4">
+                    <label class="block text-sm font-medium text-gray-700">Timeline
+                        <input type="text" name="timeline" value="${escapeHtml(draft.timeline || '')}" maxlength="100" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal">
+                    </label>
+                    <label class="block text-sm font-medium text-gray-700">Review date <span class="font-normal text-gray-500">(the resident gets a reminder that day)</span>
+                        <input type="date" name="reviewDate" value="${escapeHtml(draft.reviewDate || '')}" required class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal">
+                    </label>
+                </div>
+                <div class="flex items-center gap-2">
+                    <input type="text" name="note" value="${escapeHtml(note)}" maxlength="200" placeholder="What changed (kept in the version history)" class="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                    ${draft.decisionId ? `
+                    <button type="submit" formaction="/clients/${client.id}/careplan/reject" formnovalidate class="bg-red-50 text-red-700 px-4 py-2 rounded-lg text-sm font-medium">Reject suggestion</button>` : `
+                    <a href="/clients/${client.id}/careplan" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Cancel</a>`}
+                    <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Save care plan</button>
+                </div>
+            </form>
+            ` : ''}
+
+            ${!draft && current ? `
+            <!-- Current plan -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-800">Version ${current.version}</h3>
+                        <p class="text-sm text-gray-500">Saved ${dayjs(current.createdAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(current.createdBy))} · ${escapeHtml(current.timeline || '')} ·
+                            <span class="${current.reviewDate <= today ? 'text-yellow-700 font-medium' : ''}">review ${dayjs(current.reviewDate).format('MMM D, YYYY')}</span></p>
+                    </div>
+                    ${can(user, 'clients:write') ? `
+                    <div class="flex gap-2">
+                        <a href="/clients/${client.id}/careplan?edit=1" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Edit plan</a>
+                        ${can(user, 'ai:use') ? `<a href="/clients/${client.id}/careplan?draft=1" class="bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium">New suggested draft</a>` : ''}
+                    </div>` : ''}
+                </div>
+
+                <h4 class="font-semibold text-gray-800 mb-1">Goals</h4>
+                <ul class="list-disc list-inside text-sm text-gray-700 mb-4">${current.goals.map(goal => `<li>${escapeHtml(goal)}</li>`).join('')}</ul>
+
+                <h4 class="font-semibold text-gray-800 mb-1">Tasks (${current.tasks.filter(task => task.status === 'done').length} of ${current.tasks.length} done)</h4>
+                <table class="min-w-full text-sm mb-4">
+                    <tbody>
+                        ${current.tasks.map(task => `
+                        <tr class="border-b">
+                            <td class="py-2 ${task.status === 'done' ? 'line-through text-gray-400' : 'text-gray-900'}">${escapeHtml(task.title)}</td>
+                            <td class="py-2 text-gray-600">${escapeHtml(task.owner)}</td>
+                            <td class="py-2 ${task.status !== 'done' && task.dueDate && task.dueDate < today ? 'text-red-600 font-medium' : 'text-gray-600'}">${task.dueDate ? `due ${dayjs(task.dueDate).format('MMM D')}` : ''}</td>
+                            <td class="py-2 text-right">
+                                ${can(user, 'clients:write') ? `
+                                <form method="POST" action="/clients/${client.id}/careplan/tasks/${task.id}" class="inline-flex gap-1">
+                                    <select name="status" class="px-2 py-1 border border-gray-300 rounded text-xs">${options(TASK_STATUSES, task.status)}</select>
+                                    <button type="submit" class="text-blue-600 text-xs font-medium">Update</button>
+                                </form>` : `<span class="px-2 py-1 text-xs rounded-full ${statusColors[task.status]}">${task.status}</span>`}
+                                ${task.completedAt ? `<p class="text-xs text-gray-400">done ${dayjs(task.completedAt).format('MMM D')} by ${escapeHtml(userName(task.completedBy))}</p>` : ''}
+                            </td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+
+                <h4 class="font-semibold text-gray-800 mb-1">Resources</h4>
+                <ul class="list-disc list-inside text-sm text-gray-700">${current.resources.map(resource => `<li>${escapeHtml(resource)}</li>`).join('')}</ul>
+            </div>
+            ` : ''}
+
+            ${!draft && !current ? `
+            <div class="bg-white rounded-lg shadow-sm p-6 text-center">
+                <p class="text-gray-600 mb-4">No care plan yet.</p>
+                ${can(user, 'clients:write') ? `
+                <div class="flex justify-center gap-2">
+                    ${can(user, 'ai:use') ? `<a href="/clients/${client.id}/careplan?draft=1" class="bg-purple-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Start from a suggested draft</a>` : ''}
+                    <a href="/clients/${client.id}/careplan?edit=1" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Start blank</a>
+                </div>` : ''}
+            </div>
+            ` : ''}
+
+            ${history.length > 1 || (draft && history.length) ? `
+            <!-- Version history -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Version History</h3>
+                <div class="space-y-2">
+                    ${history.map(version => `
+                    <details class="border border-gray-200 rounded-lg p-3 text-sm">
+                        <summary class="cursor-pointer">
+                            <span class="font-medium text-gray-900">Version ${version.version}</span>${version.status === 'current' ? ' <span class="text-xs text-green-700">(current)</span>' : ''}
+                            <span class="text-gray-500"> · ${dayjs(version.createdAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(version.createdBy))} · from ${escapeHtml(version.source)}${version.note ? ` · ${escapeHtml(version.note)}` : ''}</span>
+                        </summary>
+                        <div class="mt-2 grid md:grid-cols-3 gap-4 text-gray-700">
+                            <div><p class="font-medium">Goals</p><ul class="list-disc list-inside">${version.goals.map(goal => `<li>${escapeHtml(goal)}</li>`).join('')}</ul></div>
+                            <div><p class="font-medium">Tasks</p><ul class="list-disc list-inside">${version.tasks.map(task => `<li>${escapeHtml(task.title)} <span class="text-xs text-gray-500">${task.status}</span></li>`).join('')}</ul></div>
+                            <div><p class="font-medium">Resources</p><ul class="list-disc list-inside">${version.resources.map(resource => `<li>${escapeHtml(resource)}</li>`).join('')}</ul>
+                                <p class="mt-2 text-xs text-gray-500">Review ${dayjs(version.reviewDate).format('MMM D, YYYY')}</p></div>
+                        </div>
+                    </details>`).join('')}
+                </div>
+            </div>
+            ` : ''}
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderManualOnboarding() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Manual Onboarding - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Manual Client Onboarding</h1>
+                <a href="/dashboard" class="text-blue-600 font-medium">← Back to Dashboard</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-2xl mx-auto bg-white rounded-lg shadow-sm p-8">
+            <form id="manualForm" class="space-y-6">
+                <div class="grid md:grid-cols-2 gap-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Full Name *</label>
+                        <input type="text" name="name" required class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Phone Number</label>
+                        <input type="tel" name="phone" class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                    </div>
+                </div>
+
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                    <input type="email" name="email" class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                </div>
+
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-3">Service Needs *</label>
+                    <div class="grid grid-cols-2 gap-3">
+                        ${['housing', 'employment', 'mental-health', 'medical', 'food', 'veterans', 'substance-abuse', 'legal', 'utilities', 'transportation'].map(need => 
+                            `<label class="flex items-center p-3 border border-gray-300 rounded-lg hover:bg-gray-50 cursor-pointer">
+                                <input type="checkbox" name="needs" value="${need}" class="mr-3 text-blue-600">
+                                <span class="text-sm font-medium capitalize">${need.replace('-', ' ')}</span>
+                            </label>`
+                        ).join('')}
+                    </div>
+                </div>
+
+                <div class="grid md:grid-cols-4 gap-4">
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-1">Urgency *</label>
                         <select name="urgency" required class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
                             <option value="low">Low</option>
                             <option value="medium" selected>Medium</option>
@@ -1020,6 +2566,13 @@ function renderManualOnboarding() {
                     </div>
                 </div>
 
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Preferred Language</label>
+                    <select name="preferredLanguage" class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500">
+                        ${Object.entries(LANGUAGES).map(([code, language]) => `<option value="${code}">${language.name}</option>`).join('')}
+                    </select>
+                </div>
+
                 <div>
                     <label class="block text-sm font-medium text-gray-700 mb-1">Notes</label>
                     <textarea name="additionalInfo" rows="4" class="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500" placeholder="Additional client information..."></textarea>
@@ -1077,7 +2630,7 @@ function renderManualOnboarding() {
 // Additional render functions would continue...
 // For brevity, I'll include key ones and indicate where others would go
 
-function renderAdminHome() {
+function renderAdminHome(user) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1091,7 +2644,11 @@ function renderAdminHome() {
         <div class="container mx-auto px-4 py-4">
             <div class="flex justify-between items-center">
                 <h1 class="text-xl font-bold text-gray-800">Admin Portal</h1>
-                <a href="/admin/logout" class="text-gray-600 text-sm">Logout</a>
+                <div class="flex items-center space-x-4">
+                    <span class="text-gray-500 text-sm">${user.name}</span>
+                    <a href="/account/password" class="text-gray-600 text-sm">Change Password</a>
+                    <a href="/admin/logout" class="text-gray-600 text-sm">Logout</a>
+                </div>
             </div>
         </div>
     </nav>
@@ -1169,8 +2726,331 @@ function renderAdminHome() {
                 </div>
                 <h3 class="text-lg font-semibold text-gray-800 mb-2">Start Kiosk Mode</h3>
                 <p class="text-gray-600 text-sm">Enable kiosk interface on this device</p>
+            </a>
+
+            <a href="/admin/users" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-teal-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">User Accounts</h3>
+                <p class="text-gray-600 text-sm">Create, disable and reset staff and admin sign-ins</p>
+            </a>
+
+            <a href="/admin/audit" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-gray-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-gray-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Audit Log</h3>
+                <p class="text-gray-600 text-sm">Who viewed or changed client records, with compliance export</p>
+            </a>
+
+            <a href="/admin/notifications" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-pink-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-pink-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Notifications</h3>
+                <p class="text-gray-600 text-sm">Reminder queue, delivery status, quiet hours and message templates</p>
+            </a>
+
+            <a href="/admin/resources" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-teal-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-teal-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17.657 16.657L13.414 20.9a2 2 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z"></path>
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Resource Directory</h3>
+                <p class="text-gray-600 text-sm">Imported HSDS listings the navigator cites, with a search preview</p>
+            </a>
+
+            <a href="/admin/triage-rules" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-orange-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-orange-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M3 4h13M3 8h9m-9 4h6m4 0l4-4m0 0l4 4m-4-4v12"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Triage Rules</h3>
+                <p class="text-gray-600 text-sm">Versioned rules that set triage priority and next steps, with a sample-client preview</p>
+            </a>
+
+            <a href="/admin/careplan-templates" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-pink-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-pink-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">Care Plan Templates</h3>
+                <p class="text-gray-600 text-sm">Goals, tasks and resources per need, combined for clients with several needs</p>
+            </a>
+
+            <a href="/admin/ai-decisions" class="bg-white p-6 rounded-lg shadow-sm hover:shadow-md transition-shadow">
+                <div class="flex items-center mb-4">
+                    <div class="bg-cyan-100 p-3 rounded-lg">
+                        <svg class="w-6 h-6 text-cyan-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M14 10h4.764a2 2 0 011.789 2.894l-3.5 7A2 2 0 0115.263 21h-4.017c-.163 0-.326-.02-.485-.06L7 20m7-10V5a2 2 0 00-2-2h-.095c-.5 0-.905.405-.905.905 0 .714-.211 1.412-.608 2.006L7 11v9m7-10h-2M7 20H5a2 2 0 01-2-2v-6a2 2 0 012-2h2.5"></path>
+                        </svg>
+                    </div>
+                </div>
+                <h3 class="text-lg font-semibold text-gray-800 mb-2">AI Decisions</h3>
+                <p class="text-gray-600 text-sm">Every triage and care plan suggestion, and how often caseworkers accept them</p>
+            </a>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderUserManagement(users, caseworkers, roles, message = '', error = '') {
+  const caseworkerNames = Object.fromEntries(caseworkers.map(cw => [cw.id, cw.name]));
+  const agencies = [...new Set(caseworkers.map(cw => cw.agency))];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>User Accounts - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">User Accounts</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8 space-y-6">
+        ${message ? `<div class="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">${escapeHtml(error)}</div>` : ''}
+
+        <!-- Create User -->
+        <div class="bg-white rounded-lg shadow-sm p-6">
+            <h2 class="text-lg font-semibold text-gray-800 mb-4">Create User</h2>
+            <form method="POST" action="/admin/users" class="grid md:grid-cols-6 gap-4 items-end">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Username</label>
+                    <input type="text" name="username" required class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Full Name</label>
+                    <input type="text" name="name" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Role</label>
+                    <select name="role" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        ${roles.map(role => `<option value="${role}">${role.charAt(0).toUpperCase() + role.slice(1)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Caseworker Record</label>
+                    <select name="caseworkerId" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        <option value="">None</option>
+                        ${caseworkers.map(cw => `<option value="${cw.id}">${escapeHtml(cw.name)} (${escapeHtml(cw.agency)})</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Agency (supervisors)</label>
+                    <select name="agency" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        <option value="">From caseworker record</option>
+                        ${agencies.map(agency => `<option value="${escapeHtml(agency)}">${escapeHtml(agency)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Temporary Password</label>
+                    <input type="password" name="password" required class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div class="md:col-span-6">
+                    <button type="submit" class="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700">Create User</button>
+                    <span class="text-sm text-gray-500 ml-3">New users must change their password at first sign-in.</span>
+                </div>
+            </form>
+        </div>
+
+        <!-- User List -->
+        <div class="bg-white rounded-lg shadow-sm overflow-hidden">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Caseworker</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Sign-in</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                    </tr>
+                </thead>
+                <tbody class="bg-white divide-y divide-gray-200">
+                    ${users.map(user => `
+                    <tr>
+                        <td class="px-6 py-4 text-sm">
+                            <div class="font-medium text-gray-900">${escapeHtml(user.name)}</div>
+                            <div class="text-gray-500">${escapeHtml(user.username)}</div>
+                        </td>
+                        <td class="px-6 py-4 text-sm text-gray-700">
+                            <div class="capitalize">${user.role === 'staff' ? 'caseworker' : user.role}</div>
+                            ${user.agency ? `<div class="text-xs text-gray-500">${escapeHtml(user.agency)}</div>` : ''}
+                        </td>
+                        <td class="px-6 py-4 text-sm text-gray-700">${user.caseworkerId ? escapeHtml(caseworkerNames[user.caseworkerId] || user.caseworkerId) : '—'}</td>
+                        <td class="px-6 py-4 text-sm text-gray-500">${user.lastLoginAt ? new Date(user.lastLoginAt).toLocaleString() : 'Never'}</td>
+                        <td class="px-6 py-4 text-sm">
+                            <span class="px-2 py-1 text-xs font-semibold rounded-full ${user.disabled ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}">
+                                ${user.disabled ? 'Disabled' : user.mustChangePassword ? 'Pending password change' : 'Active'}
+                            </span>
+                        </td>
+                        <td class="px-6 py-4 text-sm">
+                            <div class="flex flex-wrap gap-2 items-center">
+                                <form method="POST" action="/admin/users/${user.id}/${user.disabled ? 'enable' : 'disable'}">
+                                    <button type="submit" class="${user.disabled ? 'text-green-600' : 'text-red-600'} font-medium">${user.disabled ? 'Enable' : 'Disable'}</button>
+                                </form>
+                                <form method="POST" action="/admin/users/${user.id}/reset" class="flex gap-2">
+                                    <input type="password" name="password" required placeholder="New temporary password" class="px-2 py-1 border border-gray-300 rounded text-xs">
+                                    <button type="submit" class="text-blue-600 font-medium">Reset</button>
+                                </form>
+                            </div>
+                        </td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderAuditLog(entries, filters, users, integrity, user) {
+  const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+  const actions = ['client.create', 'client.list', 'client.triage', 'client.careplan', 'appointment.create',
+    'appointment.confirm', 'status.view', 'status.lookup', 'status.lookup_failed', 'status.reissue',
+    'status.revoke', 'export.caseload', 'export.hmis', 'audit.export', 'triage_rules.update',
+    'careplan.view', 'careplan.save', 'careplan.task', 'careplan_templates.update', 'ai.feedback',
+    'ai.controls', 'ai.cache_clear'];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Audit Log - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Audit Log</h1>
+                <a href="${can(user, 'admin:manage') ? '/admin' : '/dashboard'}" class="text-blue-600 font-medium">← Back</a>
             </div>
         </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8 space-y-6">
+        ${integrity.valid
+          ? `<div class="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">Hash chain verified - ${integrity.count} entries intact</div>`
+          : `<div class="p-3 bg-red-100 border border-red-400 text-red-700 rounded-lg">Hash chain broken at entry #${integrity.brokenAt} of ${integrity.count} - the log has been altered</div>`}
+
+        <!-- Filters -->
+        <div class="bg-white rounded-lg shadow-sm p-6">
+            <form method="GET" class="grid md:grid-cols-6 gap-4 items-end">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Client ID</label>
+                    <input type="text" name="clientId" value="${escapeHtml(filters.clientId || '')}" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">User</label>
+                    <select name="actorId" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        <option value="">All users</option>
+                        ${users.map(u => `<option value="${u.id}" ${filters.actorId === u.id ? 'selected' : ''}>${escapeHtml(u.username)}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">Action</label>
+                    <select name="action" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        <option value="">All actions</option>
+                        ${actions.map(action => `<option value="${action}" ${filters.action === action ? 'selected' : ''}>${action}</option>`).join('')}
+                    </select>
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">From</label>
+                    <input type="date" name="from" value="${escapeHtml(filters.from || '')}" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">To</label>
+                    <input type="date" name="to" value="${escapeHtml(filters.to || '')}" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                </div>
+                <div class="flex gap-2">
+                    <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700">Filter</button>
+                    <a href="/admin/audit/export.csv${query ? `?${escapeHtml(query)}` : ''}" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg font-medium">Export CSV</a>
+                </div>
+            </form>
+        </div>
+
+        <!-- Entries -->
+        <div class="bg-white rounded-lg shadow-sm overflow-x-auto">
+            <table class="min-w-full divide-y divide-gray-200">
+                <thead class="bg-gray-50">
+                    <tr>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">#</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actor</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Client</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Changes</th>
+                        <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Request</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-200">
+                    ${entries.map(entry => `
+                    <tr class="align-top">
+                        <td class="px-4 py-3 text-xs text-gray-500">${entry.seq}</td>
+                        <td class="px-4 py-3 text-sm text-gray-700 whitespace-nowrap">${dayjs(entry.at).format('YYYY-MM-DD HH:mm:ss')}</td>
+                        <td class="px-4 py-3 text-sm text-gray-700">
+                            <div>${escapeHtml(entry.actorName)}</div>
+                            <div class="text-xs text-gray-500">${escapeHtml(entry.actorRole)}</div>
+                        </td>
+                        <td class="px-4 py-3 text-sm font-mono text-gray-800">${escapeHtml(entry.action)}</td>
+                        <td class="px-4 py-3 text-xs font-mono text-gray-600">
+                            ${entry.clientId ? `<a href="/admin/audit?clientId=${entry.clientId}" class="text-blue-600">${entry.clientId.slice(0, 8)}</a>` : ''}
+                            ${entry.clientIds && entry.clientIds.length ? `<div class="text-gray-500">${entry.clientIds.length} clients</div>` : ''}
+                        </td>
+                        <td class="px-4 py-3 text-xs text-gray-700">
+                            ${entry.changes ? Object.entries(entry.changes).map(([field, change]) =>
+                              `<div><span class="font-medium">${escapeHtml(field)}</span>: ${escapeHtml(JSON.stringify(change.before))} → ${escapeHtml(JSON.stringify(change.after))}</div>`
+                            ).join('') : ''}
+                            ${entry.details ? `<div class="text-gray-500">${escapeHtml(JSON.stringify(entry.details))}</div>` : ''}
+                        </td>
+                        <td class="px-4 py-3 text-xs text-gray-500">
+                            <div>${escapeHtml(entry.metadata.method)} ${escapeHtml(entry.metadata.path)}</div>
+                            <div>${escapeHtml(entry.metadata.ip)}</div>
+                        </td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${entries.length === 0 ? '<p class="p-8 text-center text-gray-500">No audit entries match these filters.</p>' : ''}
+            ${entries.length === 500 ? '<p class="p-4 text-center text-sm text-gray-500">Showing the 500 most recent entries - narrow the filters or export for the full set.</p>' : ''}
+        </div>
     </div>
 </body>
 </html>`;
@@ -1372,6 +3252,16 @@ function renderAnalyticsDashboard(analytics) {
 </html>`;
 }
 
+// Escape user-supplied text for HTML output
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 // Helper functions for CSV generation
 function generateStaffCSV(clients, repo) {
   const headers = ['ID', 'Name', 'Phone', 'Needs', 'Urgency', 'Status', 'ZIP Code', 'Household Size', 'Created Date', 'Caseworker', 'Agency'];
@@ -1395,6 +3285,31 @@ function generateStaffCSV(clients, repo) {
   return [headers.join(','), ...rows].join('\n');
 }
 
+function generateAuditCSV(entries) {
+  const headers = ['Seq', 'Timestamp', 'Actor ID', 'Actor', 'Role', 'Action', 'Client ID', 'Client IDs', 'Changes', 'Details',
+    'IP', 'User Agent', 'Method', 'Path', 'Previous Hash', 'Hash'];
+  const rows = entries.map(entry => [
+    entry.seq,
+    entry.at,
+    entry.actorId || '',
+    entry.actorName,
+    entry.actorRole,
+    entry.action,
+    entry.clientId || '',
+    (entry.clientIds || []).join(';'),
+    entry.changes ? JSON.stringify(entry.changes) : '',
+    entry.details ? JSON.stringify(entry.details) : '',
+    entry.metadata.ip || '',
+    entry.metadata.userAgent,
+    entry.metadata.method,
+    entry.metadata.path,
+    entry.prevHash,
+    entry.hash
+  ].map(field => `"${String(field).replace(/"/g, '""')}"`).join(','));
+
+  return [headers.join(','), ...rows].join('\n');
+}
+
 function generateHMISCSV(clients, repo) {
   // HUD/HMIS aligned columns (simplified for MVP)
   const headers = [
@@ -1435,114 +3350,258 @@ function generateHMISCSV(clients, repo) {
   return [headers.join(','), ...rows].join('\n');
 }
 
-function renderStatusPage(client, caseworker, appointments) {
-  const nextAppointment = appointments.find(a => a.status === 'scheduled');
+function renderStatusPage(client, caseworker, appointments, token, t, switcher) {
+  const nextAppointment = appointments
+    .filter(a => CHANGEABLE_APPOINTMENT_STATUSES.includes(a.status) && dayjs(a.scheduledDate).isAfter(dayjs()))
+    .sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate))[0];
+  const history = appointments
+    .flatMap(a => (a.history || []).map(entry => ({ ...entry, scheduledDate: a.scheduledDate })))
+    .sort((a, b) => new Date(b.at) - new Date(a.at));
+  // Appointment times are shown in the service zone, not the host's
+  const zone = getScheduler().settings().timezone;
   
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${t.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Your Status - First Contact E.I.S.</title>
+    <title>${t('status.pageTitle')} - First Contact E.I.S.</title>
     <script src="https://cdn.tailwindcss.com"></script>
 </head>
 <body class="bg-gradient-to-br from-blue-50 to-purple-50 min-h-screen">
     <div class="container mx-auto px-4 py-8">
         <div class="max-w-2xl mx-auto">
             <div class="bg-white rounded-3xl shadow-xl p-8">
+                ${switcher}
                 <div class="text-center mb-8">
-                    <h1 class="text-3xl font-bold text-gray-800 mb-2">Your Status</h1>
-                    <p class="text-gray-600">Here's where things stand with your request</p>
+                    <h1 class="text-3xl font-bold text-gray-800 mb-2">${t('status.pageTitle')}</h1>
+                    <p class="text-gray-600">${t('status.subtitle')}</p>
                 </div>
 
                 <div class="space-y-6">
                     <div class="bg-blue-50 rounded-2xl p-6">
-                        <h2 class="text-lg font-semibold text-blue-900 mb-3">Your Caseworker</h2>
-                        <p class="text-blue-800"><strong>${caseworker ? caseworker.name : 'Being assigned'}</strong></p>
+                        <h2 class="text-lg font-semibold text-blue-900 mb-3">${t('status.caseworker')}</h2>
+                        <p class="text-blue-800"><strong>${caseworker ? caseworker.name : t('status.beingAssigned')}</strong></p>
                         <p class="text-blue-700 text-sm">${caseworker ? caseworker.agency : ''}</p>
                     </div>
 
                     ${nextAppointment ? `
                     <div class="bg-green-50 rounded-2xl p-6">
-                        <h2 class="text-lg font-semibold text-green-900 mb-3">Next Appointment</h2>
-                        <p class="text-green-800"><strong>${new Date(nextAppointment.scheduledDate).toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit' })}</strong></p>
-                        <p class="text-green-700 text-sm">Via ${nextAppointment.method} at ${nextAppointment.location}</p>
-                        ${nextAppointment.status === 'scheduled' ? `
-                        <div class="mt-4 flex gap-3">
-                            <button onclick="confirmAppointment('${nextAppointment.id}')" class="bg-green-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Confirm</button>
-                            <button onclick="requestReschedule()" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">Reschedule</button>
+                        <h2 class="text-lg font-semibold text-green-900 mb-3">${t('status.nextAppointment')}</h2>
+                        <p class="text-green-800"><strong>${new Date(nextAppointment.scheduledDate).toLocaleDateString(t('intl'), { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZone: zone })}</strong></p>
+                        <p class="text-green-700 text-sm">${t('status.via', { method: t(`method.${nextAppointment.method}`), location: escapeHtml(nextAppointment.location) })}</p>
+                        ${nextAppointment.status === 'confirmed' ? `<p class="text-green-700 text-sm mt-1">${t('status.confirmed')}</p>` : ''}
+                        <div class="mt-4 flex flex-wrap gap-3">
+                            ${nextAppointment.status === 'scheduled' ? `<button onclick="confirmAppointment('${nextAppointment.id}')" class="bg-green-600 text-white px-4 py-2 rounded-lg text-sm font-medium">${t('status.confirm')}</button>` : ''}
+                            <button onclick="showReschedule('${nextAppointment.id}')" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">${t('status.reschedule')}</button>
+                            <button onclick="cancelAppointment('${nextAppointment.id}')" class="bg-gray-100 text-red-700 px-4 py-2 rounded-lg text-sm font-medium">${t('status.cancel')}</button>
+                        </div>
+
+                        <div id="reschedulePanel" class="hidden mt-4 bg-white rounded-xl p-4">
+                            <h3 class="font-semibold text-gray-800 mb-2">${t('status.pickTime')}</h3>
+                            <div id="slotList" class="grid grid-cols-2 gap-2 mb-3 text-sm"><p class="text-gray-500">${t('status.loadingTimes')}</p></div>
+                            <label class="block text-sm font-medium text-gray-700 mb-1">${t('status.reason')}</label>
+                            <textarea id="rescheduleReason" rows="2" maxlength="500" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm mb-3"></textarea>
+                            <button onclick="submitReschedule('${nextAppointment.id}')" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">${t('status.move')}</button>
                         </div>
-                        ` : ''}
                     </div>
                     ` : `
                     <div class="bg-yellow-50 rounded-2xl p-6">
-                        <h2 class="text-lg font-semibold text-yellow-900 mb-3">Scheduling Appointment</h2>
-                        <p class="text-yellow-800">Your caseworker will contact you soon to schedule your first appointment.</p>
+                        <h2 class="text-lg font-semibold text-yellow-900 mb-3">${t('status.scheduling')}</h2>
+                        <p class="text-yellow-800">${t('status.contactSoon')}</p>
                     </div>
                     `}
 
                     <div class="bg-purple-50 rounded-2xl p-6">
-                        <h2 class="text-lg font-semibold text-purple-900 mb-3">Services You Requested</h2>
+                        <h2 class="text-lg font-semibold text-purple-900 mb-3">${t('status.services')}</h2>
                         <div class="flex flex-wrap gap-2">
                             ${(client.needs || []).map(need => 
-                                `<span class="px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-sm">${need.replace('-', ' ')}</span>`
+                                `<span class="px-3 py-1 bg-purple-100 text-purple-800 rounded-full text-sm">${escapeHtml(needLabel(t.locale, need))}</span>`
                             ).join('')}
                         </div>
                     </div>
 
+                    ${client.consent !== 0 && (client.phone || client.email) ? `
+                    <div class="bg-white border border-gray-200 rounded-2xl p-6">
+                        <h2 class="text-lg font-semibold text-gray-900 mb-2">${t('status.reminders')}</h2>
+                        <form method="POST" action="/status/${token}/notifications" class="flex flex-wrap items-center justify-between gap-3">
+                            <p class="text-gray-700 text-sm">${client.notificationsOptOut
+                              ? t('status.remindersOff')
+                              : t(client.phone ? 'status.remindersBy.sms' : 'status.remindersBy.email')}</p>
+                            <input type="hidden" name="optOut" value="${client.notificationsOptOut ? '0' : '1'}">
+                            <button type="submit" class="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium">${client.notificationsOptOut ? t('status.remindersOn') : t('status.remindersStop')}</button>
+                        </form>
+                    </div>
+                    ` : ''}
+
                     <div class="bg-gray-50 rounded-2xl p-6">
-                        <h2 class="text-lg font-semibold text-gray-900 mb-3">Next Steps</h2>
+                        <h2 class="text-lg font-semibold text-gray-900 mb-3">${t('status.nextSteps')}</h2>
                         <ul class="list-disc list-inside text-gray-700 space-y-2">
-                            <li>Wait for your caseworker to contact you</li>
-                            <li>Gather any documents you might have (ID, income proof, etc.)</li>
-                            <li>Think about your specific goals and needs</li>
-                            <li>Keep this status page bookmarked for updates</li>
+                            <li>${t('status.step.wait')}</li>
+                            <li>${t('status.step.documents')}</li>
+                            <li>${t('status.step.goals')}</li>
+                            <li>${t('status.step.bookmark')}</li>
                         </ul>
+                        ${history.length ? `
+                        <h3 class="font-semibold text-gray-900 mt-4 mb-2">${t('status.history')}</h3>
+                        <ul class="text-sm text-gray-600 space-y-1">
+                            ${history.map(entry => `
+                            <li>${formatDate(t.locale, entry.at, 'format.event', zone)} - ${t(`status.history.${entry.action}`)}${entry.action === 'rescheduled' ? ` ${t('status.history.movedTo', { date: formatDate(t.locale, entry.to, 'format.appointmentShort', zone) })}` : ''}${entry.reason ? ` (${escapeHtml(entry.reason)})` : ''}</li>
+                            `).join('')}
+                        </ul>
+                        ` : ''}
+                        ${client.lookupCode ? `
+                        <p class="text-gray-600 text-sm mt-4">${t('status.lookupCode', { code: formatLookupCode(client.lookupCode) })}</p>
+                        ` : ''}
                     </div>
                 </div>
 
                 <div class="mt-8 text-center">
-                    <p class="text-gray-500 text-sm">Need help? Contact your caseworker or call (562) 570-4444</p>
+                    <p class="text-gray-500 text-sm">${t('status.help')}</p>
                 </div>
             </div>
         </div>
     </div>
 
     <script>
+        const STATUS_TOKEN = '${token}';
+        const MESSAGES = ${scriptMessages(t, ['js.appointment.', 'intl'])};
+        function msg(key) {
+            return MESSAGES[key] || key;
+        }
+
+        async function postAppointment(appointmentId, action, body) {
+            const response = await fetch(\`/api/appointments/$\{appointmentId}/$\{action}\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token: STATUS_TOKEN, ...body })
+            });
+            const data = await response.json();
+            if (!data.success) throw new Error(data.error);
+            return data;
+        }
+
         async function confirmAppointment(appointmentId) {
             try {
-                const response = await fetch(\`/api/appointments/$\{appointmentId}/confirm\`, { method: 'POST' });
-                if (response.ok) {
-                    alert('Appointment confirmed! You will receive a reminder.');
-                    location.reload();
-                } else {
-                    throw new Error('Failed to confirm');
-                }
+                await postAppointment(appointmentId, 'confirm', {});
+                alert(msg('js.appointment.confirmed'));
+                location.reload();
+            } catch (error) {
+                alert(msg('js.appointment.confirmError'));
+            }
+        }
+
+        async function showReschedule(appointmentId) {
+            document.getElementById('reschedulePanel').classList.remove('hidden');
+            const list = document.getElementById('slotList');
+            try {
+                const response = await fetch(\`/api/appointments/$\{appointmentId}/slots?token=$\{encodeURIComponent(STATUS_TOKEN)}\`);
+                const data = await response.json();
+                list.innerHTML = (data.slots || []).map(slot => \`
+                    <label class="flex items-center p-2 border border-gray-200 rounded-lg cursor-pointer hover:bg-blue-50">
+                        <input type="radio" name="slot" value="$\{slot.start}" class="mr-2">
+                        $\{new Date(slot.start).toLocaleString(msg('intl'), { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+                    </label>
+                \`).join('') || \`<p class="text-gray-500">$\{msg('js.appointment.noTimes')}</p>\`;
+            } catch (error) {
+                list.innerHTML = \`<p class="text-red-600">$\{msg('js.appointment.timesError')}</p>\`;
+            }
+        }
+
+        async function submitReschedule(appointmentId) {
+            const selected = document.querySelector('input[name="slot"]:checked');
+            if (!selected) {
+                alert(msg('js.appointment.pickTime'));
+                return;
+            }
+            try {
+                await postAppointment(appointmentId, 'reschedule', {
+                    start: selected.value,
+                    reason: document.getElementById('rescheduleReason').value
+                });
+                alert(msg('js.appointment.moved'));
+                location.reload();
+            } catch (error) {
+                alert(error.message || msg('js.appointment.rescheduleError'));
+                showReschedule(appointmentId);
+            }
+        }
+
+        async function cancelAppointment(appointmentId) {
+            const reason = prompt(msg('js.appointment.cancelPrompt'));
+            if (reason === null) return;
+            try {
+                await postAppointment(appointmentId, 'cancel', { reason });
+                alert(msg('js.appointment.cancelled'));
+                location.reload();
             } catch (error) {
-                alert('Unable to confirm appointment. Please call your caseworker.');
+                alert(msg('js.appointment.cancelError'));
             }
         }
 
-        function requestReschedule() {
-            alert('To reschedule, please call your caseworker directly. Their contact information will be provided soon.');
+        if (location.hash === '#reschedule' && document.getElementById('reschedulePanel')) {
+            document.querySelector('[onclick^="showReschedule"]').click();
         }
     </script>
 </body>
 </html>`;
 }
 
-function renderFeatureFlags(config) {
+function renderStatusLookup(t, switcher = '', error = '') {
   return `<!DOCTYPE html>
-<html lang="en">
+<html lang="${t.locale}" class="h-full">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Feature Flags - First Contact E.I.S.</title>
+    <title>${t('lookup.pageTitle')} - First Contact E.I.S.</title>
     <script src="https://cdn.tailwindcss.com"></script>
 </head>
-<body class="bg-gray-50">
-    <nav class="bg-white shadow-sm border-b">
-        <div class="container mx-auto px-4 py-4">
+<body class="h-full bg-gradient-to-br from-blue-50 to-purple-50">
+    <div class="min-h-full flex items-center justify-center py-12 px-4">
+        <div class="max-w-md w-full bg-white rounded-3xl shadow-xl p-8">
+            ${switcher}
+            <div class="text-center mb-6">
+                <h1 class="text-2xl font-bold text-gray-800 mb-2">${t('lookup.pageTitle')}</h1>
+                <p class="text-gray-600 text-sm">${t('lookup.intro')}</p>
+            </div>
+
+            ${error ? `<div class="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-lg mb-4 text-sm">${escapeHtml(error)}</div>` : ''}
+
+            <form method="POST" action="/status/lookup" class="space-y-4">
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">${t('lookup.code')}</label>
+                    <input type="text" name="lookupCode" required placeholder="ABCD-2345" autocomplete="off"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono uppercase tracking-widest focus:ring-2 focus:ring-blue-500">
+                </div>
+                <div>
+                    <label class="block text-sm font-medium text-gray-700 mb-1">${t('lookup.phoneLast4')}</label>
+                    <input type="text" name="phoneLast4" required inputmode="numeric" maxlength="4" pattern="[0-9]{4}"
+                           class="w-full px-4 py-3 border border-gray-300 rounded-lg font-mono tracking-widest focus:ring-2 focus:ring-blue-500">
+                </div>
+                <button type="submit" class="w-full bg-blue-600 text-white py-3 px-6 rounded-lg font-semibold hover:bg-blue-700">
+                    ${t('lookup.submit')}
+                </button>
+            </form>
+
+            <p class="text-gray-500 text-xs text-center mt-6">${t('lookup.help')}</p>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderFeatureFlags(config) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Feature Flags - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
             <div class="flex justify-between items-center">
                 <h1 class="text-xl font-bold text-gray-800">Feature Flags</h1>
                 <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
@@ -1602,7 +3661,13 @@ function renderFeatureFlags(config) {
 </html>`;
 }
 
-function renderCostPanel(stats, config) {
+function formatSize(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function renderCostPanel(stats, config, controls, users, message = '', error = '') {
+  const userName = id => (users.find(u => u.id === id) || {}).username || (id ? 'unknown user' : 'system');
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1622,6 +3687,8 @@ function renderCostPanel(stats, config) {
     </nav>
 
     <div class="container mx-auto px-4 py-8">
+        ${message ? `<div class="mb-6 p-3 bg-green-50 border border-green-200 text-green-800 rounded-lg text-sm">${escapeHtml(message)}</div>` : ''}
+        ${error ? `<div class="mb-6 p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm">${escapeHtml(error)}</div>` : ''}
         <div class="grid md:grid-cols-2 lg:grid-cols-3 gap-6">
             <!-- AI Status -->
             <div class="bg-white rounded-lg shadow-sm p-6">
@@ -1639,6 +3706,14 @@ function renderCostPanel(stats, config) {
                             ${config.OPENAI_API_KEY ? 'Configured' : 'Not Set'}
                         </span>
                     </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-600">Endpoint:</span>
+                        <span class="font-medium text-sm">${escapeHtml(config.AI_BASE_URL || 'api.openai.com')}</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-600">Models:</span>
+                        <span class="font-medium text-sm">${escapeHtml(config.AI_MODEL_CHEAP)} / ${escapeHtml(config.AI_MODEL_EXPENSIVE)}</span>
+                    </div>
                 </div>
             </div>
 
@@ -1652,12 +3727,24 @@ function renderCostPanel(stats, config) {
                     </div>
                     <div class="flex justify-between">
                         <span class="text-gray-600">Cache Size:</span>
-                        <span class="font-medium">${stats.cacheSize} items</span>
+                        <span class="font-medium">${stats.cacheSize} / ${stats.cache.maxEntries} items</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-600">Memory:</span>
+                        <span class="font-medium">${formatSize(stats.cache.bytes)} / ${formatSize(stats.cache.maxBytes)}</span>
                     </div>
                     <div class="flex justify-between">
                         <span class="text-gray-600">Hits/Misses:</span>
                         <span class="font-medium">${stats.cacheHits}/${stats.cacheMisses}</span>
                     </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-600">Evicted/Expired:</span>
+                        <span class="font-medium">${stats.cache.evictions}/${stats.cache.expired}</span>
+                    </div>
+                    <div class="flex justify-between">
+                        <span class="text-gray-600">Storage:</span>
+                        <span class="font-medium">${stats.cache.persistent ? `Disk: ${escapeHtml(stats.cache.persistNamespaces.join(', '))}` : 'Memory only'}</span>
+                    </div>
                 </div>
             </div>
 
@@ -1702,35 +3789,112 @@ function renderCostPanel(stats, config) {
             <div class="bg-white rounded-lg shadow-sm p-6">
                 <h3 class="text-lg font-semibold text-gray-800 mb-4">Emergency Controls</h3>
                 <div class="space-y-3">
-                    <button onclick="clearCache()" class="w-full bg-yellow-100 text-yellow-800 py-2 px-4 rounded-lg text-sm font-medium hover:bg-yellow-200">
-                        Clear Cache
-                    </button>
-                    <button onclick="disableAI()" class="w-full bg-red-100 text-red-800 py-2 px-4 rounded-lg text-sm font-medium hover:bg-red-200">
-                        Disable AI (Emergency)
-                    </button>
+                    <form method="POST" action="/admin/cache/clear" class="flex gap-2" onsubmit="return confirm('Clear these cached AI responses? AI features will be slower until the cache refills.')">
+                        <select name="namespace" class="flex-1 px-2 py-2 border border-gray-300 rounded-lg text-sm">
+                            <option value="">All tasks</option>
+                            ${Object.keys(stats.cache.namespaces).sort().map(task => `<option value="${escapeHtml(task)}">${escapeHtml(task)}</option>`).join('')}
+                        </select>
+                        <button type="submit" class="bg-yellow-100 text-yellow-800 py-2 px-4 rounded-lg text-sm font-medium hover:bg-yellow-200">
+                            Clear Cache
+                        </button>
+                    </form>
+                    ${controls.enabled ? `
+                    <form method="POST" action="/admin/ai/enabled" onsubmit="return confirm('Disable AI features immediately? This will fall back to rules-based responses only.')">
+                        <input type="hidden" name="enabled" value="false">
+                        <button type="submit" class="w-full bg-red-100 text-red-800 py-2 px-4 rounded-lg text-sm font-medium hover:bg-red-200">
+                            Disable AI (Emergency)
+                        </button>
+                    </form>
+                    ` : `
+                    <form method="POST" action="/admin/ai/enabled">
+                        <input type="hidden" name="enabled" value="true">
+                        <button type="submit" ${stats.configured ? '' : 'disabled'} class="w-full bg-green-100 text-green-800 py-2 px-4 rounded-lg text-sm font-medium hover:bg-green-200 disabled:opacity-50">
+                            Enable AI
+                        </button>
+                    </form>
+                    ${stats.configured ? '' : '<p class="text-xs text-gray-500">Set OPENAI_API_KEY or AI_BASE_URL to use AI features.</p>'}
+                    `}
+                    <p class="text-xs text-gray-500">${controls.updatedAt ? `Last changed ${dayjs(controls.updatedAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(controls.updatedBy))}` : 'Set by environment variables - not changed here yet'}</p>
                 </div>
             </div>
 
             <!-- Token Limits -->
             <div class="bg-white rounded-lg shadow-sm p-6">
                 <h3 class="text-lg font-semibold text-gray-800 mb-4">Token Limits</h3>
-                <div class="space-y-3">
+                <form method="POST" action="/admin/ai/limits" class="space-y-3">
+                    <label class="flex justify-between items-center">
+                        <span class="text-gray-600">Daily Limit:</span>
+                        <input type="number" name="maxDailyTokens" min="1" required value="${controls.maxDailyTokens}" class="w-28 px-2 py-1 border border-gray-300 rounded text-sm text-right">
+                    </label>
+                    <label class="flex justify-between items-center">
+                        <span class="text-gray-600">Cheap Model (per call):</span>
+                        <input type="number" name="maxCheapTokens" min="1" required value="${controls.maxCheapTokens}" class="w-28 px-2 py-1 border border-gray-300 rounded text-sm text-right">
+                    </label>
+                    <label class="flex justify-between items-center">
+                        <span class="text-gray-600">Expensive Model (per call):</span>
+                        <input type="number" name="maxExpensiveTokens" min="1" required value="${controls.maxExpensiveTokens}" class="w-28 px-2 py-1 border border-gray-300 rounded text-sm text-right">
+                    </label>
                     <div class="flex justify-between">
-                        <span class="text-gray-600">Cheap Model:</span>
-                        <span class="font-medium">${config.AI_MAX_TOKENS_CHEAP} tokens</span>
+                        <span class="text-gray-600">Temperature:</span>
+                        <span class="font-medium">${config.AI_TEMP}</span>
                     </div>
+                    <button type="submit" class="w-full bg-gray-100 text-gray-700 py-2 px-4 rounded-lg text-sm font-medium hover:bg-gray-200">Save Limits</button>
+                </form>
+            </div>
+
+            <!-- PII Redaction -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">PII Redaction</h3>
+                <div class="space-y-3">
                     <div class="flex justify-between">
-                        <span class="text-gray-600">Expensive Model:</span>
-                        <span class="font-medium">${config.AI_MAX_TOKENS_EXPENSIVE} tokens</span>
+                        <span class="text-gray-600">Model Calls:</span>
+                        <span class="font-medium">${stats.redactions.modelCalls}</span>
                     </div>
                     <div class="flex justify-between">
-                        <span class="text-gray-600">Temperature:</span>
-                        <span class="font-medium">${config.AI_TEMP}</span>
+                        <span class="text-gray-600">Calls With Redactions:</span>
+                        <span class="font-medium">${stats.redactions.redactedCalls}</span>
+                    </div>
+                    ${Object.entries(stats.redactions.byType).map(([type, count]) => `
+                    <div class="flex justify-between text-sm">
+                        <span class="text-gray-500">${type}</span>
+                        <span class="font-medium">${count}</span>
                     </div>
+                    `).join('')}
                 </div>
             </div>
         </div>
 
+        <!-- Cache by Task -->
+        <div class="mt-8 bg-white rounded-lg shadow-sm p-6">
+            <h3 class="text-lg font-semibold text-gray-800 mb-4">Cache by Task</h3>
+            ${Object.keys(stats.cache.namespaces).length ? `
+            <table class="min-w-full text-sm">
+                <thead>
+                    <tr class="text-left text-xs text-gray-500 uppercase">
+                        <th class="py-2">Task</th>
+                        <th class="py-2">Items</th>
+                        <th class="py-2">Memory</th>
+                        <th class="py-2">Hits/Misses</th>
+                        <th class="py-2">Hit Rate</th>
+                        <th class="py-2">Evicted/Expired</th>
+                    </tr>
+                </thead>
+                <tbody class="divide-y divide-gray-100">
+                    ${Object.entries(stats.cache.namespaces).sort(([a], [b]) => a.localeCompare(b)).map(([task, cache]) => `
+                    <tr>
+                        <td class="py-2 font-medium text-gray-800">${escapeHtml(task)}</td>
+                        <td class="py-2 text-gray-600">${cache.entries}</td>
+                        <td class="py-2 text-gray-600">${formatSize(cache.bytes)}</td>
+                        <td class="py-2 text-gray-600">${cache.hits}/${cache.misses}</td>
+                        <td class="py-2 text-gray-600">${cache.hitRate}%</td>
+                        <td class="py-2 text-gray-600">${cache.evictions}/${cache.expired}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ` : '<p class="text-sm text-gray-500">No cached AI answers yet.</p>'}
+        </div>
+
         <!-- Recent Activity Log -->
         <div class="mt-8 bg-white rounded-lg shadow-sm overflow-hidden">
             <div class="px-6 py-4 border-b border-gray-200">
@@ -1745,28 +3909,17 @@ function renderCostPanel(stats, config) {
         </div>
     </div>
 
-    <script>
-        function clearCache() {
-            if (confirm('Clear all cached AI responses? This will temporarily slow down AI features.')) {
-                // In a real implementation, this would call an API endpoint
-                alert('Cache cleared successfully.');
-                location.reload();
-            }
-        }
-
-        function disableAI() {
-            if (confirm('Disable AI features immediately? This will fall back to rules-based responses only.')) {
-                // In a real implementation, this would call an API endpoint to set AI_ENABLE=false
-                alert('AI features disabled. System switched to fallback mode.');
-                location.reload();
-            }
-        }
-    </script>
 </body>
 </html>`;
 }
 
-function renderSchedulePanel(config) {
+function renderSchedulePanel(config, caseworkers, hubs, settings, message = '') {
+  const dayLabels = { sun: 'Sun', mon: 'Mon', tue: 'Tue', wed: 'Wed', thu: 'Thu', fri: 'Fri', sat: 'Sat' };
+  const hoursLabel = (hours, day) => {
+    const open = (hours || DEFAULT_WORKING_HOURS)[day];
+    return open ? `${open.start}-${open.end}` : 'Closed';
+  };
+
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -1786,7 +3939,118 @@ function renderSchedulePanel(config) {
     </nav>
 
     <div class="container mx-auto px-4 py-8">
-        <div class="max-w-2xl mx-auto space-y-6">
+        <div class="max-w-4xl mx-auto space-y-6">
+            ${message ? `<div class="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">${escapeHtml(message)}</div>` : ''}
+
+            <!-- Appointment Rules -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Appointment Rules</h3>
+                <form method="POST" action="/admin/schedule/sla" class="space-y-4">
+                    <div class="grid grid-cols-3 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Default Slot (minutes)</label>
+                            <input type="number" name="slotMinutes" value="${settings.slotMinutes}" min="15" max="240" step="15" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Minimum Notice (minutes)</label>
+                            <input type="number" name="leadMinutes" value="${settings.leadMinutes}" min="0" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Search Window (days)</label>
+                            <input type="number" name="searchDays" value="${settings.searchDays}" min="1" max="60" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">Time Zone</label>
+                        <input type="text" name="timezone" value="${escapeHtml(settings.timezone)}" placeholder="America/Los_Angeles" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        <p class="text-xs text-gray-500 mt-1">IANA name. Working hours, hub hours, time off and notification quiet hours are read in this zone, whatever the server's clock is set to.</p>
+                    </div>
+                    <div>
+                        <label class="block text-sm font-medium text-gray-700 mb-2">First Appointment SLA (hours from intake)</label>
+                        <div class="grid grid-cols-4 gap-4">
+                            ${Object.entries(settings.slaHours).map(([urgency, hours]) => `
+                            <div>
+                                <span class="block text-xs text-gray-500 capitalize mb-1">${urgency}</span>
+                                <input type="number" name="sla_${urgency}" value="${hours}" min="1" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                            </div>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <button type="submit" class="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700">Save Rules</button>
+                </form>
+            </div>
+
+            <!-- Caseworker Availability -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-1">Caseworker Availability</h3>
+                <p class="text-sm text-gray-500 mb-4">Leave a day blank for a day off. Appointments are only offered where these hours overlap the hub's opening hours.</p>
+                <div class="space-y-6">
+                    ${caseworkers.map(cw => `
+                    <div class="border border-gray-200 rounded-lg p-4">
+                        <form method="POST" action="/admin/schedule/caseworkers/${cw.id}">
+                            <div class="flex justify-between items-center mb-3">
+                                <h4 class="font-semibold text-gray-800">${escapeHtml(cw.name)} <span class="text-sm font-normal text-gray-500">${escapeHtml(cw.agency)}</span></h4>
+                                <label class="text-sm text-gray-700">Slot
+                                    <input type="number" name="slotMinutes" value="${cw.slotMinutes || settings.slotMinutes}" min="15" max="240" step="15" class="w-20 px-2 py-1 border border-gray-300 rounded-lg ml-1"> min
+                                </label>
+                            </div>
+                            <div class="grid grid-cols-7 gap-2 text-center">
+                                ${DAYS.map(day => {
+                                  const hours = (cw.workingHours || DEFAULT_WORKING_HOURS)[day];
+                                  return `
+                                <div>
+                                    <span class="block text-xs font-medium text-gray-500 mb-1">${dayLabels[day]}</span>
+                                    <input type="time" name="${day}_start" value="${hours ? hours.start : ''}" class="w-full px-1 py-1 border border-gray-300 rounded text-xs mb-1">
+                                    <input type="time" name="${day}_end" value="${hours ? hours.end : ''}" class="w-full px-1 py-1 border border-gray-300 rounded text-xs">
+                                </div>`;
+                                }).join('')}
+                            </div>
+                            <button type="submit" class="mt-3 bg-gray-100 text-gray-700 px-4 py-1 rounded-lg text-sm font-medium hover:bg-gray-200">Save Hours</button>
+                        </form>
+
+                        <div class="mt-4 pt-4 border-t border-gray-100">
+                            <h5 class="text-sm font-medium text-gray-700 mb-2">Time Off</h5>
+                            ${(cw.timeOff || []).map(t => `
+                            <form method="POST" action="/admin/schedule/caseworkers/${cw.id}/time-off/${t.id}/delete" class="flex justify-between items-center text-sm text-gray-600 mb-1">
+                                <span>${dayjs(t.start).tz(settings.timezone).format('MMM D')} - ${dayjs(t.end).tz(settings.timezone).format('MMM D, YYYY')} ${t.reason ? `(${escapeHtml(t.reason)})` : ''}</span>
+                                <button type="submit" class="text-red-600 text-xs">Remove</button>
+                            </form>
+                            `).join('') || '<p class="text-sm text-gray-400 mb-1">None scheduled</p>'}
+                            <form method="POST" action="/admin/schedule/caseworkers/${cw.id}/time-off" class="flex flex-wrap gap-2 items-center mt-2">
+                                <input type="date" name="start" required class="px-2 py-1 border border-gray-300 rounded text-sm">
+                                <span class="text-gray-400 text-sm">to</span>
+                                <input type="date" name="end" class="px-2 py-1 border border-gray-300 rounded text-sm">
+                                <input type="text" name="reason" placeholder="Reason (optional)" class="px-2 py-1 border border-gray-300 rounded text-sm">
+                                <button type="submit" class="bg-gray-100 text-gray-700 px-3 py-1 rounded-lg text-sm font-medium hover:bg-gray-200">Add</button>
+                            </form>
+                        </div>
+                    </div>
+                    `).join('')}
+                </div>
+            </div>
+
+            <!-- Hub Hours -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-1">Hub Opening Hours</h3>
+                <p class="text-sm text-gray-500 mb-4">Set in <code>data/hubs.json</code> (<code>hours</code> per hub).</p>
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase">
+                            <th class="py-2">Hub</th>
+                            ${DAYS.map(day => `<th class="py-2">${dayLabels[day]}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody class="divide-y divide-gray-100">
+                        ${hubs.map(hub => `
+                        <tr>
+                            <td class="py-2 font-medium text-gray-800">${escapeHtml(hub.name)}</td>
+                            ${DAYS.map(day => `<td class="py-2 text-gray-600">${hoursLabel(hub.hours, day)}</td>`).join('')}
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+
             <!-- Analytics Refresh -->
             <div class="bg-white rounded-lg shadow-sm p-6">
                 <h3 class="text-lg font-semibold text-gray-800 mb-4">Analytics Refresh Schedule</h3>
@@ -1887,9 +4151,710 @@ function renderSchedulePanel(config) {
 </html>`;
 }
 
-function renderKioskInterface() {
+function renderResourcesPanel(stats, preview, matches) {
+  const distanceLabels = ['Same ZIP', 'Nearby', 'Further / unknown'];
+
   return `<!DOCTYPE html>
-<html lang="en" class="h-full">
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Resource Directory - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Resource Directory</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-5xl mx-auto space-y-6">
+            <!-- Import summary -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Directory</h3>
+                ${stats.importedAt ? `
+                <div class="grid grid-cols-3 gap-4 mb-4 text-sm">
+                    <div><p class="text-gray-500">Service locations</p><p class="text-2xl font-bold text-gray-900">${stats.resources}</p></div>
+                    <div><p class="text-gray-500">Organizations</p><p class="text-2xl font-bold text-gray-900">${stats.organizations}</p></div>
+                    <div><p class="text-gray-500">Imported</p><p class="font-medium text-gray-900">${dayjs(stats.importedAt).format('MMM D, YYYY h:mm A')}</p><p class="text-xs text-gray-500">${escapeHtml(stats.source || '')}</p></div>
+                </div>
+                <div class="flex flex-wrap gap-2 text-xs">
+                    ${Object.entries(stats.byCategory).sort((a, b) => b[1] - a[1]).map(([category, count]) => `<span class="px-2 py-1 bg-gray-100 text-gray-700 rounded-full">${escapeHtml(category)}: ${count}</span>`).join('')}
+                </div>
+                ` : `
+                <p class="text-sm text-gray-600">No directory imported yet - the navigator answers from its built-in FAQ. Load an Open Referral HSDS export with the server stopped:</p>
+                <pre class="mt-2 p-3 bg-gray-100 rounded text-xs">node scripts/import-hsds.js path/to/hsds-csv-directory-or-services.json</pre>
+                `}
+            </div>
+
+            <!-- Search preview -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Search Preview</h3>
+                <form method="GET" action="/admin/resources" class="flex gap-2 mb-4">
+                    <input type="text" name="q" value="${escapeHtml(preview.query)}" placeholder="A resident's question, e.g. food pantry open Saturday" class="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                    <input type="text" name="zip" value="${escapeHtml(preview.zipCode)}" placeholder="ZIP" maxlength="5" class="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                    <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Search</button>
+                </form>
+                ${preview.query ? (matches.length ? `
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Service</th>
+                            <th class="py-2">Address</th>
+                            <th class="py-2">Categories</th>
+                            <th class="py-2">Distance</th>
+                            <th class="py-2">Score</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${matches.map(match => `
+                        <tr class="border-b align-top">
+                            <td class="py-2"><p class="font-medium text-gray-900">${escapeHtml(match.resource.name)}</p><p class="text-xs text-gray-500">${escapeHtml(match.resource.organization)}</p></td>
+                            <td class="py-2 text-gray-700">${match.resource.location && match.resource.location.address ? escapeHtml(`${match.resource.location.address.street}, ${match.resource.location.address.postalCode}`) : '—'}</td>
+                            <td class="py-2 text-gray-700">${escapeHtml(match.resource.categories.join(', ') || '—')}</td>
+                            <td class="py-2 text-gray-700">${distanceLabels[match.distance]}</td>
+                            <td class="py-2 text-gray-700">${match.score}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : '<p class="text-sm text-gray-600">No matches - the navigator would fall back to its FAQ answers.</p>') : ''}
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+// Sample client for the triage rules and care plan template previews, built from the preview form
+function triageSample(body) {
+  const list = value => (Array.isArray(value) ? value : [value].filter(Boolean));
+  const fields = {
+    needs: list(body.needs),
+    urgency: body.urgency || 'medium',
+    householdSize: parseInt(body.householdSize) || 1,
+    zipCode: String(body.zipCode || '').trim().slice(0, 5),
+    flags: list(body.flags).filter(flag => TRIAGE_FLAGS[flag])
+  };
+  const flagged = flag => fields.flags.includes(flag);
+  return {
+    fields,
+    client: {
+      needs: fields.needs,
+      urgency: fields.urgency,
+      householdSize: fields.householdSize,
+      zipCode: fields.zipCode,
+      crisis: flagged('crisis') ? { category: 'sample' } : null,
+      consent: flagged('anonymous') ? 0 : 1,
+      phone: flagged('no-contact') ? '' : '555-0100',
+      email: '',
+      notificationsOptOut: flagged('opted-out'),
+      source: flagged('staff-entered') ? 'staff' : 'onboarding'
+    }
+  };
+}
+
+function renderTriageRulesPanel({ ruleSet, history, users, rulesText, sample, note = '', preview = null, errors = [], message = '' }) {
+  const userName = id => (users.find(u => u.id === id) || {}).username || (id ? 'unknown user' : 'system');
+  const ruleStatus = rule => {
+    if (!rule.enabled) return '<span class="text-gray-400">Disabled</span>';
+    if (rule.skippedBy) return `<span class="text-gray-400">Skipped - ${escapeHtml(rule.skippedBy)} stops evaluation</span>`;
+    return rule.matched ? '<span class="text-green-700 font-medium">Matched</span>' : '<span class="text-gray-500">No match</span>';
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Triage Rules - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Triage Rules</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-5xl mx-auto space-y-6">
+            ${message ? `<div class="p-3 bg-green-50 border border-green-200 text-green-800 rounded-lg text-sm">${escapeHtml(message)}</div>` : ''}
+            ${errors.length ? `
+            <div class="p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm">
+                <p class="font-medium mb-1">The rules were not saved:</p>
+                <ul class="list-disc list-inside">${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>` : ''}
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-800">Version ${ruleSet.version}</h3>
+                        <p class="text-sm text-gray-500">${ruleSet.updatedAt ? `Saved ${dayjs(ruleSet.updatedAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(ruleSet.updatedBy))}` : 'Built-in defaults - not edited yet'}${ruleSet.note ? ` · ${escapeHtml(ruleSet.note)}` : ''}</p>
+                    </div>
+                    <span class="text-sm text-gray-500">${ruleSet.rules.filter(rule => rule.enabled !== false).length} of ${ruleSet.rules.length} rules enabled</span>
+                </div>
+                <p class="text-sm text-gray-600 mb-4">Every enabled rule whose conditions all hold contributes to a client's triage: the highest priority wins, and recommendations and next steps are merged in rule order (up to 6 each). A rule with <code>"stop": true</code> ends evaluation when it matches. When no rule matches, triage goes to the AI models if they are enabled.</p>
+
+                <form method="POST" action="/admin/triage-rules">
+                    <textarea name="rules" rows="24" spellcheck="false" class="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs">${escapeHtml(rulesText)}</textarea>
+                    <details class="mt-2 text-sm text-gray-600">
+                        <summary class="cursor-pointer text-blue-600">Rule format</summary>
+                        <pre class="mt-2 p-3 bg-gray-100 rounded text-xs overflow-x-auto">{
+  "id": "urgent-housing",            lowercase letters, digits and dashes
+  "name": "Urgent housing need",
+  "enabled": true,                   optional
+  "when": {                          every condition must hold; leave one out to ignore it
+    "needs": { "any": ["housing"], "all": [...], "none": [...] },
+    "urgency": ["high", "critical"],
+    "householdSize": { "min": 5, "max": 10 },
+    "zipCodes": ["90813", "908"],    a full ZIP or a prefix
+    "flags": ["crisis"]              ${Object.keys(TRIAGE_FLAGS).join(', ')}
+  },
+  "then": {
+    "priority": "urgent",            low, medium, high, urgent
+    "recommendations": ["..."],
+    "nextSteps": ["..."],
+    "confidence": 0.95               optional, 0-1; below 0.7 asks the AI models instead
+  },
+  "stop": false                      optional
+}</pre>
+                    </details>
+
+                    <div class="mt-6 border-t pt-4">
+                        <h4 class="font-semibold text-gray-800 mb-3">Test against a sample client</h4>
+                        <div class="flex flex-wrap gap-3 mb-3 text-sm">
+                            ${['housing', 'employment', 'mental-health', 'medical', 'food', 'veterans', 'substance-abuse', 'legal', 'utilities', 'transportation'].map(need => `
+                            <label class="flex items-center"><input type="checkbox" name="needs" value="${need}" ${sample.fields.needs.includes(need) ? 'checked' : ''} class="mr-1">${need}</label>`).join('')}
+                        </div>
+                        <div class="grid grid-cols-3 gap-4 mb-3 text-sm">
+                            <label class="block">Urgency
+                                <select name="urgency" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg">
+                                    ${['low', 'medium', 'high', 'critical'].map(urgency => `<option value="${urgency}" ${sample.fields.urgency === urgency ? 'selected' : ''}>${urgency}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label class="block">Household size
+                                <input type="number" name="householdSize" min="1" max="20" value="${sample.fields.householdSize}" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                            <label class="block">ZIP code
+                                <input type="text" name="zipCode" maxlength="5" value="${escapeHtml(sample.fields.zipCode)}" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg">
+                            </label>
+                        </div>
+                        <div class="flex flex-wrap gap-3 mb-4 text-sm">
+                            ${Object.keys(TRIAGE_FLAGS).map(flag => `
+                            <label class="flex items-center"><input type="checkbox" name="flags" value="${flag}" ${sample.fields.flags.includes(flag) ? 'checked' : ''} class="mr-1">${flag}</label>`).join('')}
+                        </div>
+                    </div>
+
+                    <div class="flex items-center gap-2">
+                        <button type="submit" name="action" value="preview" class="bg-gray-100 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">Preview</button>
+                        <input type="text" name="note" value="${escapeHtml(note)}" maxlength="200" placeholder="What changed (kept in the version history)" class="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                        <button type="submit" name="action" value="save" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Save as version ${ruleSet.version + 1}</button>
+                    </div>
+                </form>
+            </div>
+
+            ${preview ? `
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Preview (not saved)</h3>
+                <div class="grid grid-cols-3 gap-4 mb-4 text-sm">
+                    <div><p class="text-gray-500">Priority</p><p class="text-xl font-bold text-${preview.priority === 'urgent' ? 'red' : 'gray'}-800">${escapeHtml(preview.priority)}</p></div>
+                    <div><p class="text-gray-500">Confidence</p><p class="text-xl font-bold text-gray-800">${preview.confidence}</p></div>
+                    <div><p class="text-gray-500">Rules matched</p><p class="text-xl font-bold text-gray-800">${preview.ruleHits.length}</p></div>
+                </div>
+                ${preview.ruleHits.length ? `
+                <div class="grid grid-cols-2 gap-4 mb-4 text-sm">
+                    <div><p class="font-medium mb-1">Recommendations</p><ul class="list-disc list-inside text-gray-700">${preview.recommendations.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>
+                    <div><p class="font-medium mb-1">Next steps</p><ul class="list-disc list-inside text-gray-700">${preview.nextSteps.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>
+                </div>
+                ` : '<p class="text-sm text-gray-600 mb-4">No rule matched - this client would be triaged by the AI models, or the general fallback when they are off.</p>'}
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Rule</th>
+                            <th class="py-2">Conditions</th>
+                            <th class="py-2">Result</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.trace.map(rule => `
+                        <tr class="border-b align-top ${rule.matched ? 'bg-green-50' : ''}">
+                            <td class="py-2"><p class="font-medium text-gray-900">${escapeHtml(rule.name)}</p><p class="text-xs text-gray-500">${escapeHtml(rule.id)}</p></td>
+                            <td class="py-2 text-gray-700">${rule.checks.length ? rule.checks.map(check => `<p>${check.passed ? '✓' : '✗'} ${escapeHtml(check.condition)}</p>`).join('') : '<p>Always</p>'}</td>
+                            <td class="py-2">${ruleStatus(rule)}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Earlier Versions</h3>
+                ${history.length ? `
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Version</th>
+                            <th class="py-2">Saved</th>
+                            <th class="py-2">Note</th>
+                            <th class="py-2">Rules</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${history.map(entry => `
+                        <tr class="border-b">
+                            <td class="py-2 font-medium text-gray-900">${entry.version}</td>
+                            <td class="py-2 text-gray-700">${entry.updatedAt ? `${dayjs(entry.updatedAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(entry.updatedBy))}` : 'Built-in defaults'}</td>
+                            <td class="py-2 text-gray-700">${escapeHtml(entry.note || '')}</td>
+                            <td class="py-2 text-gray-700">${entry.rules.length}</td>
+                            <td class="py-2 text-right">
+                                <form method="POST" action="/admin/triage-rules/restore/${entry.version}" onsubmit="return confirm('Restore version ${entry.version} as a new version?')">
+                                    <button type="submit" class="text-blue-600 font-medium">Restore</button>
+                                </form>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : '<p class="text-sm text-gray-600">No earlier versions yet - each save keeps the version it replaces.</p>'}
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderCarePlanTemplatesPanel({ library, history, users, templatesText, sample, note = '', preview = null, errors = [], message = '' }) {
+  const userName = id => (users.find(u => u.id === id) || {}).username || (id ? 'unknown user' : 'system');
+  const needList = template => (template.needs.length ? template.needs.join(' + ') : 'no needs (general)');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Care Plan Templates - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Care Plan Templates</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-5xl mx-auto space-y-6">
+            ${message ? `<div class="p-3 bg-green-50 border border-green-200 text-green-800 rounded-lg text-sm">${escapeHtml(message)}</div>` : ''}
+            ${errors.length ? `
+            <div class="p-3 bg-red-50 border border-red-200 text-red-800 rounded-lg text-sm">
+                <p class="font-medium mb-1">The templates were not saved:</p>
+                <ul class="list-disc list-inside">${errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>
+            </div>` : ''}
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <div class="flex justify-between items-start mb-4">
+                    <div>
+                        <h3 class="text-lg font-semibold text-gray-800">Version ${library.version}</h3>
+                        <p class="text-sm text-gray-500">${library.updatedAt ? `Saved ${dayjs(library.updatedAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(library.updatedBy))}` : 'Built-in defaults - not edited yet'}${library.note ? ` · ${escapeHtml(library.note)}` : ''}</p>
+                    </div>
+                    <span class="text-sm text-gray-500">${library.templates.filter(template => template.enabled !== false).length} of ${library.templates.length} templates enabled</span>
+                </div>
+                <p class="text-sm text-gray-600 mb-4">A client's draft care plan combines one template per need. A template applies when the client has every need it lists and, if it lists urgencies, one of those. Urgency-specific templates are chosen first, then the ones covering the most needs; ties go to the template listed first. Goals, tasks and resources are taken from each chosen template in turn, so every need is represented. Needs no template covers are left to the AI models when they are enabled.</p>
+
+                <form method="POST" action="/admin/careplan-templates">
+                    <textarea name="templates" rows="24" spellcheck="false" class="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs">${escapeHtml(templatesText)}</textarea>
+                    <details class="mt-2 text-sm text-gray-600">
+                        <summary class="cursor-pointer text-blue-600">Template format</summary>
+                        <pre class="mt-2 p-3 bg-gray-100 rounded text-xs overflow-x-auto">{
+  "id": "veterans-housing",          lowercase letters, digits and dashes
+  "name": "Veteran housing",
+  "enabled": true,                   optional
+  "needs": ["veterans", "housing"],  the client must have all of them; [] for the general template
+  "urgency": ["high", "critical"],   optional - only for these urgencies
+  "goals": ["..."],                  1-6
+  "tasks": ["..."],                  1-10
+  "resources": ["..."],              1-8
+  "reviewDays": 7                    optional - review sooner than the urgency default
+}</pre>
+                    </details>
+
+                    <div class="mt-6 border-t pt-4">
+                        <h4 class="font-semibold text-gray-800 mb-3">Test against a sample client</h4>
+                        <div class="flex flex-wrap gap-3 mb-3 text-sm">
+                            ${['housing', 'employment', 'mental-health', 'medical', 'food', 'veterans', 'substance-abuse', 'legal', 'utilities', 'transportation'].map(need => `
+                            <label class="flex items-center"><input type="checkbox" name="needs" value="${need}" ${sample.fields.needs.includes(need) ? 'checked' : ''} class="mr-1">${need}</label>`).join('')}
+                        </div>
+                        <label class="block mb-4 text-sm w-1/3">Urgency
+                            <select name="urgency" class="w-full mt-1 px-3 py-2 border border-gray-300 rounded-lg">
+                                ${['low', 'medium', 'high', 'critical'].map(urgency => `<option value="${urgency}" ${sample.fields.urgency === urgency ? 'selected' : ''}>${urgency}</option>`).join('')}
+                            </select>
+                        </label>
+                    </div>
+
+                    <div class="flex items-center gap-2">
+                        <button type="submit" name="action" value="preview" class="bg-gray-100 text-gray-800 px-4 py-2 rounded-lg text-sm font-medium">Preview</button>
+                        <input type="text" name="note" value="${escapeHtml(note)}" maxlength="200" placeholder="What changed (kept in the version history)" class="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm">
+                        <button type="submit" name="action" value="save" class="bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium">Save as version ${library.version + 1}</button>
+                    </div>
+                </form>
+            </div>
+
+            ${preview ? `
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Preview (not saved)</h3>
+                ${preview.templates.length ? `
+                <div class="mb-4 text-sm">
+                    <p class="font-medium mb-1">Templates chosen, in order</p>
+                    <ol class="list-decimal list-inside text-gray-700">${preview.trace.map(step => `<li>${escapeHtml(step.id)}${step.covers.length ? ` - covers ${escapeHtml(step.covers.join(', '))}` : ' - general'}</li>`).join('')}</ol>
+                    ${preview.uncoveredNeeds.length ? `<p class="mt-2 text-yellow-700">No template for ${escapeHtml(preview.uncoveredNeeds.join(', '))} - the AI models would be asked when enabled.</p>` : ''}
+                </div>
+                <div class="grid grid-cols-3 gap-4 text-sm">
+                    <div><p class="font-medium mb-1">Goals</p><ul class="list-disc list-inside text-gray-700">${preview.goals.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>
+                    <div><p class="font-medium mb-1">Tasks</p><ul class="list-disc list-inside text-gray-700">${preview.tasks.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>
+                    <div><p class="font-medium mb-1">Resources</p><ul class="list-disc list-inside text-gray-700">${preview.resources.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul></div>
+                </div>
+                <p class="mt-4 text-sm text-gray-500">Review ${dayjs(preview.reviewDate).format('MMM D, YYYY')} · confidence ${preview.confidence}</p>
+                ` : '<p class="text-sm text-gray-600">No template applies - this client would get a care plan from the AI models, or the general fallback when they are off.</p>'}
+            </div>
+            ` : ''}
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Templates by Need</h3>
+                <table class="min-w-full text-sm">
+                    <tbody>
+                        ${library.templates.map(template => `
+                        <tr class="border-b ${template.enabled === false ? 'text-gray-400' : ''}">
+                            <td class="py-2 font-medium">${escapeHtml(template.name || template.id)}</td>
+                            <td class="py-2">${escapeHtml(needList(template))}</td>
+                            <td class="py-2">${template.urgency ? escapeHtml(template.urgency.join(', ')) : 'any urgency'}</td>
+                            <td class="py-2 text-right">${template.goals.length} goals · ${template.tasks.length} tasks · ${template.resources.length} resources</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Earlier Versions</h3>
+                ${history.length ? `
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Version</th>
+                            <th class="py-2">Saved</th>
+                            <th class="py-2">Note</th>
+                            <th class="py-2">Templates</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${history.map(entry => `
+                        <tr class="border-b">
+                            <td class="py-2 font-medium text-gray-900">${entry.version}</td>
+                            <td class="py-2 text-gray-700">${entry.updatedAt ? `${dayjs(entry.updatedAt).format('MMM D, YYYY h:mm A')} by ${escapeHtml(userName(entry.updatedBy))}` : 'Built-in defaults'}</td>
+                            <td class="py-2 text-gray-700">${escapeHtml(entry.note || '')}</td>
+                            <td class="py-2 text-gray-700">${entry.templates.length}</td>
+                            <td class="py-2 text-right">
+                                <form method="POST" action="/admin/careplan-templates/restore/${entry.version}" onsubmit="return confirm('Restore version ${entry.version} as a new version?')">
+                                    <button type="submit" class="text-blue-600 font-medium">Restore</button>
+                                </form>
+                            </td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : '<p class="text-sm text-gray-600">No earlier versions yet - each save keeps the version it replaces.</p>'}
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderDecisionReport(report, users) {
+  const userName = id => (users.find(u => u.id === id) || {}).username || (id ? 'unknown user' : 'system');
+  const percent = value => (value === null ? '-' : `${value}%`);
+  const verdictColors = { accepted: 'text-green-700', edited: 'text-yellow-700', rejected: 'text-red-700' };
+  const summaryCells = row => `
+                            <td class="py-2 text-right">${row.total}</td>
+                            <td class="py-2 text-right">${row.reviewed}</td>
+                            <td class="py-2 text-right">${row.accepted} / ${row.edited} / ${row.rejected}</td>
+                            <td class="py-2 text-right font-medium">${percent(row.acceptanceRate)}</td>
+                            <td class="py-2 text-right">${percent(row.usefulRate)}</td>`;
+  const summaryHead = `
+                            <th class="py-2 text-right">Suggestions</th>
+                            <th class="py-2 text-right">Reviewed</th>
+                            <th class="py-2 text-right">Accepted / edited / rejected</th>
+                            <th class="py-2 text-right">Accepted</th>
+                            <th class="py-2 text-right">Accepted or edited</th>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>AI Decisions - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">AI Decisions</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-6xl mx-auto space-y-6">
+            <div class="flex justify-between items-center">
+                <p class="text-sm text-gray-600">Triage and care plan suggestions from the last ${report.days} days and the caseworker feedback on them. A suggestion counts as reviewed once someone accepts, edits or rejects it.</p>
+                <div class="flex gap-2 text-sm">
+                    ${[7, 30, 90].map(days => `<a href="/admin/ai-decisions?days=${days}" class="px-3 py-1 rounded-lg ${days === report.days ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 border'}">${days} days</a>`).join('')}
+                </div>
+            </div>
+
+            <div class="grid md:grid-cols-4 gap-6">
+                <div class="bg-white rounded-lg shadow-sm p-6"><p class="text-sm text-gray-500">Suggestions</p><p class="text-2xl font-bold text-gray-800">${report.overall.total}</p></div>
+                <div class="bg-white rounded-lg shadow-sm p-6"><p class="text-sm text-gray-500">Reviewed</p><p class="text-2xl font-bold text-gray-800">${report.overall.reviewed}</p></div>
+                <div class="bg-white rounded-lg shadow-sm p-6"><p class="text-sm text-gray-500">Accepted as suggested</p><p class="text-2xl font-bold text-green-600">${percent(report.overall.acceptanceRate)}</p></div>
+                <div class="bg-white rounded-lg shadow-sm p-6"><p class="text-sm text-gray-500">Model tokens</p><p class="text-2xl font-bold text-gray-800">${report.overall.tokens}</p></div>
+            </div>
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">By Task and Source</h3>
+                ${report.byTaskAndSource.length ? `
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Task</th>
+                            <th class="py-2">Source</th>
+                            ${summaryHead}
+                            <th class="py-2 text-right">Avg confidence</th>
+                            <th class="py-2 text-right">Avg latency</th>
+                            <th class="py-2 text-right">Tokens</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.byTaskAndSource.map(row => `
+                        <tr class="border-b">
+                            <td class="py-2 font-medium text-gray-900">${escapeHtml(row.task)}</td>
+                            <td class="py-2 text-gray-700">${escapeHtml(row.source)}</td>
+                            ${summaryCells(row)}
+                            <td class="py-2 text-right">${row.avgConfidence === null ? '-' : row.avgConfidence}</td>
+                            <td class="py-2 text-right">${row.avgLatencyMs} ms</td>
+                            <td class="py-2 text-right">${row.tokens}</td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+                ` : '<p class="text-sm text-gray-600">No suggestions in this period.</p>'}
+            </div>
+
+            <div class="grid md:grid-cols-2 gap-6">
+                <div class="bg-white rounded-lg shadow-sm p-6">
+                    <h3 class="text-lg font-semibold text-gray-800 mb-2">By Final Confidence</h3>
+                    <p class="text-sm text-gray-600 mb-4">Answers under 0.7 are escalated to the next tier. If the 0.7 - 0.85 band is accepted about as often as the band above it, the threshold is in the right place; if it is rejected much more often, it is too low.</p>
+                    <table class="min-w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                                <th class="py-2">Task</th>
+                                <th class="py-2">Confidence</th>
+                                ${summaryHead}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${report.byConfidence.filter(row => row.total).map(row => `
+                            <tr class="border-b">
+                                <td class="py-2 font-medium text-gray-900">${escapeHtml(row.task)}</td>
+                                <td class="py-2 text-gray-700">${escapeHtml(row.band)}</td>
+                                ${summaryCells(row)}
+                            </tr>`).join('') || '<tr><td colspan="7" class="py-2 text-gray-500">No suggestions in this period.</td></tr>'}
+                        </tbody>
+                    </table>
+                </div>
+
+                <div class="bg-white rounded-lg shadow-sm p-6">
+                    <h3 class="text-lg font-semibold text-gray-800 mb-2">Escalation</h3>
+                    <p class="text-sm text-gray-600 mb-4">Escalated suggestions were below the threshold at the rules tier and went on to the cache, the models or the fallback.</p>
+                    <table class="min-w-full text-sm">
+                        <thead>
+                            <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                                <th class="py-2"></th>
+                                ${summaryHead}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr class="border-b"><td class="py-2 font-medium text-gray-900">Answered by rules</td>${summaryCells(report.notEscalated)}</tr>
+                            <tr class="border-b"><td class="py-2 font-medium text-gray-900">Escalated</td>${summaryCells(report.escalated)}</tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Recent Suggestions</h3>
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">When</th>
+                            <th class="py-2">Task</th>
+                            <th class="py-2">Source</th>
+                            <th class="py-2 text-right">Confidence</th>
+                            <th class="py-2 text-right">Latency</th>
+                            <th class="py-2 text-right">Tokens</th>
+                            <th class="py-2">Feedback</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${report.recent.map(decision => `
+                        <tr class="border-b align-top">
+                            <td class="py-2 text-gray-700">${dayjs(decision.createdAt).format('MMM D h:mm A')}<p class="text-xs text-gray-400">by ${escapeHtml(userName(decision.requestedBy))}</p></td>
+                            <td class="py-2 text-gray-900">${escapeHtml(decision.task)}</td>
+                            <td class="py-2 text-gray-700">${escapeHtml(decision.source)}${decision.cached ? ' <span class="text-xs text-gray-400">(cached)</span>' : ''}${decision.escalated ? `<p class="text-xs text-gray-400">escalated from rules at ${decision.rulesConfidence}</p>` : ''}</td>
+                            <td class="py-2 text-right">${decision.confidence === null ? '-' : decision.confidence}</td>
+                            <td class="py-2 text-right">${decision.latencyMs} ms</td>
+                            <td class="py-2 text-right">${decision.tokens}</td>
+                            <td class="py-2">${decision.feedback ? `<span class="${verdictColors[decision.feedback.verdict]} font-medium">${decision.feedback.verdict}</span> <span class="text-xs text-gray-400">by ${escapeHtml(userName(decision.feedback.by))}</span>${decision.feedback.note ? `<p class="text-xs text-gray-600">${escapeHtml(decision.feedback.note)}</p>` : ''}` : '<span class="text-gray-400">Not reviewed</span>'}</td>
+                        </tr>`).join('') || '<tr><td colspan="7" class="py-2 text-gray-500">No suggestions in this period.</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderNotificationsPanel(jobs, filters, settings, message = '') {
+  const statusColors = {
+    queued: 'bg-blue-100 text-blue-800',
+    sent: 'bg-green-100 text-green-800',
+    skipped: 'bg-gray-100 text-gray-700',
+    cancelled: 'bg-gray-100 text-gray-500',
+    failed: 'bg-red-100 text-red-800'
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Notifications - First Contact E.I.S.</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gray-50">
+    <nav class="bg-white shadow-sm border-b">
+        <div class="container mx-auto px-4 py-4">
+            <div class="flex justify-between items-center">
+                <h1 class="text-xl font-bold text-gray-800">Notifications</h1>
+                <a href="/admin" class="text-blue-600 font-medium">← Back to Admin</a>
+            </div>
+        </div>
+    </nav>
+
+    <div class="container mx-auto px-4 py-8">
+        <div class="max-w-5xl mx-auto space-y-6">
+            ${message ? `<div class="p-3 bg-green-100 border border-green-400 text-green-700 rounded-lg">${escapeHtml(message)}</div>` : ''}
+
+            <!-- Queue -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <div class="flex justify-between items-center mb-4">
+                    <h3 class="text-lg font-semibold text-gray-800">Queue</h3>
+                    <div class="flex gap-2 text-sm">
+                        ${['', 'queued', 'sent', 'skipped', 'failed', 'cancelled'].map(status => `
+                        <a href="/admin/notifications${status ? `?status=${status}` : ''}" class="px-3 py-1 rounded-full ${filters.status === status ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700'}">${status || 'all'}</a>
+                        `).join('')}
+                    </div>
+                </div>
+                <table class="min-w-full text-sm">
+                    <thead>
+                        <tr class="text-left text-xs text-gray-500 uppercase border-b">
+                            <th class="py-2">Created</th>
+                            <th class="py-2">Message</th>
+                            <th class="py-2">Send After</th>
+                            <th class="py-2">Status</th>
+                            <th class="py-2">Channel</th>
+                            <th class="py-2">Detail</th>
+                            <th class="py-2"></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${jobs.map(job => `
+                        <tr class="border-b border-gray-100">
+                            <td class="py-2 text-gray-600">${dayjs(job.createdAt).format('MMM D h:mm A')}</td>
+                            <td class="py-2 font-medium text-gray-800">${job.template}</td>
+                            <td class="py-2 text-gray-600">${dayjs(job.sendAfter).format('MMM D h:mm A')}${job.deferredForQuietHours ? ' <span class="text-xs text-gray-400">(quiet hours)</span>' : ''}</td>
+                            <td class="py-2"><span class="px-2 py-1 rounded-full text-xs ${statusColors[job.status] || ''}">${job.status}</span></td>
+                            <td class="py-2 text-gray-600">${job.channel ? `${job.channel}${job.provider ? ` / ${job.provider}` : ''}` : '-'}</td>
+                            <td class="py-2 text-gray-500">${escapeHtml(job.reason || job.error || '')}${job.attempts ? ` <span class="text-xs">(${job.attempts} attempt${job.attempts === 1 ? '' : 's'})</span>` : ''}</td>
+                            <td class="py-2 text-right">
+                                ${job.status === 'failed' ? `
+                                <form method="POST" action="/admin/notifications/${job.id}/retry">
+                                    <button type="submit" class="text-blue-600 text-xs font-medium">Retry</button>
+                                </form>` : ''}
+                            </td>
+                        </tr>
+                        `).join('') || '<tr><td colspan="7" class="py-4 text-center text-gray-400">No notifications</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+
+            <!-- Settings -->
+            <div class="bg-white rounded-lg shadow-sm p-6">
+                <h3 class="text-lg font-semibold text-gray-800 mb-4">Delivery Settings</h3>
+                <form method="POST" action="/admin/notifications/settings" class="space-y-4">
+                    <div class="grid grid-cols-3 gap-4">
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Quiet Hours Start</label>
+                            <input type="time" name="quietStart" value="${settings.quietHours.start}" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Quiet Hours End</label>
+                            <input type="time" name="quietEnd" value="${settings.quietHours.end}" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                        <div>
+                            <label class="block text-sm font-medium text-gray-700 mb-2">Reminder Lead (hours)</label>
+                            <input type="number" name="reminderHours" value="${settings.reminderHours}" min="1" max="168" class="w-full px-3 py-2 border border-gray-300 rounded-lg">
+                        </div>
+                    </div>
+                    <p class="text-xs text-gray-500">Messages due during quiet hours wait until they end. Times are in the service time zone set under Schedule Settings. Clear both times to send around the clock.</p>
+
+                    <div class="space-y-4">
+                        <p class="text-sm text-gray-500">Placeholders: {name}, {caseworker}, {agency}, {date}, {location}, {statusUrl}. Texts also get "Reply STOP to opt out." These are the English messages; residents who prefer Spanish get the translated ones.</p>
+                        ${Object.entries(settings.templates).map(([name, template]) => `
+                        <div class="border border-gray-200 rounded-lg p-4">
+                            <h4 class="font-medium text-gray-800 capitalize mb-2">${name}</h4>
+                            <input type="text" name="${name}_subject" value="${escapeHtml(template.subject)}" placeholder="Email subject" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm mb-2">
+                            <textarea name="${name}_body" rows="2" class="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm">${escapeHtml(template.body)}</textarea>
+                        </div>
+                        `).join('')}
+                    </div>
+                    <button type="submit" class="bg-blue-600 text-white px-6 py-2 rounded-lg font-medium hover:bg-blue-700">Save Settings</button>
+                </form>
+            </div>
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+function renderKioskInterface(t, switcher) {
+  return `<!DOCTYPE html>
+<html lang="${t.locale}" class="h-full">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -1903,46 +4868,47 @@ function renderKioskInterface() {
 <body class="h-full bg-gradient-to-br from-blue-900 via-purple-900 to-indigo-900 text-white overflow-hidden">
     <div class="min-h-screen flex items-center justify-center p-8">
         <div class="glassmorphism border border-white/20 rounded-3xl p-12 max-w-2xl w-full text-center">
+            ${switcher}
             <div class="mb-12">
                 <h1 class="text-6xl font-bold mb-6 bg-gradient-to-r from-blue-200 to-purple-200 bg-clip-text text-transparent">
                     First Contact E.I.S.
                 </h1>
-                <p class="text-white/90 text-2xl mb-4">Connect with human services</p>
-                <p class="text-white/70 text-lg">Housing • Employment • Healthcare • Support</p>
+                <p class="text-white/90 text-2xl mb-4">${t('kiosk.tagline')}</p>
+                <p class="text-white/70 text-lg">${t('kiosk.areas')}</p>
             </div>
             
             <div class="space-y-8">
-                <a href="/onboard?hub=HUB-LB-001" class="block w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-8 px-8 rounded-3xl font-bold text-3xl hover:shadow-2xl transition-all transform hover:scale-105">
-                    🏠 Start Here - Get Help Now
+                <a href="/onboard?hub=HUB-LB-001&amp;lang=${t.locale}" class="block w-full bg-gradient-to-r from-blue-500 to-purple-600 text-white py-8 px-8 rounded-3xl font-bold text-3xl hover:shadow-2xl transition-all transform hover:scale-105">
+                    ${t('kiosk.start')}
                 </a>
                 
                 <div class="grid grid-cols-2 gap-6 text-white/80">
                     <div class="bg-white/10 p-6 rounded-2xl">
                         <div class="text-4xl mb-3">🏘️</div>
-                        <h3 class="font-semibold text-lg mb-2">Housing</h3>
-                        <p class="text-sm">Emergency shelter, rental assistance, permanent housing</p>
+                        <h3 class="font-semibold text-lg mb-2">${t('kiosk.housing')}</h3>
+                        <p class="text-sm">${t('kiosk.housingText')}</p>
                     </div>
                     <div class="bg-white/10 p-6 rounded-2xl">
                         <div class="text-4xl mb-3">💼</div>
-                        <h3 class="font-semibold text-lg mb-2">Employment</h3>
-                        <p class="text-sm">Job training, placement assistance, career support</p>
+                        <h3 class="font-semibold text-lg mb-2">${t('kiosk.employment')}</h3>
+                        <p class="text-sm">${t('kiosk.employmentText')}</p>
                     </div>
                     <div class="bg-white/10 p-6 rounded-2xl">
                         <div class="text-4xl mb-3">🏥</div>
-                        <h3 class="font-semibold text-lg mb-2">Healthcare</h3>
-                        <p class="text-sm">Medical care, mental health, substance abuse treatment</p>
+                        <h3 class="font-semibold text-lg mb-2">${t('kiosk.healthcare')}</h3>
+                        <p class="text-sm">${t('kiosk.healthcareText')}</p>
                     </div>
                     <div class="bg-white/10 p-6 rounded-2xl">
                         <div class="text-4xl mb-3">🤝</div>
-                        <h3 class="font-semibold text-lg mb-2">Support</h3>
-                        <p class="text-sm">Food assistance, legal aid, transportation help</p>
+                        <h3 class="font-semibold text-lg mb-2">${t('kiosk.support')}</h3>
+                        <p class="text-sm">${t('kiosk.supportText')}</p>
                     </div>
                 </div>
             </div>
             
             <div class="mt-12 pt-8 border-t border-white/20">
-                <p class="text-white/60 text-sm mb-4">Need to exit kiosk mode?</p>
-                <a href="/admin/kiosk/exit" class="text-white/40 text-xs underline hover:text-white/60">Staff Access</a>
+                <p class="text-white/60 text-sm mb-4">${t('kiosk.exitPrompt')}</p>
+                <a href="/admin/kiosk/exit" class="text-white/40 text-xs underline hover:text-white/60">${t('kiosk.staffAccess')}</a>
             </div>
         </div>
     </div>
@@ -1986,15 +4952,20 @@ function renderKioskExit(error = '') {
         <div class="max-w-md w-full bg-gray-800 rounded-2xl shadow-xl p-8">
             <div class="text-center mb-8">
                 <h2 class="text-3xl font-bold text-white">Exit Kiosk Mode</h2>
-                <p class="text-gray-300 mt-2">Enter admin PIN to continue</p>
+                <p class="text-gray-300 mt-2">Sign in with an admin account to continue</p>
             </div>
             
             ${error ? `<div class="mb-4 p-3 bg-red-900 border border-red-700 text-red-100 rounded-lg">${error}</div>` : ''}
             
             <form method="POST">
+                <div class="mb-4">
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Admin Username</label>
+                    <input type="text" name="username" required autofocus
+                           class="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-white">
+                </div>
                 <div class="mb-6">
-                    <label class="block text-sm font-medium text-gray-300 mb-2">Admin PIN</label>
-                    <input type="password" name="pin" required autofocus
+                    <label class="block text-sm font-medium text-gray-300 mb-2">Password or PIN</label>
+                    <input type="password" name="password" required
                            class="w-full px-4 py-3 bg-gray-700 border border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-center text-lg tracking-widest text-white">
                 </div>
                 <button type="submit" class="w-full bg-red-600 text-white py-3 px-4 rounded-lg font-semibold hover:bg-red-700 transition-colors">
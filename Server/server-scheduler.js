@@ -0,0 +1,179 @@
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const { getRepository, FREE_APPOINTMENT_STATUSES, DEFAULT_WORKING_HOURS, DEFAULT_SLOT_MINUTES } = require('./repository');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DEFAULT_SCHEDULING = {
+  slotMinutes: DEFAULT_SLOT_MINUTES,
+  leadMinutes: 60,
+  searchDays: 14,
+  // IANA zone that hub hours, working hours and time off are read in - not the host's,
+  // which is UTC on most cloud platforms
+  timezone: 'America/Los_Angeles',
+  // Longest acceptable wait from intake to first appointment, by urgency
+  slaHours: { critical: 24, high: 48, medium: 72, low: 168 }
+};
+
+// A wall-clock time on a day in the service zone, with that date's own UTC offset
+function atTime(day, time, zone) {
+  return dayjs.tz(`${day.format('YYYY-MM-DD')} ${time}`, zone);
+}
+
+function validTimezone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return !!zone;
+  } catch (error) {
+    return false;
+  }
+}
+
+function overlaps(startA, endA, startB, endB) {
+  return startA.isBefore(endB) && startB.isBefore(endA);
+}
+
+// Slot finder over caseworker working hours, hub opening hours, time-off and
+// existing appointments. Hours are wall-clock times in the service zone
+// (settings().timezone); slots and appointments are stored as UTC instants.
+class Scheduler {
+  settings() {
+    const configured = getRepository().getConfig().scheduling || {};
+    return {
+      ...DEFAULT_SCHEDULING,
+      ...configured,
+      slaHours: { ...DEFAULT_SCHEDULING.slaHours, ...(configured.slaHours || {}) }
+    };
+  }
+
+  // A date or instant as seen in the service zone
+  zoned(date) {
+    return dayjs(date || undefined).tz(this.settings().timezone);
+  }
+
+  // Whole service-zone days from the start date to the end date (YYYY-MM-DD), as instants
+  dayRange(startDate, endDate = startDate) {
+    const zone = this.settings().timezone;
+    return {
+      start: dayjs.tz(startDate, zone).startOf('day').toISOString(),
+      end: dayjs.tz(endDate, zone).endOf('day').toISOString()
+    };
+  }
+
+  slotMinutesFor(caseworker) {
+    return caseworker.slotMinutes || this.settings().slotMinutes;
+  }
+
+  // Opening window for a day: the overlap of caseworker hours and hub hours.
+  // Records that predate availability settings get weekday 9-5. `day` is a date in
+  // the service zone.
+  windowFor(caseworker, hub, day, zone = this.settings().timezone) {
+    const key = DAYS[day.day()];
+    const worked = (caseworker.workingHours || DEFAULT_WORKING_HOURS)[key];
+    const open = hub ? (hub.hours || DEFAULT_WORKING_HOURS)[key] : worked;
+    if (!worked || !open) return null;
+
+    const workStart = atTime(day, worked.start, zone);
+    const workEnd = atTime(day, worked.end, zone);
+    const openStart = atTime(day, open.start, zone);
+    const openEnd = atTime(day, open.end, zone);
+
+    const windowStart = workStart.isAfter(openStart) ? workStart : openStart;
+    const windowEnd = workEnd.isBefore(openEnd) ? workEnd : openEnd;
+    return windowStart.isBefore(windowEnd) ? { start: windowStart, end: windowEnd } : null;
+  }
+
+  // Intervals a caseworker is unavailable: booked appointments and time-off
+  busyFor(caseworker, excludeAppointmentId = null) {
+    const repo = getRepository();
+    const appointments = repo.getAppointmentsByCaseworker(caseworker.id)
+      .filter(a => a.id !== excludeAppointmentId && !FREE_APPOINTMENT_STATUSES.includes(a.status) && a.scheduledDate)
+      .map(a => ({
+        start: dayjs(a.scheduledDate),
+        end: dayjs(a.scheduledDate).add(a.durationMinutes || this.slotMinutesFor(caseworker), 'minutes')
+      }));
+    const timeOff = (caseworker.timeOff || []).map(t => ({ start: dayjs(t.start), end: dayjs(t.end) }));
+    return [...appointments, ...timeOff];
+  }
+
+  // Open slots for one caseworker at one hub, earliest first
+  findSlots({ caseworkerId, hubCode, from, limit = 10, excludeAppointmentId } = {}) {
+    const repo = getRepository();
+    const caseworker = repo.getCaseworkerById(caseworkerId);
+    if (!caseworker) return [];
+
+    const hub = hubCode ? repo.getHubByCode(hubCode) : null;
+    const settings = this.settings();
+    const slotMinutes = this.slotMinutesFor(caseworker);
+    const earliest = dayjs(from || undefined).add(settings.leadMinutes, 'minutes');
+    const busy = this.busyFor(caseworker, excludeAppointmentId);
+    const slots = [];
+
+    const firstDay = earliest.tz(settings.timezone).startOf('day');
+
+    for (let offset = 0; offset <= settings.searchDays && slots.length < limit; offset++) {
+      const day = firstDay.add(offset, 'days');
+      const window = this.windowFor(caseworker, hub, day, settings.timezone);
+      if (!window) continue;
+
+      for (let start = window.start; !start.add(slotMinutes, 'minutes').isAfter(window.end); start = start.add(slotMinutes, 'minutes')) {
+        const end = start.add(slotMinutes, 'minutes');
+        if (start.isBefore(earliest) || busy.some(b => overlaps(start, end, b.start, b.end))) continue;
+
+        slots.push({
+          caseworkerId: caseworker.id,
+          hubCode: hub ? hub.code : null,
+          start: start.toISOString(),
+          end: end.toISOString(),
+          durationMinutes: slotMinutes
+        });
+        if (slots.length >= limit) break;
+      }
+    }
+    return slots;
+  }
+
+  // Earliest slot that meets the urgency SLA. Candidates are tried in order; the
+  // first caseworker who can be seen within the SLA wins, otherwise the earliest
+  // slot overall is returned with slaMet = false.
+  findSlotWithinSla({ caseworkerIds, hubCode, urgency = 'medium', from, excludeAppointmentId } = {}) {
+    const dueBy = dayjs(from || undefined).add(this.settings().slaHours[urgency] || this.settings().slaHours.medium, 'hours');
+    let earliest = null;
+
+    for (const caseworkerId of caseworkerIds) {
+      const [slot] = this.findSlots({ caseworkerId, hubCode, from, limit: 1, excludeAppointmentId });
+      if (!slot) continue;
+      if (!dayjs(slot.start).isAfter(dueBy)) {
+        return { slot, slaMet: true, dueBy: dueBy.toISOString() };
+      }
+      if (!earliest || dayjs(slot.start).isBefore(earliest.start)) {
+        earliest = slot;
+      }
+    }
+    return { slot: earliest, slaMet: false, dueBy: dueBy.toISOString() };
+  }
+
+  // Where the appointment happens, derived from the client's hub
+  locationFor(hubCode, method) {
+    const hub = hubCode ? getRepository().getHubByCode(hubCode) : null;
+    if (!hub) {
+      return method === 'phone' ? 'Phone call' : 'To be confirmed by your caseworker';
+    }
+    return method === 'phone' ? `Phone call from ${hub.name}` : `${hub.name}, ${hub.address}`;
+  }
+}
+
+let schedulerInstance = null;
+
+function getScheduler() {
+  if (!schedulerInstance) {
+    schedulerInstance = new Scheduler();
+  }
+  return schedulerInstance;
+}
+
+module.exports = { getScheduler, Scheduler, DAYS, DEFAULT_SCHEDULING, atTime, validTimezone };
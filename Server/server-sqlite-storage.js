@@ -0,0 +1,252 @@
+// Embedded SQLite storage driver - each collection is a table of JSON records
+// with expression indexes on the fields listed in COLLECTION_INDEXES
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+
+function assertName(name) {
+  if (!NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid storage name: ${name}`);
+  }
+  return name;
+}
+
+function field(name) {
+  return `json_extract(data, '$.${assertName(name)}')`;
+}
+
+function toSqlValue(value) {
+  return typeof value === 'boolean' ? Number(value) : value;
+}
+
+class SqliteStorage {
+  constructor(options = {}) {
+    let Database;
+    try {
+      Database = require('better-sqlite3');
+    } catch (error) {
+      throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+    }
+
+    this.name = 'sqlite';
+    this.indexes = options.indexes || {};
+    this.db = new Database(options.filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL)');
+    this.tables = new Set();
+    this.statements = new Map();
+  }
+
+  prepare(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  // Create the collection table and its indexes on first use
+  table(collection) {
+    assertName(collection);
+    if (!this.tables.has(collection)) {
+      this.db.exec(`CREATE TABLE IF NOT EXISTS "${collection}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+      (this.indexes[collection] || []).forEach(name => {
+        this.db.exec(`CREATE INDEX IF NOT EXISTS "idx_${collection}_${assertName(name)}" ON "${collection}" (${field(name)})`);
+      });
+      this.tables.add(collection);
+    }
+    return `"${collection}"`;
+  }
+
+  where(criteria) {
+    const clauses = [];
+    const params = [];
+    Object.entries(criteria).forEach(([name, value]) => {
+      if (value === null || value === undefined) {
+        clauses.push(`${field(name)} IS NULL`);
+      } else {
+        clauses.push(`${field(name)} = ?`);
+        params.push(toSqlValue(value));
+      }
+    });
+    return { sql: clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '', params };
+  }
+
+  // Document operations (config, caseworkers, hubs)
+  getDocument(name, defaultValue) {
+    const row = this.prepare('SELECT data FROM documents WHERE name = ?').get(name);
+    return row ? JSON.parse(row.data) : defaultValue;
+  }
+
+  setDocument(name, value) {
+    this.prepare('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data')
+      .run(name, JSON.stringify(value));
+    return value;
+  }
+
+  // Collection operations
+  get(collection, id) {
+    const row = this.prepare(`SELECT data FROM ${this.table(collection)} WHERE id = ?`).get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  find(collection, criteria = {}) {
+    const { sql, params } = this.where(criteria);
+    return this.prepare(`SELECT data FROM ${this.table(collection)}${sql}`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  count(collection, criteria = {}) {
+    const { sql, params } = this.where(criteria);
+    return this.prepare(`SELECT COUNT(*) AS total FROM ${this.table(collection)}${sql}`).get(...params).total;
+  }
+
+  insert(collection, record) {
+    this.prepare(`INSERT INTO ${this.table(collection)} (id, data) VALUES (?, ?)`)
+      .run(record.id, JSON.stringify(record));
+    return record;
+  }
+
+  update(collection, id, record) {
+    const result = this.prepare(`UPDATE ${this.table(collection)} SET data = ? WHERE id = ?`)
+      .run(JSON.stringify(record), id);
+    return result.changes > 0 ? record : null;
+  }
+
+  remove(collection, id) {
+    return this.prepare(`DELETE FROM ${this.table(collection)} WHERE id = ?`).run(id).changes > 0;
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  // Client list with dashboard filters, newest first
+  queryClients(filters = {}) {
+    const table = this.table('clients');
+    const clauses = [];
+    const params = [];
+
+    if (filters.caseworkerId) {
+      clauses.push(`${field('caseworkerId')} = ?`);
+      params.push(filters.caseworkerId);
+    }
+    if (filters.caseworkerIds) {
+      if (filters.caseworkerIds.length === 0) {
+        clauses.push('0');
+      } else {
+        clauses.push(`${field('caseworkerId')} IN (${filters.caseworkerIds.map(() => '?').join(', ')})`);
+        params.push(...filters.caseworkerIds);
+      }
+    }
+    if (filters.urgency) {
+      clauses.push(`${field('urgency')} = ?`);
+      params.push(filters.urgency);
+    }
+    if (filters.need) {
+      clauses.push(`EXISTS (SELECT 1 FROM json_each(${table}.data, '$.needs') WHERE value = ?)`);
+      params.push(filters.need);
+    }
+    // Clients from before languages were recorded count as English
+    if (filters.language) {
+      clauses.push(`COALESCE(${field('preferredLanguage')}, 'en') = ?`);
+      params.push(filters.language);
+    }
+    if (filters.search) {
+      const search = filters.search.toLowerCase();
+      clauses.push(`(instr(lower(${field('name')}), ?) > 0 OR instr(${field('phone')}, ?) > 0)`);
+      params.push(search, search);
+    }
+
+    const where = clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+    return this.prepare(`SELECT data FROM ${table}${where} ORDER BY ${field('createdAt')} DESC`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  // Aggregates for the analytics dashboard
+  clientStats(since) {
+    const clients = this.table('clients');
+    const appointments = this.table('appointments');
+    const sinceISO = since.toISOString();
+    const recent = `FROM ${clients} WHERE ${field('createdAt')} > ?`;
+
+    const needsCount = {};
+    this.prepare(`SELECT needs.value AS need, COUNT(*) AS total
+      FROM ${clients}, json_each(${clients}.data, '$.needs') AS needs
+      WHERE ${field('createdAt')} > ? GROUP BY needs.value`)
+      .all(sinceISO)
+      .forEach(row => { needsCount[row.need] = row.total; });
+
+    const urgencyCount = { low: 0, medium: 0, high: 0, critical: 0 };
+    this.prepare(`SELECT COALESCE(NULLIF(${field('urgency')}, ''), 'medium') AS urgency, COUNT(*) AS total ${recent} GROUP BY 1`)
+      .all(sinceISO)
+      .forEach(row => { urgencyCount[row.urgency] = row.total; });
+
+    const zipCount = {};
+    this.prepare(`SELECT ${field('zipCode')} AS zip, COUNT(*) AS total ${recent} AND COALESCE(${field('zipCode')}, '') != '' GROUP BY 1`)
+      .all(sinceISO)
+      .forEach(row => { zipCount[row.zip] = row.total; });
+
+    const caseworkerCounts = {};
+    this.prepare(`SELECT ${field('caseworkerId')} AS caseworkerId, COUNT(*) AS total,
+        SUM(CASE WHEN ${field('status')} = 'active' THEN 1 ELSE 0 END) AS active
+      FROM ${clients} WHERE ${field('caseworkerId')} IS NOT NULL GROUP BY 1`)
+      .all()
+      .forEach(row => { caseworkerCounts[row.caseworkerId] = { active: row.active, total: row.total }; });
+
+    const appointmentTotals = this.prepare(`SELECT COUNT(*) AS total FROM ${appointments}`).get();
+    const hours = this.prepare(`SELECT COALESCE(SUM(CAST((julianday(json_extract(a.data, '$.scheduledDate')) - julianday(json_extract(c.data, '$.createdAt'))) * 24 AS INTEGER)), 0) AS hours
+      FROM ${appointments} a JOIN ${clients} c ON c.id = json_extract(a.data, '$.clientId')
+      WHERE json_extract(a.data, '$.scheduledDate') IS NOT NULL`).get();
+
+    return {
+      recentTotal: this.prepare(`SELECT COUNT(*) AS total ${recent}`).get(sinceISO).total,
+      total: this.count('clients'),
+      needsCount,
+      urgencyCount,
+      zipCount,
+      caseworkerCounts,
+      appointmentCount: appointmentTotals.total,
+      hoursToAppointment: hours.hours
+    };
+  }
+
+  // Audit log filtered by client, actor and date range, newest first
+  queryAudit(filters = {}) {
+    const table = this.table('audit');
+    const clauses = [];
+    const params = [];
+
+    if (filters.clientId) {
+      clauses.push(`(${field('clientId')} = ? OR EXISTS (SELECT 1 FROM json_each(${table}.data, '$.clientIds') WHERE value = ?))`);
+      params.push(filters.clientId, filters.clientId);
+    }
+    if (filters.actorId) {
+      clauses.push(`${field('actorId')} = ?`);
+      params.push(filters.actorId);
+    }
+    if (filters.action) {
+      clauses.push(`${field('action')} = ?`);
+      params.push(filters.action);
+    }
+    if (filters.from) {
+      clauses.push(`${field('at')} >= ?`);
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      clauses.push(`${field('at')} <= ?`);
+      params.push(filters.to);
+    }
+
+    const where = clauses.length ? ` WHERE ${clauses.join(' AND ')}` : '';
+    const limit = filters.limit ? ` LIMIT ${parseInt(filters.limit)}` : '';
+    return this.prepare(`SELECT data FROM ${table}${where} ORDER BY ${field('seq')} DESC${limit}`)
+      .all(...params)
+      .map(row => JSON.parse(row.data));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStorage };
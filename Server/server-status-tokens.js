@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+
+// Unambiguous alphabet for lookup codes read aloud or copied from paper (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_LOOKUP_FAILURES = 5;
+const LOOKUP_LOCK_MINUTES = 15;
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function normalizeLookupCode(code) {
+  return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+function formatLookupCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function phoneLast4(phone) {
+  return String(phone || '').replace(/\D/g, '').slice(-4);
+}
+
+// Resident status links. A token is base64url(clientId.version.expiry) plus an
+// HMAC-SHA256 signature; bumping the client's statusTokenVersion revokes every
+// link issued before it.
+class StatusTokenService {
+  constructor(config = {}) {
+    this.secret = config.STATUS_TOKEN_SECRET || config.SESSION_SECRET;
+    this.linkDays = config.STATUS_LINK_DAYS || 30;
+    this.failures = new Map();
+  }
+
+  sign(payload) {
+    return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+  }
+
+  createToken(client, expiresAt) {
+    const payload = base64url(`${client.id}.${client.statusTokenVersion || 0}.${expiresAt.unix()}`);
+    return `${payload}.${this.sign(payload)}`;
+  }
+
+  generateLookupCode() {
+    const repo = getRepository();
+    let code;
+    do {
+      code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    } while (repo.getClientByLookupCode(code));
+    return code;
+  }
+
+  // Issue a status link. rotate=true revokes every earlier link for the client.
+  issue(client, { rotate = false } = {}) {
+    const expiresAt = dayjs().add(this.linkDays, 'days');
+    const updated = getRepository().updateClient(client.id, {
+      lookupCode: client.lookupCode || this.generateLookupCode(),
+      statusTokenVersion: (client.statusTokenVersion || 0) + (rotate ? 1 : 0),
+      statusLinkIssuedAt: dayjs().toISOString(),
+      statusLinkExpiresAt: expiresAt.toISOString()
+    });
+
+    return {
+      statusUrl: `/status/${this.createToken(updated, expiresAt)}`,
+      lookupCode: formatLookupCode(updated.lookupCode),
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  // The client's current link while it has at least minDays left, else a new one.
+  // Rebuilding the same token writes nothing, so resending a message never changes
+  // the link a resident already has.
+  currentLink(client, { minDays = 1 } = {}) {
+    const expiresAt = client.statusLinkExpiresAt ? dayjs(client.statusLinkExpiresAt) : null;
+    if (!client.lookupCode || !expiresAt || expiresAt.isBefore(dayjs().add(minDays, 'days'))) {
+      return this.issue(client);
+    }
+    return {
+      statusUrl: `/status/${this.createToken(client, expiresAt)}`,
+      lookupCode: formatLookupCode(client.lookupCode),
+      expiresAt: expiresAt.toISOString()
+    };
+  }
+
+  revoke(client) {
+    return getRepository().updateClient(client.id, {
+      statusTokenVersion: (client.statusTokenVersion || 0) + 1,
+      statusLinkExpiresAt: null
+    });
+  }
+
+  // Returns { client } or { error } where error is 'invalid', 'expired' or 'revoked'
+  verify(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) {
+      return { error: 'invalid' };
+    }
+
+    const expected = Buffer.from(this.sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return { error: 'invalid' };
+    }
+
+    const [clientId, version, expiry] = Buffer.from(payload, 'base64').toString().split('.');
+    if (dayjs().unix() > parseInt(expiry)) {
+      return { error: 'expired' };
+    }
+
+    const client = getRepository().getClientById(clientId);
+    if (!client) {
+      return { error: 'invalid' };
+    }
+    if (parseInt(version) !== (client.statusTokenVersion || 0)) {
+      return { error: 'revoked' };
+    }
+    return { client };
+  }
+
+  // Drop failure counts whose lockout window has passed, so scanning many codes
+  // cannot grow the map without bound
+  sweepFailures(now = dayjs()) {
+    for (const [code, failure] of this.failures) {
+      if (!now.isBefore(failure.lockedUntil)) {
+        this.failures.delete(code);
+      }
+    }
+  }
+
+  // Lookup code plus last 4 of phone; repeated failures lock the code for a while
+  lookup(code, last4) {
+    // Expired counts go as new lookups arrive, like navigator conversations
+    this.sweepFailures();
+    const normalized = normalizeLookupCode(code);
+    const failure = this.failures.get(normalized);
+    if (failure && failure.count >= MAX_LOOKUP_FAILURES && dayjs().isBefore(failure.lockedUntil)) {
+      return { error: 'locked' };
+    }
+
+    const client = normalized ? getRepository().getClientByLookupCode(normalized) : null;
+    const expected = client ? phoneLast4(client.phone) : '';
+
+    if (!client || expected.length !== 4 || phoneLast4(last4) !== expected) {
+      const count = (failure ? failure.count : 0) + 1;
+      this.failures.set(normalized, { count, lockedUntil: dayjs().add(LOOKUP_LOCK_MINUTES, 'minutes').toISOString() });
+      return { error: client && expected.length !== 4 ? 'no-phone' : 'not-found' };
+    }
+
+    this.failures.delete(normalized);
+    return { client };
+  }
+}
+
+let statusTokensInstance = null;
+
+function getStatusTokens(config = {}) {
+  if (!statusTokensInstance) {
+    statusTokensInstance = new StatusTokenService(config);
+  }
+  return statusTokensInstance;
+}
+
+module.exports = { getStatusTokens, StatusTokenService, formatLookupCode, normalizeLookupCode };
@@ -0,0 +1,55 @@
+const path = require('path');
+const { JsonStorage } = require('./json-storage');
+const { SqliteStorage } = require('./sqlite-storage');
+
+// Storage adapter interface used by the Repository. Every driver implements:
+//   getDocument(name, default) / setDocument(name, value)  - singleton documents (config, caseworkers, hubs)
+//   get / find / count / insert / update / remove           - record collections keyed by id
+//   transaction(fn), queryClients(filters), clientStats(since), queryAudit(filters), close()
+
+// Record collections and the fields drivers index for lookups
+const COLLECTION_INDEXES = {
+  clients: ['caseworkerId', 'urgency', 'status', 'zipCode', 'createdAt', 'lookupCode'],
+  appointments: ['clientId', 'caseworkerId', 'scheduledDate'],
+  users: ['username', 'caseworkerId'],
+  sessions: ['userId'],
+  audit: ['seq', 'clientId', 'actorId', 'at'],
+  alerts: ['caseworkerId', 'readAt'],
+  notifications: ['status', 'appointmentId', 'clientId'],
+  conversations: ['status', 'clientId'],
+  careplans: ['clientId', 'status'],
+  decisions: ['task', 'clientId', 'createdAt']
+};
+
+// Singleton documents the Repository keeps alongside the collections
+const DOCUMENTS = ['config', 'caseworkers', 'hubs', 'resources'];
+
+function createStorage(driver, options = {}) {
+  switch (driver) {
+    case 'json':
+      return new JsonStorage({ dataDir: options.dataDir });
+
+    case 'sqlite':
+      return new SqliteStorage({
+        filename: options.filename || path.join(options.dataDir, 'eis.db'),
+        indexes: COLLECTION_INDEXES
+      });
+
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+}
+
+let storageInstance = null;
+
+function getStorage(options = {}) {
+  if (!storageInstance) {
+    storageInstance = createStorage(process.env.STORAGE_DRIVER || 'json', {
+      filename: process.env.SQLITE_PATH,
+      ...options
+    });
+  }
+  return storageInstance;
+}
+
+module.exports = { getStorage, createStorage, COLLECTION_INDEXES, DOCUMENTS };
@@ -0,0 +1,360 @@
+const dayjs = require('dayjs');
+const { getRepository } = require('./repository');
+const { NEED_KEYWORDS } = require('./resource-directory');
+
+const NEEDS = Object.keys(NEED_KEYWORDS);
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CONDITIONS = ['needs', 'urgency', 'householdSize', 'zipCodes', 'flags'];
+
+// Confidence of a rule that does not set its own
+const DEFAULT_RULE_CONFIDENCE = 0.8;
+// The triage contract allows at most this many recommendations and next steps
+const MAX_ITEMS = 6;
+const MAX_TEXT_LENGTH = 300;
+const HISTORY_LIMIT = 20;
+
+// Facts about a client that rules can require
+const FLAGS = {
+  'crisis': client => !!client.crisis,
+  'anonymous': client => Number(client.consent) === 0,
+  'no-contact': client => !client.phone && !client.email,
+  'opted-out': client => !!client.notificationsOptOut,
+  'staff-entered': client => client.source === 'staff'
+};
+
+// Rules in effect until an admin saves a version of their own. Every matching
+// rule contributes: the highest priority wins and recommendations are merged in
+// rule order, so specific rules go before general ones.
+const DEFAULT_TRIAGE_RULES = [
+  {
+    id: 'crisis-disclosed',
+    name: 'Crisis disclosed at intake or in the navigator',
+    when: { flags: ['crisis'] },
+    then: {
+      priority: 'urgent',
+      recommendations: ['Same-day safety check with the client'],
+      nextSteps: ['Call the client today', 'Share crisis hotline numbers (988, DV hotline)'],
+      confidence: 0.95
+    }
+  },
+  {
+    id: 'urgent-housing',
+    name: 'Urgent housing need',
+    when: { needs: { any: ['housing'] }, urgency: ['high', 'critical'] },
+    then: {
+      priority: 'urgent',
+      recommendations: ['Emergency shelter placement needed within 24 hours', 'Rapid rehousing assessment required', 'Connect with housing navigator immediately'],
+      nextSteps: ['Schedule emergency housing meeting', 'Gather housing documents', 'Contact emergency shelter'],
+      confidence: 0.95
+    }
+  },
+  {
+    id: 'urgent-behavioral-health',
+    name: 'Urgent mental health or substance use need',
+    when: { needs: { any: ['mental-health', 'substance-abuse'] }, urgency: ['high', 'critical'] },
+    then: {
+      priority: 'urgent',
+      recommendations: ['Crisis assessment required', 'Mental health evaluation needed', 'Safety planning essential'],
+      nextSteps: ['Schedule crisis assessment', 'Provide crisis hotline numbers', 'Create safety plan'],
+      confidence: 0.95
+    }
+  },
+  {
+    id: 'large-household-housing',
+    name: 'Family-sized housing',
+    when: { needs: { any: ['housing'] }, householdSize: { min: 5 } },
+    then: {
+      priority: 'high',
+      recommendations: ['Family shelter or family-sized unit referral'],
+      nextSteps: ['Record ages of everyone in the household']
+    }
+  },
+  {
+    id: 'housing',
+    name: 'Housing',
+    when: { needs: { any: ['housing'] } },
+    then: { recommendations: ['Housing assessment and application'], nextSteps: ['Complete housing intake form'] }
+  },
+  {
+    id: 'employment',
+    name: 'Employment',
+    when: { needs: { any: ['employment'] } },
+    then: { recommendations: ['Job readiness assessment'], nextSteps: ['Schedule employment counseling'] }
+  },
+  {
+    id: 'medical',
+    name: 'Medical',
+    when: { needs: { any: ['medical'] } },
+    then: { recommendations: ['Healthcare enrollment assistance'], nextSteps: ['Schedule medical intake appointment'] }
+  },
+  {
+    id: 'mental-health',
+    name: 'Mental health',
+    when: { needs: { any: ['mental-health'] } },
+    then: { recommendations: ['Mental health assessment referral'], nextSteps: ['Schedule counseling intake'] }
+  },
+  {
+    id: 'substance-use',
+    name: 'Substance use',
+    when: { needs: { any: ['substance-abuse'] } },
+    then: { recommendations: ['Substance use assessment and treatment options'], nextSteps: ['Refer to outpatient or harm reduction services'] }
+  },
+  {
+    id: 'food',
+    name: 'Food',
+    when: { needs: { any: ['food'] } },
+    then: { recommendations: ['CalFresh (SNAP) eligibility screening'], nextSteps: ['Refer to the nearest food pantry'] }
+  },
+  {
+    id: 'veterans',
+    name: 'Veterans',
+    when: { needs: { any: ['veterans'] } },
+    then: { recommendations: ['Veteran services screening (VA benefits, HUD-VASH, SSVF)'], nextSteps: ['Request DD-214 and connect with veteran services'] }
+  },
+  {
+    id: 'legal',
+    name: 'Legal',
+    when: { needs: { any: ['legal'] } },
+    then: { recommendations: ['Legal aid referral'], nextSteps: ['Gather court notices and related documents'] }
+  },
+  {
+    id: 'utilities',
+    name: 'Utilities',
+    when: { needs: { any: ['utilities'] } },
+    then: { recommendations: ['Utility assistance (LIHEAP) screening'], nextSteps: ['Collect recent utility bills'] }
+  },
+  {
+    id: 'transportation',
+    name: 'Transportation',
+    when: { needs: { any: ['transportation'] } },
+    then: { recommendations: ['Transportation assistance (bus pass, rides to appointments)'], nextSteps: ['Arrange transportation for the first appointment'] }
+  },
+  {
+    id: 'no-contact',
+    name: 'No phone or email on file',
+    when: { flags: ['no-contact'] },
+    then: { nextSteps: ['Agree on how to reach the client through the hub'] }
+  }
+];
+
+function isStringList(value, allowed) {
+  return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && (!allowed || allowed.includes(item)));
+}
+
+// Returns a list of error strings; empty means the rule set can be saved
+function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    return ['rules must be a JSON array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  rules.forEach((rule, index) => {
+    const at = rule && typeof rule.id === 'string' ? `rule "${rule.id}"` : `rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${at}: must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || !/^[a-z0-9-]+$/.test(rule.id)) {
+      errors.push(`${at}: id must be lowercase letters, digits and dashes`);
+    } else if (seen.has(rule.id)) {
+      errors.push(`${at}: id is used more than once`);
+    }
+    seen.add(rule.id);
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push(`${at}: enabled must be true or false`);
+    }
+    if (rule.stop !== undefined && typeof rule.stop !== 'boolean') {
+      errors.push(`${at}: stop must be true or false`);
+    }
+
+    const when = rule.when || {};
+    Object.keys(when).filter(key => !CONDITIONS.includes(key))
+      .forEach(key => errors.push(`${at}: unknown condition "${key}" (use ${CONDITIONS.join(', ')})`));
+    if (when.needs !== undefined) {
+      const keys = Object.keys(when.needs || {});
+      if (!keys.length || keys.some(key => !['any', 'all', 'none'].includes(key) || !isStringList(when.needs[key], NEEDS))) {
+        errors.push(`${at}: needs takes any/all/none lists of ${NEEDS.join(', ')}`);
+      }
+    }
+    if (when.urgency !== undefined && !isStringList(when.urgency, URGENCIES)) {
+      errors.push(`${at}: urgency must be a list of ${URGENCIES.join(', ')}`);
+    }
+    if (when.householdSize !== undefined) {
+      const { min, max } = when.householdSize || {};
+      if ((min === undefined && max === undefined) || [min, max].some(value => value !== undefined && !Number.isInteger(value))) {
+        errors.push(`${at}: householdSize takes whole-number min and/or max`);
+      }
+    }
+    if (when.zipCodes !== undefined && !(isStringList(when.zipCodes) && when.zipCodes.every(zip => /^\d{1,5}$/.test(zip)))) {
+      errors.push(`${at}: zipCodes must be a list of ZIP codes or ZIP prefixes`);
+    }
+    if (when.flags !== undefined && !isStringList(when.flags, Object.keys(FLAGS))) {
+      errors.push(`${at}: flags must be a list of ${Object.keys(FLAGS).join(', ')}`);
+    }
+
+    const then = rule.then || {};
+    if (!then.priority && !then.recommendations && !then.nextSteps) {
+      errors.push(`${at}: then needs a priority, recommendations or nextSteps`);
+    }
+    if (then.priority !== undefined && !PRIORITIES.includes(then.priority)) {
+      errors.push(`${at}: priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    ['recommendations', 'nextSteps'].forEach(field => {
+      if (then[field] !== undefined && !(isStringList(then[field]) && then[field].every(item => item.trim() && item.length <= MAX_TEXT_LENGTH))) {
+        errors.push(`${at}: ${field} must be a list of non-empty text up to ${MAX_TEXT_LENGTH} characters`);
+      }
+    });
+    if (then.confidence !== undefined && !(Number.isFinite(then.confidence) && then.confidence >= 0 && then.confidence <= 1)) {
+      errors.push(`${at}: confidence must be a number from 0 to 1`);
+    }
+  });
+  return errors;
+}
+
+// Each condition of a rule with whether the client meets it - the admin preview
+// shows these so it is clear why a rule did or did not fire
+function checkConditions(rule, client) {
+  const when = rule.when || {};
+  const needs = client.needs || [];
+  const urgency = client.urgency || 'medium';
+  const householdSize = parseInt(client.householdSize) || 1;
+  const zipCode = String(client.zipCode || '');
+  const checks = [];
+
+  if (when.needs) {
+    if (when.needs.any) checks.push({ condition: `needs any of ${when.needs.any.join(', ')}`, passed: when.needs.any.some(need => needs.includes(need)) });
+    if (when.needs.all) checks.push({ condition: `needs all of ${when.needs.all.join(', ')}`, passed: when.needs.all.every(need => needs.includes(need)) });
+    if (when.needs.none) checks.push({ condition: `needs none of ${when.needs.none.join(', ')}`, passed: !when.needs.none.some(need => needs.includes(need)) });
+  }
+  if (when.urgency) {
+    checks.push({ condition: `urgency is ${when.urgency.join(' or ')}`, passed: when.urgency.includes(urgency) });
+  }
+  if (when.householdSize) {
+    const { min, max } = when.householdSize;
+    const label = [min !== undefined ? `at least ${min}` : '', max !== undefined ? `at most ${max}` : ''].filter(Boolean).join(' and ');
+    checks.push({ condition: `household size ${label}`, passed: (min === undefined || householdSize >= min) && (max === undefined || householdSize <= max) });
+  }
+  if (when.zipCodes) {
+    checks.push({ condition: `ZIP starts with ${when.zipCodes.join(' or ')}`, passed: !!zipCode && when.zipCodes.some(prefix => zipCode.startsWith(prefix)) });
+  }
+  (when.flags || []).forEach(flag => {
+    checks.push({ condition: `client is ${flag}`, passed: !!(FLAGS[flag] && FLAGS[flag](client)) });
+  });
+  return checks;
+}
+
+function merged(hits, field) {
+  return [...new Set(hits.flatMap(rule => rule.then[field] || []))].slice(0, MAX_ITEMS);
+}
+
+// Runs a rule set over a client. The result follows the triage contract plus
+// ruleHits (which rules produced it) and trace (every rule's conditions).
+function evaluateRules(rules, client, version = null) {
+  const trace = [];
+  const hits = [];
+  let stopped = null;
+
+  rules.forEach(rule => {
+    const checks = checkConditions(rule, client);
+    const enabled = rule.enabled !== false;
+    const matched = enabled && !stopped && checks.every(check => check.passed);
+    trace.push({ id: rule.id, name: rule.name || rule.id, enabled, skippedBy: stopped, matched, checks });
+    if (matched) {
+      hits.push(rule);
+      if (rule.stop) stopped = rule.id;
+    }
+  });
+
+  const urgency = client.urgency || 'medium';
+  const priorities = hits.map(rule => rule.then.priority).filter(Boolean);
+  const priority = priorities.length
+    ? priorities.reduce((highest, next) => (PRIORITIES.indexOf(next) > PRIORITIES.indexOf(highest) ? next : highest))
+    : (urgency === 'critical' ? 'urgent' : urgency);
+
+  return {
+    priority,
+    recommendations: merged(hits, 'recommendations'),
+    nextSteps: merged(hits, 'nextSteps'),
+    // Nothing matched means nothing to go on - below the escalation threshold
+    confidence: hits.length ? Math.max(...hits.map(rule => (rule.then.confidence !== undefined ? rule.then.confidence : DEFAULT_RULE_CONFIDENCE))) : 0.3,
+    source: 'rules',
+    rulesVersion: version,
+    ruleHits: hits.map(rule => ({ id: rule.id, name: rule.name || rule.id })),
+    trace
+  };
+}
+
+// Versioned triage rules kept in the config document. Each save is a new version;
+// earlier versions are kept (up to HISTORY_LIMIT) so a bad edit can be rolled back.
+class TriageRuleEngine {
+  current() {
+    const stored = getRepository().getConfig().triageRules;
+    if (stored && Array.isArray(stored.rules)) {
+      return stored;
+    }
+    return { version: 0, rules: DEFAULT_TRIAGE_RULES, updatedAt: null, updatedBy: null, note: 'Built-in defaults' };
+  }
+
+  history() {
+    return getRepository().getConfig().triageRuleHistory || [];
+  }
+
+  // Throws with error.errors listing every problem when the rules are invalid
+  save(rules, { userId = null, note = '' } = {}) {
+    const errors = validateRules(rules);
+    if (errors.length) {
+      const error = new Error('Triage rules are not valid');
+      error.errors = errors;
+      throw error;
+    }
+
+    const previous = this.current();
+    const saved = {
+      version: Math.max(previous.version, ...this.history().map(entry => entry.version)) + 1,
+      rules,
+      updatedAt: dayjs().toISOString(),
+      updatedBy: userId,
+      note: String(note).slice(0, 200)
+    };
+    getRepository().updateConfig({
+      triageRules: saved,
+      triageRuleHistory: [previous, ...this.history()].slice(0, HISTORY_LIMIT),
+      updatedBy: userId
+    });
+    return saved;
+  }
+
+  // Restoring saves the old rules as a new version, so history only grows
+  restore(version, { userId = null } = {}) {
+    const entry = this.history().find(candidate => candidate.version === version);
+    if (!entry) {
+      return null;
+    }
+    return this.save(entry.rules, { userId, note: `Restored version ${version}` });
+  }
+
+  evaluate(client, ruleSet = this.current()) {
+    const { trace, ...result } = evaluateRules(ruleSet.rules, client, ruleSet.version);
+    return result;
+  }
+}
+
+let triageRuleEngineInstance = null;
+
+function getTriageRuleEngine() {
+  if (!triageRuleEngineInstance) {
+    triageRuleEngineInstance = new TriageRuleEngine();
+  }
+  return triageRuleEngineInstance;
+}
+
+module.exports = {
+  getTriageRuleEngine,
+  TriageRuleEngine,
+  DEFAULT_TRIAGE_RULES,
+  FLAGS,
+  validateRules,
+  evaluateRules
+};
@@ -1,90 +1,334 @@
+const dayjs = require('dayjs');
 const { getCostGuard } = require('./cost-guard');
+const { getRepository } = require('./repository');
+const { OpenAICompatibleProvider } = require('./llm-provider');
+const { buildMessages, clientSummary } = require('./ai-prompts');
+const { SCHEMAS, checkOutput } = require('./ai-schemas');
+const { PiiScrubber } = require('./pii-scrubber');
+const { getResourceDirectory, needsIn } = require('./resource-directory');
+const { getTriageRuleEngine } = require('./triage-rules');
+const { getCarePlanTemplates } = require('./careplan-templates');
+const { canonicalize } = require('./canonical');
+const { getDecisionLog, DECISION_TASKS } = require('./decision-log');
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+const { MESSAGES } = require('./messages');
+
+// Confidence assumed when a model leaves it out of its JSON
+const DEFAULT_MODEL_CONFIDENCE = { cheap: 0.7, expensive: 0.9 };
+
+// Extra model calls allowed per tier when the output fails its schema
+const SCHEMA_RETRIES = 1;
+
+// Longest de-identification placeholder held back while streaming, e.g. [ADDRESS_12]
+const MAX_PLACEHOLDER_LENGTH = 24;
+
+// Navigator questions that lean on what was said before
+const FOLLOW_UP_PATTERN = /^(?:and|also|but|so|ok|okay|what about|how about|what if)\b|\b(?:apply|sign up|qualify|eligible|eligibility|documents?|how long|it|that|those|them|there)\b/;
+
+// Follow-up patterns for languages other than English, matched against the
+// question without accents
+const FOLLOW_UP_PATTERNS = {
+  es: /^(?:y|tambien|pero|entonces|ok|que tal|y si)\b|\b(?:solicitar|aplicar|inscribirme|califico|calificar|requisitos?|documentos?|cuanto tiempo|eso|esos|ellos|alli|ahi)\b/
+};
+
+// Words that get the rules tier's greeting, in any supported language
+const GREETINGS = ['help', 'hello', 'start', 'hola', 'ayuda', 'empezar'];
+
+// Rules-tier FAQ topics - the answers are in the message catalog under faq.<category>
+const FAQ_CATEGORIES = Object.keys(MESSAGES[DEFAULT_LOCALE])
+  .filter(key => key.startsWith('faq.'))
+  .map(key => key.slice(4));
+
+function plainText(text) {
+  return String(text).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+function isFollowUp(query, locale) {
+  return locale && FOLLOW_UP_PATTERNS[locale] ? FOLLOW_UP_PATTERNS[locale].test(plainText(query)) : FOLLOW_UP_PATTERN.test(query.toLowerCase());
+}
+
+// Models asked for JSON sometimes still wrap it in a markdown fence or prose;
+// returns null when no JSON object can be recovered
+function parseModelJson(content) {
+  const text = String(content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) return null;
+
+  try {
+    const parsed = JSON.parse(text.slice(start, end + 1));
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// Decodes one top-level string field of a JSON object as the model streams it, so
+// the resident sees the navigator's answer rather than its JSON. push() takes raw
+// content deltas; onText gets decoded text.
+function jsonFieldStream(field, onText) {
+  const opening = new RegExp(`"${field}"\\s*:\\s*"`);
+  let state = 'seek';
+  let pending = '';
+
+  const decode = () => {
+    let text = '';
+    let i = 0;
+    while (i < pending.length) {
+      const char = pending[i];
+      if (char === '"') {
+        state = 'done';
+        break;
+      }
+      if (char !== '\\') {
+        text += char;
+        i++;
+        continue;
+      }
+      // Wait for the rest of an escape sequence
+      if (i + 1 >= pending.length) break;
+      const escape = pending[i + 1];
+      if (escape === 'u') {
+        if (i + 6 > pending.length) break;
+        text += String.fromCharCode(parseInt(pending.slice(i + 2, i + 6), 16));
+        i += 6;
+      } else {
+        text += JSON_ESCAPES[escape] || escape;
+        i += 2;
+      }
+    }
+    pending = pending.slice(i);
+    if (text) onText(text);
+  };
+
+  return {
+    push(delta) {
+      if (state === 'done') return;
+      pending += delta;
+      if (state === 'seek') {
+        const match = pending.match(opening);
+        if (!match) return;
+        state = 'string';
+        pending = pending.slice(match.index + match[0].length);
+      }
+      decode();
+    }
+  };
+}
+
+// Token limits an admin can change at runtime, as named on /admin/cost
+const LIMIT_LABELS = {
+  maxDailyTokens: 'The daily token limit',
+  maxCheapTokens: 'The cheap model cap',
+  maxExpensiveTokens: 'The expensive model cap'
+};
 
 class AIRouter {
   constructor(config = {}) {
     this.config = config;
     this.costGuard = getCostGuard(config);
-    this.enabled = config.AI_ENABLE && config.OPENAI_API_KEY;
-    
-    // Pre-built rules and templates
-    this.faqRules = {
-      'housing': 'For housing assistance, you may qualify for rapid rehousing, emergency shelter, or rental assistance. Eligibility typically requires proof of homelessness or housing instability.',
-      'employment': 'Employment services include job training, resume help, and placement assistance. Most programs are free and available regardless of work history.',
-      'mental-health': 'Mental health services include counseling, crisis support, and medication assistance. Many services are available on a sliding scale.',
-      'veterans': 'Veterans have access to specialized housing, healthcare, and employment programs through VA and community partners.',
-      'substance-abuse': 'Substance abuse support includes outpatient counseling, residential treatment, and harm reduction services.',
-      'medical': 'Medical services include free clinics, insurance enrollment, and specialty care referrals.',
-      'food': 'Food assistance includes food banks, CalFresh (SNAP), and meal programs at community centers.',
-      'legal': 'Legal aid includes help with housing court, benefits appeals, and family law matters.',
-      'utilities': 'Utility assistance programs can help with past-due bills and ongoing payment support.',
-      'transportation': 'Transportation help includes bus passes, rides to appointments, and vehicle repair assistance.'
-    };
-    
-    this.triageRules = {
-      'high-housing': 'Immediate housing placement or emergency shelter referral needed within 24-48 hours.',
-      'high-medical': 'Schedule urgent medical appointment and assist with insurance enrollment.',
-      'high-mental-health': 'Crisis assessment and immediate mental health referral required.',
-      'medium-housing': 'Housing assessment and waitlist placement, follow up within 1 week.',
-      'medium-employment': 'Job readiness assessment and skills training referral.',
-      'low-general': 'Resource information and self-service options, follow up in 2 weeks.'
+    // A custom base URL (e.g. a local server) may not need a key
+    this.configured = !!(config.OPENAI_API_KEY || config.AI_BASE_URL);
+    this.enabled = !!(config.AI_ENABLE && this.configured);
+    this.provider = new OpenAICompatibleProvider({
+      baseUrl: config.AI_BASE_URL,
+      apiKey: config.OPENAI_API_KEY,
+      timeoutMs: config.AI_TIMEOUT_MS,
+      maxRetries: config.AI_MAX_RETRIES
+    });
+    this.scrubber = new PiiScrubber();
+    this.directory = getResourceDirectory();
+    this.triageRuleEngine = getTriageRuleEngine();
+    this.careplanTemplates = getCarePlanTemplates();
+    this.decisionLog = getDecisionLog();
+    this.redactionStats = { modelCalls: 0, redactedCalls: 0, byType: {} };
+
+    // Changes made on /admin/cost outlast a restart and win over the environment
+    const stored = getRepository().getConfig().aiControls;
+    if (stored) {
+      this.applyControls(stored);
+    }
+  }
+
+  // The AI switch and token limits as they stand now, with who last changed them
+  controls() {
+    const stored = getRepository().getConfig().aiControls || {};
+    const limits = this.costGuard.config;
+    return {
+      enabled: this.enabled,
+      maxDailyTokens: limits.maxDailyTokens,
+      maxCheapTokens: limits.maxCheapTokens,
+      maxExpensiveTokens: limits.maxExpensiveTokens,
+      updatedAt: stored.updatedAt || null,
+      updatedBy: stored.updatedBy || null
     };
-    
-    this.careplanTemplates = {
-      'housing-focused': {
-        goals: ['Secure stable housing within 90 days', 'Maintain housing stability'],
-        tasks: ['Complete housing application', 'Gather required documents', 'Attend housing appointments'],
-        resources: ['Rapid Rehousing Program', 'Housing Authority waitlist', 'Emergency rental assistance']
-      },
-      'employment-focused': {
-        goals: ['Obtain sustainable employment', 'Increase job skills'],
-        tasks: ['Update resume', 'Apply for job training', 'Attend job interviews'],
-        resources: ['WorkForce Development', 'One-Stop Career Center', 'Skills training programs']
-      },
-      'health-focused': {
-        goals: ['Establish primary care', 'Manage chronic conditions'],
-        tasks: ['Schedule medical appointment', 'Apply for health insurance', 'Follow medication schedule'],
-        resources: ['Community Health Center', 'Medi-Cal enrollment', 'Pharmacy assistance']
+  }
+
+  // Saves to the config document and applies at once - no restart. Throws when a
+  // change is not allowed; nothing is saved then.
+  updateControls(changes, { userId = null } = {}) {
+    const { updatedAt, updatedBy, ...current } = this.controls();
+    const next = { ...current, ...changes };
+
+    if (next.enabled && !this.configured) {
+      throw new Error('AI cannot be turned on until OPENAI_API_KEY or AI_BASE_URL is set');
+    }
+    Object.entries(LIMIT_LABELS).forEach(([field, label]) => {
+      if (!Number.isInteger(next[field]) || next[field] < 1) {
+        throw new Error(`${label} must be a whole number above 0`);
       }
-    };
+    });
+    // A call reserves its tier's cap against the daily limit before it runs, so a larger cap never could
+    if (Math.max(next.maxCheapTokens, next.maxExpensiveTokens) > next.maxDailyTokens) {
+      throw new Error('Per-call token caps cannot be above the daily token limit');
+    }
+
+    const saved = { ...next, enabled: !!next.enabled, updatedAt: dayjs().toISOString(), updatedBy: userId };
+    getRepository().updateConfig({ aiControls: saved, updatedBy: userId });
+    this.applyControls(saved);
+    return this.controls();
+  }
+
+  applyControls(controls) {
+    this.enabled = !!(controls.enabled && this.configured);
+    this.costGuard.setEmergencyLimits({
+      maxDailyTokens: controls.maxDailyTokens,
+      maxCheapTokens: controls.maxCheapTokens,
+      maxExpensiveTokens: controls.maxExpensiveTokens
+    });
   }
 
-  // Main routing function
+  // Main routing function. Triage and care plan suggestions are recorded in the
+  // decision log, and the result carries its decisionId for caseworker feedback.
   async route(task, input, options = {}) {
-    const cacheKey = this.costGuard.hashRequest(`${task}:${input}`, options);
-    const cached = this.costGuard.cacheGet(cacheKey);
-    
-    if (cached) {
-      return cached;
+    const started = Date.now();
+    const run = { tokens: 0, escalated: false, rulesConfidence: null };
+    const result = await this.resolve(task, input, options, run);
+    if (!DECISION_TASKS.includes(task)) {
+      return result;
+    }
+
+    try {
+      const decision = this.decisionLog.record({
+        task,
+        clientId: input.id || null,
+        inputHash: this.cacheKey(task, input, options),
+        result,
+        rulesConfidence: run.rulesConfidence,
+        escalated: run.escalated,
+        latencyMs: Date.now() - started,
+        tokens: run.tokens,
+        requestedBy: options.requestedBy || null
+      });
+      return { ...result, decisionId: decision.id };
+    } catch (error) {
+      // A suggestion is still useful without its log entry
+      console.error(`Could not record ${task} decision:`, error.message);
+      return result;
     }
+  }
+
+  // Runs the tiers; run collects the escalation and token spend for the decision log
+  async resolve(task, input, options, run) {
+    // Callers can hold a request to the rules tier, e.g. a navigator session out of tokens
+    const useModels = this.enabled && options.allowModels !== false;
 
     let result;
     
     try {
       // Step 1: Try rules/lookup first (no API cost)
       result = await this.tryRulesFirst(task, input, options);
-      
-      // Step 2: If uncertain and AI enabled, try cheap model
-      if (this.shouldEscalate(result) && this.enabled) {
-        result = await this.tryCheapModel(task, input, options);
-        
-        // Step 3: If still uncertain, try expensive model
-        if (this.shouldEscalate(result) && this.enabled) {
-          result = await this.tryExpensiveModel(task, input, options);
+      const rulesResult = result;
+      run.rulesConfidence = Number.isFinite(result.confidence) ? result.confidence : null;
+
+      // Rules output that misses the task contract (e.g. no recommendations) goes to the models
+      if (!this.meetsContract(task, result)) {
+        result = { ...result, uncertain: true };
+      }
+
+      // Only model answers are cached, so the cache is checked where a model would be
+      // called. Rules run on every request: they cost nothing, and a cached rules answer
+      // would outlive an edit to the triage rules.
+      if (this.shouldEscalate(result)) {
+        run.escalated = true;
+        const cacheKey = this.cacheKey(task, input, options);
+        const cached = this.costGuard.cacheGet(cacheKey, task);
+
+        if (cached) {
+          result = this.withOriginals({ ...cached, cached: true }, input, options);
+        } else if (useModels) {
+          // A streaming caller shows a usable rules answer while the models work
+          if (options.stream && rulesResult.source === 'rules' && !result.uncertain) {
+            options.stream.onRules(rulesResult);
+          }
+
+          // Step 2: Uncertain - try the cheap model
+          result = await this.tryCheapModel(task, input, options);
+          run.tokens += result.tokens || 0;
+
+          // Step 3: If still uncertain, try expensive model
+          if (this.shouldEscalate(result)) {
+            if (options.stream) options.stream.onReset();
+            result = await this.tryExpensiveModel(task, input, options);
+            run.tokens += result.tokens || 0;
+          }
+
+          if (this.meetsContract(task, result)) {
+            this.costGuard.cacheSet(cacheKey, result, this.getTTL(task), task);
+          }
+          result = this.withOriginals(result, input, options);
         }
       }
       
-      // Cache the result
-      const ttl = this.getTTL(task);
-      this.costGuard.cacheSet(cacheKey, result, ttl);
+      // Every tier returns the same contract - otherwise use the safe fallback
+      if (!this.meetsContract(task, result)) {
+        result = this.getFallbackResponse(task, input, options);
+      }
+
+      // Triage results say which rules matched even when a model or the fallback answered
+      if (rulesResult.ruleHits && !result.ruleHits) {
+        result = { ...result, ruleHits: rulesResult.ruleHits, rulesVersion: rulesResult.rulesVersion };
+      }
+      // Care plans likewise say which templates covered the client's needs
+      if (rulesResult.templates && !result.templates) {
+        result = { ...result, templates: rulesResult.templates, templatesVersion: rulesResult.templatesVersion, uncoveredNeeds: rulesResult.uncoveredNeeds };
+      }
       
       return result;
       
     } catch (error) {
+      run.tokens += error.tokens || 0;
+      if (error.cancelled) {
+        return { ...this.getFallbackResponse(task, input, options), cancelled: true, tokens: error.tokens || 0 };
+      }
       console.error(`AI Router error for task ${task}:`, error.message);
       return this.getFallbackResponse(task, input, options);
     }
   }
 
+  // Cache key built from what a model would see for the task, serialized with sorted
+  // keys: ids, timestamps and contact details never reach the prompt so they don't
+  // split the cache, and two clients only share an answer when their prompts match
+  cacheKey(task, input, options) {
+    let fields;
+    switch (task) {
+      case 'navigator':
+        fields = { query: String(input), history: options.history || [], topic: options.topic || null, context: options.context || {}, locale: options.locale || DEFAULT_LOCALE };
+        break;
+      case 'triage':
+        fields = { client: clientSummary(input), caseworkerContext: options.caseworkerContext || {} };
+        break;
+      case 'careplan':
+        fields = { client: clientSummary(input) };
+        break;
+      default:
+        fields = { input, options };
+    }
+    return this.costGuard.hashRequest(canonicalize({ task, ...fields }));
+  }
+
   // Step 1: Rules-based responses (no API cost)
   async tryRulesFirst(task, input, options) {
     switch (task) {
@@ -92,7 +336,7 @@ class AIRouter {
         return this.navigatorRules(input, options);
       
       case 'triage':
-        return this.triageRules(input, options);
+        return this.triageRuleEngine.evaluate(input);
       
       case 'careplan':
         return this.careplanRules(input, options);
@@ -104,10 +348,45 @@ class AIRouter {
 
   navigatorRules(input, options) {
     const query = input.toLowerCase();
+    const locale = options.locale || DEFAULT_LOCALE;
+    const t = (key, values) => translate(locale, key, values);
+    const topicLabel = category => t(`need.${category}`).toLowerCase();
+    // Topic of the conversation so far, for follow-up questions in a navigator session
+    const previousTopic = FAQ_CATEGORIES.includes(options.topic) ? options.topic : null;
+    const followUp = isFollowUp(input, locale);
+
+    // Specific local resources beat the generic FAQ sentences. A follow-up gets the
+    // listing too, but a model (when enabled) can tie it to the earlier question.
+    const resources = this.navigatorResources(input, options);
+    if (resources.length) {
+      return {
+        response: [
+          t('answer.localPlaces'),
+          ...resources.map(resource => `• ${this.directory.describe(resource)}`),
+          t('answer.submitToConnect')
+        ].join('\n'),
+        confidence: followUp && previousTopic ? 0.6 : 0.85,
+        source: 'rules',
+        category: needsIn(input)[0] || previousTopic || 'general',
+        resources
+      };
+    }
     
-    // Check for exact matches in FAQ
-    for (const [category, response] of Object.entries(this.faqRules)) {
-      if (query.includes(category) || query.includes(category.replace('-', ' '))) {
+    // Check for exact matches in FAQ - other languages by their need keywords
+    const mentioned = locale === DEFAULT_LOCALE ? [] : needsIn(input);
+    for (const category of FAQ_CATEGORIES) {
+      if (query.includes(category) || query.includes(category.replace('-', ' ')) || mentioned.includes(category)) {
+        const response = t(`faq.${category}`);
+        // "What about for veterans?" after a housing question - the FAQ alone would drop
+        // the housing context, so keep it in view and let a model combine the two
+        if (followUp && previousTopic && previousTopic !== category) {
+          return {
+            response: `${response} ${t('answer.alsoAsked', { topic: topicLabel(previousTopic) })}`,
+            confidence: 0.6,
+            source: 'rules',
+            category
+          };
+        }
         return {
           response,
           confidence: 0.9,
@@ -116,11 +395,21 @@ class AIRouter {
         };
       }
     }
+
+    // Follow-ups with no topic of their own ("how do I apply?") are about the last one
+    if (followUp && previousTopic) {
+      return {
+        response: `${t(`faq.${previousTopic}`)} ${t('answer.howToApply')}`,
+        confidence: 0.6,
+        source: 'rules',
+        category: previousTopic
+      };
+    }
     
     // General greeting responses
-    if (query.includes('help') || query.includes('hello') || query.includes('start')) {
+    if (GREETINGS.some(word => query.includes(word))) {
       return {
-        response: 'I can help you understand what services are available. What kind of help do you need? I can assist with housing, employment, healthcare, food, or other services.',
+        response: t('answer.greeting'),
         confidence: 0.8,
         source: 'rules',
         category: 'general'
@@ -131,99 +420,23 @@ class AIRouter {
     return {
       uncertain: true,
       confidence: 0.4,
-      response: "I'd like to help you find the right resources. Could you tell me more specifically what kind of assistance you're looking for?"
+      response: t('answer.clarify')
     };
   }
 
-  triageRules(client, options) {
-    const needs = client.needs || [];
-    const urgency = client.urgency || 'medium';
-    const householdSize = client.householdSize || 1;
-    
-    // High urgency rules
-    if (urgency === 'high' || urgency === 'critical') {
-      if (needs.includes('housing')) {
-        return {
-          priority: 'urgent',
-          recommendations: [
-            'Emergency shelter placement needed within 24 hours',
-            'Rapid rehousing assessment required',
-            'Connect with housing navigator immediately'
-          ],
-          nextSteps: ['Schedule emergency housing meeting', 'Gather housing documents', 'Contact emergency shelter'],
-          confidence: 0.95,
-          source: 'rules'
-        };
-      }
-      
-      if (needs.includes('mental-health') || needs.includes('substance-abuse')) {
-        return {
-          priority: 'urgent',
-          recommendations: [
-            'Crisis assessment required',
-            'Mental health evaluation needed',
-            'Safety planning essential'
-          ],
-          nextSteps: ['Schedule crisis assessment', 'Provide crisis hotline numbers', 'Create safety plan'],
-          confidence: 0.95,
-          source: 'rules'
-        };
-      }
-    }
-    
-    // Medium priority rules
-    const recommendations = [];
-    const nextSteps = [];
-    
-    needs.forEach(need => {
-      switch (need) {
-        case 'housing':
-          recommendations.push('Housing assessment and application');
-          nextSteps.push('Complete housing intake form');
-          break;
-        case 'employment':
-          recommendations.push('Job readiness assessment');
-          nextSteps.push('Schedule employment counseling');
-          break;
-        case 'medical':
-          recommendations.push('Healthcare enrollment assistance');
-          nextSteps.push('Schedule medical intake appointment');
-          break;
-      }
-    });
-    
-    return {
-      priority: urgency,
-      recommendations,
-      nextSteps,
-      confidence: 0.8,
-      source: 'rules'
-    };
+  // Directory entries for a navigator question - follow-ups also search on the
+  // conversation's topic, and the resident's ZIP puts nearby places first
+  navigatorResources(input, options) {
+    const query = String(input);
+    const topic = FAQ_CATEGORIES.includes(options.topic) && isFollowUp(query, options.locale) ? ` ${options.topic.replace('-', ' ')}` : '';
+    const zipCode = options.context && options.context.zipCode;
+    return this.directory.search(`${query}${topic}`, { zipCode })
+      .map(match => this.directory.citation(match.resource));
   }
 
+  // Composed from the admin-managed template library - every need and the urgency count
   careplanRules(client, options) {
-    const needs = client.needs || [];
-    const primaryNeed = needs[0] || 'general';
-    
-    // Determine template based on primary need
-    let template = this.careplanTemplates['housing-focused']; // default
-    
-    if (primaryNeed.includes('employment')) {
-      template = this.careplanTemplates['employment-focused'];
-    } else if (primaryNeed.includes('medical') || primaryNeed.includes('mental-health')) {
-      template = this.careplanTemplates['health-focused'];
-    }
-    
-    return {
-      goals: template.goals.slice(),
-      tasks: template.tasks.slice(),
-      resources: template.resources.slice(),
-      timeline: '90 days',
-      reviewDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
-      confidence: 0.8,
-      source: 'rules',
-      customizable: true
-    };
+    return this.careplanTemplates.suggest(client);
   }
 
   // Step 2: Cheap model (if enabled)
@@ -231,23 +444,7 @@ class AIRouter {
     if (!this.enabled) {
       return { uncertain: true, confidence: 0.3 };
     }
-
-    return await this.costGuard.withBudget(
-      `cheap-${task}`,
-      async () => {
-        // Mock API call for now - replace with actual OpenAI call
-        await new Promise(resolve => setTimeout(resolve, 500)); // Simulate API delay
-        
-        return {
-          response: `Enhanced response for ${task} (cheap model)`,
-          confidence: 0.7,
-          source: 'cheap-model',
-          tokens: this.config.AI_MAX_TOKENS_CHEAP
-        };
-      },
-      this.config.AI_MAX_TOKENS_CHEAP,
-      'cheap'
-    );
+    return this.callModel('cheap', task, input, options);
   }
 
   // Step 3: Expensive model (if needed)
@@ -255,25 +452,150 @@ class AIRouter {
     if (!this.enabled) {
       return { uncertain: true, confidence: 0.3 };
     }
+    return this.callModel('expensive', task, input, options);
+  }
+
+  // One tier's answer: a chat completion validated against the task schema. Output
+  // that still fails after local repair is sent back to the model with the errors,
+  // up to SCHEMA_RETRIES times; after that the tier throws and route() falls back.
+  // The token limit is reserved against the daily budget while the call runs, then
+  // settled with reported usage.
+  // Input is de-identified here, the only path to the provider, so no caller can skip it;
+  // the answer comes back with its placeholders, for resolve() to restore.
+  async callModel(tier, task, input, options) {
+    // Caps come from the cost guard, where /admin/cost can change them at runtime
+    const maxTokens = tier === 'expensive' ? this.costGuard.config.maxExpensiveTokens : this.costGuard.config.maxCheapTokens;
+    const model = tier === 'expensive' ? this.config.AI_MODEL_EXPENSIVE : this.config.AI_MODEL_CHEAP;
+
+    // Stream callbacks are for this process, not the prompt
+    const { stream, ...promptOptions } = options;
 
     return await this.costGuard.withBudget(
-      `expensive-${task}`,
+      `${tier}-${task}`,
       async () => {
-        // Mock API call for now - replace with actual OpenAI call
-        await new Promise(resolve => setTimeout(resolve, 1000)); // Simulate API delay
-        
-        return {
-          response: `Detailed response for ${task} (expensive model)`,
-          confidence: 0.95,
-          source: 'expensive-model',
-          tokens: this.config.AI_MAX_TOKENS_EXPENSIVE
-        };
+        const scrubbed = this.scrubber.deidentify(input, promptOptions);
+        this.logRedactions(`${tier}-${task}`, scrubbed.vault);
+
+        // Navigator answers are grounded in the directory - public listings, so they
+        // are added after scrubbing
+        const resources = task === 'navigator' ? this.navigatorResources(input, promptOptions) : [];
+        const messages = buildMessages(task, scrubbed.input, task === 'navigator' ? { ...scrubbed.options, resources } : scrubbed.options);
+        let tokens = 0;
+        let completion;
+        let checked;
+
+        for (let attempt = 0; attempt <= SCHEMA_RETRIES; attempt++) {
+          if (attempt > 0) {
+            messages.push(
+              { role: 'assistant', content: completion.content },
+              { role: 'user', content: this.repairPrompt(task, checked.errors) }
+            );
+          }
+          if (stream && task === 'navigator') {
+            // A retry starts the answer over
+            if (attempt > 0) stream.onReset();
+            completion = await this.provider.chatStream({
+              model, messages, maxTokens, temperature: this.config.AI_TEMP, signal: stream.signal,
+              onToken: this.responseStream(scrubbed.vault, stream.onToken).push
+            }).catch(error => {
+              error.tokens = tokens + (error.tokens || 0);
+              throw error;
+            });
+          } else {
+            completion = await this.provider.chat({ model, messages, maxTokens, temperature: this.config.AI_TEMP });
+          }
+          tokens += completion.usage.totalTokens;
+          checked = this.checkModelOutput(task, tier, completion.content);
+          if (!checked.errors.length) break;
+        }
+
+        if (checked.errors.length) {
+          const error = new Error(`${tier} model output failed the ${task} schema: ${checked.errors.slice(0, 3).join('; ')}`);
+          error.tokens = tokens;
+          throw error;
+        }
+
+        return this.withContractDefaults(task, {
+          ...checked.value,
+          source: `${tier}-model`,
+          model: completion.model,
+          tokens,
+          ...(resources.length ? { resources } : {})
+        });
       },
-      this.config.AI_MAX_TOKENS_EXPENSIVE,
-      'expensive'
+      maxTokens,
+      tier
     );
   }
 
+  // Model answers keep their placeholders through the cache - names and numbers are
+  // only put back for the caller, from a vault rebuilt from the same input (scrubbing
+  // the same input always gives the same placeholders)
+  withOriginals(result, input, options) {
+    const { stream, ...promptOptions } = options;
+    return this.scrubber.reidentify(result, this.scrubber.deidentify(input, promptOptions).vault);
+  }
+
+  // Streamed navigator text with placeholders restored. Text from an opening bracket
+  // is held back until the placeholder is complete, so a resident never sees half of
+  // [NAME_1] - only the original it stands for.
+  responseStream(vault, onText) {
+    let held = '';
+    return jsonFieldStream('response', text => {
+      held += text;
+      const open = held.lastIndexOf('[');
+      const cut = open !== -1 && held.indexOf(']', open) === -1 && held.length - open <= MAX_PLACEHOLDER_LENGTH ? open : held.length;
+      if (cut > 0) onText(this.scrubber.reidentify(held.slice(0, cut), vault));
+      held = held.slice(cut);
+    });
+  }
+
+  // Record what was redacted - types and fields only, never the values
+  logRedactions(label, vault) {
+    const summary = this.scrubber.summarize(vault);
+    this.redactionStats.modelCalls++;
+    if (!summary.total) return;
+
+    this.redactionStats.redactedCalls++;
+    Object.entries(summary.byType).forEach(([type, count]) => {
+      this.redactionStats.byType[type] = (this.redactionStats.byType[type] || 0) + count;
+    });
+    const counts = Object.entries(summary.byType).map(([type, count]) => `${type} x${count}`).join(', ');
+    console.log(`🔒 De-identified ${label} before sending: ${counts} (${summary.fields.join(', ')})`);
+  }
+
+  meetsContract(task, result) {
+    return !SCHEMAS[task] || checkOutput(task, result).errors.length === 0;
+  }
+
+  checkModelOutput(task, tier, content) {
+    const parsed = parseModelJson(content);
+    if (!parsed) {
+      return { value: null, errors: ['response was not a JSON object'] };
+    }
+    if (parsed.confidence === undefined) {
+      parsed.confidence = DEFAULT_MODEL_CONFIDENCE[tier];
+    }
+    return checkOutput(task, parsed);
+  }
+
+  repairPrompt(task, errors) {
+    return `Your reply did not match the required format:\n- ${errors.slice(0, 10).join('\n- ')}\n` +
+      `Reply again with only a JSON object matching this JSON schema: ${JSON.stringify(SCHEMAS[task])}`;
+  }
+
+  // Fields every tier returns for a task even when the model leaves them out
+  withContractDefaults(task, result) {
+    if (task === 'careplan') {
+      return {
+        timeline: '90 days',
+        reviewDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+        ...result
+      };
+    }
+    return result;
+  }
+
   // Check if we should escalate to next tier
   shouldEscalate(result) {
     if (!result) return true;
@@ -299,7 +621,7 @@ class AIRouter {
     switch (task) {
       case 'navigator':
         return {
-          response: "I'm here to help connect you with services. Please let a caseworker know what specific assistance you need.",
+          response: translate(options.locale || DEFAULT_LOCALE, 'answer.fallback'),
           confidence: 0.5,
           source: 'fallback'
         };
@@ -314,13 +636,13 @@ class AIRouter {
         };
       
       case 'careplan':
-        return {
+        return this.withContractDefaults(task, {
           goals: ['Stabilize current situation', 'Connect with appropriate services'],
           tasks: ['Meet with caseworker', 'Complete assessments'],
           resources: ['Case management services', 'Community resources'],
           confidence: 0.5,
           source: 'fallback'
-        };
+        });
       
       default:
         return {
@@ -335,7 +657,9 @@ class AIRouter {
   getStats() {
     return {
       enabled: this.enabled,
-      ...this.costGuard.getStats()
+      configured: this.configured,
+      ...this.costGuard.getStats(),
+      redactions: this.redactionStats
     };
   }
 }
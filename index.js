@@ -2,8 +2,13 @@ const express = require('express');
 const cookieParser = require('cookie-parser');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { setupRoutes } = require('./server/routes');
-const { initializeData } = require('./server/repository');
+const { getRepository, initializeData } = require('./server/repository');
+const { initializeUsers } = require('./server/auth');
+const { getNotifications } = require('./server/notifications');
+const { getCostGuard } = require('./server/cost-guard');
+const { getAIRouter } = require('./server/ai-router');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -12,20 +17,56 @@ const PORT = process.env.PORT || 3000;
 const config = {
   ADMIN_PIN: process.env.ADMIN_PIN || '4242',
   STAFF_PIN: process.env.STAFF_PIN || '2024',
+  SESSION_SECRET: process.env.SESSION_SECRET || '',
+  SESSION_IDLE_MINUTES: parseInt(process.env.SESSION_IDLE_MINUTES) || 30,
+  SESSION_MAX_HOURS: parseInt(process.env.SESSION_MAX_HOURS) || 8,
+  STATUS_TOKEN_SECRET: process.env.STATUS_TOKEN_SECRET || '',
+  STATUS_LINK_DAYS: parseInt(process.env.STATUS_LINK_DAYS) || 30,
+  PUBLIC_BASE_URL: process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`,
+  NOTIFY_SMS_PROVIDER: process.env.NOTIFY_SMS_PROVIDER || 'outbox',
+  NOTIFY_EMAIL_PROVIDER: process.env.NOTIFY_EMAIL_PROVIDER || 'outbox',
+  NOTIFY_POLL_SECONDS: parseInt(process.env.NOTIFY_POLL_SECONDS) || 60,
+  TWILIO_ACCOUNT_SID: process.env.TWILIO_ACCOUNT_SID || '',
+  TWILIO_AUTH_TOKEN: process.env.TWILIO_AUTH_TOKEN || '',
+  TWILIO_FROM_NUMBER: process.env.TWILIO_FROM_NUMBER || '',
+  SENDGRID_API_KEY: process.env.SENDGRID_API_KEY || '',
+  NOTIFY_EMAIL_FROM: process.env.NOTIFY_EMAIL_FROM || '',
   AI_ENABLE: process.env.AI_ENABLE === 'true',
   OPENAI_API_KEY: process.env.OPENAI_API_KEY || '',
+  AI_BASE_URL: process.env.AI_BASE_URL || '',
+  AI_MODEL_CHEAP: process.env.AI_MODEL_CHEAP || 'gpt-4o-mini',
+  AI_MODEL_EXPENSIVE: process.env.AI_MODEL_EXPENSIVE || 'gpt-4o',
+  AI_TIMEOUT_MS: parseInt(process.env.AI_TIMEOUT_MS) || 15000,
+  AI_MAX_RETRIES: process.env.AI_MAX_RETRIES ? parseInt(process.env.AI_MAX_RETRIES) : 2,
   CACHE_TTL_FAQ: parseInt(process.env.CACHE_TTL_FAQ) || 86400,
   CACHE_TTL_TRIAGE: parseInt(process.env.CACHE_TTL_TRIAGE) || 7200,
   CACHE_TTL_ANALYTICS: parseInt(process.env.CACHE_TTL_ANALYTICS) || 900,
+  CACHE_DRIVER: process.env.CACHE_DRIVER || 'memory',
+  CACHE_MAX_ENTRIES: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+  CACHE_MAX_MB: parseFloat(process.env.CACHE_MAX_MB) || 5,
+  CACHE_SWEEP_SECONDS: parseInt(process.env.CACHE_SWEEP_SECONDS) || 300,
   AI_MAX_TOKENS_CHEAP: parseInt(process.env.AI_MAX_TOKENS_CHEAP) || 256,
   AI_MAX_TOKENS_EXPENSIVE: parseInt(process.env.AI_MAX_TOKENS_EXPENSIVE) || 512,
-  AI_TEMP: parseFloat(process.env.AI_TEMP) || 0.2
+  AI_MAX_DAILY_TOKENS: parseInt(process.env.AI_MAX_DAILY_TOKENS) || 10000,
+  // 0 is a valid temperature, so only fall back when unset or unparseable
+  AI_TEMP: Number.isNaN(parseFloat(process.env.AI_TEMP)) ? 0.2 : parseFloat(process.env.AI_TEMP),
+  NAVIGATOR_MAX_TURNS: parseInt(process.env.NAVIGATOR_MAX_TURNS) || 20,
+  NAVIGATOR_MAX_TOKENS: parseInt(process.env.NAVIGATOR_MAX_TOKENS) || 4000,
+  NAVIGATOR_SESSION_MINUTES: parseInt(process.env.NAVIGATOR_SESSION_MINUTES) || 60
 };
 
+if (!config.SESSION_SECRET) {
+  console.warn('⚠️  SESSION_SECRET not set - using a random secret, staff sessions will not survive a restart');
+  if (!config.STATUS_TOKEN_SECRET) {
+    console.warn('⚠️  STATUS_TOKEN_SECRET not set either - resident status links will stop working after a restart');
+  }
+  config.SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
-app.use(cookieParser());
+app.use(cookieParser(config.SESSION_SECRET));
 app.use('/public', express.static('public'));
 
 // Make config available to routes
@@ -37,8 +78,39 @@ if (!fs.existsSync(dataDir)) {
   fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Initialize data and seed demo data
-initializeData();
+// Initialize data and seed demo data - refuse to start on unreadable data files
+try {
+  initializeData();
+  initializeUsers(config);
+} catch (error) {
+  console.error('❌ Unable to load data:', error.message);
+  process.exit(1);
+}
+
+// Start the notification worker - a misconfigured provider is a startup error
+try {
+  getNotifications(config).start(config.NOTIFY_POLL_SECONDS);
+} catch (error) {
+  console.error('❌ Unable to start notifications:', error.message);
+  process.exit(1);
+}
+
+// Start the response cache sweeps - an unknown cache driver is a startup error
+try {
+  getCostGuard(config).start();
+} catch (error) {
+  console.error('❌ Unable to start the response cache:', error.message);
+  process.exit(1);
+}
+
+// Flush pending data writes (and the response cache, if it is saved to disk) before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    getRepository().storage.close();
+    getCostGuard(config).close();
+    process.exit(0);
+  });
+});
 
 // Setup routes
 setupRoutes(app);
@@ -46,8 +118,10 @@ setupRoutes(app);
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 First Contact E.I.S. running on port ${PORT}`);
-  console.log(`📊 Admin Panel: http://localhost:${PORT}/admin (PIN: ${config.ADMIN_PIN})`);
-  console.log(`👥 Staff Dashboard: http://localhost:${PORT}/staff (PIN: ${config.STAFF_PIN})`);
+  console.log(`📊 Admin Panel: http://localhost:${PORT}/admin`);
+  console.log(`👥 Staff Dashboard: http://localhost:${PORT}/staff`);
   console.log(`🏥 Resident Intake: http://localhost:${PORT}/onboard`);
-  console.log(`🤖 AI Features: ${config.AI_ENABLE ? 'ENABLED' : 'DISABLED (set AI_ENABLE=true to activate)'}`);
+  console.log(`💾 Storage: ${getRepository().storage.name}`);
+  // May differ from AI_ENABLE once an admin has switched AI on or off at /admin/cost
+  console.log(`🤖 AI Features: ${getAIRouter(config).enabled ? 'ENABLED' : 'DISABLED (set AI_ENABLE=true or turn on at /admin/cost)'}`);
 });
@@ -5,10 +5,12 @@
   "main": "index.js",
   "scripts": {
     "start": "node index.js",
-    "dev": "node index.js"
+    "dev": "node index.js",
+    "migrate": "node scripts/migrate-to-sql.js",
+    "test": "node --test test/*.test.js"
   },
   "engines": {
-    "node": ">=16"
+    "node": ">=18"
   },
   "dependencies": {
     "express": "^4.18.2",
@@ -17,6 +19,9 @@
     "uuid": "^9.0.0",
     "dayjs": "^1.11.9"
   },
+  "optionalDependencies": {
+    "better-sqlite3": "^9.4.3"
+  },
   "keywords": ["human-services", "ai", "intake", "triage", "analytics"],
   "author": "First Contact E.I.S.",
   "license": "MIT"
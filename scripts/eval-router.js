@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Offline evaluation of AIRouter routing quality and cost. Replays the labeled
+// cases in scripts/eval/dataset.json through AIRouter.route against a
+// deterministic mock model provider, scores the answers and compares the metrics
+// with scripts/eval/baseline.json.
+//
+//   node scripts/eval-router.js                    score and compare with the baseline
+//   node scripts/eval-router.js --verbose          also list every case the router got wrong
+//   node scripts/eval-router.js --update-baseline  save these metrics as the new baseline
+//   node scripts/eval-router.js --dataset other.json --baseline other-baseline.json
+//
+// Exits 1 when a metric regresses beyond its tolerance. Runs against a scratch data
+// directory, so it evaluates the built-in triage rules and care plan templates (not
+// edits saved from the admin portal) and never writes to data/.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('../server/storage');
+
+// The first getStorage call fixes the storage for the whole process - claim a
+// scratch directory before anything opens the repository on data/
+const EVAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-router-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: EVAL_DIR });
+// Snapshot writes finish in the background, so clean up only once the process is done
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(EVAL_DIR, { recursive: true, force: true });
+});
+
+const { AIRouter } = require('../server/ai-router');
+const { needsIn } = require('../server/resource-directory');
+const { MockProvider } = require('./eval/mock-provider');
+
+const DEFAULT_DATASET = path.join(__dirname, 'eval/dataset.json');
+const DEFAULT_BASELINE = path.join(__dirname, 'eval/baseline.json');
+const TASKS = ['navigator', 'triage', 'careplan'];
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// Same rough per-token estimate as the cost panel
+const COST_PER_TOKEN = 0.0001;
+
+const CONFIG = {
+  AI_ENABLE: true,
+  AI_BASE_URL: 'mock://eval',
+  AI_MODEL_CHEAP: 'mock-cheap',
+  AI_MODEL_EXPENSIVE: 'mock-expensive',
+  AI_MAX_TOKENS_CHEAP: 256,
+  AI_MAX_TOKENS_EXPENSIVE: 512,
+  AI_TEMP: 0,
+  // The daily budget is not under test
+  maxDailyTokens: Number.MAX_SAFE_INTEGER
+};
+
+// How far each metric may move the wrong way before the run fails
+const CHECKS = [
+  { metric: 'navigator.categoryAccuracy', better: 'higher', tolerance: 0.02 },
+  { metric: 'triage.priorityAgreement', better: 'higher', tolerance: 0.02 },
+  { metric: 'careplan.needCoverage', better: 'higher', tolerance: 0.02 },
+  ...TASKS.flatMap(task => [
+    { metric: `${task}.escalationRate`, better: 'lower', tolerance: 0.05 },
+    { metric: `${task}.tokensPer1000`, better: 'lower', tolerance: 0.1, relative: true }
+  ])
+];
+
+function parseArgs(argv) {
+  const args = { dataset: DEFAULT_DATASET, baseline: DEFAULT_BASELINE, updateBaseline: false, verbose: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dataset') args.dataset = path.resolve(argv[++i]);
+    else if (argv[i] === '--baseline') args.baseline = path.resolve(argv[++i]);
+    else if (argv[i] === '--update-baseline') args.updateBaseline = true;
+    else if (argv[i] === '--verbose') args.verbose = true;
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return args;
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Share of cases, 0-1
+function share(cases, test) {
+  return cases.length ? round(cases.filter(test).length / cases.length) : 0;
+}
+
+function routeCase(router, task, item) {
+  if (task === 'navigator') {
+    return router.route('navigator', item.query, { history: item.history || [], topic: item.topic || null, context: item.context || {} });
+  }
+  return router.route(task, { id: item.id, ...item.client });
+}
+
+// Whether the router's answer matches the label, and what to show when it does not
+function score(task, item, result) {
+  if (task === 'navigator') {
+    const category = result.category || 'none';
+    return { value: category === item.category ? 1 : 0, detail: `expected ${item.category}, got ${category}` };
+  }
+  if (task === 'triage') {
+    const distance = Math.abs(PRIORITIES.indexOf(result.priority) - PRIORITIES.indexOf(item.priority));
+    return { value: distance === 0 ? 1 : 0, withinOne: distance <= 1, detail: `expected ${item.priority}, got ${result.priority}` };
+  }
+  // Care plans cover a need when any goal, task or resource is about it
+  const expected = item.needs || item.client.needs || [];
+  const mentioned = new Set(needsIn([...(result.goals || []), ...(result.tasks || []), ...(result.resources || [])].join(' ')));
+  const missing = expected.filter(need => !mentioned.has(need));
+  return { value: expected.length ? (expected.length - missing.length) / expected.length : 1, detail: `no mention of ${missing.join(', ')}` };
+}
+
+async function replay(dataset) {
+  const router = new AIRouter(CONFIG);
+  const provider = new MockProvider({ expensiveModel: CONFIG.AI_MODEL_EXPENSIVE });
+  router.provider = provider;
+
+  const runs = {};
+  for (const task of TASKS) {
+    runs[task] = [];
+    for (const item of dataset[task] || []) {
+      // Every case runs cold, so results do not depend on dataset order
+      router.costGuard.clearCache();
+      const before = provider.calls.length;
+      const result = await routeCase(router, task, item);
+      const calls = provider.calls.slice(before);
+      runs[task].push({ item, result, calls, score: score(task, item, result) });
+    }
+  }
+  return runs;
+}
+
+function summarize(task, cases) {
+  const tokens = cases.reduce((sum, run) => sum + run.calls.reduce((total, call) => total + call.tokens, 0), 0);
+  const answeredBy = {};
+  cases.forEach(run => {
+    answeredBy[run.result.source] = (answeredBy[run.result.source] || 0) + 1;
+  });
+  const quality = {
+    navigator: { categoryAccuracy: share(cases, run => run.score.value === 1) },
+    triage: { priorityAgreement: share(cases, run => run.score.value === 1), withinOneLevel: share(cases, run => run.score.withinOne) },
+    careplan: {
+      needCoverage: cases.length ? round(cases.reduce((sum, run) => sum + run.score.value, 0) / cases.length) : 0,
+      fullyCovered: share(cases, run => run.score.value === 1)
+    }
+  }[task];
+
+  const tokensPer1000 = cases.length ? Math.round(tokens / cases.length * 1000) : 0;
+  return {
+    cases: cases.length,
+    ...quality,
+    // Left the rules tier for the models
+    escalationRate: share(cases, run => run.calls.length > 0),
+    // Reached the expensive model
+    expensiveRate: share(cases, run => run.calls.some(call => call.tier === 'expensive')),
+    answeredBy,
+    tokens,
+    tokensPer1000,
+    estimatedCostPer1000: round(tokensPer1000 * COST_PER_TOKEN)
+  };
+}
+
+function metricValue(metrics, name) {
+  const [task, field] = name.split('.');
+  return metrics[task] ? metrics[task][field] : undefined;
+}
+
+function compare(metrics, baseline) {
+  return CHECKS.map(check => {
+    const current = metricValue(metrics, check.metric);
+    const previous = metricValue(baseline, check.metric);
+    if (current === undefined || previous === undefined) {
+      return { ...check, current, previous, regressed: false, skipped: true };
+    }
+    const allowed = check.relative ? previous * check.tolerance : check.tolerance;
+    const regressed = check.better === 'higher' ? current < previous - allowed : current > previous + allowed;
+    return { ...check, current, previous, regressed, skipped: false };
+  });
+}
+
+function percent(value) {
+  return `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(metrics) {
+  const headline = {
+    navigator: summary => `category accuracy ${percent(summary.categoryAccuracy)}`,
+    triage: summary => `priority agreement ${percent(summary.priorityAgreement)} (within one level ${percent(summary.withinOneLevel)})`,
+    careplan: summary => `need coverage ${percent(summary.needCoverage)} (fully covered ${percent(summary.fullyCovered)})`
+  };
+  TASKS.forEach(task => {
+    const summary = metrics[task];
+    console.log(`\n${task} - ${summary.cases} cases`);
+    console.log(`   ${headline[task](summary)}`);
+    console.log(`   escalated ${percent(summary.escalationRate)}, expensive model ${percent(summary.expensiveRate)}`);
+    console.log(`   answered by ${Object.entries(summary.answeredBy).map(([source, count]) => `${source} ${count}`).join(', ')}`);
+    console.log(`   ${summary.tokens} tokens - projected ${summary.tokensPer1000} per 1,000 requests (~$${summary.estimatedCostPer1000})`);
+  });
+}
+
+function printMisses(runs) {
+  TASKS.forEach(task => runs[task]
+    .filter(run => run.score.value < 1)
+    .forEach(run => console.log(`   ✗ ${task} ${run.item.id}: ${run.score.detail} (${run.result.source})`)));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const dataset = JSON.parse(fs.readFileSync(args.dataset, 'utf8'));
+  console.log(`🧪 Replaying ${TASKS.map(task => `${(dataset[task] || []).length} ${task}`).join(', ')} cases from ${path.relative(process.cwd(), args.dataset)}...`);
+
+  const runs = await replay(dataset);
+  const metrics = Object.fromEntries(TASKS.map(task => [task, summarize(task, runs[task])]));
+  printReport(metrics);
+
+  if (args.verbose) {
+    console.log('\nMisses:');
+    printMisses(runs);
+  }
+
+  if (args.updateBaseline) {
+    fs.writeFileSync(args.baseline, `${JSON.stringify({ updatedAt: new Date().toISOString(), metrics }, null, 2)}\n`);
+    console.log(`\n✅ Baseline saved to ${path.relative(process.cwd(), args.baseline)}`);
+    return 0;
+  }
+  if (!fs.existsSync(args.baseline)) {
+    console.log('\nNo baseline yet - run with --update-baseline to save one.');
+    return 0;
+  }
+
+  const baseline = JSON.parse(fs.readFileSync(args.baseline, 'utf8')).metrics;
+  const results = compare(metrics, baseline);
+  console.log('\nAgainst baseline:');
+  results.filter(result => !result.skipped).forEach(result => {
+    console.log(`   ${result.regressed ? '✗' : '✓'} ${result.metric} ${result.current} (baseline ${result.previous})`);
+  });
+  const regressions = results.filter(result => result.regressed);
+  if (regressions.length) {
+    console.error(`\n❌ ${regressions.length} metric${regressions.length === 1 ? '' : 's'} regressed. If the change is intended, run with --update-baseline.`);
+    return 1;
+  }
+  console.log('\n✅ No regressions.');
+  return 0;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,93 @@
+// Deterministic stand-in for OpenAICompatibleProvider used by the evaluation
+// harness. Answers are derived from the prompt with simple keyword rules, so the
+// same dataset always produces the same routing, scores and token counts. The
+// cheap model is less sure of itself than the expensive one, which exercises the
+// router's escalation path the way real models do.
+const { needsIn } = require('../../server/resource-directory');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const URGENCY_PRIORITY = { low: 'low', medium: 'medium', high: 'high', critical: 'urgent' };
+// Words in intake notes that the expensive model treats as a reason to raise priority
+const RISK_PATTERN = /\b(evict|evicted|eviction|shelter|unsafe|tonight|street|car|violence)\b/i;
+
+// Rough token count - about four characters per token for English text
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function intakeFrom(content) {
+  const match = content.match(/Client intake: (\{.*\})/);
+  return match ? JSON.parse(match[1]) : {};
+}
+
+class MockProvider {
+  constructor({ expensiveModel }) {
+    this.expensiveModel = expensiveModel;
+    this.calls = [];
+  }
+
+  async chat({ model, messages }) {
+    const tier = model === this.expensiveModel ? 'expensive' : 'cheap';
+    const system = messages[0].content;
+    const user = messages[messages.length - 1].content;
+
+    let answer;
+    if (system.includes('"priority"')) {
+      answer = this.triage(tier, intakeFrom(user));
+    } else if (system.includes('"goals"')) {
+      answer = this.careplan(tier, intakeFrom(user));
+    } else {
+      answer = this.navigator(tier, user);
+    }
+
+    const content = JSON.stringify(answer);
+    const usage = {
+      promptTokens: messages.reduce((sum, message) => sum + countTokens(message.content), 0),
+      completionTokens: countTokens(content)
+    };
+    usage.totalTokens = usage.promptTokens + usage.completionTokens;
+    this.calls.push({ tier, tokens: usage.totalTokens });
+    return { content, finishReason: 'stop', model, usage };
+  }
+
+  navigator(tier, user) {
+    const question = (user.match(/Resident question: (.*)/) || [])[1] || '';
+    const earlier = (user.match(/Resident: .*/g) || []).join(' ');
+    const categories = needsIn(question);
+    const category = categories[0] || needsIn(earlier)[0] || 'general';
+    return {
+      response: `Mock ${tier} answer about ${category.replace('-', ' ')} services.`,
+      category,
+      // The cheap model hedges on questions that name several needs, or none
+      confidence: tier === 'expensive' ? 0.9 : (categories.length === 1 ? 0.8 : 0.55)
+    };
+  }
+
+  triage(tier, intake) {
+    const needs = intake.needs || [];
+    let priority = URGENCY_PRIORITY[intake.urgency] || 'medium';
+    if (tier === 'expensive' && RISK_PATTERN.test(intake.additionalInfo || '')) {
+      priority = PRIORITIES[Math.min(PRIORITIES.indexOf(priority) + 1, PRIORITIES.length - 1)];
+    }
+    return {
+      priority,
+      recommendations: needs.length ? needs.map(need => `Assess the client's ${need.replace('-', ' ')} need`) : ['General needs assessment'],
+      nextSteps: ['Schedule an intake appointment'],
+      confidence: tier === 'expensive' ? 0.9 : (needs.length ? 0.75 : 0.6)
+    };
+  }
+
+  careplan(tier, intake) {
+    const needs = intake.needs && intake.needs.length ? intake.needs : ['general'];
+    const label = need => need.replace('-', ' ');
+    return {
+      goals: needs.slice(0, 4).map(need => `Make progress on ${label(need)}`),
+      tasks: needs.slice(0, 6).map(need => `Complete a ${label(need)} referral`),
+      resources: needs.slice(0, 5).map(need => `Local ${label(need)} program`),
+      timeline: '90 days',
+      confidence: tier === 'expensive' ? 0.9 : 0.75
+    };
+  }
+}
+
+module.exports = { MockProvider, countTokens };
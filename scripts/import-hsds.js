@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// Load an Open Referral HSDS export into the navigator's resource directory.
+// Replaces the whole directory, so re-run it with a fresh export to update.
+//
+//   node scripts/import-hsds.js path/to/hsds-csv-directory
+//   node scripts/import-hsds.js path/to/services.json
+//
+// Run it with the server stopped - the JSON driver's journal is not shared safely
+// between processes - and start the server again to use the new directory.
+
+const path = require('path');
+const { createStorage } = require('../server/storage');
+const { readHsds } = require('../server/hsds');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+function importHsds(source) {
+  const resources = readHsds(source);
+  if (!resources.length) {
+    throw new Error(`No active services found in ${source}`);
+  }
+
+  const storage = createStorage(process.env.STORAGE_DRIVER || 'json', {
+    dataDir: DATA_DIR,
+    filename: process.env.SQLITE_PATH
+  });
+  storage.setDocument('resources', {
+    importedAt: new Date().toISOString(),
+    source: path.basename(source),
+    resources
+  });
+  storage.close();
+
+  const organizations = new Set(resources.map(resource => resource.organizationId).filter(Boolean));
+  const unlocated = resources.filter(resource => !resource.location || !resource.location.address).length;
+  return [
+    `${resources.length} service locations from ${organizations.size} organizations`,
+    ...(unlocated ? [`${unlocated} without a street address (shown, but not ranked by distance)`] : [])
+  ];
+}
+
+const source = process.argv[2];
+if (!source) {
+  console.error('Usage: node scripts/import-hsds.js <hsds-csv-directory | hsds.json>');
+  process.exit(1);
+}
+
+try {
+  console.log(`📚 Importing HSDS resource directory from ${source}...`);
+  importHsds(path.resolve(source)).forEach(line => console.log(`   ${line}`));
+  console.log('✅ Import complete. Start the server to use the new directory.');
+} catch (error) {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+}
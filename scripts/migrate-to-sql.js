@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// One-shot import of the data/*.json collections and documents into the SQLite storage driver.
+// Safe to re-run: records that already exist in the database are skipped.
+//
+//   npm install better-sqlite3
+//   node scripts/migrate-to-sql.js
+//   STORAGE_DRIVER=sqlite npm start
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage, COLLECTION_INDEXES, DOCUMENTS } = require('../server/storage');
+
+const DATA_DIR = path.join(__dirname, '../data');
+
+function migrate() {
+  const source = createStorage('json', { dataDir: DATA_DIR });
+  const target = createStorage('sqlite', {
+    dataDir: DATA_DIR,
+    filename: process.env.SQLITE_PATH
+  });
+
+  const collections = Object.keys(COLLECTION_INDEXES);
+  // Only the Repository's own documents - other files in data/ (cache.json) are not records
+  const documents = DOCUMENTS.filter(name => fs.existsSync(path.join(DATA_DIR, `${name}.json`)));
+
+  const summary = [];
+
+  target.transaction(() => {
+    collections.forEach(collection => {
+      let imported = 0;
+      let skipped = 0;
+
+      source.find(collection).forEach(record => {
+        if (target.get(collection, record.id)) {
+          skipped++;
+          return;
+        }
+        target.insert(collection, record);
+        imported++;
+      });
+
+      summary.push(`${collection}: ${imported} imported, ${skipped} already present`);
+    });
+
+    documents.forEach(name => {
+      target.setDocument(name, source.getDocument(name, null));
+      summary.push(`${name}: document copied`);
+    });
+  });
+
+  target.close();
+  return summary;
+}
+
+try {
+  console.log('📦 Migrating JSON data to SQLite...');
+  migrate().forEach(line => console.log(`   ${line}`));
+  console.log('✅ Migration complete. Start the server with STORAGE_DRIVER=sqlite to use it.');
+} catch (error) {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+}
@@ -0,0 +1,264 @@
+// Regression tests for AIRouter.route: every task through the rules, cheap and
+// expensive tiers, the cache, the fallback and invalid model output. Models are
+// replaced by a scripted stub provider and data goes to a scratch directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-router-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { AIRouter } = require('../server/ai-router');
+const { PERSISTED_TASKS } = require('../server/cost-guard');
+const { ResponseCache, FileCacheStore } = require('../server/cache');
+const { getCarePlanTemplates } = require('../server/careplan-templates');
+
+// Every need has a built-in care plan template - drop the legal one, so a legal need
+// is one the rules cannot cover
+const library = getCarePlanTemplates();
+library.save(library.current().templates.filter(template => template.id !== 'legal'), { note: 'AIRouter tests' });
+
+const CONFIG = {
+  AI_ENABLE: true,
+  AI_BASE_URL: 'stub://test',
+  AI_MODEL_CHEAP: 'stub-cheap',
+  AI_MODEL_EXPENSIVE: 'stub-expensive',
+  AI_MAX_TOKENS_CHEAP: 256,
+  AI_MAX_TOKENS_EXPENSIVE: 512,
+  AI_TEMP: 0,
+  maxDailyTokens: Number.MAX_SAFE_INTEGER
+};
+
+// Answers each tier's calls from a script, in order; an Error in the script is thrown
+class StubProvider {
+  constructor(script = {}) {
+    this.script = { cheap: [], expensive: [], ...script };
+    this.calls = [];
+  }
+
+  async chat({ model, messages }) {
+    const tier = model === CONFIG.AI_MODEL_EXPENSIVE ? 'expensive' : 'cheap';
+    this.calls.push({ tier, messages });
+    const next = this.script[tier].shift();
+    if (next === undefined) {
+      throw new Error(`No ${tier} answer scripted`);
+    }
+    if (next instanceof Error) {
+      throw next;
+    }
+    const content = typeof next === 'string' ? next : JSON.stringify(next);
+    return { content, finishReason: 'stop', model, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } };
+  }
+
+  tiers() {
+    return this.calls.map(call => call.tier);
+  }
+}
+
+function routerWith(script) {
+  const router = new AIRouter(CONFIG);
+  router.provider = new StubProvider(script);
+  // The cost guard is shared, so every test starts with an empty cache
+  router.costGuard.clearCache();
+  return router;
+}
+
+const QUESTION = 'my landlord kept my deposit for normal wear';
+const navigatorAnswer = confidence => ({ response: 'You can ask for an itemized list of deductions.', category: 'housing', confidence });
+
+const URGENT_CLIENT = { id: 'client-1', name: 'Ana Pérez', phone: '5625551234', needs: ['housing'], urgency: 'high', householdSize: 2, zipCode: '90802' };
+// No needs ticked, so the triage rules have no recommendations to offer
+const UNCLEAR_CLIENT = { id: 'client-2', name: 'Bob Lee', phone: '5625559876', needs: [], urgency: 'medium', householdSize: 1, zipCode: '90813', additionalInfo: 'Not sure where to start' };
+const LEGAL_CLIENT = { id: 'client-3', name: 'Cara Diaz', phone: '5625554321', needs: ['legal'], urgency: 'medium', householdSize: 3, zipCode: '90805' };
+const triageAnswer = confidence => ({ priority: 'high', recommendations: ['Refer to legal aid'], nextSteps: ['Book a legal aid consultation'], confidence });
+const careplanAnswer = confidence => ({ goals: ['Resolve the legal issue'], tasks: ['Meet with legal aid'], resources: ['Legal aid clinic'], confidence });
+
+test('navigator: a question the rules know is answered without a model', async () => {
+  const router = routerWith();
+  const result = await router.route('navigator', 'hello');
+  assert.strictEqual(result.source, 'rules');
+  assert.deepStrictEqual(router.provider.calls, []);
+});
+
+test('navigator: an unfamiliar question goes to the cheap model', async () => {
+  const router = routerWith({ cheap: [navigatorAnswer(0.8)] });
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.source, 'cheap-model');
+  assert.strictEqual(result.category, 'housing');
+  assert.deepStrictEqual(router.provider.tiers(), ['cheap']);
+});
+
+test('navigator: an unsure cheap answer escalates to the expensive model', async () => {
+  const router = routerWith({ cheap: [navigatorAnswer(0.5)], expensive: [navigatorAnswer(0.9)] });
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.source, 'expensive-model');
+  assert.deepStrictEqual(router.provider.tiers(), ['cheap', 'expensive']);
+});
+
+test('navigator: a repeated question is answered from the cache', async () => {
+  const router = routerWith({ cheap: [navigatorAnswer(0.8)] });
+  await router.route('navigator', QUESTION);
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.cached, true);
+  assert.strictEqual(result.source, 'cheap-model');
+  assert.strictEqual(router.provider.calls.length, 1);
+});
+
+test('navigator: a provider failure falls back', async () => {
+  const router = routerWith({ cheap: [new Error('connection refused')] });
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.source, 'fallback');
+});
+
+test('navigator: output that fails the schema is sent back for repair', async () => {
+  const router = routerWith({ cheap: ['{"answer": "Ask for an itemized list.", "confidence": 0.8}', navigatorAnswer(0.8)] });
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.source, 'cheap-model');
+  assert.strictEqual(router.provider.calls.length, 2);
+  const retry = router.provider.calls[1].messages;
+  assert.match(retry[retry.length - 1].content, /response/);
+});
+
+test('navigator: output that stays invalid falls back and is not cached', async () => {
+  const router = routerWith({ cheap: ['not json', 'still not json'] });
+  const result = await router.route('navigator', QUESTION);
+  assert.strictEqual(result.source, 'fallback');
+  assert.strictEqual(router.costGuard.getStats().cacheSize, 0);
+});
+
+test('navigator: cached answers keep placeholders, so the cache file holds no PII', async () => {
+  const question = 'I\'m Ana Perez, text me at 562-555-1234 about my deposit';
+  const router = routerWith({ cheap: [{ response: 'Hi [PERSON_1], we will text [PHONE_1] with deposit help.', category: 'housing', confidence: 0.8 }] });
+  const filename = path.join(TEST_DIR, 'cache.json');
+  const shared = router.costGuard.cache;
+  router.costGuard.cache = new ResponseCache({ store: new FileCacheStore({ filename }), persistNamespaces: PERSISTED_TASKS });
+  try {
+    const first = await router.route('navigator', question);
+    const second = await router.route('navigator', question);
+    router.costGuard.close();
+
+    assert.strictEqual(first.response, 'Hi Ana Perez, we will text 562-555-1234 with deposit help.');
+    assert.strictEqual(second.cached, true);
+    assert.strictEqual(second.response, first.response);
+    const saved = fs.readFileSync(filename, 'utf8');
+    assert.match(saved, /\[PHONE_1\]/);
+    const { vault } = router.scrubber.deidentify(question);
+    vault.originals.forEach(original => assert.ok(!saved.includes(original), `cache file holds ${original}`));
+  } finally {
+    router.costGuard.cache = shared;
+  }
+});
+
+test('triage: rules answer a client they cover', async () => {
+  const router = routerWith();
+  const result = await router.route('triage', URGENT_CLIENT);
+  assert.strictEqual(result.source, 'rules');
+  assert.strictEqual(result.priority, 'urgent');
+  assert.ok(result.ruleHits.some(hit => hit.id === 'urgent-housing'));
+  assert.deepStrictEqual(router.provider.calls, []);
+});
+
+test('triage: a client the rules are unsure about goes to the cheap model', async () => {
+  const router = routerWith({ cheap: [triageAnswer(0.8)] });
+  const result = await router.route('triage', UNCLEAR_CLIENT);
+  assert.strictEqual(result.source, 'cheap-model');
+  assert.strictEqual(result.priority, 'high');
+  assert.ok(result.decisionId);
+});
+
+test('triage: an unsure cheap answer escalates, then the answer is cached', async () => {
+  const router = routerWith({ cheap: [triageAnswer(0.5)], expensive: [triageAnswer(0.9)] });
+  const first = await router.route('triage', UNCLEAR_CLIENT);
+  const second = await router.route('triage', UNCLEAR_CLIENT);
+  assert.strictEqual(first.source, 'expensive-model');
+  assert.strictEqual(second.cached, true);
+  assert.deepStrictEqual(router.provider.tiers(), ['cheap', 'expensive']);
+});
+
+test('triage: invalid output from both tiers falls back', async () => {
+  const router = routerWith({ cheap: ['{"priority": "whenever"}', '{"priority": "whenever"}'], expensive: ['[]', '[]'] });
+  const result = await router.route('triage', UNCLEAR_CLIENT);
+  assert.strictEqual(result.source, 'fallback');
+  assert.strictEqual(result.priority, 'medium');
+});
+
+test('triage: the model never sees the client\'s name or phone number', async () => {
+  const router = routerWith({ cheap: [triageAnswer(0.8)] });
+  await router.route('triage', UNCLEAR_CLIENT);
+  const prompt = router.provider.calls[0].messages.map(message => message.content).join('\n');
+  assert.doesNotMatch(prompt, /Bob Lee|5625559876/);
+});
+
+test('triage: a cached answer shared by two clients names the client who asked', async () => {
+  const router = routerWith({ cheap: [{ ...triageAnswer(0.8), nextSteps: ['Call [PERSON_1] to book a legal aid consultation'] }] });
+  const sameCase = { ...UNCLEAR_CLIENT, id: 'client-4', name: 'Dee Moss', phone: '5625550000' };
+  const first = await router.route('triage', UNCLEAR_CLIENT);
+  const second = await router.route('triage', sameCase);
+  assert.strictEqual(second.cached, true);
+  assert.deepStrictEqual(first.nextSteps, ['Call Bob Lee to book a legal aid consultation']);
+  assert.deepStrictEqual(second.nextSteps, ['Call Dee Moss to book a legal aid consultation']);
+});
+
+test('careplan: rules compose a plan from templates covering every need', async () => {
+  const router = routerWith();
+  const result = await router.route('careplan', URGENT_CLIENT);
+  assert.strictEqual(result.source, 'rules');
+  assert.ok(result.templates.length > 0);
+  assert.deepStrictEqual(router.provider.calls, []);
+});
+
+test('careplan: a need no template covers goes to the cheap model', async () => {
+  const router = routerWith({ cheap: [careplanAnswer(0.8)] });
+  const result = await router.route('careplan', LEGAL_CLIENT);
+  assert.strictEqual(result.source, 'cheap-model');
+  assert.ok(result.reviewDate);
+});
+
+test('careplan: an unsure cheap answer escalates to the expensive model', async () => {
+  const router = routerWith({ cheap: [careplanAnswer(0.5)], expensive: [careplanAnswer(0.9)] });
+  const result = await router.route('careplan', LEGAL_CLIENT);
+  assert.strictEqual(result.source, 'expensive-model');
+});
+
+test('careplan: a provider failure falls back', async () => {
+  const router = routerWith({ cheap: [new Error('timeout')] });
+  const result = await router.route('careplan', LEGAL_CLIENT);
+  assert.strictEqual(result.source, 'fallback');
+  assert.ok(result.goals.length > 0);
+});
+
+test('models off: uncertain requests get the rules\' answer or the fallback, never a model', async () => {
+  const router = routerWith();
+  router.enabled = false;
+  const navigator = await router.route('navigator', QUESTION);
+  const triage = await router.route('triage', UNCLEAR_CLIENT);
+  const careplan = await router.route('careplan', LEGAL_CLIENT);
+  assert.ok(navigator.uncertain);
+  assert.strictEqual(triage.source, 'fallback');
+  assert.strictEqual(careplan.source, 'fallback');
+  assert.deepStrictEqual(router.provider.calls, []);
+});
+
+test('cache keys: different clients get different keys', () => {
+  const router = routerWith();
+  // Objects once stringified to "[object Object]", so every client shared one key
+  assert.notStrictEqual(router.cacheKey('triage', URGENT_CLIENT, {}), router.cacheKey('triage', UNCLEAR_CLIENT, {}));
+  assert.notStrictEqual(router.cacheKey('careplan', URGENT_CLIENT, {}), router.cacheKey('careplan', UNCLEAR_CLIENT, {}));
+});
+
+test('cache keys: details the model never sees do not split the cache', () => {
+  const router = routerWith();
+  const sameCase = { ...UNCLEAR_CLIENT, id: 'client-3', name: 'Someone Else', phone: '5625550000' };
+  assert.strictEqual(router.cacheKey('triage', UNCLEAR_CLIENT, {}), router.cacheKey('triage', sameCase, {}));
+  assert.notStrictEqual(router.cacheKey('triage', UNCLEAR_CLIENT, {}), router.cacheKey('triage', UNCLEAR_CLIENT, { caseworkerContext: { note: 'eviction notice' } }));
+  assert.notStrictEqual(router.cacheKey('navigator', QUESTION, {}), router.cacheKey('navigator', QUESTION, { locale: 'es' }));
+});
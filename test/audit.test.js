@@ -0,0 +1,77 @@
+// Tests for audit log redaction: every client PII field in a diff - contact details,
+// address and ZIP included - is masked for roles without PII access. Data goes to a
+// scratch directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { getAudit } = require('../server/audit');
+const { presentClient } = require('../server/permissions');
+
+const ADMIN = { id: 'user-admin', username: 'admin', role: 'admin' };
+const AUDITOR = { id: 'user-auditor', username: 'auditor', role: 'auditor' };
+
+function request(user) {
+  return { user, ip: '127.0.0.1', method: 'POST', originalUrl: '/api/clients', get: () => 'node:test' };
+}
+
+const BEFORE = {
+  id: 'client-1',
+  name: 'Ana Perez',
+  phone: '5625551234',
+  email: 'ana@example.org',
+  address: '333 W Ocean Blvd',
+  zipCode: '90802',
+  dateOfBirth: '1990-04-01',
+  additionalInfo: 'Staying with my sister',
+  urgency: 'medium'
+};
+const AFTER = {
+  ...BEFORE,
+  name: 'Ana Perez Lopez',
+  phone: '5625559999',
+  email: 'ana.lopez@example.org',
+  address: '5248 Long Beach Blvd',
+  zipCode: '90805',
+  dateOfBirth: '1990-04-10',
+  additionalInfo: 'Moved to a shelter',
+  urgency: 'high'
+};
+const PII_CHANGES = ['name', 'phone', 'email', 'address', 'zipCode', 'dateOfBirth', 'additionalInfo'];
+
+test('PII changes, address and ZIP included, are masked for viewers without PII access', () => {
+  const audit = getAudit();
+  const entry = audit.record(request(ADMIN), 'client.update', { clientId: BEFORE.id, before: BEFORE, after: AFTER });
+  const presented = audit.present(AUDITOR, entry);
+
+  PII_CHANGES.forEach(field => {
+    assert.deepStrictEqual(presented.changes[field], { before: '[redacted]', after: '[redacted]' }, field);
+  });
+  assert.deepStrictEqual(presented.changes.urgency, { before: 'medium', after: 'high' });
+  assert.doesNotMatch(JSON.stringify(presented), /90802|90805|Ocean Blvd|Long Beach Blvd|1990-04/);
+});
+
+test('viewers with PII access see the full diff', () => {
+  const audit = getAudit();
+  const entry = audit.record(request(ADMIN), 'client.update', { clientId: BEFORE.id, before: BEFORE, after: AFTER });
+  assert.deepStrictEqual(audit.present(ADMIN, entry).changes.zipCode, { before: '90802', after: '90805' });
+});
+
+test('read-only roles get a client without address or date of birth, and a 3-digit ZIP', () => {
+  const client = presentClient(AUDITOR, AFTER);
+  assert.strictEqual(client.address, '');
+  assert.strictEqual(client.dateOfBirth, '');
+  assert.strictEqual(client.zipCode, '908XX');
+});
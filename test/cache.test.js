@@ -0,0 +1,41 @@
+// Tests for ResponseCache persistence: only the namespaces it is told to save
+// reach the store, and entries from other namespaces in an older file are dropped.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { ResponseCache } = require('../server/cache');
+
+// Keeps what the cache saves in memory, in place of data/cache.json
+function memoryStore(entries = []) {
+  return {
+    saved: entries,
+    load() { return this.saved; },
+    async save(next) { this.saved = next; },
+    saveSync(next) { this.saved = next; }
+  };
+}
+
+test('only persisted namespaces are written to the store', () => {
+  const store = memoryStore();
+  const cache = new ResponseCache({ store, persistNamespaces: ['navigator'] });
+  cache.set('navigator', 'q1', { answer: 'Shelters open at 6pm' }, 60);
+  cache.set('triage', 'c1', { priority: 'high' }, 60);
+  cache.close();
+
+  assert.deepStrictEqual(store.saved.map(entry => entry.namespace), ['navigator']);
+  assert.deepStrictEqual(cache.get('triage', 'c1'), { priority: 'high' });
+});
+
+test('entries from namespaces that are no longer persisted are dropped on load and rewritten', () => {
+  const expiry = Date.now() + 60000;
+  const store = memoryStore([
+    { namespace: 'navigator', key: 'q1', data: { answer: 'Shelters open at 6pm' }, expiry },
+    { namespace: 'careplan', key: 'c1', data: { goals: ['Housing'] }, expiry }
+  ]);
+  const cache = new ResponseCache({ store, persistNamespaces: ['navigator'] });
+
+  assert.strictEqual(cache.get('careplan', 'c1'), null);
+  assert.deepStrictEqual(cache.get('navigator', 'q1'), { answer: 'Shelters open at 6pm' });
+  cache.close();
+  assert.deepStrictEqual(store.saved.map(entry => entry.namespace), ['navigator']);
+});
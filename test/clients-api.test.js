@@ -0,0 +1,120 @@
+// Tests for staff client creation (POST /api/clients): only intake fields are taken
+// from the body, and a caseworker outside the caller's agency cannot be assigned.
+// The routes run on a scratch data directory against a real listening server.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'clients-api-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const { setupRoutes } = require('../server/routes');
+const { getRepository, initializeData } = require('../server/repository');
+const { getAuth } = require('../server/auth');
+
+const CONFIG = { SESSION_SECRET: 'clients-api-test', STATUS_TOKEN_SECRET: 'clients-api-test', PUBLIC_BASE_URL: 'http://localhost' };
+const PASSWORD = 'test-pass-1';
+
+initializeData();
+const repo = getRepository();
+const auth = getAuth(CONFIG);
+// cw-001 and cw-002 work for different agencies
+[
+  { username: 'caseworker', role: 'caseworker', caseworkerId: 'cw-001' },
+  { username: 'supervisor', role: 'supervisor', agency: 'Long Beach Housing Authority' }
+].forEach(account => {
+  const user = auth.createUser({ ...account, password: PASSWORD });
+  repo.updateUser(user.id, { mustChangePassword: false });
+});
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cookieParser(CONFIG.SESSION_SECRET));
+  app.set('config', CONFIG);
+  setupRoutes(app);
+  await new Promise(resolve => { server = app.listen(0, resolve); });
+  baseUrl = `http://localhost:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+async function signIn(username) {
+  const response = await fetch(`${baseUrl}/staff/auth`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username, password: PASSWORD }),
+    redirect: 'manual'
+  });
+  return response.headers.get('set-cookie').split(';')[0];
+}
+
+async function createClient(username, body) {
+  const response = await fetch(`${baseUrl}/api/clients`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Cookie: await signIn(username) },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const INTAKE = { name: 'Dana Reyes', phone: '5625550101', needs: ['housing'], urgency: 'high', zipCode: '90802', householdSize: '2' };
+
+test('fields the server owns are ignored, not copied from the body', async () => {
+  const existing = repo.getClients()[0];
+  const { status, body } = await createClient('caseworker', {
+    ...INTAKE,
+    id: existing.id,
+    lookupCode: 'WSGSB5DE',
+    statusTokenVersion: 7,
+    createdBy: 'someone-else',
+    crisis: { category: 'suicide' },
+    notificationsOptOut: true,
+    source: 'public'
+  });
+
+  assert.strictEqual(status, 200);
+  const client = repo.getClientById(body.client.id);
+  assert.notStrictEqual(client.id, existing.id);
+  // The assignment notice issues a status link, so the code and version are the server's
+  assert.notStrictEqual(client.lookupCode, 'WSGSB5DE');
+  assert.notStrictEqual(client.statusTokenVersion, 7);
+  assert.strictEqual(client.crisis, undefined);
+  assert.strictEqual(client.notificationsOptOut, undefined);
+  assert.strictEqual(client.source, 'staff');
+  assert.notStrictEqual(client.createdBy, 'someone-else');
+  assert.strictEqual(client.caseworkerId, 'cw-001');
+  assert.strictEqual(client.name, 'Dana Reyes');
+  assert.strictEqual(client.householdSize, 2);
+  // The original client is untouched
+  assert.strictEqual(repo.getClientById(existing.id).name, existing.name);
+});
+
+test('a caseworker cannot assign the client to someone else', async () => {
+  const { body } = await createClient('caseworker', { ...INTAKE, caseworkerId: 'cw-002' });
+  assert.strictEqual(repo.getClientById(body.client.id).caseworkerId, 'cw-001');
+});
+
+test('a supervisor can only assign caseworkers in their own agency', async () => {
+  const outside = await createClient('supervisor', { ...INTAKE, caseworkerId: 'cw-002' });
+  assert.strictEqual(outside.status, 403);
+
+  const inside = await createClient('supervisor', { ...INTAKE, caseworkerId: 'cw-001' });
+  assert.strictEqual(inside.status, 200);
+  assert.strictEqual(repo.getClientById(inside.body.client.id).caseworkerId, 'cw-001');
+});
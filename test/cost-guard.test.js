@@ -0,0 +1,41 @@
+// Tests for CostGuard.withBudget: a running call holds its estimate against the
+// daily limit, and settling releases it and charges what was actually used.
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CostGuard } = require('../server/cost-guard');
+
+// A call that finishes when the test says so
+function pendingCall() {
+  let finish;
+  const promise = new Promise((resolve, reject) => { finish = { resolve, reject }; });
+  return { fn: () => promise, finish };
+}
+
+test('a running call reserves its estimate, so a second one cannot overrun the limit', async () => {
+  const guard = new CostGuard({ AI_MAX_DAILY_TOKENS: 300, AI_MAX_TOKENS_CHEAP: 200 });
+  const first = pendingCall();
+  const running = guard.withBudget('first', first.fn, 200);
+
+  assert.strictEqual(guard.getStats().reservedTokens, 200);
+  await assert.rejects(guard.withBudget('second', async () => ({ tokens: 10 }), 200), /Budget exceeded/);
+
+  first.finish.resolve({ tokens: 40 });
+  await running;
+  assert.strictEqual(guard.getStats().reservedTokens, 0);
+  assert.strictEqual(guard.getStats().dailyTokens, 40);
+});
+
+test('a failed call releases its reservation and is charged what it reports spending', async () => {
+  const guard = new CostGuard({ AI_MAX_DAILY_TOKENS: 300, AI_MAX_TOKENS_CHEAP: 200 });
+  const call = pendingCall();
+  const running = guard.withBudget('failing', call.fn, 200);
+
+  const error = new Error('invalid output');
+  error.tokens = 70;
+  call.finish.reject(error);
+  await assert.rejects(running, /invalid output/);
+
+  assert.strictEqual(guard.getStats().reservedTokens, 0);
+  assert.strictEqual(guard.getStats().dailyTokens, 70);
+});
@@ -0,0 +1,53 @@
+// Tests for the provider's timeout on streamed answers: it covers the wait for a
+// response and each gap between chunks, not the whole answer. A local server
+// stands in for the chat completions endpoint.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { OpenAICompatibleProvider } = require('../server/llm-provider');
+
+const TIMEOUT_MS = 300;
+const MESSAGES = [{ role: 'user', content: 'Where can I get food today?' }];
+
+// Streams `chunks` deltas `gapMs` apart, after `firstMs`; stalls forever after `stallAfter` chunks
+function sseServer({ chunks = 5, gapMs = 100, firstMs = 0, stallAfter = Infinity }) {
+  const server = http.createServer((req, res) => {
+    const timers = [];
+    req.on('close', () => timers.forEach(clearTimeout));
+    timers.push(setTimeout(() => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      for (let i = 0; i < Math.min(chunks, stallAfter); i++) {
+        timers.push(setTimeout(() => {
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: `${i}` } }] })}\n\n`);
+          if (i === chunks - 1) res.end('data: [DONE]\n\n');
+        }, i * gapMs));
+      }
+    }, firstMs));
+  });
+  return new Promise(resolve => server.listen(0, () => resolve(server)));
+}
+
+async function streamFrom(server) {
+  const provider = new OpenAICompatibleProvider({ baseUrl: `http://localhost:${server.address().port}`, timeoutMs: TIMEOUT_MS, maxRetries: 0 });
+  try {
+    return await provider.chatStream({ model: 'stub', messages: MESSAGES, json: false });
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+test('a stream that keeps sending runs past the timeout', async () => {
+  // Ten chunks 100ms apart - about three times the timeout overall
+  const result = await streamFrom(await sseServer({ chunks: 10, gapMs: 100 }));
+  assert.strictEqual(result.content, '0123456789');
+});
+
+test('a stream that stalls is cut off', async () => {
+  await assert.rejects(streamFrom(await sseServer({ chunks: 10, gapMs: 100, stallAfter: 3 })), /LLM stream failed: LLM sent nothing for 300ms/);
+});
+
+test('a server that never answers times out', async () => {
+  await assert.rejects(streamFrom(await sseServer({ firstMs: 2000 })), /LLM request timed out after 300ms/);
+});
@@ -0,0 +1,51 @@
+// Tests for navigator sessions when two questions in one conversation are answered
+// at the same time: neither turn is lost, tokens add up and the turn cap holds.
+// The router is replaced by a slow stub and data goes to a scratch directory.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'navigator-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { getAIRouter } = require('../server/ai-router');
+const { NavigatorSessions } = require('../server/navigator');
+const { getRepository } = require('../server/repository');
+
+// Each answer takes a moment, so two questions are in flight together
+getAIRouter({}).route = async (task, question) => {
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return { response: `About ${question}`, category: 'food', confidence: 0.9, source: 'cheap-model', tokens: 100 };
+};
+
+test('two questions answered together both keep their turns and tokens', async () => {
+  const sessions = new NavigatorSessions({ NAVIGATOR_MAX_TURNS: 10 });
+  const session = sessions.start();
+  await Promise.all([sessions.ask(session, 'food banks'), sessions.ask(session, 'bus passes')]);
+
+  const saved = getRepository().getConversation(session.id);
+  assert.deepStrictEqual(saved.turns.filter(turn => turn.role === 'resident').map(turn => turn.text).sort(), ['bus passes', 'food banks']);
+  assert.strictEqual(saved.turns.length, 4);
+  assert.strictEqual(saved.modelTokens, 200);
+});
+
+test('a question asked alongside the last allowed one gets the cap message', async () => {
+  const sessions = new NavigatorSessions({ NAVIGATOR_MAX_TURNS: 1 });
+  const session = sessions.start();
+  const replies = await Promise.all([sessions.ask(session, 'food banks'), sessions.ask(session, 'bus passes')]);
+
+  assert.deepStrictEqual(replies.map(({ reply }) => reply.source), ['cheap-model', 'session-cap']);
+  const saved = getRepository().getConversation(session.id);
+  assert.strictEqual(saved.turns.filter(turn => turn.source === 'cheap-model').length, 1);
+  // Both answers were paid for
+  assert.strictEqual(saved.modelTokens, 200);
+});
@@ -0,0 +1,50 @@
+// Tests for notification quiet hours and dates: both follow the scheduler's service
+// time zone, not the host's. The host is pinned to UTC, as on most cloud platforms,
+// and data goes to a scratch directory.
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dayjs = require('dayjs');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { getRepository, initializeData } = require('../server/repository');
+const { getNotifications } = require('../server/notifications');
+
+initializeData();
+const repo = getRepository();
+repo.updateConfig({ scheduling: { timezone: 'America/Los_Angeles' } });
+const notifications = getNotifications({});
+
+test('the default 21:00-08:00 quiet hours are Pacific evenings, not UTC ones', () => {
+  // 2 PM Pacific (22:00 UTC) is inside 21:00-08:00 UTC but is daytime for residents
+  assert.strictEqual(notifications.quietUntil(dayjs('2026-03-02T22:00:00Z')), null);
+  // 10 PM Pacific waits until 8 AM Pacific
+  assert.strictEqual(notifications.quietUntil(dayjs('2026-03-03T06:00:00Z')).toISOString(), '2026-03-03T16:00:00.000Z');
+  // 6 AM Pacific likewise
+  assert.strictEqual(notifications.quietUntil(dayjs('2026-03-03T14:00:00Z')).toISOString(), '2026-03-03T16:00:00.000Z');
+});
+
+test('a quiet night that spans a daylight saving change ends at 8 AM local time', () => {
+  // 10 PM on Saturday 7 March (PST); clocks go forward overnight
+  assert.strictEqual(notifications.quietUntil(dayjs('2026-03-08T06:00:00Z')).toISOString(), '2026-03-08T15:00:00.000Z');
+});
+
+test('appointment times in messages are in the service zone', () => {
+  const client = { name: 'Tess Ortiz', preferredLanguage: 'en', caseworkerId: 'cw-001' };
+  const appointment = { caseworkerId: 'cw-001', scheduledDate: '2026-03-02T17:00:00.000Z', location: 'Downtown Long Beach Hub' };
+  const { body } = notifications.render('reminder', client, appointment, 'email', 'http://localhost/status/x');
+  assert.match(body, /9:00 AM/);
+});
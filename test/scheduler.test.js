@@ -0,0 +1,70 @@
+// Tests for the slot finder's time zone: hours are read in the configured service
+// zone whatever the host's zone is. The host is pinned to UTC, as on most cloud
+// platforms, and data goes to a scratch directory.
+process.env.TZ = 'UTC';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const dayjs = require('dayjs');
+const { getStorage } = require('../server/storage');
+
+// Claim a scratch data directory before anything opens the repository on data/
+const TEST_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+process.env.STORAGE_DRIVER = 'json';
+getStorage({ dataDir: TEST_DIR });
+process.on('exit', () => {
+  getStorage().close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const { getRepository, initializeData } = require('../server/repository');
+const { getScheduler } = require('../server/scheduler');
+
+initializeData();
+const repo = getRepository();
+const scheduler = getScheduler();
+
+// Monday 2 March 2026, 6 AM in Los Angeles (UTC-8) - weeks away from any demo booking
+const MONDAY_MORNING = '2026-03-02T14:00:00Z';
+
+function useZone(timezone) {
+  repo.updateConfig({ scheduling: { ...repo.getConfig().scheduling, timezone } });
+}
+
+test('9-5 hours in Los Angeles give 9 AM Pacific slots on a UTC host', () => {
+  useZone('America/Los_Angeles');
+  // cw-001 works 9-5 at a hub open 8-6
+  const slots = scheduler.findSlots({ caseworkerId: 'cw-001', hubCode: 'HUB-LB-001', from: MONDAY_MORNING, limit: 8 });
+
+  assert.strictEqual(slots[0].start, '2026-03-02T17:00:00.000Z');
+  assert.strictEqual(slots[7].end, '2026-03-03T01:00:00.000Z');
+  slots.forEach(slot => assert.strictEqual(dayjs(slot.start).tz('America/Los_Angeles').format('ddd'), 'Mon'));
+});
+
+test('the same hours follow the zone when it changes', () => {
+  useZone('America/New_York');
+  // 6 AM in New York (UTC-5)
+  const [slot] = scheduler.findSlots({ caseworkerId: 'cw-001', hubCode: 'HUB-LB-001', from: '2026-03-02T11:00:00Z', limit: 1 });
+  assert.strictEqual(slot.start, '2026-03-02T14:00:00.000Z');
+});
+
+test('slots keep 9 AM local across a daylight saving change', () => {
+  useZone('America/Los_Angeles');
+  // Friday 6 March; clocks go forward on Sunday 8 March
+  const slots = scheduler.findSlots({ caseworkerId: 'cw-001', hubCode: 'HUB-LB-002', from: '2026-03-06T14:00:00Z', limit: 9 });
+  const mondayFirst = slots.find(slot => slot.start.startsWith('2026-03-09'));
+
+  assert.strictEqual(slots[0].start, '2026-03-06T17:00:00.000Z');
+  assert.strictEqual(mondayFirst.start, '2026-03-09T16:00:00.000Z');
+});
+
+test('time off covers whole days in the service zone', () => {
+  useZone('America/Los_Angeles');
+  assert.deepStrictEqual(scheduler.dayRange('2026-03-02', '2026-03-03'), {
+    start: '2026-03-02T08:00:00.000Z',
+    end: '2026-03-04T07:59:59.999Z'
+  });
+});